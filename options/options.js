@@ -0,0 +1,134 @@
+/**
+ * Options page
+ * Reads and writes the shared settings (src/settings.js)
+ */
+
+(function (root) {
+  const ns = (root.ReviewGuesser = root.ReviewGuesser || {});
+  const settingsApi = ns.settings;
+
+  const form = document.getElementById("options-form");
+  const statusEl = document.getElementById("status");
+  const spoilerContainer = document.getElementById("spoilerRules");
+  const hardModeContainer = document.getElementById("hardModeRules");
+
+  /**
+   * Build one checkbox per spoiler rule, grouped by category.
+   * Hard-mode rules go below the hard mode switch.
+   */
+  function renderSpoilerRules() {
+    spoilerContainer.innerHTML = "";
+    hardModeContainer.innerHTML = "";
+
+    ns.SPOILER_CATEGORIES.forEach((category) => {
+      const rules = ns.SPOILER_RULES.filter((r) => r.category === category.id);
+      if (!rules.length) return;
+
+      const target = rules[0].hardMode ? hardModeContainer : spoilerContainer;
+
+      if (target === spoilerContainer) {
+        const heading = document.createElement("div");
+        heading.className = "rule-group";
+        heading.textContent = category.label;
+        target.appendChild(heading);
+      }
+
+      rules.forEach((rule) => {
+        const label = document.createElement("label");
+        label.className = "checkbox";
+
+        const input = document.createElement("input");
+        input.type = "checkbox";
+        input.name = "spoiler";
+        input.value = rule.id;
+
+        label.appendChild(input);
+        label.appendChild(document.createTextNode(rule.label));
+        target.appendChild(label);
+      });
+    });
+  }
+
+  function spoilerInputs() {
+    return form.querySelectorAll('input[name="spoiler"]');
+  }
+
+  function updateHardModeRules() {
+    hardModeContainer.style.opacity = form.hardMode.checked ? "" : "0.5";
+  }
+
+  /**
+   * Fill the form from a settings object.
+   *
+   * @param {Object} settings
+   */
+  function fillForm(settings) {
+    form.guessMode.value = settings.guessMode;
+    form.scoreQuestion.checked = settings.scoreQuestion;
+    form.answerCount.value = settings.answerCount;
+    form.nextGameMode.value = settings.nextGameMode;
+    form.autoReroll.checked = settings.autoReroll;
+    form.nickname.value = settings.nickname;
+    form.serverUrl.value = settings.serverUrl;
+
+    spoilerInputs().forEach((input) => {
+      input.checked = settings.spoilerRules[input.value] !== false;
+    });
+    form.hardMode.checked = settings.hardMode;
+    updateHardModeRules();
+  }
+
+  function showStatus(message, isError = false) {
+    statusEl.textContent = message;
+    statusEl.className = isError ? "error" : "";
+    if (!isError) {
+      setTimeout(() => {
+        if (statusEl.textContent === message) statusEl.textContent = "";
+      }, 2000);
+    }
+  }
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+
+    const serverUrl = form.serverUrl.value.trim();
+    if (serverUrl && !settingsApi.isValidServerUrl(serverUrl)) {
+      showStatus("Server URL must start with wss:// or ws://", true);
+      form.serverUrl.focus();
+      return;
+    }
+
+    const spoilerRules = {};
+    spoilerInputs().forEach((input) => {
+      spoilerRules[input.value] = input.checked;
+    });
+
+    const saved = await settingsApi.set({
+      guessMode: form.guessMode.value,
+      scoreQuestion: form.scoreQuestion.checked,
+      answerCount: form.answerCount.value,
+      nextGameMode: form.nextGameMode.value,
+      autoReroll: form.autoReroll.checked,
+      nickname: form.nickname.value,
+      serverUrl: serverUrl || settingsApi.DEFAULTS.serverUrl,
+      spoilerRules,
+      hardMode: form.hardMode.checked,
+    });
+
+    fillForm(saved);
+    showStatus("Saved");
+  });
+
+  document.getElementById("resetDefaults").addEventListener("click", async () => {
+    fillForm(await settingsApi.reset());
+    showStatus("Defaults restored");
+  });
+
+  form.answerCount.min = settingsApi.MIN_ANSWER_COUNT;
+  form.answerCount.max = settingsApi.MAX_ANSWER_COUNT;
+
+  form.hardMode.addEventListener("change", updateHardModeRules);
+
+  renderSpoilerRules();
+  settingsApi.load().then(fillForm);
+})(window);
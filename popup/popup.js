@@ -0,0 +1,81 @@
+/**
+ * Toolbar popup
+ * Pause/resume switches (global via pauseState, per-tab via the content script)
+ */
+
+(function (root) {
+  const ns = (root.ReviewGuesser = root.ReviewGuesser || {});
+  const pauseState = ns.pauseState;
+
+  const globalInput = document.getElementById("pauseGlobal");
+  const tabInput = document.getElementById("pauseTab");
+  const tabHint = document.getElementById("tabHint");
+  const statusEl = document.getElementById("status");
+
+  // Active tab, if it runs our content script (null otherwise)
+  let tabId = null;
+
+  function render(state) {
+    globalInput.checked = state.global;
+    tabInput.checked = state.tab;
+
+    const paused = state.global || state.tab;
+    statusEl.textContent = paused ? "Paused" : "Active";
+    statusEl.className = paused ? "paused" : "active";
+  }
+
+  async function getActiveTabId() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    return tab ? tab.id : null;
+  }
+
+  /**
+   * Ask the content script of a tab for its pause state.
+   * Resolves to null when the tab is not a Steam app page.
+   *
+   * @param {number} id
+   * @returns {Promise<Object|null>}
+   */
+  async function queryTab(id) {
+    try {
+      return (await chrome.tabs.sendMessage(id, { type: "ext:get-pause-state" })) || null;
+    } catch (e) {
+      // No content script in this tab
+      return null;
+    }
+  }
+
+  globalInput.addEventListener("change", async () => {
+    await pauseState.setGlobalPaused(globalInput.checked);
+    render({ global: globalInput.checked, tab: tabInput.checked });
+  });
+
+  tabInput.addEventListener("change", async () => {
+    if (tabId == null) return;
+    const state = await chrome.tabs
+      .sendMessage(tabId, { type: "ext:set-tab-paused", paused: tabInput.checked })
+      .catch(() => null);
+    if (state) render(state);
+  });
+
+  document.getElementById("openOptions").addEventListener("click", (e) => {
+    e.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+
+  (async () => {
+    const globalState = await pauseState.load();
+    render(globalState);
+
+    const id = await getActiveTabId();
+    const tabState = id != null ? await queryTab(id) : null;
+
+    if (tabState) {
+      tabId = id;
+      render({ global: globalState.global, tab: tabState.tab });
+    } else {
+      tabInput.disabled = true;
+      tabHint.textContent = "Open a Steam store page to pause a single tab.";
+    }
+  })();
+})(window);
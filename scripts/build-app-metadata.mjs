@@ -0,0 +1,203 @@
+/**
+ * Build data/app_metadata.csv
+ * Looks up tags, genres, release year, price and review totals for the app IDs
+ * in the batch files, the data the Next-game filters need (see the README).
+ *
+ * Usage:
+ *   node scripts/build-app-metadata.mjs [--limit 500] [--delay 1500] [--files data/Batch_6.csv,data/Batch_5.csv]
+ *
+ * The script appends to the output file and skips app IDs that are already in
+ * it, so it can be stopped and resumed at any time. Requires Node 18+ (fetch).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const ROOT = path.resolve(path.dirname(__filename), '..');
+
+const OUTPUT = path.join(ROOT, 'data', 'app_metadata.csv');
+const HEADER = 'appid,year,price_tier,review_bucket,tags';
+
+// Best-known games first, so a partial run is already useful
+const DEFAULT_FILES = [
+  'data/Batch_6.csv',
+  'data/Batch_5.csv',
+  'data/Batch_4.csv',
+  'data/Batch_3.csv',
+  'data/Batch_2.csv',
+  'data/Batch_1.csv'
+];
+
+// Ids written to the price_tier and review_bucket columns
+const PRICE_TIERS = [
+  { id: 'free', maxCents: 0 },
+  { id: 'under5', maxCents: 499 },
+  { id: 'under10', maxCents: 999 },
+  { id: 'under20', maxCents: 1999 },
+  { id: 'under40', maxCents: 3999 },
+  { id: '40plus', maxCents: Infinity }
+];
+
+const REVIEW_BUCKETS = [
+  { id: 'lt100', max: 99 },
+  { id: 'lt1k', max: 999 },
+  { id: 'lt10k', max: 9999 },
+  { id: 'lt100k', max: 99999 },
+  { id: '100kplus', max: Infinity }
+];
+
+const MAX_TAGS = 10;
+
+function parseArgs(argv) {
+  const args = { limit: Infinity, delay: 1500, files: DEFAULT_FILES };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i];
+    const value = argv[i + 1];
+    if (key === '--limit') {
+      args.limit = parseInt(value, 10);
+      i++;
+    } else if (key === '--delay') {
+      args.delay = parseInt(value, 10);
+      i++;
+    } else if (key === '--files') {
+      args.files = value.split(',').map((f) => f.trim()).filter(Boolean);
+      i++;
+    }
+  }
+  return args;
+}
+
+function readIds(relativePath) {
+  const text = fs.readFileSync(path.join(ROOT, relativePath), 'utf8');
+  return text
+    .split(/\r?\n/)
+    .map((s) => s.trim())
+    .filter((s) => /^\d+$/.test(s));
+}
+
+function readDoneIds() {
+  if (!fs.existsSync(OUTPUT)) return new Set();
+  return new Set(
+    fs.readFileSync(OUTPUT, 'utf8')
+      .split(/\r?\n/)
+      .map((line) => line.split(',')[0])
+      .filter((id) => /^\d+$/.test(id))
+  );
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function getJson(url) {
+  const res = await fetch(url, { headers: { 'User-Agent': 'jonas-review-guesser-metadata' } });
+  if (!res.ok) throw new Error(`${res.status} ${url}`);
+  return res.json();
+}
+
+function priceTier(cents) {
+  if (!Number.isFinite(cents)) return '';
+  return PRICE_TIERS.find((tier) => cents <= tier.maxCents).id;
+}
+
+function reviewBucket(total) {
+  if (!Number.isFinite(total)) return '';
+  return REVIEW_BUCKETS.find((bucket) => total <= bucket.max).id;
+}
+
+// Commas separate columns and pipes separate tags, so neither may appear in a tag
+function cleanTag(tag) {
+  return String(tag).replace(/[,|]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Metadata for one app, or null when neither source knows it.
+ */
+async function lookup(appId) {
+  const spy = await getJson(`https://steamspy.com/api.php?request=appdetails&appid=${appId}`);
+  const store = await getJson(
+    `https://store.steampowered.com/api/appdetails?appids=${appId}&filters=release_date,price_overview`
+  ).catch(() => null);
+
+  const details = store && store[appId] && store[appId].success ? store[appId].data : null;
+  if (!(spy && spy.name) && !details) return null;
+
+  const tagVotes = spy && spy.tags && !Array.isArray(spy.tags) ? spy.tags : {};
+  const tags = Object.entries(tagVotes)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_TAGS)
+    .map(([name]) => cleanTag(name));
+  String((spy && spy.genre) || '')
+    .split(',')
+    .map(cleanTag)
+    .filter((genre) => genre && !tags.includes(genre))
+    .forEach((genre) => tags.push(genre));
+
+  const dateText = details && details.release_date ? details.release_date.date : '';
+  const yearMatch = /\b(19|20)\d{2}\b/.exec(dateText || '');
+
+  // Launch price rather than the current (possibly discounted) one
+  const cents = details && details.price_overview
+    ? details.price_overview.initial
+    : parseInt(spy && spy.initialprice, 10);
+
+  const total =
+    spy && Number.isFinite(spy.positive) && Number.isFinite(spy.negative)
+      ? spy.positive + spy.negative
+      : NaN;
+
+  return {
+    appid: appId,
+    year: yearMatch ? yearMatch[0] : '',
+    priceTier: priceTier(cents),
+    reviewBucket: reviewBucket(total),
+    tags
+  };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!fs.existsSync(OUTPUT) || fs.readFileSync(OUTPUT, 'utf8').trim() === '') {
+    fs.writeFileSync(OUTPUT, HEADER + '\n');
+  }
+
+  const done = readDoneIds();
+  const queue = new Set();
+  for (const file of args.files) {
+    for (const id of readIds(file)) {
+      if (queue.size >= args.limit) break;
+      if (!done.has(id)) queue.add(id);
+    }
+  }
+
+  console.log(`${done.size} apps already done, ${queue.size} to look up`);
+
+  let written = 0;
+  for (const appId of queue) {
+    try {
+      const meta = await lookup(appId);
+      if (meta) {
+        const row = [meta.appid, meta.year, meta.priceTier, meta.reviewBucket, meta.tags.join('|')];
+        fs.appendFileSync(OUTPUT, row.join(',') + '\n');
+        written++;
+        if (written % 50 === 0) console.log(`${written} written`);
+      } else {
+        console.warn(`No data for ${appId}`);
+      }
+    } catch (error) {
+      console.warn(`Lookup failed for ${appId}: ${error.message}`);
+    }
+
+    await sleep(args.delay);
+  }
+
+  console.log(`Done: ${written} apps written to ${path.relative(ROOT, OUTPUT)}`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
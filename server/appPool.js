@@ -0,0 +1,138 @@
+/**
+ * Game pools for the co-op server
+ * Loads the same app ID lists as the extension's Next buttons (data/*.csv)
+ * and picks the room's next game. Every pick is driven by a draw key that
+ * is derived from the room's secret seed and published with the pick, so
+ * anyone can replay it with the same data files.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createHmac } from 'crypto';
+import { fileURLToPath } from 'url';
+import seededRandom from '../src/seededRandom.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_DATA_DIR = process.env.APP_DATA_DIR || path.join(__dirname, '..', 'data');
+
+// Same files as src/nextGame.js: "smart" (Balanced) tries a random batch
+// first, "raw" draws from every released app
+const BATCH_FILES = ['Batch_1.csv', 'Batch_2.csv', 'Batch_3.csv', 'Batch_4.csv', 'Batch_5.csv', 'Batch_6.csv'];
+const RELEASED_FILE = 'released_appids.csv';
+
+export const GAME_POOLS = ['raw', 'smart'];
+
+// Random tries before scanning the whole list for an allowed id
+const PICK_ATTEMPTS = 20;
+
+/**
+ * @typedef {Object} Draw
+ * @property {number} number - How many games the room has drawn, this one included
+ * @property {string} key - Seeds the RNG of this pick (seededRandom.create(key))
+ * @property {string} pool - 'raw' or 'smart'
+ */
+
+/**
+ * Key of a room's n-th draw. Keys can't be predicted without the seed,
+ * which never leaves the server.
+ * @param {string} seed
+ * @param {number} number
+ * @returns {string}
+ */
+export function drawKey(seed, number) {
+  return createHmac('sha256', seed).update(`draw:${number}`).digest('hex').slice(0, 16);
+}
+
+/**
+ * Read a CSV of app IDs (one per line)
+ * @param {string} file
+ * @returns {number[]}
+ */
+function readIds(file) {
+  try {
+    return fs.readFileSync(file, 'utf8')
+      .split(/\r?\n/)
+      .map((s) => s.trim())
+      .filter((s) => /^\d+$/.test(s))
+      .map((s) => parseInt(s, 10));
+  } catch (error) {
+    console.warn(`[Server] Could not read app list ${file}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * A random element of a list that passes a check
+ * @param {number[]} ids
+ * @param {() => number} random
+ * @param {(id: number) => boolean} allowed
+ * @returns {number|null}
+ */
+function pickAllowed(ids, random, allowed) {
+  if (!ids.length) return null;
+  for (let i = 0; i < PICK_ATTEMPTS; i++) {
+    const id = ids[Math.floor(random() * ids.length)];
+    if (allowed(id)) return id;
+  }
+
+  // Mostly excluded list: pick among what is left
+  const rest = ids.filter(allowed);
+  return rest.length ? rest[Math.floor(random() * rest.length)] : null;
+}
+
+/**
+ * @typedef {Object} AppPool
+ * @property {(pool: string, options: {key: string, exclude?: Set<string>}) => string|null} pick
+ */
+
+/**
+ * App ID pools, read from the data folder on the first pick
+ * @param {{dir?: string}} [options]
+ * @returns {AppPool}
+ */
+export function createAppPool({ dir = DEFAULT_DATA_DIR } = {}) {
+  let data = null;
+
+  function load() {
+    if (data) return data;
+    data = {
+      batches: BATCH_FILES.map((file) => readIds(path.join(dir, file))),
+      released: readIds(path.join(dir, RELEASED_FILE)),
+    };
+    console.log(`[Server] Loaded ${data.released.length} released apps`);
+    return data;
+  }
+
+  /**
+   * Pick a game from a pool. Same order as the extension: "smart" walks
+   * the batches in a random order, then falls back to every released app.
+   * @param {string} pool - 'raw' or 'smart'
+   * @param {{key: string, exclude?: Set<string>}} options
+   * @returns {string|null} null when every app is excluded
+   */
+  function pick(pool, { key, exclude = new Set() }) {
+    const { batches, released } = load();
+    const random = seededRandom.create(key);
+    const allowed = (id) => !exclude.has(String(id));
+
+    const lists = [];
+    if (pool === 'smart') {
+      const order = batches.slice();
+      for (let i = order.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+      }
+      lists.push(...order);
+    }
+    lists.push(released);
+
+    for (const ids of lists) {
+      const id = pickAllowed(ids, random, allowed);
+      if (id !== null) return String(id);
+    }
+    return null;
+  }
+
+  return { pick };
+}
@@ -0,0 +1,74 @@
+/**
+ * Room chat
+ * Cleans up chat messages and limits how fast users can post. Clients show
+ * messages as plain text, so the server only has to keep them short,
+ * single-line and free of invisible characters.
+ */
+
+// Longest chat message, in characters
+export const MAX_CHAT_LENGTH = 300;
+
+// Messages kept per room (and sent to users when they connect)
+export const MAX_CHAT_MESSAGES = 50;
+
+// Reactions users can send once an answer is revealed
+export const REACTION_EMOJIS = ['👍', '👏', '😂', '😮', '😭', '🔥'];
+
+// At most 5 chat messages or reactions per user every 10 seconds
+const CHAT_RATE_LIMIT = 5;
+const CHAT_RATE_WINDOW_MS = 10 * 1000;
+
+// Line breaks, tabs and other control characters become spaces
+const CONTROL_CHARS = /[\u0000-\u001F\u007F-\u009F\u2028\u2029]/g;
+
+// Invisible characters that can hide or reorder text (zero-width spaces,
+// bidi overrides); the zero-width joiner is kept for emoji sequences
+const INVISIBLE_CHARS = /[\u200B\u200C\u200E\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]/g;
+
+/**
+ * Turn a chat message into a single line of visible text
+ * @param {*} text
+ * @returns {string} The cleaned text ('' when nothing is left)
+ */
+export function sanitizeChatText(text) {
+  if (typeof text !== 'string') return '';
+  return text
+    .normalize('NFC')
+    .replace(INVISIBLE_CHARS, '')
+    .replace(CONTROL_CHARS, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Length of a text in characters (emoji count once, not per UTF-16 unit)
+ * @param {string} text
+ * @returns {number}
+ */
+export function chatLength(text) {
+  return Array.from(text).length;
+}
+
+/**
+ * Whether an emoji is one of the reactions
+ * @param {*} emoji
+ * @returns {boolean}
+ */
+export function isReaction(emoji) {
+  return REACTION_EMOJIS.includes(emoji);
+}
+
+/**
+ * Count a post against the user's rate limit
+ * @param {number[]} recent - The user's recent post times (updated in place)
+ * @param {number} [now]
+ * @returns {boolean} Whether the post is allowed
+ */
+export function takeChatSlot(recent, now = Date.now()) {
+  while (recent.length && now - recent[0] >= CHAT_RATE_WINDOW_MS) {
+    recent.shift();
+  }
+  if (recent.length >= CHAT_RATE_LIMIT) return false;
+  recent.push(now);
+  return true;
+}
@@ -0,0 +1,119 @@
+/**
+ * Co-op matches
+ * A match is a fixed number of rounds played by the members who were there
+ * when it started, ending with a podium. Rooms without a match play on
+ * endlessly.
+ */
+
+// Round counts the host can choose
+export const MATCH_ROUND_COUNTS = [5, 10, 15, 20];
+
+/**
+ * @typedef {Object} Match
+ * @property {number} rounds - Rounds in the match
+ * @property {number} completedRounds - Rounds whose count question is done
+ * @property {string[]} playerIds - Players when the match started (anyone else spectates)
+ * @property {number} startedAt - Epoch ms
+ * @property {string} status - 'playing' or 'finished'
+ * @property {MatchSummary|null} summary - Set once the match is finished
+ */
+
+/**
+ * @typedef {Object} MatchStanding
+ * @property {number} place - 1 for the winner; tied players share a place
+ * @property {string} userId
+ * @property {string} name
+ * @property {string|null} color
+ * @property {number} points - Count-question points under the room's scoring rule
+ * @property {number} correctAnswers
+ * @property {number} failedAnswers
+ * @property {number} bestStreak
+ * @property {number} percentPoints - Sum of positive-% points
+ */
+
+/**
+ * @typedef {Object} MatchSummary
+ * @property {number} rounds
+ * @property {number} durationMs
+ * @property {string[]} gameIds - The match's games, in play order
+ * @property {MatchStanding[]} standings - Every match player, best first
+ * @property {MatchStanding[]} podium - Places 1 to 3
+ */
+
+/**
+ * Whether the host may start a match with this many rounds
+ * @param {*} rounds
+ * @returns {boolean}
+ */
+export function isMatchRoundCount(rounds) {
+  return MATCH_ROUND_COUNTS.includes(rounds);
+}
+
+/**
+ * A new match
+ * @param {number} rounds
+ * @param {string[]} playerIds
+ * @param {number} [now]
+ * @returns {Match}
+ */
+export function createMatch(rounds, playerIds, now = Date.now()) {
+  return {
+    rounds,
+    completedRounds: 0,
+    playerIds: [...playerIds],
+    startedAt: now,
+    status: 'playing',
+    summary: null,
+  };
+}
+
+/**
+ * Whether all of the match's rounds have been played
+ * @param {Match|null} match
+ * @returns {boolean}
+ */
+export function isMatchOver(match) {
+  return !!match && match.completedRounds >= match.rounds;
+}
+
+/**
+ * Rank the match players: points first, then correct answers
+ * @param {Match} match
+ * @param {{leaderboard: Object[], users: Record<string, Object>, history: Object[]}} room
+ * @param {number} [now]
+ * @returns {MatchSummary}
+ */
+export function buildMatchSummary(match, { leaderboard, users, history }, now = Date.now()) {
+  const standings = match.playerIds.map((userId) => {
+    const entry = leaderboard.find((e) => e.userId === userId) || {};
+    const user = users[userId] || {};
+    return {
+      place: 0,
+      userId,
+      name: user.name || 'User',
+      color: user.color || null,
+      points: entry.points || 0,
+      correctAnswers: entry.correctAnswers || 0,
+      failedAnswers: entry.failedAnswers || 0,
+      bestStreak: entry.bestStreak || 0,
+      percentPoints: entry.percentPoints || 0,
+    };
+  });
+
+  standings.sort((a, b) => b.points - a.points || b.correctAnswers - a.correctAnswers);
+  standings.forEach((standing, i) => {
+    const previous = standings[i - 1];
+    const tied = previous &&
+      previous.points === standing.points &&
+      previous.correctAnswers === standing.correctAnswers;
+    standing.place = tied ? previous.place : i + 1;
+  });
+
+  return {
+    rounds: match.rounds,
+    durationMs: now - match.startedAt,
+    gameIds: match.completedRounds ? history.slice(-match.completedRounds).map((round) => round.gameId) : [],
+    standings,
+    podium: standings.filter((standing) => standing.place <= 3),
+  };
+}
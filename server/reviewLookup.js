@@ -0,0 +1,102 @@
+/**
+ * Review count lookup for the co-op server
+ * Resolves the true review count (and positive share) of a Steam app so the
+ * server never has to trust the numbers clients send
+ */
+
+const DEFAULT_BASE_URL = process.env.REVIEW_LOOKUP_URL || 'https://store.steampowered.com/appreviews/';
+
+// Counts barely move within a round, so a short cache keeps rooms that
+// replay a game (or many rooms on the same game) from hammering Steam
+const DEFAULT_TTL_MS = parseInt(process.env.REVIEW_CACHE_TTL_MS, 10) || 10 * 60 * 1000;
+
+const REQUEST_TIMEOUT_MS = 8000;
+
+/**
+ * @typedef {Object} ReviewSummary
+ * @property {number} count - Total reviews (all languages)
+ * @property {number|null} positivePercent - Positive share 0..100, when known
+ */
+
+/**
+ * Default fetcher: Steam's appreviews JSON endpoint
+ * (same query as src/reviewSource.js in the extension)
+ * @param {string} appId
+ * @param {{baseUrl?: string}} [options]
+ * @returns {Promise<ReviewSummary|null>}
+ */
+export async function fetchAppReviews(appId, { baseUrl = DEFAULT_BASE_URL } = {}) {
+  const params = new URLSearchParams({
+    json: '1',
+    language: 'all',
+    purchase_type: 'all',
+    review_type: 'all',
+    filter: 'all',
+    num_per_page: '0',
+  });
+
+  const res = await fetch(`${baseUrl}${encodeURIComponent(appId)}?${params}`, {
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+  if (!res.ok) throw new Error(`appreviews returned ${res.status}`);
+
+  const data = await res.json();
+  const summary = data && data.success === 1 ? data.query_summary : null;
+  if (!summary || !Number.isFinite(summary.total_reviews)) return null;
+
+  const total = summary.total_reviews;
+  return {
+    count: total,
+    positivePercent: Number.isFinite(summary.total_positive) && total > 0
+      ? Math.round((summary.total_positive / total) * 100)
+      : null,
+  };
+}
+
+/**
+ * Create a cached lookup. The fetcher can be swapped (e.g. for a local stub
+ * in tests) with setFetcher, which also clears the cache.
+ * @param {{fetcher?: (appId: string) => Promise<ReviewSummary|null>, ttlMs?: number}} [options]
+ */
+export function createReviewLookup({ fetcher = fetchAppReviews, ttlMs = DEFAULT_TTL_MS } = {}) {
+  let currentFetcher = fetcher;
+
+  // appId -> { promise, expiresAt }
+  const cache = new Map();
+
+  /**
+   * Review summary for an app, or null if it could not be resolved
+   * @param {string} appId
+   * @returns {Promise<ReviewSummary|null>}
+   */
+  function get(appId) {
+    const key = String(appId);
+    const cached = cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.promise;
+
+    const promise = Promise.resolve()
+      .then(() => currentFetcher(key))
+      .catch((error) => {
+        console.warn(`[Server] Review lookup failed for ${key}:`, error.message);
+        return null;
+      });
+
+    cache.set(key, { promise, expiresAt: Date.now() + ttlMs });
+
+    // Don't keep failures around; the next round should try again
+    promise.then((result) => {
+      if (!result && cache.get(key) && cache.get(key).promise === promise) cache.delete(key);
+    });
+
+    return promise;
+  }
+
+  return {
+    get,
+    setFetcher(fn) {
+      currentFetcher = fn;
+      cache.clear();
+    },
+    clear: () => cache.clear(),
+  };
+}
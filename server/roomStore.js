@@ -0,0 +1,136 @@
+/**
+ * Room storage for the co-op server
+ * Keeps room snapshots (users, leaderboard, round state) outside the process
+ * so rooms survive restarts and redeploys. Stores share one small synchronous
+ * interface so the backend can be swapped (e.g. for SQLite) without touching
+ * server.js.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_DATA_DIR = process.env.ROOM_DATA_DIR || path.join(__dirname, 'data', 'rooms');
+
+/**
+ * @typedef {Object} StoredRoom
+ * @property {string} roomId
+ * @property {number} savedAt - Epoch ms of the last save
+ * @property {Object} state - Serialized room state (see serializeRoom in server.js)
+ */
+
+/**
+ * @typedef {Object} RoomStore
+ * @property {(roomId: string) => StoredRoom|null} load
+ * @property {(roomId: string, state: Object) => void} save
+ * @property {(roomId: string) => void} remove
+ * @property {(maxAgeMs: number) => string[]} prune - Remove rooms not saved within maxAgeMs, returns their IDs
+ */
+
+/**
+ * Room IDs come from the URL, so never use them as file names directly
+ * @param {string} roomId
+ * @returns {string}
+ */
+function fileNameFor(roomId) {
+  return `${Buffer.from(String(roomId), 'utf8').toString('base64url')}.json`;
+}
+
+/**
+ * One JSON file per room. Writes go to a temporary file first and are then
+ * renamed, so a crash mid-write never leaves a half-written room behind.
+ * @param {{dir?: string}} [options]
+ * @returns {RoomStore}
+ */
+export function createJsonFileStore({ dir = DEFAULT_DATA_DIR } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  function readFile(file) {
+    try {
+      const stored = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      if (!stored || typeof stored.roomId !== 'string' || !stored.state) return null;
+      return stored;
+    } catch (error) {
+      console.warn(`[Server] Could not read stored room ${file}:`, error.message);
+      return null;
+    }
+  }
+
+  function listFiles() {
+    return fs.readdirSync(dir).filter((file) => file.endsWith('.json'));
+  }
+
+  return {
+    load(roomId) {
+      const file = fileNameFor(roomId);
+      return fs.existsSync(path.join(dir, file)) ? readFile(file) : null;
+    },
+
+    save(roomId, state) {
+      const file = path.join(dir, fileNameFor(roomId));
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ roomId, savedAt: Date.now(), state }));
+      fs.renameSync(tmp, file);
+    },
+
+    remove(roomId) {
+      fs.rmSync(path.join(dir, fileNameFor(roomId)), { force: true });
+    },
+
+    prune(maxAgeMs) {
+      const cutoff = Date.now() - maxAgeMs;
+      const removed = [];
+      for (const file of listFiles()) {
+        const stored = readFile(file);
+        if (!stored || stored.savedAt < cutoff) {
+          fs.rmSync(path.join(dir, file), { force: true });
+          if (stored) removed.push(stored.roomId);
+        }
+      }
+      return removed;
+    },
+  };
+}
+
+/**
+ * Keeps nothing across restarts (ROOM_STORE=memory), e.g. for local testing
+ * @returns {RoomStore}
+ */
+export function createMemoryStore() {
+  const stored = new Map();
+
+  return {
+    load: (roomId) => stored.get(roomId) || null,
+    save(roomId, state) {
+      stored.set(roomId, { roomId, savedAt: Date.now(), state: JSON.parse(JSON.stringify(state)) });
+    },
+    remove: (roomId) => {
+      stored.delete(roomId);
+    },
+    prune(maxAgeMs) {
+      const cutoff = Date.now() - maxAgeMs;
+      const removed = [];
+      for (const [roomId, room] of stored) {
+        if (room.savedAt < cutoff) {
+          stored.delete(roomId);
+          removed.push(roomId);
+        }
+      }
+      return removed;
+    },
+  };
+}
+
+/**
+ * The store selected by ROOM_STORE ('json', the default, or 'memory')
+ * @returns {RoomStore}
+ */
+export function createRoomStore(kind = process.env.ROOM_STORE || 'json') {
+  if (kind === 'memory') return createMemoryStore();
+  if (kind !== 'json') {
+    console.warn(`[Server] Unknown ROOM_STORE "${kind}", using json`);
+  }
+  return createJsonFileStore();
+}
@@ -0,0 +1,100 @@
+/**
+ * Scoring rules for co-op rounds
+ * Turns each user's multiple-choice pick into leaderboard points. The rule
+ * is chosen per room (settings.scoringRule); correct/failed counts are kept
+ * for every rule.
+ */
+
+// Rule IDs, in the order the extension lists them
+export const SCORING_RULES = ['classic', 'speed', 'closeness', 'streak'];
+
+export const DEFAULT_SCORING_RULE = 'classic';
+
+// Untimed rooms: a correct answer within this time still earns a speed bonus
+const SPEED_WINDOW_MS = 30 * 1000;
+
+// Streak rule: +50% per correct answer in a row, up to 3x
+const STREAK_STEP = 0.5;
+const MAX_STREAK_MULTIPLIER = 3;
+
+/**
+ * @typedef {Object} PickContext
+ * @property {number|null} answer - The option the user picked (null when timed out)
+ * @property {number} correctAnswer - The real review count
+ * @property {number[]|null} options - The round's options
+ * @property {number|null} responseMs - Time from the options being ready to the pick
+ * @property {number|null} timeLimitMs - The room's time per question (null when untimed)
+ * @property {number} streak - Correct answers in a row before this round
+ */
+
+/**
+ * Log distance between two review counts (orders of magnitude)
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function logDistance(a, b) {
+  return Math.abs(Math.log10(a + 1) - Math.log10(b + 1));
+}
+
+/**
+ * Whether the pick is the option right above or below the correct one
+ * @param {number} answer
+ * @param {number} correctAnswer
+ * @param {number[]|null} options
+ * @returns {boolean}
+ */
+function isAdjacentOption(answer, correctAnswer, options) {
+  if (!Array.isArray(options)) return false;
+  const sorted = [...options].sort((a, b) => a - b);
+  const correctIndex = sorted.indexOf(correctAnswer);
+  const answerIndex = sorted.indexOf(answer);
+  return correctIndex !== -1 && answerIndex !== -1 && Math.abs(correctIndex - answerIndex) === 1;
+}
+
+const RULES = {
+  // 1 point per correct answer
+  classic: ({ answer, correctAnswer }) => (answer === correctAnswer ? 1 : 0),
+
+  // 100 for an instant correct answer, down to 50 at the end of the window
+  speed: ({ answer, correctAnswer, responseMs, timeLimitMs }) => {
+    if (answer !== correctAnswer) return 0;
+    const windowMs = timeLimitMs || SPEED_WINDOW_MS;
+    const elapsed = Number.isFinite(responseMs) ? Math.min(responseMs, windowMs) : windowMs;
+    return Math.round(50 + 50 * (1 - elapsed / windowMs));
+  },
+
+  // 100 when correct; the neighbouring options get up to 50 by how close they are
+  closeness: ({ answer, correctAnswer, options }) => {
+    if (answer === correctAnswer) return 100;
+    if (answer === null || !isAdjacentOption(answer, correctAnswer, options)) return 0;
+    return Math.round(50 * Math.max(0, 1 - logDistance(answer, correctAnswer)));
+  },
+
+  // 100 per correct answer, multiplied by the running streak
+  streak: ({ answer, correctAnswer, streak }) => {
+    if (answer !== correctAnswer) return 0;
+    const multiplier = Math.min(1 + STREAK_STEP * streak, MAX_STREAK_MULTIPLIER);
+    return Math.round(100 * multiplier);
+  },
+};
+
+/**
+ * Whether a rule ID is known
+ * @param {string} rule
+ * @returns {boolean}
+ */
+export function isScoringRule(rule) {
+  return SCORING_RULES.includes(rule);
+}
+
+/**
+ * Points for one pick under a rule (unknown rules score as classic)
+ * @param {string} rule
+ * @param {PickContext} context
+ * @returns {number}
+ */
+export function scorePick(rule, context) {
+  const score = RULES[rule] || RULES[DEFAULT_SCORING_RULE];
+  return score(context);
+}
@@ -1,8 +1,41 @@
 import { WebSocketServer } from 'ws';
-import { randomUUID } from 'crypto';
+import { createHash, randomBytes, randomInt, randomUUID, scryptSync, timingSafeEqual } from 'crypto';
 import https from 'https';
 import http from 'http';
 import fs from 'fs';
+import { createReviewLookup } from './reviewLookup.js';
+import { createRoomStore } from './roomStore.js';
+import { DEFAULT_SCORING_RULE, SCORING_RULES, isScoringRule, scorePick } from './scoring.js';
+import {
+  MAX_CHAT_LENGTH,
+  MAX_CHAT_MESSAGES,
+  chatLength,
+  isReaction,
+  sanitizeChatText,
+  takeChatSlot,
+} from './chat.js';
+import {
+  DEFAULT_VOTE_MODE,
+  VOTE_MODES,
+  VOTE_TIMEOUT_MS,
+  checkVoter,
+  createVoteCounts,
+  getNextTurnUserId,
+  getTurnUserId,
+  isVoteMode,
+  isVoteSettled,
+  pickWinner,
+  usesProposals,
+  usesVoteTimeout,
+} from './voteModes.js';
+import { GAME_POOLS, createAppPool, drawKey } from './appPool.js';
+import { MATCH_ROUND_COUNTS, buildMatchSummary, createMatch, isMatchOver, isMatchRoundCount } from './match.js';
+import guessSet from '../src/guessSet.js';
+
+const { buildGuessSet } = guessSet;
+
+// Options per co-op round (keep in sync with COOP_ANSWER_COUNT in src/settings.js)
+const COOP_ANSWER_COUNT = 6;
 
 /**
  * @typedef {Object} User
@@ -17,6 +50,10 @@ import fs from 'fs';
  * @property {boolean} hasReplied - Whether user has replied to current game
  * @property {number|null} replyOption - Which option the user replied with (null if not replied)
  * @property {string|null} nextGameVote - Which Next Game option the user voted for: 'raw', 'smart', or null
+ * @property {number|null} percentOption - The user's positive-% guess for the current game (null if not replied)
+ * @property {boolean} [wasKicked] - Kicked by the host and not back since (refused while the room is locked)
+ * @property {boolean} isSpectator - Watches the room without answering, voting or being scored
+ * @property {boolean} [waitingForMatch] - Spectates because they joined during a match (plays from the next one)
  */
 
 /**
@@ -24,16 +61,81 @@ import fs from 'fs';
  * @property {string} userId - User ID
  * @property {number} correctAnswers - Number of correct guesses
  * @property {number} failedAnswers - Number of failed guesses
+ * @property {number} percentAnswers - Number of scored positive-% guesses
+ * @property {number} percentPoints - Sum of positive-% points (0-100 each)
+ * @property {number} roundPoints - Sum of combined round scores (0-100 each)
+ * @property {number} points - Sum of count-question points under the room's scoring rule
+ * @property {number} streak - Correct answers in a row
+ * @property {number} bestStreak - Longest streak so far
  */
 
 /**
  * @typedef {Object} CurrentGameStat
  * @property {string} userId - User ID
  * @property {number} answerValue - The answer value the user selected
+ * @property {number} answeredAt - When the user picked it (epoch ms)
+ */
+
+/**
+ * @typedef {Object} CurrentPercentStat
+ * @property {string} userId - User ID
+ * @property {number} percentValue - The positive-% the user guessed (0-100)
+ */
+
+/**
+ * @typedef {Object} RoundPick
+ * @property {string} userId - User ID
+ * @property {string} name - Display name at the time of the round
+ * @property {string} color - User color
+ * @property {number|null} answerValue - The option the user picked (null when timed out)
+ * @property {boolean|null} correct - Whether it was right (null when the round was not scored)
+ * @property {number} points - Points scored under the round's scoring rule
+ * @property {number|null} responseMs - Time from the options being ready to the pick
+ * @property {boolean} [timedOut] - The user did not answer before the round timer ran out
+ * @property {number|null} percentValue - The user's positive-% guess, if any
+ */
+
+/**
+ * @typedef {Object} RoundRecord
+ * @property {string} gameId - Steam app ID
+ * @property {number|null} correctAnswer - The real review count (null when the lookup failed)
+ * @property {number|null} correctPercent - The real positive-% (filled in when that question completes)
+ * @property {number[]|null} options - The answer options of the round
+ * @property {string} scoringRule - The rule the round was scored with
+ * @property {Draw|null} draw - How the server drew the game (null when a member chose it)
+ * @property {number} completedAt - When everyone had answered (epoch ms)
+ * @property {RoundPick[]} picks - Each user's answer
+ */
+
+/**
+ * @typedef {Object} ChatMessage
+ * @property {string} id - Message ID
+ * @property {string} userId - Sender
+ * @property {string} name - Sender's display name at the time
+ * @property {string} color - Sender's color
+ * @property {string|null} text - Sanitized message text (null for reactions)
+ * @property {string|null} emoji - Reaction emoji (null for text messages)
+ * @property {string|null} gameId - Game whose answer a reaction is about
+ * @property {number} sentAt - When the server received it (epoch ms)
+ */
+
+/**
+ * @typedef {Object} RoomSettings
+ * @property {number} roundTimeLimit - Seconds per question, 0 = no timer
+ * @property {string} scoringRule - 'classic', 'speed', 'closeness' or 'streak' (see scoring.js)
+ * @property {string} voteMode - How the next game is chosen (see voteModes.js)
+ */
+
+/**
+ * @typedef {Object} RoundTimer
+ * @property {string} phase - Question being timed: 'count' or 'percent'
+ * @property {number} endsAt - When it runs out (epoch ms, server clock)
+ * @property {number} durationMs - Full length of the countdown
  */
 
 /**
  * @typedef {Object} GameState
+ * @property {string} roomId - Room ID (not sent to clients)
  * @property {string} currentGameId - Current game/app ID
  * @property {Record<string, User>} users - Map of userId to users (persistent across disconnections)
  * @property {Record<string, string>} connectionToUserId - Map of connectionId to userId (for quick lookup)
@@ -41,9 +143,32 @@ import fs from 'fs';
  * @property {string} roomStatus - Room status: 'in_progress' or 'completed'
  * @property {CurrentGameStat[]} currentGameStats - Array of current game stats (user answers)
  * @property {number|null} correctAnswer - The correct answer for the current game (null if not set)
- * @property {Record<string, number>} nextGameVotes - Map of vote option ('raw' or 'smart') to count
+ * @property {CurrentPercentStat[]} currentPercentStats - Positive-% guesses for the current game
+ * @property {number|null} correctPercent - The actual positive-% for the current game (null if unknown)
+ * @property {string} percentStatus - Positive-% question status: 'in_progress' or 'completed'
+ * @property {boolean} answerLookupFailed - The correct answer could not be resolved (round is not scored)
+ * @property {number[]|null} answerOptions - The review-count options everyone picks from (null until the round starts)
+ * @property {number|null} roundStartedAt - When the answer options were sent (epoch ms)
+ * @property {RoundRecord[]} history - Completed rounds, oldest first (not sent with the gameState, see get-history)
+ * @property {RoomSettings} settings - Room settings (changed with update-settings)
+ * @property {RoundTimer|null} roundTimer - The running countdown, if any
+ * @property {string|null} hostId - userId of the host (the room creator until the host leaves)
+ * @property {string|null} pickerId - userId of the member the host lets choose the next game without a vote
+ * @property {boolean} locked - Only users who were in the room before it was locked may join
+ * @property {string[]} bannedUserIds - Users the host banned
+ * @property {Record<string, string>} reconnectTokens - userId -> SHA-256 of the user's reconnect token (never sent to clients)
+ * @property {{salt: string, hash: string}|null} password - Salted hash of the room password (not sent to clients)
+ * @property {ChatMessage[]} chat - Latest chat messages and reactions, oldest first (sent on connect, not with the gameState)
+ * @property {Record<string, number[]>} chatPostTimes - Each user's recent post times, for the rate limit
+ * @property {Record<string, number>} nextGameVotes - Map of vote option ('raw' or 'smart', or the proposed gameId) to count
  * @property {Record<string, string>} nextGameIds - Map of vote option to gameId (for when option is selected)
+ * @property {Record<string, string>} nextGameNames - Map of proposed gameId to the game's name, as sent by the proposer
  * @property {string|null} selectedNextGame - Which Next Game option was selected (null if not yet selected)
+ * @property {{endsAt: number, durationMs: number}|null} voteTimer - When the next-game vote closes, in modes with a timeout
+ * @property {string|null} turnUserId - Whose turn it is to pick the next game (round-robin mode)
+ * @property {{seed: string, draws: number}} appRng - Secret seed of the room's game draws and how many were made (not sent to clients)
+ * @property {Draw|null} currentDraw - How the current game was drawn (null when a member chose it)
+ * @property {Match|null} match - The match being played or just finished (null in endless rooms)
  */
 
 // Store game state per room
@@ -74,31 +199,357 @@ const USER_COLORS = [
 // Track which colors are assigned per room
 const roomColorAssignments = new Map();
 
+// Persisted rooms survive restarts and stay resumable for this long after
+// their last activity (ROOM_RETENTION_HOURS, default 3 days)
+const ROOM_RETENTION_MS = (parseFloat(process.env.ROOM_RETENTION_HOURS) || 72) * 60 * 60 * 1000;
+
+// Batch the writes of busy rooms
+const ROOM_SAVE_DELAY_MS = 1000;
+
+// Completed rounds kept per room (the oldest are dropped beyond this)
+const MAX_HISTORY_ROUNDS = 200;
+
+// Round timer choices in seconds (0 = off) and how often the remaining time is sent
+const ROUND_TIME_LIMITS = [0, 15, 30, 45, 60, 90, 120];
+const ROUND_TIMER_TICK_MS = 1000;
+
+// roomId -> { interval, timeout } of the running round timer
+const roundTimers = new Map();
+
+// roomId -> timeout that closes the next-game vote
+const voteTimers = new Map();
+
+// Longest game name kept for a proposal
+const MAX_GAME_NAME_LENGTH = 80;
+
+// How long an offline host keeps the role (page navigation reconnects
+// within a few seconds) before it moves to the next online member
+const HOST_MIGRATION_DELAY_MS = 10 * 1000;
+
+// roomId -> timeout of the pending host migration
+const hostMigrations = new Map();
+
+// Close code sent to kicked, banned and refused connections (4000-4999 are
+// free for applications); the client does not reconnect after it
+const REMOVED_CLOSE_CODE = 4001;
+
+// Room codes are generated here, never picked by clients: 10 characters
+// from 32 (about 50 bits), without the easily confused 0/O and 1/I
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 10;
+const MAX_ROOM_ID_LENGTH = 64;
+const MAX_PASSWORD_LENGTH = 64;
+
+// Online members per room (MAX_ROOM_MEMBERS)
+const MAX_ROOM_MEMBERS = parseInt(process.env.MAX_ROOM_MEMBERS, 10) || 16;
+
+// A new connection must create or join a room within this time
+const HANDSHAKE_TIMEOUT_MS = 10 * 1000;
+
+// Why a user was removed or refused, as shown to them
+const REMOVED_MESSAGES = {
+  kicked: 'The host removed you from the room',
+  banned: 'You are banned from this room',
+  locked: 'This room is locked',
+};
+
+// Connection bookkeeping that only makes sense for the running process
+const TRANSIENT_ROOM_KEYS = ['clients', 'connectionToUserId', 'chatPostTimes'];
+
+const roomStore = createRoomStore();
+const pendingRoomSaves = new Map();
+
+/**
+ * Fresh state for a new room
+ * @param {string} roomId
+ * @returns {GameState}
+ */
+function createRoomState(roomId) {
+  return {
+    roomId,
+    currentGameId: "",
+    users: {}, // Map of userId -> User
+    connectionToUserId: {}, // Map of connectionId -> userId
+    leaderboard: [], // Array of LeaderboardEntry
+    roomStatus: 'in_progress', // 'in_progress' or 'completed'
+    currentGameStats: [], // Array of CurrentGameStat
+    correctAnswer: null, // The correct answer for current game
+    currentPercentStats: [], // Array of CurrentPercentStat
+    correctPercent: null, // The actual positive-% for current game
+    percentStatus: 'in_progress', // 'in_progress' or 'completed'
+    answerLookupFailed: false,
+    answerOptions: null, // Generated once the correct answer is known
+    roundStartedAt: null,
+    history: [], // Array of RoundRecord
+    settings: { roundTimeLimit: 0, scoringRule: DEFAULT_SCORING_RULE, voteMode: DEFAULT_VOTE_MODE },
+    roundTimer: null,
+    hostId: null,
+    pickerId: null,
+    locked: false,
+    bannedUserIds: [],
+    reconnectTokens: {},
+    password: null,
+    chat: [], // Array of ChatMessage
+    chatPostTimes: {},
+    nextGameVotes: { raw: 0, smart: 0 },
+    nextGameIds: { raw: null, smart: null },
+    nextGameNames: {},
+    selectedNextGame: null,
+    voteTimer: null,
+    turnUserId: null,
+    appRng: { seed: randomBytes(16).toString('hex'), draws: 0 },
+    currentDraw: null,
+    match: null,
+  };
+}
+
+/**
+ * Room state without the per-process connection bookkeeping
+ * @param {GameState} state
+ * @returns {Object}
+ */
+function serializeRoom(state) {
+  const snapshot = { ...state };
+  TRANSIENT_ROOM_KEYS.forEach((key) => delete snapshot[key]);
+  return snapshot;
+}
+
 /**
- * Get or create game state for a room
+ * Rebuild a room from its stored snapshot. Nobody is connected yet, so
+ * everyone starts offline and unfinished answers/votes are dropped (the
+ * same as when users reconnect).
  * @param {string} roomId
+ * @param {Object} snapshot
  * @returns {GameState}
  */
-function getRoomState(roomId) {
+function restoreRoom(roomId, snapshot) {
+  const state = {
+    ...createRoomState(roomId),
+    ...snapshot,
+    roomId,
+    connectionToUserId: {},
+    chatPostTimes: {},
+    currentGameStats: [],
+    currentPercentStats: [],
+    roundTimer: null,
+  };
+  state.settings = { ...createRoomState(roomId).settings, ...state.settings };
+  resetNextGameVotes(state);
+
+  // A countdown that was running when the room was saved goes on where it
+  // stopped; if it ran out meanwhile, the question completes right away
+  if (snapshot.roundTimer) {
+    startRoundTimer(state, snapshot.roundTimer.phase, snapshot.roundTimer.endsAt - Date.now());
+  }
+
+  Object.values(state.users).forEach((u) => {
+    u.id = null;
+    u.isOnline = false;
+    u.hasReplied = false;
+    u.replyOption = null;
+    u.nextGameVote = null;
+    u.percentOption = null;
+  });
+
+  roomColorAssignments.set(
+    roomId,
+    new Set(Object.values(state.users).map((u) => u.color).filter(Boolean))
+  );
+  return state;
+}
+
+/**
+ * Write a room to storage now
+ * @param {GameState} state
+ */
+function saveRoomNow(state) {
+  if (pendingRoomSaves.has(state.roomId)) {
+    clearTimeout(pendingRoomSaves.get(state.roomId));
+    pendingRoomSaves.delete(state.roomId);
+  }
+  try {
+    roomStore.save(state.roomId, serializeRoom(state));
+  } catch (error) {
+    console.error(`[Server] Could not save room ${state.roomId}:`, error.message);
+  }
+}
+
+/**
+ * Write a room to storage shortly (repeated calls are batched)
+ * @param {GameState} state
+ */
+function saveRoomSoon(state) {
+  if (pendingRoomSaves.has(state.roomId)) return;
+  pendingRoomSaves.set(state.roomId, setTimeout(() => {
+    pendingRoomSaves.delete(state.roomId);
+    saveRoomNow(state);
+  }, ROOM_SAVE_DELAY_MS));
+}
+
+/**
+ * Drop stored rooms nobody has used within the retention period
+ */
+function pruneStoredRooms() {
+  try {
+    const removed = roomStore.prune(ROOM_RETENTION_MS);
+    if (removed.length > 0) {
+      console.log(`[Server] Removed ${removed.length} expired room(s): ${removed.join(', ')}`);
+    }
+  } catch (error) {
+    console.error('[Server] Could not prune stored rooms:', error.message);
+  }
+}
+
+/**
+ * A loaded room, or one restored from storage if it was used within the
+ * retention period
+ * @param {string} roomId
+ * @returns {GameState|null}
+ */
+function loadRoom(roomId) {
   if (!rooms.has(roomId)) {
-    rooms.set(roomId, {
-      currentGameId: "",
-      users: {}, // Map of userId -> User
-      connectionToUserId: {}, // Map of connectionId -> userId
-      leaderboard: [], // Array of LeaderboardEntry
-      roomStatus: 'in_progress', // 'in_progress' or 'completed'
-      currentGameStats: [], // Array of CurrentGameStat
-      correctAnswer: null, // The correct answer for current game
-      nextGameVotes: { raw: 0, smart: 0 },
-      nextGameIds: { raw: null, smart: null },
-      selectedNextGame: null,
-    });
-    // Initialize color assignments for this room
-    roomColorAssignments.set(roomId, new Set());
+    let stored = null;
+    try {
+      stored = roomStore.load(roomId);
+    } catch (error) {
+      console.error(`[Server] Could not load room ${roomId}:`, error.message);
+    }
+
+    if (!stored || stored.savedAt < Date.now() - ROOM_RETENTION_MS) {
+      return null;
+    }
+    rooms.set(roomId, restoreRoom(roomId, stored.state));
+    console.log(`[Server] Restored room ${roomId} (last saved ${new Date(stored.savedAt).toISOString()})`);
   }
   return rooms.get(roomId);
 }
 
+/**
+ * A random room code that no loaded or stored room uses
+ * @returns {string}
+ */
+function generateRoomCode() {
+  let code;
+  do {
+    code = Array.from(
+      { length: ROOM_CODE_LENGTH },
+      () => ROOM_CODE_ALPHABET[randomInt(ROOM_CODE_ALPHABET.length)]
+    ).join('');
+  } while (rooms.has(code) || roomStore.load(code));
+  return code;
+}
+
+/**
+ * Salted hash of a room password
+ * @param {string} password
+ * @returns {{salt: string, hash: string}}
+ */
+function hashPassword(password) {
+  const salt = randomBytes(16).toString('hex');
+  return { salt, hash: scryptSync(password, salt, 32).toString('hex') };
+}
+
+/**
+ * Whether a password matches the room's
+ * @param {{salt: string, hash: string}} stored
+ * @param {*} password - As sent by the client
+ * @returns {boolean}
+ */
+function checkPassword(stored, password) {
+  if (typeof password !== 'string' || !password) return false;
+  const hash = scryptSync(password, stored.salt, 32);
+  return timingSafeEqual(hash, Buffer.from(stored.hash, 'hex'));
+}
+
+/**
+ * Open a new room under a fresh code (the creator becomes its host when
+ * they enter it)
+ * @param {string|null} password - Optional room password
+ * @returns {GameState}
+ */
+function createRoom(password) {
+  const roomId = generateRoomCode();
+  const state = createRoomState(roomId);
+  state.password = password ? hashPassword(password) : null;
+
+  rooms.set(roomId, state);
+  roomColorAssignments.set(roomId, new Set());
+  console.log(`[Server] Created room ${roomId}${state.password ? ' (password protected)' : ''}`);
+  return state;
+}
+
+/**
+ * Check a create-room request
+ * @param {Object} data
+ * @returns {{code: string, message: string}|null} Why it is refused, or null
+ */
+function validateCreateRequest(data) {
+  const { password } = data;
+  if (password === undefined || password === null || password === '') return null;
+  if (typeof password !== 'string' || password.length > MAX_PASSWORD_LENGTH) {
+    return {
+      code: 'invalid-password',
+      message: `Passwords can be at most ${MAX_PASSWORD_LENGTH} characters`,
+    };
+  }
+  return null;
+}
+
+/**
+ * Check a join-room request. Members who come back with their reconnect
+ * token (e.g. after changing pages) skip the password, unless the host
+ * banned them. Anyone else needs the password, and a userId that is already
+ * in the room without its token joins as a new user instead.
+ * @param {Object} data
+ * @param {string} userId - The userId the connection asked for
+ * @param {string} connectionId
+ * @returns {{state: GameState, userId: string}|{code: string, message: string}}
+ */
+function checkJoinRequest(data, userId, connectionId) {
+  const roomId = typeof data.roomId === 'string' ? data.roomId.trim() : '';
+  if (!roomId || roomId.length > MAX_ROOM_ID_LENGTH) {
+    return { code: 'not-found', message: 'Enter a room code' };
+  }
+
+  const wasLoaded = rooms.has(roomId);
+  const state = loadRoom(roomId);
+  if (!state) {
+    return { code: 'not-found', message: `There is no room ${roomId} (it may have expired)` };
+  }
+
+  const member = state.users[userId] && hasReconnectToken(state, userId, data.token)
+    ? state.users[userId]
+    : null;
+  const joinAs = member || !state.users[userId] ? userId : `user_${connectionId}`;
+  const onlineCount = Object.values(state.users).filter(u => u.isOnline).length;
+  let refusal = null;
+
+  if (state.bannedUserIds.includes(userId) || state.bannedUserIds.includes(joinAs)) {
+    refusal = { code: 'banned', message: REMOVED_MESSAGES.banned };
+  } else if ((!member || member.wasKicked) && state.locked) {
+    refusal = { code: 'locked', message: REMOVED_MESSAGES.locked };
+  } else if (!member && state.password && !checkPassword(state.password, data.password)) {
+    refusal = data.password
+      ? { code: 'wrong-password', message: `Wrong password for room ${roomId}` }
+      : { code: 'password-required', message: `Room ${roomId} needs a password` };
+  } else if (onlineCount >= MAX_ROOM_MEMBERS && !(member && member.isOnline)) {
+    refusal = { code: 'full', message: `Room ${roomId} is full (${MAX_ROOM_MEMBERS} players)` };
+  }
+
+  if (refusal) {
+    // Nobody joined: don't keep a room loaded just for this
+    if (!wasLoaded) {
+      rooms.delete(roomId);
+      roomColorAssignments.delete(roomId);
+    }
+    return refusal;
+  }
+  if (joinAs !== userId) {
+    console.warn(`[Server] Connection ${connectionId} claimed ${userId} in room ${roomId} without its reconnect token, joining as a new user`);
+  }
+  return { state, userId: joinAs };
+}
+
 /**
  * Assign a unique color to a user in a room
  * @param {string} roomId - Room ID
@@ -107,7 +558,7 @@ function getRoomState(roomId) {
  */
 function assignUserColor(roomId, userId) {
   const assignedColors = roomColorAssignments.get(roomId) || new Set();
-  const state = getRoomState(roomId);
+  const state = rooms.get(roomId);
   
   // Check if user already has a color
   if (state.users[userId] && state.users[userId].color) {
@@ -145,6 +596,325 @@ function broadcast(clients, message, exclude = null) {
   });
 }
 
+/**
+ * Snapshot of a room's state as sent to clients. The correct answers are
+ * only revealed once the matching question is completed.
+ * @param {GameState} state
+ * @returns {Object}
+ */
+function getPublicGameState(state) {
+  return {
+    currentGameId: state.currentGameId,
+    users: state.users,
+    leaderboard: [...state.leaderboard],
+    roomStatus: state.roomStatus,
+    currentGameStats: [...state.currentGameStats],
+    correctAnswer: state.roomStatus === 'completed' ? state.correctAnswer : null,
+    currentPercentStats: [...state.currentPercentStats],
+    correctPercent: state.percentStatus === 'completed' ? state.correctPercent : null,
+    percentStatus: state.percentStatus,
+    answerLookupFailed: state.answerLookupFailed,
+    answerOptions: state.answerOptions,
+    settings: { ...state.settings },
+    roundTimer: state.roundTimer
+      ? {
+          phase: state.roundTimer.phase,
+          durationMs: state.roundTimer.durationMs,
+          remainingMs: Math.max(0, state.roundTimer.endsAt - Date.now()),
+        }
+      : null,
+    hostId: state.hostId,
+    pickerId: state.pickerId,
+    locked: state.locked,
+    bannedUserIds: [...state.bannedUserIds],
+    hasPassword: !!state.password,
+    nextGameVotes: { ...state.nextGameVotes },
+    nextGameIds: { ...state.nextGameIds },
+    nextGameNames: { ...state.nextGameNames },
+    selectedNextGame: state.selectedNextGame,
+    voteTimer: state.voteTimer
+      ? {
+          durationMs: state.voteTimer.durationMs,
+          remainingMs: Math.max(0, state.voteTimer.endsAt - Date.now()),
+        }
+      : null,
+    turnUserId: getPickerTurn(state),
+    currentDraw: state.currentDraw,
+    match: state.match,
+  };
+}
+
+// Resolves true review counts server-side (REVIEW_LOOKUP_URL points it at a stub)
+const reviewLookup = createReviewLookup();
+
+// The app ID lists next games are drawn from (APP_DATA_DIR, default ../data)
+const appPool = createAppPool();
+
+/**
+ * Look up the correct answers for the room's current game and generate the
+ * answer options from them, so every member picks from the same set. Once
+ * known, the round may complete (everyone might have answered already).
+ * @param {GameState} state
+ * @param {Set} clients
+ */
+function resolveCorrectAnswer(state, clients) {
+  const gameId = String(state.currentGameId || '');
+  state.answerOptions = null;
+  state.roundStartedAt = null;
+  stopRoundTimer(state);
+
+  // Not a Steam app ID: nothing to look up, so don't score the round
+  state.answerLookupFailed = !/^\d+$/.test(gameId);
+  if (state.answerLookupFailed) {
+    broadcastRoundStart(state, clients);
+    return;
+  }
+
+  reviewLookup.get(gameId).then((summary) => {
+    // The room moved on while we were waiting
+    if (String(state.currentGameId) !== gameId) return;
+
+    if (summary) {
+      state.correctAnswer = summary.count;
+      state.correctPercent = summary.positivePercent;
+      state.answerOptions = buildGuessSet(summary.count, gameId, COOP_ANSWER_COUNT);
+      console.log(`[Server] Resolved game ${gameId}: ${summary.count} reviews, ${summary.positivePercent}% positive`);
+    } else {
+      // Rounds still complete, just unscored
+      state.answerLookupFailed = true;
+      console.warn(`[Server] Could not resolve review count for game ${gameId}, round will not be scored`);
+    }
+
+    broadcastRoundStart(state, clients);
+
+    if (checkRoundCompletion(state)) {
+      broadcast(clients, {
+        type: "reply-counts-update",
+        gameState: getPublicGameState(state),
+      });
+      saveRoomSoon(state);
+    }
+  });
+}
+
+/**
+ * Tell the room its answer options are ready (options is null when the
+ * round is not scored; clients then build their own)
+ * @param {GameState} state
+ * @param {Set} clients
+ */
+function broadcastRoundStart(state, clients) {
+  state.roundStartedAt = Date.now();
+  startRoundTimer(state, 'count');
+  broadcast(clients, {
+    type: "round-start",
+    gameId: state.currentGameId,
+    options: state.answerOptions,
+    gameState: getPublicGameState(state),
+  });
+}
+
+/**
+ * Start the countdown for a question when the room has a time limit.
+ * The remaining time is broadcast every second; when it runs out the
+ * question completes with the missing answers counted as misses.
+ * @param {GameState} state
+ * @param {string} phase - 'count' or 'percent'
+ * @param {number} [remainingMs] - Resume a countdown that already ran for a while
+ */
+function startRoundTimer(state, phase, remainingMs) {
+  stopRoundTimer(state);
+  const limit = state.settings.roundTimeLimit;
+  if (!limit) return;
+
+  const durationMs = limit * 1000;
+  const leftMs = remainingMs === undefined ? durationMs : Math.max(0, Math.min(remainingMs, durationMs));
+  state.roundTimer = { phase, endsAt: Date.now() + leftMs, durationMs };
+
+  const tick = () => {
+    if (!state.roundTimer) return;
+    broadcast(state.clients || new Set(), {
+      type: "round-timer",
+      gameId: state.currentGameId,
+      phase,
+      remainingMs: Math.max(0, state.roundTimer.endsAt - Date.now()),
+      durationMs,
+    });
+  };
+
+  roundTimers.set(state.roomId, {
+    interval: setInterval(tick, ROUND_TIMER_TICK_MS),
+    timeout: setTimeout(() => expireRoundTimer(state, phase), leftMs),
+  });
+  tick();
+}
+
+/**
+ * Stop the room's countdown (the question completed or the round changed)
+ * @param {GameState} state
+ */
+function stopRoundTimer(state) {
+  const timer = roundTimers.get(state.roomId);
+  if (timer) {
+    clearInterval(timer.interval);
+    clearTimeout(timer.timeout);
+    roundTimers.delete(state.roomId);
+  }
+  state.roundTimer = null;
+}
+
+/**
+ * Time is up: complete the timed question without waiting for the rest
+ * @param {GameState} state
+ * @param {string} phase
+ */
+function expireRoundTimer(state, phase) {
+  stopRoundTimer(state);
+  const clients = state.clients || new Set();
+
+  if (phase === 'count' && state.roomStatus === 'in_progress') {
+    console.log(`[Server] Round timer ran out for game ${state.currentGameId} in room ${state.roomId}`);
+    completeRound(state, { timedOut: true });
+  } else if (phase === 'percent' && state.roomStatus === 'completed' && state.percentStatus === 'in_progress') {
+    console.log(`[Server] Percent timer ran out for game ${state.currentGameId} in room ${state.roomId}`);
+    completePercentQuestion(state, { timedOut: true });
+  } else {
+    return;
+  }
+
+  broadcast(clients, {
+    type: "reply-counts-update",
+    timedOut: true,
+    gameState: getPublicGameState(state),
+  });
+  saveRoomSoon(state);
+}
+
+/**
+ * Make a user the host and tell the room
+ * @param {GameState} state
+ * @param {string} userId
+ * @param {string} reason - 'migrated' (the host left) or 'transferred' (the host handed it over)
+ */
+function setHost(state, userId, reason) {
+  cancelHostMigration(state.roomId);
+  const previousHostId = state.hostId;
+  state.hostId = userId;
+  console.log(`[Server] ${userId} is now the host of room ${state.roomId} (${reason})`);
+
+  broadcast(state.clients || new Set(), {
+    type: "host-changed",
+    hostId: userId,
+    previousHostId,
+    reason,
+    gameState: getPublicGameState(state),
+  });
+  saveRoomSoon(state);
+}
+
+/**
+ * The host is offline: hand the role to the online member who joined the
+ * room first, unless the host is back before the delay is over
+ * @param {GameState} state
+ */
+function scheduleHostMigration(state) {
+  if (hostMigrations.has(state.roomId)) return;
+
+  hostMigrations.set(state.roomId, setTimeout(() => {
+    hostMigrations.delete(state.roomId);
+    const host = state.users[state.hostId];
+    if (host && host.isOnline) return;
+
+    // state.users keeps the order in which users first joined; players
+    // come before spectators, who only get the role when nobody plays
+    const online = Object.values(state.users).filter(u => u.isOnline);
+    const next = online.find(u => !u.isSpectator) || online[0];
+    if (next) {
+      setHost(state, next.userId, 'migrated');
+    }
+  }, HOST_MIGRATION_DELAY_MS));
+}
+
+/**
+ * Drop a pending host migration (the host is back, or the room is gone)
+ * @param {string} roomId
+ */
+function cancelHostMigration(roomId) {
+  if (hostMigrations.has(roomId)) {
+    clearTimeout(hostMigrations.get(roomId));
+    hostMigrations.delete(roomId);
+  }
+}
+
+/**
+ * Check that a message comes from the host; tell the sender otherwise
+ * @param {WebSocket} ws
+ * @param {GameState} state
+ * @param {string} action - What they tried, for the error (e.g. "lock the room")
+ * @returns {boolean}
+ */
+function requireHost(ws, state, action) {
+  const userId = state.connectionToUserId[ws.connectionId];
+  if (userId && userId === state.hostId) return true;
+
+  ws.send(JSON.stringify({
+    type: "error",
+    message: `Only the host can ${action}`,
+  }));
+  return false;
+}
+
+/**
+ * Hash of a reconnect token (only hashes are kept, so a leaked room file
+ * doesn't let anyone take over its users)
+ * @param {string} token
+ * @returns {string}
+ */
+function hashToken(token) {
+  return createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Give a user a new secret reconnect token. Only whoever presents it may
+ * connect as this userId again (userIds themselves are public).
+ * @param {GameState} state
+ * @param {string} userId
+ * @returns {string} The token, to be sent to that user only
+ */
+function issueReconnectToken(state, userId) {
+  const token = randomBytes(24).toString('base64url');
+  state.reconnectTokens[userId] = hashToken(token);
+  return token;
+}
+
+/**
+ * Whether a token is the one issued to this user
+ * @param {GameState} state
+ * @param {string} userId
+ * @param {string|null} token
+ * @returns {boolean}
+ */
+function hasReconnectToken(state, userId, token) {
+  const expected = state.reconnectTokens[userId];
+  return Boolean(token && expected && hashToken(token) === expected);
+}
+
+/**
+ * Tell a connection why it is being removed and close it
+ * @param {WebSocket} ws
+ * @param {string} reason - 'kicked' or 'banned'
+ */
+function closeRemoved(ws, reason) {
+  if (ws.readyState === 1) {
+    ws.send(JSON.stringify({
+      type: "removed",
+      reason,
+      message: REMOVED_MESSAGES[reason],
+    }));
+  }
+  ws.close(REMOVED_CLOSE_CODE, reason);
+}
+
 const SSL_KEY_PATH = process.env.SSL_KEY_PATH;
 const SSL_CERT_PATH = process.env.SSL_CERT_PATH;
 
@@ -208,11 +978,16 @@ if (useHttps) {
   });
 }
 
+// Expired rooms are removed on boot and then hourly; the others are restored
+// when someone joins them again
+pruneStoredRooms();
+setInterval(pruneStoredRooms, 60 * 60 * 1000).unref();
+
 wss.on('connection', (ws, req) => {
-  // Extract room ID and user info from URL query parameters
+  // The user ID comes with the URL; the room is picked with a create-room
+  // or join-room message
   const protocol = useHttps ? 'https' : 'http';
   const url = new URL(req.url, `${protocol}://${req.headers.host}`);
-  const roomId = url.searchParams.get('room') || 'default';
   let userId = url.searchParams.get('userId');
   
   // Normalize userId: if it's an empty string, treat as null
@@ -223,48 +998,134 @@ wss.on('connection', (ws, req) => {
   // Generate connection ID
   const connectionId = randomUUID();
   ws.connectionId = connectionId;
-  ws.roomId = roomId;
   ws.userId = userId;
   
   // Log connection with userId status
   if (!userId) {
-    console.warn(`[Server] Connection ${connectionId} to room ${roomId} has no userId in URL. Full URL: ${req.url}`);
+    console.warn(`[Server] Connection ${connectionId} has no userId in URL. Full URL: ${req.url}`);
   }
 
-  console.log(`New connection: ${connectionId} to room: ${roomId}`, { userId });
+  console.log(`New connection: ${connectionId}`, { userId });
 
-  // Get room state
-  const state = getRoomState(roomId);
-  const clients = state.clients || new Set();
-  state.clients = clients;
-  
-  // Cancel any pending deletion timeout for this room (user reconnected)
-  if (roomDeletionTimeouts.has(roomId)) {
-    clearTimeout(roomDeletionTimeouts.get(roomId));
-    roomDeletionTimeouts.delete(roomId);
-    console.log(`[Server] Cancelled deletion timeout for room ${roomId} (user reconnected)`);
-  }
-  
-  // Handle duplicate connections from the same userId (multiple tabs)
-  // Disconnect any existing connections with the same userId
-  if (userId) {
-    const existingConnections = Array.from(clients).filter(c => c.userId === userId && c !== ws);
-    for (const oldWs of existingConnections) {
-      console.log(`Disconnecting duplicate connection for userId ${userId}: ${oldWs.connectionId}`);
-      // Mark old connection as offline
-      const oldUserId = state.connectionToUserId[oldWs.connectionId];
-      if (oldUserId && state.users[oldUserId]) {
-        state.users[oldUserId].isOnline = false;
-        state.users[oldUserId].id = null;
-        // Remove old connection from currentGameStats
-        if (state.users[oldUserId].replyOption !== null) {
-          state.currentGameStats = state.currentGameStats.filter(stat => stat.userId !== oldUserId);
-        }
-        if (state.users[oldUserId].nextGameVote) {
-          state.nextGameVotes[state.users[oldUserId].nextGameVote] = Math.max(0, (state.nextGameVotes[state.users[oldUserId].nextGameVote] || 1) - 1);
-          if (state.nextGameVotes[state.users[oldUserId].nextGameVote] <= 0) {
-            delete state.nextGameVotes[state.users[oldUserId].nextGameVote];
-          }
+  // Use userId as persistent identifier, or generate one from connectionId
+  let persistentUserId = userId || `user_${connectionId}`;
+
+  const handshakeTimeout = setTimeout(() => {
+    console.log(`[Server] Connection ${connectionId} did not join a room in time`);
+    ws.close(4000, 'No room requested');
+  }, HANDSHAKE_TIMEOUT_MS);
+
+  // Nothing else is accepted until the client has created or joined a room
+  const handleHandshake = (message) => {
+    let data;
+    try {
+      data = JSON.parse(message.toString());
+    } catch (error) {
+      ws.send(JSON.stringify({
+        type: "error",
+        message: "Invalid message format",
+      }));
+      return;
+    }
+
+    let state;
+    if (data.type === 'create-room') {
+      const refusal = validateCreateRequest(data);
+      if (refusal) {
+        refuseJoin(ws, refusal);
+        return;
+      }
+      state = createRoom(data.password || null);
+    } else if (data.type === 'join-room') {
+      const result = checkJoinRequest(data, persistentUserId, connectionId);
+      if (!result.state) {
+        console.log(`[Server] Refused ${persistentUserId} in room ${data.roomId} (${result.code})`);
+        refuseJoin(ws, result);
+        return;
+      }
+      state = result.state;
+      persistentUserId = result.userId;
+    } else {
+      ws.send(JSON.stringify({
+        type: "error",
+        message: "Create or join a room first",
+      }));
+      return;
+    }
+
+    clearTimeout(handshakeTimeout);
+    ws.off('message', handleHandshake);
+    enterRoom(ws, state, persistentUserId, { spectator: data.spectator === true });
+  };
+
+  ws.on('message', handleHandshake);
+  ws.on('close', () => clearTimeout(handshakeTimeout));
+});
+
+/**
+ * Tell a connection why it can't create or join the room and close it
+ * @param {WebSocket} ws
+ * @param {{code: string, message: string}} refusal
+ */
+function refuseJoin(ws, { code, message }) {
+  ws.send(JSON.stringify({
+    type: "join-error",
+    code,
+    message,
+  }));
+  ws.close(REMOVED_CLOSE_CODE, code);
+}
+
+/**
+ * Add a connection to a room it was allowed into: register (or bring back)
+ * the user, send the room snapshot and handle its messages from now on
+ * @param {WebSocket} ws
+ * @param {GameState} state
+ * @param {string} persistentUserId
+ * @param {{spectator?: boolean}} [options] - Join as a spectator
+ */
+function enterRoom(ws, state, persistentUserId, { spectator = false } = {}) {
+  const { roomId } = state;
+  const { connectionId, userId } = ws;
+  ws.roomId = roomId;
+  ws.userId = persistentUserId;
+
+  // Members who were not there when the match started watch it
+  const waitingForMatch = !spectator && !!state.match && state.match.status === 'playing' &&
+    !state.match.playerIds.includes(persistentUserId);
+  spectator = spectator || waitingForMatch;
+
+  const clients = state.clients || new Set();
+  state.clients = clients;
+  
+  // Cancel any pending deletion timeout for this room (user reconnected)
+  if (roomDeletionTimeouts.has(roomId)) {
+    clearTimeout(roomDeletionTimeouts.get(roomId));
+    roomDeletionTimeouts.delete(roomId);
+    console.log(`[Server] Cancelled deletion timeout for room ${roomId} (user reconnected)`);
+  }
+  
+  // Handle duplicate connections from the same userId (multiple tabs)
+  // Disconnect any existing connections with the same userId
+  if (userId) {
+    const existingConnections = Array.from(clients).filter(c => c.userId === persistentUserId && c !== ws);
+    for (const oldWs of existingConnections) {
+      console.log(`Disconnecting duplicate connection for userId ${persistentUserId}: ${oldWs.connectionId}`);
+      // Mark old connection as offline
+      const oldUserId = state.connectionToUserId[oldWs.connectionId];
+      if (oldUserId && state.users[oldUserId]) {
+        state.users[oldUserId].isOnline = false;
+        state.users[oldUserId].id = null;
+        // Remove old connection from currentGameStats
+        if (state.users[oldUserId].replyOption !== null) {
+          state.currentGameStats = state.currentGameStats.filter(stat => stat.userId !== oldUserId);
+        }
+        state.currentPercentStats = state.currentPercentStats.filter(stat => stat.userId !== oldUserId);
+        if (state.users[oldUserId].nextGameVote) {
+          state.nextGameVotes[state.users[oldUserId].nextGameVote] = Math.max(0, (state.nextGameVotes[state.users[oldUserId].nextGameVote] || 1) - 1);
+          if (state.nextGameVotes[state.users[oldUserId].nextGameVote] <= 0) {
+            delete state.nextGameVotes[state.users[oldUserId].nextGameVote];
+          }
         }
       }
       delete state.connectionToUserId[oldWs.connectionId];
@@ -275,22 +1136,25 @@ wss.on('connection', (ws, req) => {
   
   clients.add(ws);
   
-  // Use userId as persistent identifier, or generate one from connectionId
-  const persistentUserId = userId || `user_${connectionId}`;
-  
   // Check if user already exists (reconnection)
   let user = state.users[persistentUserId];
+  let newReconnectToken = null;
   
   if (user) {
     // Reconnection: restore user data and mark as online
     console.log(`User reconnected: ${persistentUserId}`);
     user.id = connectionId;
     user.isOnline = true;
+    user.wasKicked = false;
     // Reset reply/vote status when reconnecting (they need to reply again for current game)
     user.hasReplied = false;
     user.replyOption = null;
+    user.percentOption = null;
+    user.isSpectator = spectator;
+    user.waitingForMatch = waitingForMatch;
     // Remove from currentGameStats if they were in it (they disconnected, so their reply doesn't count)
     state.currentGameStats = state.currentGameStats.filter(stat => stat.userId !== persistentUserId);
+    state.currentPercentStats = state.currentPercentStats.filter(stat => stat.userId !== persistentUserId);
     // Keep score and other persistent data
   } else {
     // New user: create user object
@@ -307,47 +1171,46 @@ wss.on('connection', (ws, req) => {
       hasReplied: false,
       replyOption: null,
       nextGameVote: null,
+      percentOption: null,
+      isSpectator: spectator,
+      waitingForMatch,
     };
     state.users[persistentUserId] = user;
-    console.log(`New user created: ${persistentUserId} (userId was ${userId ? 'provided' : 'null'}) with color ${user.color}`);
+    newReconnectToken = issueReconnectToken(state, persistentUserId);
+    console.log(`New user created: ${persistentUserId} (userId was ${userId ? 'provided' : 'null'}) with color ${user.color}${spectator ? ' (spectator)' : ''}`);
   }
   
   // Map connectionId to userId for quick lookup
   state.connectionToUserId[connectionId] = persistentUserId;
 
-  // Send connection confirmation with current state
+  // The first member is the host; an offline host keeps the role for a
+  // little while in case they are only changing pages
+  if (!state.hostId || !state.users[state.hostId]) {
+    state.hostId = persistentUserId;
+  } else if (state.hostId === persistentUserId) {
+    cancelHostMigration(roomId);
+  } else if (!state.users[state.hostId].isOnline) {
+    scheduleHostMigration(state);
+  }
+
+  // Send connection confirmation with current state. A new user also gets
+  // the token that lets them back in as the same user.
   ws.send(JSON.stringify({
     type: "connected",
     connectionId: connectionId,
-    gameState: {
-      currentGameId: state.currentGameId,
-      users: state.users,
-      leaderboard: [...state.leaderboard],
-      roomStatus: state.roomStatus,
-      currentGameStats: [...state.currentGameStats],
-      correctAnswer: state.correctAnswer,
-      nextGameVotes: { ...state.nextGameVotes },
-      nextGameIds: { ...state.nextGameIds },
-      selectedNextGame: state.selectedNextGame,
-    },
+    ...(newReconnectToken ? { reconnectToken: newReconnectToken } : {}),
+    roomId: roomId,
+    gameState: getPublicGameState(state),
+    chat: state.chat,
   }));
 
   // Notify other users about the new connection
   broadcast(clients, {
     type: "user-joined",
     user: user,
-    gameState: {
-      currentGameId: state.currentGameId,
-      users: state.users,
-      leaderboard: [...state.leaderboard],
-      roomStatus: state.roomStatus,
-      currentGameStats: [...state.currentGameStats],
-      correctAnswer: state.correctAnswer,
-      nextGameVotes: { ...state.nextGameVotes },
-      nextGameIds: { ...state.nextGameIds },
-      selectedNextGame: state.selectedNextGame,
-    },
+    gameState: getPublicGameState(state),
   }, ws);
+  saveRoomSoon(state);
 
   // Handle incoming messages
   ws.on('message', (message) => {
@@ -365,25 +1228,77 @@ wss.on('connection', (ws, req) => {
         case "wrong-guess":
           handleWrongGuess(data, ws, state, clients);
           break;
+        case "percent-guess":
+          handlePercentGuess(data, ws, state, clients);
+          break;
         case "next-game":
           handleNextGame(data, ws, state, clients);
           break;
+        case "set-picker":
+          handleSetPicker(data, ws, state, clients);
+          break;
         case "user-ready":
           handleUserReady(data, ws, state, clients);
           break;
         case "reset-leaderboard":
           handleResetLeaderboard(ws, state, clients);
           break;
+        case "kick-user":
+          handleKickUser(data, ws, state, clients);
+          break;
+        case "ban-user":
+          handleBanUser(data, ws, state, clients);
+          break;
+        case "unban-user":
+          handleUnbanUser(data, ws, state, clients);
+          break;
+        case "force-advance":
+          handleForceAdvance(data, ws, state, clients);
+          break;
+        case "lock-room":
+          handleLockRoom(data, ws, state, clients);
+          break;
+        case "transfer-host":
+          handleTransferHost(data, ws, state, clients);
+          break;
+        case "start-match":
+          handleStartMatch(data, ws, state, clients);
+          break;
+        case "end-match":
+          handleEndMatch(ws, state, clients);
+          break;
         case "next-game-vote":
           handleNextGameVote(data, ws, state, clients);
           break;
+        case "game-unavailable":
+          handleGameUnavailable(data, ws, state, clients);
+          break;
+        case "get-history":
+          handleGetHistory(data, ws, state);
+          break;
+        case "update-settings":
+          handleUpdateSettings(data, ws, state, clients);
+          break;
+        case "chat":
+          handleChat(data, ws, state, clients);
+          break;
+        case "reaction":
+          handleReaction(data, ws, state, clients);
+          break;
+        case "create-room":
+        case "join-room":
+          ws.send(JSON.stringify({
+            type: "error",
+            message: "Already in a room: reconnect to change rooms",
+          }));
+          break;
         default:
-          // Broadcast unknown message types
-          broadcast(clients, {
-            ...data,
-            senderId: connectionId,
-          }, ws);
+          ws.send(JSON.stringify({
+            type: "error",
+            message: `Unknown message type: ${String(data.type).slice(0, 40)}`,
+          }));
       }
+      saveRoomSoon(state);
     } catch (error) {
       console.error("Error parsing message:", error);
       ws.send(JSON.stringify({
@@ -404,6 +1319,7 @@ wss.on('connection', (ws, req) => {
     if (user && user.isOnline) {
       // Remove from currentGameStats
       state.currentGameStats = state.currentGameStats.filter(stat => stat.userId !== userId);
+      state.currentPercentStats = state.currentPercentStats.filter(stat => stat.userId !== userId);
       
       if (user.nextGameVote) {
         state.nextGameVotes[user.nextGameVote] = Math.max(0, (state.nextGameVotes[user.nextGameVote] || 1) - 1);
@@ -421,29 +1337,28 @@ wss.on('connection', (ws, req) => {
       user.hasReplied = false;
       user.replyOption = null;
       user.nextGameVote = null;
+      user.percentOption = null;
     }
     
     // Remove connection mapping
     delete state.connectionToUserId[connectionId];
     clients.delete(ws);
+
+    // The others may only have been waiting for this user's positive-% guess
+    checkPercentCompletion(state);
     
     // Notify other users about the disconnection
     broadcast(clients, {
       type: "user-disconnected",
       connectionId: connectionId,
       userId: userId,
-      gameState: {
-        currentGameId: state.currentGameId,
-        users: state.users,
-        leaderboard: [...state.leaderboard],
-        roomStatus: state.roomStatus,
-        currentGameStats: [...state.currentGameStats],
-        correctAnswer: state.correctAnswer,
-        nextGameVotes: { ...state.nextGameVotes },
-        nextGameIds: { ...state.nextGameIds },
-        selectedNextGame: state.selectedNextGame,
-      },
+      gameState: getPublicGameState(state),
     });
+    saveRoomSoon(state);
+
+    if (userId && userId === state.hostId && clients.size > 0) {
+      scheduleHostMigration(state);
+    }
 
     // Schedule room deletion with timeout (to allow reconnection during navigation)
     if (clients.size === 0) {
@@ -466,11 +1381,15 @@ wss.on('connection', (ws, req) => {
             // Check if any users reconnected (are online)
             const hasOnlineUsers = Object.values(currentState.users).some(u => u.isOnline);
             if (!hasOnlineUsers) {
-              // No online users, safe to delete
+              // No online users: unload it, storage keeps it for the retention period
+              saveRoomNow(currentState);
+              stopRoundTimer(currentState);
+              stopVoteTimer(currentState);
+              cancelHostMigration(roomId);
               rooms.delete(roomId);
               roomColorAssignments.delete(roomId);
               roomDeletionTimeouts.delete(roomId);
-              console.log(`Room ${roomId} deleted after timeout (no reconnections)`);
+              console.log(`Room ${roomId} unloaded after timeout (no reconnections)`);
             } else {
               // Users reconnected, keep the room
               console.log(`Room ${roomId} kept (users reconnected)`);
@@ -487,8 +1406,16 @@ wss.on('connection', (ws, req) => {
         console.log(`Room ${roomId} scheduled for deletion in 30s (all users disconnected)`);
       } else {
         // Room has no users at all, delete immediately
+        stopRoundTimer(state);
+        stopVoteTimer(state);
+        cancelHostMigration(roomId);
         rooms.delete(roomId);
         roomColorAssignments.delete(roomId);
+        if (pendingRoomSaves.has(roomId)) {
+          clearTimeout(pendingRoomSaves.get(roomId));
+          pendingRoomSaves.delete(roomId);
+        }
+        roomStore.remove(roomId);
         if (roomDeletionTimeouts.has(roomId)) {
           clearTimeout(roomDeletionTimeouts.get(roomId));
           roomDeletionTimeouts.delete(roomId);
@@ -501,288 +1428,1104 @@ wss.on('connection', (ws, req) => {
   ws.on('error', (error) => {
     console.error(`Error for connection ${connectionId}:`, error);
   });
-});
+}
 
 /**
- * Update leaderboard entry for a user
+ * Get (or create) a user's leaderboard entry
+ * @returns {LeaderboardEntry}
  */
-function updateLeaderboardEntry(state, userId, isCorrect) {
+function getLeaderboardEntry(state, userId) {
   let entry = state.leaderboard.find(e => e.userId === userId);
   if (!entry) {
-    entry = { userId, correctAnswers: 0, failedAnswers: 0 };
+    entry = { userId, correctAnswers: 0, failedAnswers: 0, percentAnswers: 0, percentPoints: 0, roundPoints: 0 };
     state.leaderboard.push(entry);
   }
-  if (isCorrect) {
+  // Entries of rooms stored before scoring rules existed
+  entry.points = entry.points || 0;
+  entry.streak = entry.streak || 0;
+  entry.bestStreak = entry.bestStreak || 0;
+  return entry;
+}
+
+/**
+ * Update leaderboard entry for a user
+ * (isCorrect null only makes sure the entry exists)
+ * @param {number} [points] - Points under the room's scoring rule
+ */
+function updateLeaderboardEntry(state, userId, isCorrect, points = 0) {
+  const entry = getLeaderboardEntry(state, userId);
+  if (isCorrect === true) {
     entry.correctAnswers += 1;
-  } else {
+    entry.streak += 1;
+    entry.bestStreak = Math.max(entry.bestStreak, entry.streak);
+  } else if (isCorrect === false) {
     entry.failedAnswers += 1;
+    entry.streak = 0;
   }
+  entry.points += points;
 }
 
 /**
- * Handle a guess from a user
+ * Online users who play (spectators don't count towards any quorum)
+ * @param {GameState} state
+ * @returns {User[]}
  */
-function handleGuess(data, ws, state, clients) {
-  const userId = state.connectionToUserId[ws.connectionId];
-  if (!userId) return;
-  const user = state.users[userId];
-  if (!user || !user.isOnline) return;
+function getOnlinePlayers(state) {
+  return Object.values(state.users).filter(u => u.isOnline && !u.isSpectator);
+}
 
-  // Check if this is a new game (gameId changed)
-  const isNewGame = data.gameId && state.currentGameId !== data.gameId;
-  
-  // If room is completed and it's NOT a new game, don't allow new guesses
-  if (state.roomStatus === 'completed' && !isNewGame) {
-    console.log(`[Server] Room is completed, ignoring guess from ${userId}`);
-    return;
-  }
-  
-  // If this is a new game, reset everything FIRST before processing the guess
-  if (isNewGame) {
-    console.log(`[Server] New game detected: ${state.currentGameId} -> ${data.gameId}, resetting game state`);
-    state.currentGameId = data.gameId;
-    state.currentGameStats = []; // Clear all stats
-    state.roomStatus = 'in_progress'; // Ensure it's in_progress
-    state.correctAnswer = null; // Will be set below if provided
-    // Reset all users' reply status for new game
-    Object.values(state.users).forEach(u => {
-      u.hasReplied = false;
-      u.replyOption = null;
+/**
+ * Complete the round once every online user has answered and the correct
+ * answer is resolved (or could not be): score it and reveal the answer
+ * @param {GameState} state
+ * @returns {boolean} Whether the round was completed by this call
+ */
+function checkRoundCompletion(state) {
+  if (state.roomStatus !== 'in_progress') return false;
+  if (state.correctAnswer === null && !state.answerLookupFailed) return false;
+
+  const onlineUsers = getOnlinePlayers(state);
+  const answered = new Set(state.currentGameStats.map(stat => stat.userId));
+  const allReplied = onlineUsers.length > 0 &&
+    onlineUsers.length === state.currentGameStats.length &&
+    onlineUsers.every(u => answered.has(u.userId));
+  if (!allReplied) return false;
+
+  console.log(`[Server] All users replied, marking room as completed`);
+  completeRound(state, { timedOut: false });
+  return true;
+}
+
+/**
+ * Complete the count question: score it, record it and open the
+ * positive-% question. When the timer ran out, online users who did not
+ * answer count as misses.
+ * @param {GameState} state
+ * @param {{timedOut: boolean}} options
+ */
+function completeRound(state, { timedOut }) {
+  stopRoundTimer(state);
+  state.roomStatus = 'completed';
+
+  const answered = new Set(state.currentGameStats.map(stat => stat.userId));
+  const missedUserIds = timedOut
+    ? getOnlinePlayers(state).filter(u => !answered.has(u.userId)).map(u => u.userId)
+    : [];
+
+  // userId -> points under the room's scoring rule
+  const pointsByUser = new Map();
+
+  if (state.correctAnswer !== null) {
+    const rule = state.settings.scoringRule;
+    const timeLimitMs = state.settings.roundTimeLimit ? state.settings.roundTimeLimit * 1000 : null;
+
+    state.currentGameStats.forEach(stat => {
+      const points = scorePick(rule, {
+        answer: stat.answerValue,
+        correctAnswer: state.correctAnswer,
+        options: state.answerOptions,
+        responseMs: getResponseMs(state, stat),
+        timeLimitMs,
+        streak: getLeaderboardEntry(state, stat.userId).streak,
+      });
+      pointsByUser.set(stat.userId, points);
+      updateLeaderboardEntry(state, stat.userId, stat.answerValue === state.correctAnswer, points);
+    });
+    missedUserIds.forEach(userId => {
+      pointsByUser.set(userId, 0);
+      updateLeaderboardEntry(state, userId, false);
     });
   }
-  
-  // Store correct answer if provided
-  if (data.correctAnswer !== null && data.correctAnswer !== undefined) {
-    if (state.correctAnswer === null || isNewGame) {
-      state.correctAnswer = data.correctAnswer;
-    }
-  }
+  recordRound(state, missedUserIds, pointsByUser);
 
-  const guessValue = data.guess;
-  
-  // Only add to currentGameStats if this is a real guess (not just game initialization)
-  // If correctAnswer is null, it means the game hasn't started yet, so don't count this guess
-  // Use -1 as a sentinel value to indicate initialization (not a real guess)
-  const isInitializationGuess = isNewGame && state.correctAnswer === null && guessValue === -1;
-  
-  if (!isInitializationGuess) {
-    // Remove old entry from currentGameStats if user changed their answer
-    state.currentGameStats = state.currentGameStats.filter(stat => stat.userId !== userId);
-    
-    // Add new entry to currentGameStats FIRST
-    state.currentGameStats.push({
-      userId: userId,
-      answerValue: guessValue,
-    });
-    
-    // Update user's reply status
-    user.replyOption = guessValue;
-    user.hasReplied = true;
-  } else {
-    // This is just initialization - don't add to stats, but still update gameId
-    console.log(`[Server] Ignoring initialization guess (value 0) from ${userId} for game ${data.gameId}`);
+  if (state.match && state.match.status === 'playing') {
+    state.match.completedRounds += 1;
   }
 
-  // NOW check if all online users have replied (after adding current user's entry)
-  const allUsers = Object.values(state.users);
-  const onlineUsers = allUsers.filter(u => u.isOnline);
-  
-  // Verify that currentGameStats contains entries for all online users
-  const statsUserIds = new Set(state.currentGameStats.map(stat => stat.userId));
-  const onlineUserIds = new Set(onlineUsers.map(u => u.userId));
-  
-  // A user has actually replied if they are in currentGameStats
-  // (hasReplied flag might be stale from previous game)
-  const usersWhoActuallyReplied = onlineUsers.filter(u => statsUserIds.has(u.userId));
-  
-  // Check if all online users have actually replied (are in currentGameStats)
-  const allStatsAreOnline = state.currentGameStats.length > 0 &&
-    state.currentGameStats.every(stat => onlineUserIds.has(stat.userId));
-  
-  // All users have replied if: all online users are in stats, all stats are for online users, and counts match
-  // IMPORTANT: Only rely on currentGameStats, not hasReplied flags (which may be stale)
-  const allReplied = onlineUsers.length > 0 &&
-    onlineUsers.length === state.currentGameStats.length && // Counts must match exactly
-    usersWhoActuallyReplied.length === onlineUsers.length && // All online users must be in stats
-    allStatsAreOnline; // All stats must be for online users
-  
-  // Log detailed information for debugging
-  const hasRepliedUsers = onlineUsers.filter(u => u.hasReplied);
-  const hasRepliedUserIds = hasRepliedUsers.map(u => u.userId);
-  const allOnlineUsersInStats = usersWhoActuallyReplied.length === onlineUsers.length;
-  console.log(`[Server] Guess from ${userId}: onlineUsers=${onlineUsers.length}, hasReplied=${hasRepliedUsers.length}, currentGameStats=${state.currentGameStats.length}, allReplied=${allReplied}`);
-  if (!allReplied) {
-    console.log(`[Server] Details: onlineUserIds=${Array.from(onlineUserIds)}, statsUserIds=${Array.from(statsUserIds)}`);
-    console.log(`[Server] HasReplied userIds: ${hasRepliedUserIds.join(',')}`);
-    console.log(`[Server] Breakdown: allOnlineUsersInStats=${allOnlineUsersInStats}, allStatsAreOnline=${allStatsAreOnline}, lengthMatch=${state.currentGameStats.length === onlineUsers.length}`);
-    
-    // Check each online user's status
-    onlineUsers.forEach(u => {
-      const inStats = statsUserIds.has(u.userId);
-      console.log(`[Server] User ${u.userId}: hasReplied=${u.hasReplied}, inStats=${inStats}, isOnline=${u.isOnline}`);
-    });
+  // Nobody eligible for the bonus question completes it right away
+  if (!checkPercentCompletion(state)) {
+    startRoundTimer(state, 'percent');
   }
+}
 
-  // If all users replied, mark room as completed and update leaderboard
-  if (allReplied && state.roomStatus === 'in_progress' && state.correctAnswer !== null) {
-    console.log(`[Server] All users replied, marking room as completed`);
-    state.roomStatus = 'completed';
-    
-    // Update leaderboard for all users based on their answers
-    state.currentGameStats.forEach(stat => {
-      const isCorrect = stat.answerValue === state.correctAnswer;
-      updateLeaderboardEntry(state, stat.userId, isCorrect);
+/**
+ * Complete the positive-% question and score it. When the timer ran out,
+ * users who answered the count but not this question get 0 points for it.
+ * @param {GameState} state
+ * @param {{timedOut: boolean}} options
+ */
+function completePercentQuestion(state, { timedOut }) {
+  stopRoundTimer(state);
+  state.percentStatus = 'completed';
+  console.log(`[Server] Percent question completed${timedOut ? ' (timer ran out)' : ''}`);
+
+  if (state.correctPercent !== null) {
+    const onlineUserIds = new Set(Object.values(state.users).filter(u => u.isOnline).map(u => u.userId));
+    const expected = timedOut
+      ? state.currentGameStats.filter(stat => onlineUserIds.has(stat.userId)).map(stat => stat.userId)
+      : [];
+
+    new Set([...state.currentPercentStats.map(stat => stat.userId), ...expected]).forEach(userId => {
+      const stat = state.currentPercentStats.find(s => s.userId === userId);
+      const countStat = state.currentGameStats.find(s => s.userId === userId);
+      const countPoints = countStat && countStat.answerValue === state.correctAnswer ? 100 : 0;
+      const percentPoints = stat ? scorePercentGuess(stat.percentValue, state.correctPercent) : 0;
+
+      updateLeaderboardEntry(state, userId, null);
+      const entry = state.leaderboard.find(e => e.userId === userId);
+      entry.percentAnswers += 1;
+      entry.percentPoints += percentPoints;
+      entry.roundPoints += Math.round((countPoints + percentPoints) / 2);
     });
   }
+  recordPercentRound(state);
+  finishMatchIfOver(state);
+}
 
-  // Broadcast updated game state
-  broadcast(clients, {
-    type: "reply-counts-update",
-    gameState: {
-      currentGameId: state.currentGameId,
-      users: state.users,
-      leaderboard: [...state.leaderboard],
-      roomStatus: state.roomStatus,
-      currentGameStats: [...state.currentGameStats],
-      correctAnswer: state.correctAnswer,
-      nextGameVotes: { ...state.nextGameVotes },
-      nextGameIds: { ...state.nextGameIds },
-      selectedNextGame: state.selectedNextGame,
-    },
+/**
+ * Time from the options being ready to a user's pick
+ * @param {GameState} state
+ * @param {CurrentGameStat} stat
+ * @returns {number|null}
+ */
+function getResponseMs(state, stat) {
+  return state.roundStartedAt && stat.answeredAt
+    ? Math.max(0, stat.answeredAt - state.roundStartedAt)
+    : null;
+}
+
+/**
+ * Append the just-completed round to the room history
+ * @param {GameState} state
+ * @param {string[]} [missedUserIds] - Online users who ran out of time
+ * @param {Map<string, number>} [pointsByUser] - Points each user scored
+ */
+function recordRound(state, missedUserIds = [], pointsByUser = new Map()) {
+  const scored = state.correctAnswer !== null;
+
+  /** @type {RoundRecord} */
+  const record = {
+    gameId: state.currentGameId,
+    correctAnswer: state.correctAnswer,
+    correctPercent: null,
+    options: state.answerOptions ? [...state.answerOptions] : null,
+    scoringRule: state.settings.scoringRule,
+    draw: state.currentDraw,
+    completedAt: Date.now(),
+    picks: state.currentGameStats.map(stat => {
+      const user = state.users[stat.userId] || {};
+      return {
+        userId: stat.userId,
+        name: user.name || 'User',
+        color: user.color || null,
+        answerValue: stat.answerValue,
+        correct: scored ? stat.answerValue === state.correctAnswer : null,
+        points: pointsByUser.get(stat.userId) || 0,
+        responseMs: getResponseMs(state, stat),
+        percentValue: null,
+      };
+    }),
+  };
+
+  missedUserIds.forEach(userId => {
+    const user = state.users[userId] || {};
+    record.picks.push({
+      userId,
+      name: user.name || 'User',
+      color: user.color || null,
+      answerValue: null,
+      correct: scored ? false : null,
+      points: 0,
+      responseMs: null,
+      percentValue: null,
+      timedOut: true,
+    });
   });
+
+  state.history.push(record);
+  if (state.history.length > MAX_HISTORY_ROUNDS) {
+    state.history.splice(0, state.history.length - MAX_HISTORY_ROUNDS);
+  }
 }
 
 /**
- * Handle correct guess - DEPRECATED: Now handled in handleGuess
- * Kept for backward compatibility but does nothing
+ * Add the positive-% answers to the current game's history entry
+ * @param {GameState} state
  */
-function handleCorrectGuess(data, ws, state, clients) {
-  // No longer needed - leaderboard is updated in handleGuess when room is completed
-  console.log(`[Server] handleCorrectGuess called but is deprecated - leaderboard updated in handleGuess`);
+function recordPercentRound(state) {
+  const record = state.history[state.history.length - 1];
+  if (!record || String(record.gameId) !== String(state.currentGameId)) return;
+
+  record.correctPercent = state.correctPercent;
+  record.picks.forEach(pick => {
+    const stat = state.currentPercentStats.find(s => s.userId === pick.userId);
+    pick.percentValue = stat ? stat.percentValue : null;
+  });
 }
 
 /**
- * Handle wrong guess - DEPRECATED: Now handled in handleGuess
- * Kept for backward compatibility but does nothing
+ * Check a settings change from a client
+ * @param {Object} changes
+ * @returns {string|null} Error message, or null when valid
  */
-function handleWrongGuess(data, ws, state, clients) {
-  // No longer needed - leaderboard is updated in handleGuess when room is completed
-  console.log(`[Server] handleWrongGuess called but is deprecated - leaderboard updated in handleGuess`);
+function validateSettings(changes) {
+  if (changes.roundTimeLimit !== undefined && !ROUND_TIME_LIMITS.includes(Number(changes.roundTimeLimit))) {
+    return `Invalid round time limit. Must be one of ${ROUND_TIME_LIMITS.join(', ')} seconds`;
+  }
+  if (changes.scoringRule !== undefined && !isScoringRule(changes.scoringRule)) {
+    return `Invalid scoring rule. Must be one of ${SCORING_RULES.join(', ')}`;
+  }
+  if (changes.voteMode !== undefined && !isVoteMode(changes.voteMode)) {
+    return `Invalid vote mode. Must be one of ${VOTE_MODES.join(', ')}`;
+  }
+  return null;
 }
 
 /**
- * Handle next game vote
+ * Change room settings. A new round time limit applies to the running
+ * question right away (0 stops its countdown); a new scoring rule applies
+ * from the next completed round and resets everyone's points (points of
+ * different rules don't add up); a new vote mode drops the votes cast so far.
  */
-function handleNextGameVote(data, ws, state, clients) {
+function handleUpdateSettings(data, ws, state, clients) {
   const userId = state.connectionToUserId[ws.connectionId];
   if (!userId) return;
   const user = state.users[userId];
   if (!user || !user.isOnline) return;
-  
-  const voteOption = data.option; // 'raw' or 'smart'
-  if (!['raw', 'smart'].includes(voteOption)) {
+  if (!requireHost(ws, state, 'change room settings')) return;
+
+  const changes = data.settings || {};
+  const error = validateSettings(changes);
+  if (error) {
     ws.send(JSON.stringify({
       type: "error",
-      message: "Invalid vote option. Must be 'raw' or 'smart'",
+      message: error,
     }));
     return;
   }
-  
-  // If user already voted, remove their old vote
-  if (user.nextGameVote) {
-    state.nextGameVotes[user.nextGameVote] = Math.max(0, state.nextGameVotes[user.nextGameVote] - 1);
+
+  if (changes.scoringRule !== undefined && changes.scoringRule !== state.settings.scoringRule) {
+    state.settings.scoringRule = changes.scoringRule;
+    state.leaderboard.forEach(entry => {
+      entry.points = 0;
+    });
   }
-  
-  // Add new vote
-  user.nextGameVote = voteOption;
-  state.nextGameVotes[voteOption] = (state.nextGameVotes[voteOption] || 0) + 1;
-  
-  // Store gameId for this vote option (use the most recent one)
-  if (data.gameId) {
-    state.nextGameIds[voteOption] = data.gameId;
+
+  if (changes.voteMode !== undefined && changes.voteMode !== state.settings.voteMode) {
+    state.settings.voteMode = changes.voteMode;
+    if (!state.selectedNextGame) {
+      resetNextGameVotes(state);
+    }
   }
-  
-  // Check if all online users have voted
-  const allUsers = Object.values(state.users);
-  const onlineUsers = allUsers.filter(u => u.isOnline);
-  const allVoted = onlineUsers.length > 0 && onlineUsers.every(u => u.nextGameVote !== null);
-  
-    // Broadcast vote update to all clients including the sender
-    // (so the sender sees their own vote reflected in the counter)
-    const voteUpdateMessage = {
-      type: "next-game-vote-update",
-      userId: userId,
-      connectionId: ws.connectionId,
-      userName: user.name,
-      vote: voteOption,
-      nextGameVotes: { ...state.nextGameVotes },
-      allVoted: allVoted,
-      gameState: {
-        currentGameId: state.currentGameId,
-        users: state.users,
-        leaderboard: [...state.leaderboard],
-        roomStatus: state.roomStatus,
-        currentGameStats: [...state.currentGameStats],
-        correctAnswer: state.correctAnswer,
-        nextGameVotes: { ...state.nextGameVotes },
-        nextGameIds: { ...state.nextGameIds },
-        selectedNextGame: state.selectedNextGame,
-      },
+
+  if (changes.roundTimeLimit !== undefined) {
+    state.settings.roundTimeLimit = Number(changes.roundTimeLimit);
+
+    if (state.roomStatus === 'in_progress' && state.roundStartedAt) {
+      startRoundTimer(state, 'count');
+    } else if (state.roomStatus === 'completed' && state.percentStatus === 'in_progress' && state.currentGameStats.length > 0) {
+      startRoundTimer(state, 'percent');
+    }
+  }
+
+  console.log(`[Server] Settings of room ${state.roomId} updated by ${userId}:`, state.settings);
+  broadcast(clients, {
+    type: "settings-updated",
+    settings: { ...state.settings },
+    updatedBy: userId,
+    gameState: getPublicGameState(state),
+  });
+}
+
+/**
+ * Send the room history to the requesting user (newest first)
+ */
+function handleGetHistory(data, ws, state) {
+  const limit = Number.isInteger(data.limit) && data.limit > 0
+    ? Math.min(data.limit, MAX_HISTORY_ROUNDS)
+    : MAX_HISTORY_ROUNDS;
+
+  ws.send(JSON.stringify({
+    type: "history",
+    rounds: state.history.slice(-limit).reverse(),
+    total: state.history.length,
+  }));
+}
+
+/**
+ * Add a chat message or reaction to the room and send it to everyone,
+ * unless the user is over the rate limit
+ * @param {WebSocket} ws
+ * @param {GameState} state
+ * @param {Set} clients
+ * @param {User} user
+ * @param {{text?: string, emoji?: string}} content
+ */
+function postChatMessage(ws, state, clients, user, { text = null, emoji = null }) {
+  const recent = state.chatPostTimes[user.userId] || (state.chatPostTimes[user.userId] = []);
+  if (!takeChatSlot(recent)) {
+    ws.send(JSON.stringify({
+      type: "error",
+      message: "You're sending messages too fast",
+    }));
+    return;
+  }
+
+  /** @type {ChatMessage} */
+  const message = {
+    id: randomUUID(),
+    userId: user.userId,
+    name: user.name,
+    color: user.color,
+    text,
+    emoji,
+    gameId: emoji ? state.currentGameId : null,
+    sentAt: Date.now(),
+  };
+  state.chat.push(message);
+  if (state.chat.length > MAX_CHAT_MESSAGES) {
+    state.chat.splice(0, state.chat.length - MAX_CHAT_MESSAGES);
+  }
+
+  broadcast(clients, {
+    type: "chat-message",
+    message,
+  });
+}
+
+/**
+ * Handle a chat message
+ */
+function handleChat(data, ws, state, clients) {
+  const userId = state.connectionToUserId[ws.connectionId];
+  if (!userId) return;
+  const user = state.users[userId];
+  if (!user || !user.isOnline) return;
+
+  const text = sanitizeChatText(data.text);
+  if (!text) return;
+  if (chatLength(text) > MAX_CHAT_LENGTH) {
+    ws.send(JSON.stringify({
+      type: "error",
+      message: `Chat messages can be at most ${MAX_CHAT_LENGTH} characters`,
+    }));
+    return;
+  }
+
+  postChatMessage(ws, state, clients, user, { text });
+}
+
+/**
+ * Handle an emoji reaction to the revealed answer
+ */
+function handleReaction(data, ws, state, clients) {
+  const userId = state.connectionToUserId[ws.connectionId];
+  if (!userId) return;
+  const user = state.users[userId];
+  if (!user || !user.isOnline) return;
+
+  if (!isReaction(data.emoji)) {
+    ws.send(JSON.stringify({
+      type: "error",
+      message: "Unknown reaction",
+    }));
+    return;
+  }
+  if (state.roomStatus !== 'completed') {
+    ws.send(JSON.stringify({
+      type: "error",
+      message: "Reactions open once the answer is revealed",
+    }));
+    return;
+  }
+
+  postChatMessage(ws, state, clients, user, { emoji: data.emoji });
+}
+
+/**
+ * Handle a guess from a user
+ */
+function handleGuess(data, ws, state, clients) {
+  const userId = state.connectionToUserId[ws.connectionId];
+  if (!userId) return;
+  const user = state.users[userId];
+  if (!user || !user.isOnline) return;
+
+  // Spectators can't answer, nor set the game with the -1 sentinel below
+  // (a spectating host moves the room with next-game instead)
+  if (user.isSpectator) {
+    ws.send(JSON.stringify({
+      type: "error",
+      message: "Spectators can't answer",
+    }));
+    return;
+  }
+
+  const gameId = data.gameId ? String(data.gameId) : '';
+
+  // Only the host sets the room's first game (from the page they are on);
+  // after that the room moves with votes and next-game, never with a guess
+  if (!state.currentGameId) {
+    if (userId !== state.hostId || !/^\d{1,10}$/.test(gameId)) {
+      console.log(`[Server] No game yet in room ${state.roomId}, ignoring guess from ${userId}`);
+      return;
+    }
+    console.log(`[Server] ${userId} set the first game of room ${state.roomId}: ${gameId}`);
+    startGame(state, clients, gameId);
+  } else if (gameId && gameId !== String(state.currentGameId)) {
+    console.log(`[Server] Ignoring guess from ${userId} for ${gameId}: room ${state.roomId} is on ${state.currentGameId}`);
+    return;
+  }
+
+  // If room is completed, don't allow new guesses
+  if (state.roomStatus === 'completed') {
+    console.log(`[Server] Room is completed, ignoring guess from ${userId}`);
+    return;
+  }
+  
+  // The server resolves the correct answer itself; never trust the client's
+  if (data.correctAnswer !== null && data.correctAnswer !== undefined) {
+    console.warn(`[Server] Ignoring client-supplied correctAnswer from ${userId}`);
+  }
+
+  const guessValue = data.guess;
+  
+  // Only add to currentGameStats if this is a real guess (not just game initialization)
+  // Use -1 as a sentinel value to indicate initialization (not a real guess)
+  const isInitializationGuess = guessValue === -1;
+  
+  // Until the lookup finishes there is nothing to pick from (unscored rounds
+  // have no options, and clients build their own)
+  if (!isInitializationGuess && !state.answerOptions && !state.answerLookupFailed) {
+    console.warn(`[Server] Rejecting guess ${guessValue} from ${userId}: answer options not ready`);
+    ws.send(JSON.stringify({
+      type: "error",
+      message: "The answer options are not ready yet",
+    }));
+    return;
+  }
+
+  // Picks must come from the options the server generated for this round
+  if (!isInitializationGuess && state.answerOptions && !state.answerOptions.includes(guessValue)) {
+    console.warn(`[Server] Rejecting guess ${guessValue} from ${userId}: not one of the round's options`);
+    ws.send(JSON.stringify({
+      type: "error",
+      message: "That answer is not one of this round's options",
+    }));
+    return;
+  }
+
+  if (!isInitializationGuess) {
+    // Remove old entry from currentGameStats if user changed their answer
+    state.currentGameStats = state.currentGameStats.filter(stat => stat.userId !== userId);
+    
+    // Add new entry to currentGameStats FIRST
+    state.currentGameStats.push({
+      userId: userId,
+      answerValue: guessValue,
+      answeredAt: Date.now(),
+    });
+    
+    // Update user's reply status
+    user.replyOption = guessValue;
+    user.hasReplied = true;
+  } else {
+    // This is just initialization - don't add to stats, but still update gameId
+    console.log(`[Server] Ignoring initialization guess (value 0) from ${userId} for game ${data.gameId}`);
+  }
+
+  // NOW check if all online users have replied (after adding current user's entry)
+  const onlineUsers = getOnlinePlayers(state);
+  
+  // Verify that currentGameStats contains entries for all online users
+  const statsUserIds = new Set(state.currentGameStats.map(stat => stat.userId));
+  const onlineUserIds = new Set(onlineUsers.map(u => u.userId));
+  
+  // A user has actually replied if they are in currentGameStats
+  // (hasReplied flag might be stale from previous game)
+  const usersWhoActuallyReplied = onlineUsers.filter(u => statsUserIds.has(u.userId));
+  
+  // Check if all online users have actually replied (are in currentGameStats)
+  const allStatsAreOnline = state.currentGameStats.length > 0 &&
+    state.currentGameStats.every(stat => onlineUserIds.has(stat.userId));
+  
+  // All users have replied if: all online users are in stats, all stats are for online users, and counts match
+  // IMPORTANT: Only rely on currentGameStats, not hasReplied flags (which may be stale)
+  const allReplied = onlineUsers.length > 0 &&
+    onlineUsers.length === state.currentGameStats.length && // Counts must match exactly
+    usersWhoActuallyReplied.length === onlineUsers.length && // All online users must be in stats
+    allStatsAreOnline; // All stats must be for online users
+  
+  // Log detailed information for debugging
+  const hasRepliedUsers = onlineUsers.filter(u => u.hasReplied);
+  const hasRepliedUserIds = hasRepliedUsers.map(u => u.userId);
+  const allOnlineUsersInStats = usersWhoActuallyReplied.length === onlineUsers.length;
+  console.log(`[Server] Guess from ${userId}: onlineUsers=${onlineUsers.length}, hasReplied=${hasRepliedUsers.length}, currentGameStats=${state.currentGameStats.length}, allReplied=${allReplied}`);
+  if (!allReplied) {
+    console.log(`[Server] Details: onlineUserIds=${Array.from(onlineUserIds)}, statsUserIds=${Array.from(statsUserIds)}`);
+    console.log(`[Server] HasReplied userIds: ${hasRepliedUserIds.join(',')}`);
+    console.log(`[Server] Breakdown: allOnlineUsersInStats=${allOnlineUsersInStats}, allStatsAreOnline=${allStatsAreOnline}, lengthMatch=${state.currentGameStats.length === onlineUsers.length}`);
+    
+    // Check each online user's status
+    onlineUsers.forEach(u => {
+      const inStats = statsUserIds.has(u.userId);
+      console.log(`[Server] User ${u.userId}: hasReplied=${u.hasReplied}, inStats=${inStats}, isOnline=${u.isOnline}`);
+    });
+  }
+
+  // If all users replied (and the answer is known), mark room as completed
+  if (allReplied) {
+    checkRoundCompletion(state);
+  }
+
+  // Broadcast updated game state
+  broadcast(clients, {
+    type: "reply-counts-update",
+    gameState: getPublicGameState(state),
+  });
+}
+
+/**
+ * Score a positive-% guess: 100 when exact, minus 4 per percentage point off
+ * (same formula as scorePercentGuess in src/utils.js)
+ */
+function scorePercentGuess(guess, correctPercent) {
+  return Math.max(0, Math.round(100 - Math.abs(guess - correctPercent) * 4));
+}
+
+/**
+ * Complete the positive-% question once every online user who answered the
+ * count question has answered it too. When nobody is left to answer (they
+ * all went offline, or nobody answered before the round timer ran out), it
+ * completes right away.
+ * @param {GameState} state
+ * @returns {boolean} Whether the question completed now
+ */
+function checkPercentCompletion(state) {
+  if (state.roomStatus !== 'completed' || state.percentStatus === 'completed') return false;
+
+  const onlineUserIds = new Set(Object.values(state.users).filter(u => u.isOnline).map(u => u.userId));
+  const expected = state.currentGameStats.filter(stat => onlineUserIds.has(stat.userId));
+  const answered = new Set(state.currentPercentStats.map(stat => stat.userId));
+  if (!expected.every(stat => answered.has(stat.userId))) return false;
+
+  completePercentQuestion(state, { timedOut: false });
+  return true;
+}
+
+/**
+ * Handle a positive-% guess (second question of a round)
+ */
+function handlePercentGuess(data, ws, state, clients) {
+  const userId = state.connectionToUserId[ws.connectionId];
+  if (!userId) return;
+  const user = state.users[userId];
+  if (!user || !user.isOnline) return;
+  if (user.isSpectator) {
+    ws.send(JSON.stringify({
+      type: "error",
+      message: "Spectators can't answer",
+    }));
+    return;
+  }
+
+  // Only for the current game, after the count question is resolved
+  if (data.gameId && String(data.gameId) !== String(state.currentGameId)) return;
+  if (state.roomStatus !== 'completed' || state.percentStatus === 'completed') return;
+
+  const guess = Number(data.guess);
+  if (!Number.isInteger(guess) || guess < 0 || guess > 100) {
+    ws.send(JSON.stringify({
+      type: "error",
+      message: "Invalid percent guess. Must be an integer from 0 to 100",
+    }));
+    return;
+  }
+
+  state.currentPercentStats = state.currentPercentStats.filter(stat => stat.userId !== userId);
+  state.currentPercentStats.push({ userId, percentValue: guess });
+  user.percentOption = guess;
+
+  console.log(`[Server] Percent guess from ${userId}: ${guess}`);
+  checkPercentCompletion(state);
+
+  broadcast(clients, {
+    type: "reply-counts-update",
+    gameState: getPublicGameState(state),
+  });
+}
+
+/**
+ * Handle correct guess - DEPRECATED: Now handled in handleGuess
+ * Kept for backward compatibility but does nothing
+ */
+function handleCorrectGuess(data, ws, state, clients) {
+  // No longer needed - leaderboard is updated in handleGuess when room is completed
+  console.log(`[Server] handleCorrectGuess called but is deprecated - leaderboard updated in handleGuess`);
+}
+
+/**
+ * Handle wrong guess - DEPRECATED: Now handled in handleGuess
+ * Kept for backward compatibility but does nothing
+ */
+function handleWrongGuess(data, ws, state, clients) {
+  // No longer needed - leaderboard is updated in handleGuess when room is completed
+  console.log(`[Server] handleWrongGuess called but is deprecated - leaderboard updated in handleGuess`);
+}
+
+/**
+ * Handle next game vote. The room's vote mode decides who may vote and
+ * when the vote is settled; in propose mode the options are the app IDs
+ * players propose instead of Raw/Balanced.
+ */
+function handleNextGameVote(data, ws, state, clients) {
+  const userId = state.connectionToUserId[ws.connectionId];
+  if (!userId) return;
+  const user = state.users[userId];
+  if (!user || !user.isOnline) return;
+  if (user.isSpectator) {
+    ws.send(JSON.stringify({
+      type: "error",
+      message: "Spectators can't vote",
+    }));
+    return;
+  }
+  if (state.selectedNextGame) return;
+  if (refuseAfterMatch(ws, state)) return;
+
+  const mode = state.settings.voteMode;
+  const refusal = checkVoter(mode, {
+    userId,
+    hostId: state.hostId,
+    turnUserId: getPickerTurn(state),
+  });
+  if (refusal) {
+    ws.send(JSON.stringify({
+      type: "error",
+      message: refusal,
+    }));
+    return;
+  }
+
+  let voteOption = data.option; // 'raw' or 'smart', or 'propose' with a gameId
+  if (usesProposals(mode)) {
+    const gameId = String(data.gameId || '');
+    if (voteOption !== 'propose' || !/^\d{1,10}$/.test(gameId)) {
+      ws.send(JSON.stringify({
+        type: "error",
+        message: "Propose a game with its app ID to vote in this room",
+      }));
+      return;
+    }
+    if (gameId === String(state.currentGameId)) {
+      ws.send(JSON.stringify({
+        type: "error",
+        message: "The room is already on this game",
+      }));
+      return;
+    }
+    voteOption = gameId;
+    if (!state.nextGameNames[gameId]) {
+      const name = Array.from(sanitizeChatText(data.name)).slice(0, MAX_GAME_NAME_LENGTH).join('');
+      state.nextGameNames[gameId] = name || `App ${gameId}`;
+    }
+  } else if (!['raw', 'smart'].includes(voteOption)) {
+    ws.send(JSON.stringify({
+      type: "error",
+      message: "Invalid vote option. Must be 'raw' or 'smart'",
+    }));
+    return;
+  }
+  
+  // If user already voted, remove their old vote
+  if (user.nextGameVote) {
+    state.nextGameVotes[user.nextGameVote] = Math.max(0, (state.nextGameVotes[user.nextGameVote] || 1) - 1);
+  }
+  
+  // Add new vote
+  user.nextGameVote = voteOption;
+  state.nextGameVotes[voteOption] = (state.nextGameVotes[voteOption] || 0) + 1;
+  
+  // Proposed games are kept by ID; Raw/Balanced games are drawn by the server
+  if (usesProposals(mode)) {
+    state.nextGameIds[voteOption] = voteOption;
+  }
+  
+  // Check if all online players have voted
+  const onlineUsers = getOnlinePlayers(state);
+  const allVoted = onlineUsers.length > 0 && onlineUsers.every(u => u.nextGameVote !== null);
+  const settled = isVoteSettled(mode, {
+    votes: state.nextGameVotes,
+    voterCount: onlineUsers.length,
+    allVoted,
+  });
+
+  // The first vote starts the countdown in modes that time out
+  if (!settled && !state.voteTimer && usesVoteTimeout(mode)) {
+    startVoteTimer(state, clients);
+  }
+  
+    // Broadcast vote update to all clients including the sender
+    // (so the sender sees their own vote reflected in the counter)
+    const voteUpdateMessage = {
+      type: "next-game-vote-update",
+      userId: userId,
+      connectionId: ws.connectionId,
+      userName: user.name,
+      vote: voteOption,
+      nextGameVotes: { ...state.nextGameVotes },
+      allVoted: allVoted,
+      gameState: getPublicGameState(state),
     };
     
     // Broadcast to all clients (including sender) so everyone sees the updated vote count
     broadcast(clients, voteUpdateMessage);
   
-  // If all users voted, select the option with most votes and activate after 1s
-  if (allVoted && !state.selectedNextGame) {
-    const rawVotes = state.nextGameVotes.raw || 0;
-    const smartVotes = state.nextGameVotes.smart || 0;
-    const selectedOption = rawVotes >= smartVotes ? 'raw' : 'smart';
-    
-    state.selectedNextGame = selectedOption;
-    
-    // Get the gameId for the selected option
-    const selectedGameId = state.nextGameIds[selectedOption] || state.currentGameId;
-    
-    // Reset room status and game state immediately when vote completes
-    state.currentGameStats = [];
-    state.roomStatus = 'in_progress';
-    state.correctAnswer = null;
-    Object.values(state.users).forEach(u => {
-      u.nextGameVote = null;
-      u.hasReplied = false;
-      u.replyOption = null;
+  // Once the vote is settled, select the option with most votes and activate after 1s
+  if (settled) {
+    selectNextGame(state, clients);
+  }
+}
+
+/**
+ * Whose turn it is to pick the next game in a round-robin room
+ * @param {GameState} state
+ * @returns {string|null} null in other vote modes or when nobody can play
+ */
+function getPickerTurn(state) {
+  if (state.settings.voteMode !== 'round-robin') return null;
+  const playerIds = new Set(getOnlinePlayers(state).map(u => u.userId));
+  return getTurnUserId(Object.keys(state.users), playerIds, state.turnUserId);
+}
+
+/**
+ * Pass the round-robin turn to the next online player
+ * @param {GameState} state
+ */
+function advancePickerTurn(state) {
+  const current = getPickerTurn(state);
+  if (!current) return;
+  const playerIds = new Set(getOnlinePlayers(state).map(u => u.userId));
+  state.turnUserId = getNextTurnUserId(Object.keys(state.users), playerIds, current);
+}
+
+/**
+ * Drop the next-game votes (a new round or a new vote mode)
+ * @param {GameState} state
+ */
+function resetNextGameVotes(state) {
+  stopVoteTimer(state);
+  state.nextGameVotes = createVoteCounts(state.settings.voteMode);
+  state.nextGameIds = usesProposals(state.settings.voteMode) ? {} : { raw: null, smart: null };
+  state.nextGameNames = {};
+  state.selectedNextGame = null;
+  Object.values(state.users).forEach(u => {
+    u.nextGameVote = null;
+  });
+}
+
+/**
+ * Close the next-game vote VOTE_TIMEOUT_MS from now with whatever votes
+ * are in by then
+ * @param {GameState} state
+ * @param {Set} clients
+ */
+function startVoteTimer(state, clients) {
+  stopVoteTimer(state);
+  state.voteTimer = { endsAt: Date.now() + VOTE_TIMEOUT_MS, durationMs: VOTE_TIMEOUT_MS };
+  voteTimers.set(state.roomId, setTimeout(() => {
+    voteTimers.delete(state.roomId);
+    state.voteTimer = null;
+    if (state.selectedNextGame) return;
+    if (!pickWinner(state.nextGameVotes)) return;
+    console.log(`[Server] Next-game vote timed out in room ${state.roomId}`);
+    selectNextGame(state, clients);
+  }, VOTE_TIMEOUT_MS));
+}
+
+/**
+ * Stop the next-game vote countdown (settled, reset or the room is gone)
+ * @param {GameState} state
+ */
+function stopVoteTimer(state) {
+  if (voteTimers.has(state.roomId)) {
+    clearTimeout(voteTimers.get(state.roomId));
+    voteTimers.delete(state.roomId);
+  }
+  state.voteTimer = null;
+}
+
+/**
+ * Draw the room's next game from a pool with the room's seeded RNG,
+ * skipping the games the room has played (unless nothing else is left)
+ * @param {GameState} state
+ * @param {string} pool - 'raw' or 'smart'
+ * @param {string[]} [skip] - More game IDs to leave out (e.g. an unavailable one)
+ * @returns {{gameId: string, draw: Draw}|null} null when the pool has no other game
+ */
+function drawGame(state, pool, skip = []) {
+  const number = state.appRng.draws + 1;
+  const key = drawKey(state.appRng.seed, number);
+  const current = [String(state.currentGameId), ...skip];
+  const played = state.history.map(r => String(r.gameId));
+
+  const gameId = appPool.pick(pool, { key, exclude: new Set([...current, ...played]) }) ||
+    appPool.pick(pool, { key, exclude: new Set(current) });
+  if (!gameId) return null;
+
+  state.appRng.draws = number;
+  return { gameId, draw: { number, key, pool } };
+}
+
+/**
+ * Move the room to a new game: clear the answers and votes of the last
+ * round and look up the new game's answers
+ * @param {GameState} state
+ * @param {Set} clients
+ * @param {string} gameId
+ * @param {Draw|null} [draw] - How the server drew it (null when a member chose it)
+ */
+function startGame(state, clients, gameId, draw = null) {
+  state.currentGameStats = [];
+  state.roomStatus = 'in_progress';
+  state.correctAnswer = null;
+  state.currentPercentStats = [];
+  state.correctPercent = null;
+  state.percentStatus = 'in_progress';
+  Object.values(state.users).forEach(u => {
+    u.nextGameVote = null;
+    u.hasReplied = false;
+    u.replyOption = null;
+    u.percentOption = null;
+  });
+
+  state.currentGameId = gameId;
+  state.currentDraw = draw;
+  resolveCorrectAnswer(state, clients);
+}
+
+/**
+ * Move the room straight to a game the host or the designated picker
+ * chose (a specific app, or one the server draws from a pool), without a vote
+ */
+function handleNextGame(data, ws, state, clients) {
+  const userId = state.connectionToUserId[ws.connectionId];
+  if (!userId) return;
+  const user = state.users[userId];
+  if (!user || !user.isOnline) return;
+
+  const isTurn = userId === getPickerTurn(state);
+  if (userId !== state.hostId && userId !== state.pickerId && !isTurn) {
+    ws.send(JSON.stringify({
+      type: "error",
+      message: "Only the host or the designated picker can choose the next game",
+    }));
+    return;
+  }
+
+  if (state.selectedNextGame) {
+    ws.send(JSON.stringify({
+      type: "error",
+      message: "The vote has already chosen the next game",
+    }));
+    return;
+  }
+  if (refuseAfterMatch(ws, state)) return;
+
+  // 'raw' or 'smart' to have the server draw from that pool, 'pick' for a chosen app
+  const option = GAME_POOLS.includes(data.option) ? data.option : 'pick';
+  let gameId = String(data.gameId || '');
+  let draw = null;
+
+  if (option === 'pick') {
+    if (!/^\d{1,10}$/.test(gameId)) {
+      ws.send(JSON.stringify({
+        type: "error",
+        message: "Invalid game ID",
+      }));
+      return;
+    }
+    if (gameId === String(state.currentGameId)) {
+      ws.send(JSON.stringify({
+        type: "error",
+        message: "The room is already on this game",
+      }));
+      return;
+    }
+  } else {
+    const drawn = drawGame(state, option);
+    if (!drawn) {
+      ws.send(JSON.stringify({
+        type: "error",
+        message: "There is no other game to draw",
+      }));
+      return;
+    }
+    ({ gameId, draw } = drawn);
+  }
+
+  console.log(`[Server] ${userId} moved room ${state.roomId} to ${gameId} (${option})`);
+
+  if (isTurn) {
+    advancePickerTurn(state);
+  }
+  resetNextGameVotes(state);
+  startGame(state, clients, gameId, draw);
+
+  broadcast(clients, {
+    type: "next-game-selected",
+    option,
+    gameId,
+    pickedBy: user.name,
+    gameState: getPublicGameState(state),
+  });
+}
+
+/**
+ * Let a member choose the next game without a vote, or take that back
+ * (host only; `userId: null` clears it)
+ */
+function handleSetPicker(data, ws, state, clients) {
+  if (!requireHost(ws, state, 'choose who picks the next game')) return;
+
+  if (data.userId !== null) {
+    const target = typeof data.userId === 'string' ? state.users[data.userId] : null;
+    if (!target || state.bannedUserIds.includes(target.userId)) {
+      ws.send(JSON.stringify({
+        type: "error",
+        message: "Unknown user",
+      }));
+      return;
+    }
+  }
+
+  state.pickerId = data.userId;
+  broadcast(clients, {
+    type: "picker-changed",
+    pickerId: state.pickerId,
+    gameState: getPublicGameState(state),
+  });
+}
+
+/**
+ * Move the room to the next-game option with the most votes (a tie is
+ * broken at random) and announce it to everyone a second later
+ * @param {GameState} state
+ * @param {Set} clients
+ */
+function selectNextGame(state, clients) {
+  const selectedOption = pickWinner(state.nextGameVotes) || 'raw';
+  const proposed = usesProposals(state.settings.voteMode);
+  
+  stopVoteTimer(state);
+  
+  // The last round of a match was completed while the vote was open
+  if (isMatchOver(state.match)) {
+    resetNextGameVotes(state);
+    broadcast(clients, {
+      type: "next-game-vote-update",
+      nextGameVotes: { ...state.nextGameVotes },
+      allVoted: false,
+      gameState: getPublicGameState(state),
     });
-    
-    // Update current game ID
-    state.currentGameId = selectedGameId;
-    
-    // Wait 1 second before activating
-    setTimeout(() => {
-      // Broadcast activation
+    return;
+  }
+  
+  // A proposed game by its ID; Raw/Balanced are drawn from that pool
+  let selectedGameId = state.nextGameIds[selectedOption] || null;
+  let draw = null;
+  if (!proposed) {
+    const drawn = drawGame(state, selectedOption);
+    if (!drawn) {
+      // Nothing to move to: the room stays on its game and may vote again
+      resetNextGameVotes(state);
       broadcast(clients, {
-        type: "next-game-selected",
-        option: selectedOption,
-        gameId: selectedGameId,
-        gameState: {
-          currentGameId: selectedGameId,
-          users: state.users,
-          leaderboard: [...state.leaderboard],
-          roomStatus: 'in_progress',
-          currentGameStats: [],
-          correctAnswer: null,
-          nextGameVotes: { raw: 0, smart: 0 },
-          nextGameIds: { raw: null, smart: null },
-          selectedNextGame: null,
-        },
+        type: "error",
+        message: "There is no other game to draw",
       });
-      
-      // Reset votes for next round
-      state.nextGameVotes = { raw: 0, smart: 0 };
-      state.nextGameIds = { raw: null, smart: null };
-      state.selectedNextGame = null;
-    }, 1000);
+      broadcast(clients, {
+        type: "next-game-vote-update",
+        nextGameVotes: { ...state.nextGameVotes },
+        allVoted: false,
+        gameState: getPublicGameState(state),
+      });
+      return;
+    }
+    ({ gameId: selectedGameId, draw } = drawn);
+  }
+  
+  state.selectedNextGame = selectedOption;
+  
+  // The pick is made: the next player's turn in a round-robin room
+  advancePickerTurn(state);
+  
+  // Reset room status and game state immediately when vote completes
+  startGame(state, clients, selectedGameId, draw);
+  
+  // Wait 1 second before activating
+  setTimeout(() => {
+    // Reset votes for next round
+    resetNextGameVotes(state);
+    
+    // Broadcast activation ('propose' when a proposed game won)
+    broadcast(clients, {
+      type: "next-game-selected",
+      option: proposed ? 'propose' : selectedOption,
+      gameId: selectedGameId,
+      gameState: getPublicGameState(state),
+    });
+  }, 1000);
+}
+
+/**
+ * Handle a report that the current game is unavailable (delisted or
+ * region-locked) for one member: move the whole room to a game drawn from
+ * the reporter's pool. Later reports for the same game are ignored.
+ */
+function handleGameUnavailable(data, ws, state, clients) {
+  const userId = state.connectionToUserId[ws.connectionId];
+  if (!userId) return;
+  const user = state.users[userId];
+  if (!user || !user.isOnline) return;
+
+  const gameId = String(data.gameId || '');
+
+  if (!gameId || gameId !== String(state.currentGameId) || state.selectedNextGame || isMatchOver(state.match)) {
+    console.log(`[Server] Ignoring unavailable report for ${gameId} (current game is ${state.currentGameId})`);
+    return;
+  }
+
+  // Spectators can't skip the game, and once someone has answered, the game
+  // evidently loads for the room
+  if (user.isSpectator || state.currentGameStats.length > 0) {
+    console.log(`[Server] Ignoring unavailable report for ${gameId} from ${userId} (spectator or round already answered)`);
+    return;
   }
+
+  const drawn = drawGame(state, GAME_POOLS.includes(data.pool) ? data.pool : 'smart');
+  if (!drawn) {
+    ws.send(JSON.stringify({
+      type: "error",
+      message: "There is no other game to draw",
+    }));
+    return;
+  }
+  const replacementGameId = drawn.gameId;
+
+  console.log(`[Server] Game ${gameId} unavailable for ${userId}, moving room to ${replacementGameId}`);
+
+  // Same reset as a completed vote
+  resetNextGameVotes(state);
+  startGame(state, clients, replacementGameId, drawn.draw);
+
+  broadcast(clients, {
+    type: "next-game-selected",
+    option: 'unavailable',
+    gameId: replacementGameId,
+    unavailableGameId: gameId,
+    reportedBy: user.name,
+    gameState: getPublicGameState(state),
+  });
 }
 
 /**
@@ -800,8 +2543,10 @@ function handleUserReady(data, ws, state, clients) {
   if (data.hasReplied === false) {
     user.hasReplied = false;
     user.replyOption = null;
+    user.percentOption = null;
     // Remove from currentGameStats if they were in it
     state.currentGameStats = state.currentGameStats.filter(stat => stat.userId !== userId);
+    state.currentPercentStats = state.currentPercentStats.filter(stat => stat.userId !== userId);
   }
   // If hasReplied is true or undefined, we don't change it - let handleGuess set it properly
   
@@ -821,24 +2566,156 @@ function handleUserReady(data, ws, state, clients) {
     connectionId: ws.connectionId,
     userName: user.name,
     hasReplied: user.hasReplied,
-    gameState: {
-      currentGameId: state.currentGameId,
-      users: state.users,
-      leaderboard: [...state.leaderboard],
-      roomStatus: state.roomStatus,
-      currentGameStats: [...state.currentGameStats],
-      correctAnswer: state.correctAnswer,
-      nextGameVotes: { ...state.nextGameVotes },
-      nextGameIds: { ...state.nextGameIds },
-      selectedNextGame: state.selectedNextGame,
-    },
+    gameState: getPublicGameState(state),
+  });
+}
+
+/**
+ * Refuse to move on once all rounds of the match are played: the host
+ * starts a new match or ends it first
+ * @param {WebSocket} ws
+ * @param {GameState} state
+ * @returns {boolean} Whether the sender was refused
+ */
+function refuseAfterMatch(ws, state) {
+  if (!isMatchOver(state.match)) return false;
+  ws.send(JSON.stringify({
+    type: "error",
+    message: "The match is over: the host can start a new match",
+  }));
+  return true;
+}
+
+/**
+ * Let the members who joined during the match play again
+ * @param {GameState} state
+ */
+function releaseMatchSpectators(state) {
+  Object.values(state.users).forEach(user => {
+    if (user.waitingForMatch) {
+      user.waitingForMatch = false;
+      user.isSpectator = false;
+    }
+  });
+}
+
+/**
+ * Finish the match once its last round is completely done (both
+ * questions) and announce the podium
+ * @param {GameState} state
+ */
+function finishMatchIfOver(state) {
+  const { match } = state;
+  if (!match || match.status !== 'playing' || !isMatchOver(match)) return;
+
+  match.status = 'finished';
+  match.summary = buildMatchSummary(match, state);
+  releaseMatchSpectators(state);
+  console.log(`[Server] Match of ${match.rounds} rounds finished in room ${state.roomId}`);
+
+  broadcast(state.clients || new Set(), {
+    type: "match-finished",
+    summary: match.summary,
+    gameState: getPublicGameState(state),
+  });
+  saveRoomSoon(state);
+}
+
+/**
+ * Start a match of a fixed number of rounds (host only): the leaderboard
+ * is reset, the members online now play and the room moves to a new game
+ */
+function handleStartMatch(data, ws, state, clients) {
+  if (!requireHost(ws, state, 'start a match')) return;
+
+  const rounds = data.rounds;
+  if (!isMatchRoundCount(rounds)) {
+    ws.send(JSON.stringify({
+      type: "error",
+      message: `Invalid round count. Must be one of ${MATCH_ROUND_COUNTS.join(', ')}`,
+    }));
+    return;
+  }
+  if (state.selectedNextGame) {
+    ws.send(JSON.stringify({
+      type: "error",
+      message: "The vote has already chosen the next game",
+    }));
+    return;
+  }
+
+  releaseMatchSpectators(state);
+  const playerIds = getOnlinePlayers(state).map(u => u.userId);
+  if (playerIds.length === 0) {
+    ws.send(JSON.stringify({
+      type: "error",
+      message: "Nobody is playing: spectators can't play a match",
+    }));
+    return;
+  }
+
+  const drawn = drawGame(state, 'smart');
+  if (!drawn) {
+    ws.send(JSON.stringify({
+      type: "error",
+      message: "There is no other game to draw",
+    }));
+    return;
+  }
+
+  const userId = state.connectionToUserId[ws.connectionId];
+  console.log(`[Server] ${userId} started a ${rounds}-round match in room ${state.roomId}`);
+
+  // A fresh scoreboard for the match
+  state.leaderboard = [];
+  state.match = createMatch(rounds, playerIds);
+  resetNextGameVotes(state);
+  startGame(state, clients, drawn.gameId, drawn.draw);
+
+  broadcast(clients, {
+    type: "match-started",
+    match: state.match,
+    gameState: getPublicGameState(state),
+  });
+  broadcast(clients, {
+    type: "next-game-selected",
+    option: 'match',
+    gameId: drawn.gameId,
+    pickedBy: state.users[userId].name,
+    gameState: getPublicGameState(state),
+  });
+}
+
+/**
+ * Stop the match, or leave the podium of a finished one (host only);
+ * the room goes back to endless play and keeps its leaderboard
+ */
+function handleEndMatch(ws, state, clients) {
+  if (!requireHost(ws, state, 'end the match')) return;
+
+  if (!state.match) {
+    ws.send(JSON.stringify({
+      type: "error",
+      message: "No match is being played",
+    }));
+    return;
+  }
+
+  console.log(`[Server] Match ended in room ${state.roomId}`);
+  state.match = null;
+  releaseMatchSpectators(state);
+  broadcast(clients, {
+    type: "match-ended",
+    gameState: getPublicGameState(state),
   });
 }
 
 /**
- * Handle leaderboard reset (anyone can reset)
+ * Handle leaderboard reset (host only)
  */
 function handleResetLeaderboard(ws, state, clients) {
+  if (!requireHost(ws, state, 'reset the leaderboard')) return;
+
   // Reset leaderboard array
   state.leaderboard = [];
   
@@ -853,23 +2730,224 @@ function handleResetLeaderboard(ws, state, clients) {
   // Broadcast reset
   broadcast(clients, {
     type: "leaderboard-reset",
-    gameState: {
-      currentGameId: state.currentGameId,
-      users: state.users,
-      leaderboard: [...state.leaderboard],
-      roomStatus: state.roomStatus,
-      currentGameStats: [...state.currentGameStats],
-      correctAnswer: state.correctAnswer,
-      nextGameVotes: { ...state.nextGameVotes },
-      nextGameIds: { ...state.nextGameIds },
-      selectedNextGame: state.selectedNextGame,
-    },
+    gameState: getPublicGameState(state),
+  });
+}
+
+/**
+ * Look up the member a moderation message is about; the host can't
+ * target themselves
+ * @param {string} action - For the error (e.g. "kick")
+ * @returns {User|null}
+ */
+function getModerationTarget(data, ws, state, action) {
+  const target = typeof data.userId === 'string' ? state.users[data.userId] : null;
+  if (!target) {
+    ws.send(JSON.stringify({
+      type: "error",
+      message: "Unknown user",
+    }));
+    return null;
+  }
+  if (target.userId === state.hostId) {
+    ws.send(JSON.stringify({
+      type: "error",
+      message: `You can't ${action} yourself`,
+    }));
+    return null;
+  }
+  return target;
+}
+
+/**
+ * Close a member's connections and tell the room. Their leaderboard entry
+ * stays; the close handler marks them offline as for any disconnect.
+ * @param {User} target
+ * @param {string} reason - 'kicked' or 'banned'
+ */
+function removeUser(state, clients, target, reason) {
+  clients.forEach((client) => {
+    if (state.connectionToUserId[client.connectionId] === target.userId) {
+      closeRemoved(client, reason);
+    }
+  });
+  if (reason === 'kicked') {
+    target.wasKicked = true;
+  }
+
+  if (state.pickerId === target.userId) {
+    state.pickerId = null;
+  }
+
+  console.log(`[Server] ${target.userId} ${reason} from room ${state.roomId}`);
+  broadcast(clients, {
+    type: "user-removed",
+    userId: target.userId,
+    name: target.name,
+    reason,
+    gameState: getPublicGameState(state),
+  });
+}
+
+/**
+ * Kick a member (host only). They may join again once the room is unlocked.
+ */
+function handleKickUser(data, ws, state, clients) {
+  if (!requireHost(ws, state, 'kick users')) return;
+  const target = getModerationTarget(data, ws, state, 'kick');
+  if (!target) return;
+
+  if (!target.isOnline) {
+    ws.send(JSON.stringify({
+      type: "error",
+      message: `${target.name} is not in the room`,
+    }));
+    return;
+  }
+  removeUser(state, clients, target, 'kicked');
+}
+
+/**
+ * Ban a member (host only): kick them and refuse their user ID from now on
+ */
+function handleBanUser(data, ws, state, clients) {
+  if (!requireHost(ws, state, 'ban users')) return;
+  const target = getModerationTarget(data, ws, state, 'ban');
+  if (!target) return;
+
+  if (!state.bannedUserIds.includes(target.userId)) {
+    state.bannedUserIds.push(target.userId);
+  }
+  removeUser(state, clients, target, 'banned');
+}
+
+/**
+ * Let a banned user join again (host only)
+ */
+function handleUnbanUser(data, ws, state, clients) {
+  if (!requireHost(ws, state, 'unban users')) return;
+
+  const index = state.bannedUserIds.indexOf(data.userId);
+  if (index === -1) {
+    ws.send(JSON.stringify({
+      type: "error",
+      message: "That user is not banned",
+    }));
+    return;
+  }
+
+  state.bannedUserIds.splice(index, 1);
+  broadcast(clients, {
+    type: "user-unbanned",
+    userId: data.userId,
+    gameState: getPublicGameState(state),
+  });
+}
+
+/**
+ * End the current question without waiting for everyone (host only).
+ * Members who have not answered count as misses, as when the round timer
+ * runs out. Once both questions are done, it settles the next-game vote.
+ */
+function handleForceAdvance(data, ws, state, clients) {
+  if (!requireHost(ws, state, 'skip ahead')) return;
+  const userId = state.connectionToUserId[ws.connectionId];
+
+  if (!state.currentGameId) {
+    ws.send(JSON.stringify({
+      type: "error",
+      message: "No round is being played",
+    }));
+    return;
+  }
+
+  if (state.roomStatus === 'in_progress') {
+    if (state.correctAnswer === null && !state.answerLookupFailed) {
+      ws.send(JSON.stringify({
+        type: "error",
+        message: "This round's answer is still being looked up",
+      }));
+      return;
+    }
+    completeRound(state, { timedOut: true });
+  } else if (state.percentStatus === 'in_progress' && state.currentGameStats.length > 0) {
+    completePercentQuestion(state, { timedOut: true });
+  } else {
+    if (state.selectedNextGame) return;
+    if (!pickWinner(state.nextGameVotes)) {
+      ws.send(JSON.stringify({
+        type: "error",
+        message: "Nobody has voted for the next game yet",
+      }));
+      return;
+    }
+    console.log(`[Server] Host ${userId} settled the next-game vote in room ${state.roomId}`);
+    selectNextGame(state, clients);
+    return;
+  }
+
+  console.log(`[Server] Host ${userId} ended the question early for game ${state.currentGameId} in room ${state.roomId}`);
+  broadcast(clients, {
+    type: "reply-counts-update",
+    timedOut: true,
+    advancedBy: userId,
+    gameState: getPublicGameState(state),
+  });
+}
+
+/**
+ * Lock or unlock the room (host only). A locked room refuses users who
+ * have not been in it before; members can still come back.
+ */
+function handleLockRoom(data, ws, state, clients) {
+  if (!requireHost(ws, state, 'lock the room')) return;
+
+  if (typeof data.locked !== 'boolean') {
+    ws.send(JSON.stringify({
+      type: "error",
+      message: "Invalid lock state. Must be true or false",
+    }));
+    return;
+  }
+
+  state.locked = data.locked;
+  console.log(`[Server] Room ${state.roomId} ${state.locked ? 'locked' : 'unlocked'}`);
+  broadcast(clients, {
+    type: "room-lock-changed",
+    locked: state.locked,
+    gameState: getPublicGameState(state),
   });
 }
 
+/**
+ * Hand the host role to another online member (host only)
+ */
+function handleTransferHost(data, ws, state, clients) {
+  if (!requireHost(ws, state, 'hand over the host role')) return;
+
+  const target = typeof data.userId === 'string' ? state.users[data.userId] : null;
+  if (!target || !target.isOnline || target.userId === state.hostId) {
+    ws.send(JSON.stringify({
+      type: "error",
+      message: "Pick another online member to make host",
+    }));
+    return;
+  }
+  if (target.isSpectator) {
+    ws.send(JSON.stringify({
+      type: "error",
+      message: "Spectators can't be the host: pick a player",
+    }));
+    return;
+  }
+  setHost(state, target.userId, 'transferred');
+}
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, closing server...');
+  // Redeploys stop the process this way: write every room first
+  rooms.forEach((state) => saveRoomNow(state));
   wss.close(() => {
     server.close(() => {
       console.log('Server closed');
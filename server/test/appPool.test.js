@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createAppPool, drawKey } from '../appPool.js';
+
+// A small data folder: raw draws from released_appids.csv, smart tries the
+// batches first
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'apps-'));
+fs.writeFileSync(path.join(dir, 'released_appids.csv'), 'appid\n10\n20\n30\n40\n50\n');
+fs.writeFileSync(path.join(dir, 'Batch_1.csv'), 'appid\n10\n20\n');
+fs.writeFileSync(path.join(dir, 'Batch_2.csv'), 'appid\n30\n');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('draw keys depend on the seed and the draw number', () => {
+  assert.match(drawKey('seed', 1), /^[0-9a-f]{16}$/);
+  assert.equal(drawKey('seed', 1), drawKey('seed', 1));
+  assert.notEqual(drawKey('seed', 1), drawKey('seed', 2));
+  assert.notEqual(drawKey('seed', 1), drawKey('other', 1));
+});
+
+test('the same key replays the same pick', () => {
+  const pool = createAppPool({ dir });
+  for (let n = 1; n <= 5; n++) {
+    const key = drawKey('seed', n);
+    assert.equal(createAppPool({ dir }).pick('raw', { key }), pool.pick('raw', { key }));
+    assert.equal(createAppPool({ dir }).pick('smart', { key }), pool.pick('smart', { key }));
+  }
+});
+
+test('smart picks come from the batches while they have games left', () => {
+  const pool = createAppPool({ dir });
+  for (let n = 1; n <= 10; n++) {
+    assert.ok(['10', '20', '30'].includes(pool.pick('smart', { key: drawKey('seed', n) })));
+  }
+  // Everything in the batches is excluded: fall back to every released app
+  const exclude = new Set(['10', '20', '30', '40']);
+  assert.equal(pool.pick('smart', { key: drawKey('seed', 1), exclude }), '50');
+});
+
+test('excluded games are skipped, and null comes back when nothing is left', () => {
+  const pool = createAppPool({ dir });
+  const exclude = new Set(['10', '20', '30', '50']);
+  for (let n = 1; n <= 10; n++) {
+    assert.equal(pool.pick('raw', { key: drawKey('seed', n), exclude }), '40');
+  }
+  assert.equal(pool.pick('raw', { key: 'k', exclude: new Set(['10', '20', '30', '40', '50']) }), null);
+});
@@ -0,0 +1,26 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { chatLength, isReaction, sanitizeChatText, takeChatSlot } from '../chat.js';
+
+test('chat text becomes a single line of visible text', () => {
+  assert.equal(sanitizeChatText('  hello\n\tthere  '), 'hello there');
+  assert.equal(sanitizeChatText('a\u200Bb\u202Ec'), 'abc');
+  assert.equal(sanitizeChatText('\u0000 '), '');
+  assert.equal(sanitizeChatText(42), '');
+  // The zero-width joiner holds emoji sequences together
+  assert.equal(sanitizeChatText('\u{1F469}\u200D\u{1F4BB}'), '\u{1F469}\u200D\u{1F4BB}');
+  assert.equal(chatLength('👍👍'), 2);
+});
+
+test('reactions are limited to the fixed set', () => {
+  assert.equal(isReaction('🔥'), true);
+  assert.equal(isReaction('💩'), false);
+});
+
+test('users may post 5 times per 10 seconds', () => {
+  const recent = [];
+  for (let i = 0; i < 5; i++) assert.equal(takeChatSlot(recent, 1000 + i), true);
+  assert.equal(takeChatSlot(recent, 2000), false);
+  assert.equal(takeChatSlot(recent, 12000), true);
+  assert.equal(recent.length, 1);
+});
@@ -0,0 +1,38 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildMatchSummary, createMatch, isMatchOver, isMatchRoundCount } from '../match.js';
+
+test('matches have 5, 10, 15 or 20 rounds', () => {
+  assert.equal(isMatchRoundCount(10), true);
+  assert.equal(isMatchRoundCount(7), false);
+  assert.equal(isMatchRoundCount('10'), false);
+});
+
+test('a match is over once all of its rounds are complete', () => {
+  const match = createMatch(5, ['ua'], 1000);
+  assert.equal(isMatchOver(match), false);
+  match.completedRounds = 5;
+  assert.equal(isMatchOver(match), true);
+  assert.equal(isMatchOver(null), false);
+});
+
+test('the summary ranks the match players and lets ties share a place', () => {
+  const match = createMatch(2, ['ua', 'ub', 'uc', 'ud'], 1000);
+  match.completedRounds = 2;
+  const summary = buildMatchSummary(match, {
+    leaderboard: [
+      { userId: 'ua', points: 150, correctAnswers: 2 },
+      { userId: 'ub', points: 150, correctAnswers: 2 },
+      { userId: 'uc', points: 150, correctAnswers: 1 },
+      { userId: 'ue', points: 900, correctAnswers: 9 },
+    ],
+    users: { ua: { name: 'Ann', color: '#f00' }, ub: { name: 'Bo' } },
+    history: [{ gameId: '1' }, { gameId: '2' }, { gameId: '3' }],
+  }, 61000);
+
+  assert.equal(summary.durationMs, 60000);
+  assert.deepEqual(summary.gameIds, ['2', '3']);
+  assert.deepEqual(summary.standings.map((s) => [s.userId, s.place]), [['ua', 1], ['ub', 1], ['uc', 3], ['ud', 4]]);
+  assert.deepEqual(summary.podium.map((s) => s.userId), ['ua', 'ub', 'uc']);
+  assert.equal(summary.standings[3].name, 'User');
+});
@@ -0,0 +1,57 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createReviewLookup, fetchAppReviews } from '../reviewLookup.js';
+
+test('fetchAppReviews reads the totals from the appreviews endpoint', async () => {
+  const urls = [];
+  const stub = http.createServer((req, res) => {
+    urls.push(req.url);
+    res.setHeader('content-type', 'application/json');
+    res.end(JSON.stringify({ success: 1, query_summary: { total_reviews: 7036, total_positive: 6500 } }));
+  });
+  await new Promise((resolve) => stub.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const baseUrl = `http://127.0.0.1:${stub.address().port}/appreviews/`;
+    assert.deepEqual(await fetchAppReviews('570', { baseUrl }), { count: 7036, positivePercent: 92 });
+    assert.match(urls[0], /^\/appreviews\/570\?json=1&language=all&purchase_type=all/);
+  } finally {
+    stub.close();
+  }
+});
+
+test('the lookup caches summaries per app but not failures', async () => {
+  const calls = [];
+  let result = null;
+  const lookup = createReviewLookup({
+    fetcher: async (appId) => {
+      calls.push(appId);
+      return result;
+    },
+  });
+
+  assert.equal(await lookup.get('10'), null);
+  result = { count: 5, positivePercent: 80 };
+  assert.deepEqual(await lookup.get('10'), result);
+  assert.deepEqual(await lookup.get(10), result);
+  assert.deepEqual(calls, ['10', '10']);
+
+  lookup.setFetcher(async () => {
+    throw new Error('offline');
+  });
+  assert.equal(await lookup.get('10'), null);
+});
+
+test('cached summaries expire after the TTL', async () => {
+  let calls = 0;
+  const lookup = createReviewLookup({
+    fetcher: async () => ({ count: ++calls, positivePercent: null }),
+    ttlMs: 20,
+  });
+
+  assert.equal((await lookup.get('10')).count, 1);
+  assert.equal((await lookup.get('10')).count, 1);
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  assert.equal((await lookup.get('10')).count, 2);
+});
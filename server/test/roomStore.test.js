@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createJsonFileStore, createMemoryStore } from '../roomStore.js';
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'rooms-'));
+}
+
+test('the JSON store round-trips rooms and keeps odd room IDs inside its folder', () => {
+  const dir = tempDir();
+  try {
+    const store = createJsonFileStore({ dir });
+    store.save('../ABC/..', { users: { ua: { score: 3 } } });
+
+    const stored = store.load('../ABC/..');
+    assert.equal(stored.roomId, '../ABC/..');
+    assert.deepEqual(stored.state, { users: { ua: { score: 3 } } });
+    assert.equal(store.load('ABC'), null);
+    assert.deepEqual(fs.readdirSync(dir).filter((f) => !f.endsWith('.json')), []);
+
+    store.remove('../ABC/..');
+    assert.equal(store.load('../ABC/..'), null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the JSON store skips unreadable files and prunes old rooms', () => {
+  const dir = tempDir();
+  try {
+    const store = createJsonFileStore({ dir });
+    store.save('OLD', { users: {} });
+    store.save('NEW', { users: {} });
+    fs.writeFileSync(path.join(dir, 'broken.json'), '{');
+
+    // Backdate OLD's save
+    for (const file of fs.readdirSync(dir).filter((f) => f !== 'broken.json')) {
+      const stored = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      if (stored.roomId !== 'OLD') continue;
+      stored.savedAt = Date.now() - 2000;
+      fs.writeFileSync(path.join(dir, file), JSON.stringify(stored));
+    }
+
+    assert.deepEqual(store.prune(1000), ['OLD']);
+    assert.equal(store.load('OLD'), null);
+    assert.ok(store.load('NEW'));
+    assert.equal(fs.existsSync(path.join(dir, 'broken.json')), false);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the memory store keeps a copy of the saved state', async () => {
+  const store = createMemoryStore();
+  const state = { users: { ua: { score: 1 } } };
+  store.save('ROOM', state);
+  state.users.ua.score = 2;
+
+  assert.equal(store.load('ROOM').state.users.ua.score, 1);
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  assert.deepEqual(store.prune(1), ['ROOM']);
+  assert.equal(store.load('ROOM'), null);
+});
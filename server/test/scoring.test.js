@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { isScoringRule, scorePick, SCORING_RULES } from '../scoring.js';
+
+const options = [8, 40, 200, 1000, 5000, 25000];
+const base = { correctAnswer: 1000, options, responseMs: null, timeLimitMs: null, streak: 0 };
+
+test('only the listed rules are known', () => {
+  SCORING_RULES.forEach((rule) => assert.ok(isScoringRule(rule)));
+  assert.equal(isScoringRule('points'), false);
+});
+
+test('classic gives a point per correct answer, also for unknown rules', () => {
+  assert.equal(scorePick('classic', { ...base, answer: 1000 }), 1);
+  assert.equal(scorePick('classic', { ...base, answer: 200 }), 0);
+  assert.equal(scorePick('nope', { ...base, answer: 1000 }), 1);
+});
+
+test('speed goes from 100 down to 50 over the time window', () => {
+  assert.equal(scorePick('speed', { ...base, answer: 1000, responseMs: 0 }), 100);
+  assert.equal(scorePick('speed', { ...base, answer: 1000, responseMs: 15000 }), 75);
+  assert.equal(scorePick('speed', { ...base, answer: 1000, responseMs: 60000 }), 50);
+  assert.equal(scorePick('speed', { ...base, answer: 1000, responseMs: 5000, timeLimitMs: 10000 }), 75);
+  assert.equal(scorePick('speed', { ...base, answer: 1000 }), 50);
+  assert.equal(scorePick('speed', { ...base, answer: 200, responseMs: 0 }), 0);
+});
+
+test('closeness only rewards the neighbouring options', () => {
+  assert.equal(scorePick('closeness', { ...base, answer: 1000 }), 100);
+  const below = scorePick('closeness', { ...base, answer: 200 });
+  const above = scorePick('closeness', { ...base, answer: 5000 });
+  assert.ok(below > 0 && below < 50, String(below));
+  assert.ok(above > 0 && above < 50, String(above));
+  assert.equal(scorePick('closeness', { ...base, answer: 40 }), 0);
+  assert.equal(scorePick('closeness', { ...base, answer: null }), 0);
+  assert.equal(scorePick('closeness', { ...base, answer: 200, options: null }), 0);
+});
+
+test('streak multiplies by the correct answers in a row, up to 3x', () => {
+  assert.equal(scorePick('streak', { ...base, answer: 1000, streak: 0 }), 100);
+  assert.equal(scorePick('streak', { ...base, answer: 1000, streak: 2 }), 200);
+  assert.equal(scorePick('streak', { ...base, answer: 1000, streak: 10 }), 300);
+  assert.equal(scorePick('streak', { ...base, answer: 200, streak: 10 }), 0);
+});
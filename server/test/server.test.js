@@ -0,0 +1,470 @@
+// Round trips against a real server process; Steam is replaced by a local
+// appreviews stub through REVIEW_LOOKUP_URL
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import http from 'node:http';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import WebSocket from 'ws';
+import { createAppPool } from '../appPool.js';
+
+const SERVER_DIR = fileURLToPath(new URL('..', import.meta.url));
+
+// appId -> query_summary served by the stub (anything else fails with a 500)
+const reviews = {
+  100: { total_reviews: 1000, total_positive: 800 },
+  200: { total_reviews: 40, total_positive: 10 },
+};
+
+// Rooms are stored in a throwaway folder
+const ROOM_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'rooms-'));
+
+let stub;
+let server;
+let port;
+
+function freePort() {
+  return new Promise((resolve) => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port: free } = probe.address();
+      probe.close(() => resolve(free));
+    });
+  });
+}
+
+async function startServer() {
+  port = await freePort();
+  server = spawn(process.execPath, ['server.js'], {
+    cwd: SERVER_DIR,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      ROOM_DATA_DIR,
+      REVIEW_LOOKUP_URL: `http://127.0.0.1:${stub.address().port}/`,
+    },
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+  await new Promise((resolve, reject) => {
+    server.stdout.on('data', (chunk) => {
+      if (String(chunk).includes('WebSocket server running')) resolve();
+    });
+    server.once('exit', (code) => reject(new Error(`server exited with ${code}`)));
+  });
+}
+
+/** Stop the server the way a redeploy does */
+async function stopServer() {
+  const exited = new Promise((resolve) => server.once('exit', resolve));
+  server.kill('SIGTERM');
+  const timer = setTimeout(() => server.kill('SIGKILL'), 3000);
+  await exited;
+  clearTimeout(timer);
+}
+
+test.before(async () => {
+  stub = http.createServer((req, res) => {
+    const summary = reviews[req.url.split('?')[0].slice(1)];
+    res.statusCode = summary ? 200 : 500;
+    res.setHeader('content-type', 'application/json');
+    res.end(JSON.stringify(summary ? { success: 1, query_summary: summary } : {}));
+  });
+  await new Promise((resolve) => stub.listen(0, '127.0.0.1', resolve));
+  await startServer();
+});
+
+test.after(async () => {
+  await stopServer();
+  stub.close();
+  fs.rmSync(ROOM_DATA_DIR, { recursive: true, force: true });
+});
+
+/**
+ * Open a connection as `userId`; `next(type)` resolves with the next message
+ * of that type that hasn't been consumed yet
+ */
+function connect(userId) {
+  const ws = new WebSocket(`ws://127.0.0.1:${port}/?userId=${userId}`);
+  const inbox = [];
+  const waiting = [];
+
+  ws.on('message', (raw) => {
+    const message = JSON.parse(raw);
+    const index = waiting.findIndex((w) => w.type === message.type);
+    if (index >= 0) waiting.splice(index, 1)[0].resolve(message);
+    else inbox.push(message);
+  });
+
+  return new Promise((resolve, reject) => {
+    ws.once('error', reject);
+    ws.once('open', () =>
+      resolve({
+        send: (message) => ws.send(JSON.stringify(message)),
+        next(type) {
+          const index = inbox.findIndex((m) => m.type === type);
+          if (index >= 0) return Promise.resolve(inbox.splice(index, 1)[0]);
+          return new Promise((done) => waiting.push({ type, resolve: done }));
+        },
+        close: () => ws.close(),
+      })
+    );
+  });
+}
+
+/** Connect and create a new room (its code comes with `connected`) */
+async function createRoom(userId, password) {
+  const client = await connect(userId);
+  client.send({ type: 'create-room', password });
+  return client;
+}
+
+/** Connect and ask to join a room; `request` may carry `password` and `token` */
+async function joinRoom(userId, roomId, request = {}) {
+  const client = await connect(userId);
+  client.send({ type: 'join-room', roomId, ...request });
+  return client;
+}
+
+/** Next reply-counts-update whose gameState passes the check */
+async function nextState(client, check) {
+  for (;;) {
+    const { gameState } = await client.next('reply-counts-update');
+    if (check(gameState)) return gameState;
+  }
+}
+
+test('the server resolves and scores the answers itself', async () => {
+  const a = await createRoom('ua');
+  const { roomId } = await a.next('connected');
+  const b = await joinRoom('ub', roomId);
+  await b.next('connected');
+
+  a.send({ type: 'guess', guess: -1, gameId: '100' });
+  a.send({ type: 'guess', guess: 5, gameId: '100', correctAnswer: 5 });
+  assert.equal((await a.next('error')).message, 'The answer options are not ready yet');
+
+  const { options } = await b.next('round-start');
+  assert.ok(options.includes(1000));
+  const wrong = options.find((n) => n !== 1000);
+
+  a.send({ type: 'guess', guess: 1003, gameId: '100' });
+  assert.equal((await a.next('error')).message, "That answer is not one of this round's options");
+  a.send({ type: 'guess', guess: wrong, gameId: '100', correctAnswer: wrong });
+  let state = await nextState(b, (s) => s.currentGameStats.length === 1);
+  assert.equal(state.roomStatus, 'in_progress');
+  assert.equal(state.correctAnswer, null);
+
+  b.send({ type: 'guess', guess: 1000, gameId: '100' });
+  state = await nextState(b, (s) => s.roomStatus === 'completed');
+  assert.equal(state.correctAnswer, 1000);
+  assert.equal(state.correctPercent, null);
+  const correct = Object.fromEntries(state.leaderboard.map((e) => [e.userId, e.correctAnswers]));
+  assert.deepEqual(correct, { ua: 0, ub: 1 });
+
+  a.send({ type: 'percent-guess', guess: 80, gameId: '100', correctPercent: 10 });
+  b.send({ type: 'percent-guess', guess: 70, gameId: '100' });
+  state = await nextState(b, (s) => s.percentStatus === 'completed');
+  assert.equal(state.correctPercent, 80);
+  const points = Object.fromEntries(state.leaderboard.map((e) => [e.userId, e.roundPoints]));
+  assert.deepEqual(points, { ua: 50, ub: 80 });
+
+  a.close();
+  b.close();
+});
+
+test('a round whose answer cannot be looked up completes unscored', async () => {
+  const a = await createRoom('ua');
+  await a.next('connected');
+
+  a.send({ type: 'guess', guess: -1, gameId: '999' });
+  assert.equal((await a.next('round-start')).options, null);
+  a.send({ type: 'guess', guess: 3, gameId: '999' });
+  const state = await nextState(a, (s) => s.roomStatus === 'completed');
+  assert.equal(state.correctAnswer, null);
+  assert.deepEqual(state.leaderboard, []);
+
+  a.close();
+});
+
+test('rooms survive a restart of the server', async () => {
+  const a = await createRoom('ua');
+  const { roomId, reconnectToken } = await a.next('connected');
+  a.send({ type: 'guess', guess: -1, gameId: '200' });
+  const { options } = await a.next('round-start');
+  assert.ok(options.includes(40));
+  a.send({ type: 'guess', guess: 40, gameId: '200' });
+  await nextState(a, (s) => s.roomStatus === 'completed');
+  a.close();
+
+  await stopServer();
+  await startServer();
+
+  const again = await joinRoom('ua', roomId, { token: reconnectToken });
+  const { gameState, connectionId } = await again.next('connected');
+  assert.equal(gameState.users.ua.id, connectionId);
+  assert.equal(gameState.currentGameId, '200');
+  assert.deepEqual(
+    gameState.leaderboard.map((e) => [e.userId, e.correctAnswers]),
+    [['ua', 1]]
+  );
+  again.close();
+});
+
+test('completed rounds are kept in the room history', async () => {
+  const a = await createRoom('ua');
+  await a.next('connected');
+  a.send({ type: 'guess', guess: -1, gameId: '200' });
+  await a.next('round-start');
+  a.send({ type: 'guess', guess: 40, gameId: '200' });
+  await nextState(a, (s) => s.roomStatus === 'completed');
+  a.send({ type: 'percent-guess', guess: 30, gameId: '200' });
+  await nextState(a, (s) => s.percentStatus === 'completed');
+
+  a.send({ type: 'get-history', limit: 5 });
+  const { rounds, total } = await a.next('history');
+  assert.equal(total, 1);
+  assert.equal(rounds[0].gameId, '200');
+  assert.equal(rounds[0].correctAnswer, 40);
+  assert.equal(rounds[0].correctPercent, 25);
+  assert.deepEqual(
+    rounds[0].picks.map((p) => [p.userId, p.answerValue, p.correct, p.percentValue]),
+    [['ua', 40, true, 30]]
+  );
+  a.close();
+});
+
+/** Put a room snapshot in storage as if a previous server process saved it */
+function storeRoom(roomId, state) {
+  const file = `${Buffer.from(roomId, 'utf8').toString('base64url')}.json`;
+  fs.writeFileSync(path.join(ROOM_DATA_DIR, file), JSON.stringify({ roomId, savedAt: Date.now(), state }));
+}
+
+test('a restored room resumes its round timer', async () => {
+  const round = {
+    users: {},
+    currentGameId: '200',
+    roomStatus: 'in_progress',
+    correctAnswer: 40,
+    correctPercent: 25,
+    answerOptions: [40, 8, 200],
+    roundStartedAt: Date.now() - 20000,
+    settings: { roundTimeLimit: 30 },
+  };
+  storeRoom('TIMER1', { ...round, roundTimer: { phase: 'count', endsAt: Date.now() + 10000, durationMs: 30000 } });
+  storeRoom('TIMER2', { ...round, roundTimer: { phase: 'count', endsAt: Date.now() - 5000, durationMs: 30000 } });
+
+  const a = await joinRoom('ua', 'TIMER1');
+  const { gameState } = await a.next('connected');
+  assert.equal(gameState.roundTimer.phase, 'count');
+  assert.ok(gameState.roundTimer.remainingMs > 8000 && gameState.roundTimer.remainingMs <= 10000);
+  a.close();
+
+  // Ran out while the server was down: the round and its bonus question close
+  const b = await joinRoom('ub', 'TIMER2');
+  const update = await b.next('reply-counts-update');
+  assert.equal(update.timedOut, true);
+  assert.equal(update.gameState.roomStatus, 'completed');
+  assert.equal(update.gameState.percentStatus, 'completed');
+  assert.equal(update.gameState.roundTimer, null);
+  b.close();
+});
+
+test('a user ID is only taken over with its reconnect token', async () => {
+  const host = await createRoom('ua');
+  const { roomId, reconnectToken } = await host.next('connected');
+  assert.match(reconnectToken, /^[\w-]{32}$/);
+
+  // Claiming the host's public ID without the token makes a new user
+  const spoof = await joinRoom('ua', roomId, { token: 'guess' });
+  const joined = await spoof.next('connected');
+  assert.equal(joined.reconnectToken.length, 32);
+  assert.notEqual(joined.reconnectToken, reconnectToken);
+  const spoofId = Object.values(joined.gameState.users).find((u) => u.id === joined.connectionId).userId;
+  assert.notEqual(spoofId, 'ua');
+  assert.equal(joined.gameState.hostId, 'ua');
+  assert.equal(joined.gameState.users.ua.isOnline, true);
+  assert.ok(!JSON.stringify(joined.gameState).includes(reconnectToken));
+
+  // The token brings the real user back (replacing their old connection)
+  const back = await joinRoom('ua', roomId, { token: reconnectToken });
+  const rejoined = await back.next('connected');
+  assert.equal(rejoined.reconnectToken, undefined);
+  assert.equal(rejoined.gameState.users.ua.id, rejoined.connectionId);
+  assert.equal(rejoined.gameState.hostId, 'ua');
+
+  host.close();
+  spoof.close();
+  back.close();
+});
+
+test('a kicked member is refused while the room is locked', async () => {
+  const host = await createRoom('ua');
+  const { roomId } = await host.next('connected');
+  const member = await joinRoom('ub', roomId);
+  const { reconnectToken } = await member.next('connected');
+
+  host.send({ type: 'kick-user', userId: 'ub' });
+  assert.equal((await member.next('removed')).reason, 'kicked');
+  host.send({ type: 'lock-room', locked: true });
+  await host.next('room-lock-changed');
+
+  const again = await joinRoom('ub', roomId, { token: reconnectToken });
+  assert.equal((await again.next('join-error')).code, 'locked');
+
+  host.send({ type: 'lock-room', locked: false });
+  await host.next('room-lock-changed');
+  const unlocked = await joinRoom('ub', roomId, { token: reconnectToken });
+  const { gameState } = await unlocked.next('connected');
+  assert.equal(gameState.users.ub.isOnline, true);
+
+  host.close();
+  unlocked.close();
+});
+
+test('the password is needed by anyone without a reconnect token', async () => {
+  const host = await createRoom('ua', 'hunter2');
+  const { roomId } = await host.next('connected');
+  const member = await joinRoom('ub', roomId, { password: 'hunter2' });
+  const { reconnectToken } = await member.next('connected');
+  member.close();
+
+  // A former member's public ID alone doesn't skip the password
+  const spoof = await joinRoom('ub', roomId);
+  assert.equal((await spoof.next('join-error')).code, 'password-required');
+  const wrong = await joinRoom('ub', roomId, { password: 'nope' });
+  assert.equal((await wrong.next('join-error')).code, 'wrong-password');
+
+  const back = await joinRoom('ub', roomId, { token: reconnectToken });
+  const { gameState, connectionId } = await back.next('connected');
+  assert.equal(gameState.users.ub.id, connectionId);
+
+  host.close();
+  back.close();
+});
+
+test('a banned member is refused with their reconnect token', async () => {
+  const host = await createRoom('ua', 'hunter2');
+  const { roomId } = await host.next('connected');
+  const member = await joinRoom('ub', roomId, { password: 'hunter2' });
+  const { reconnectToken } = await member.next('connected');
+
+  host.send({ type: 'ban-user', userId: 'ub' });
+  assert.equal((await member.next('removed')).reason, 'banned');
+
+  const again = await joinRoom('ub', roomId, { token: reconnectToken });
+  assert.equal((await again.next('join-error')).code, 'banned');
+  // A fresh ID is a new user, who needs the password
+  const fresh = await joinRoom('uc', roomId);
+  assert.equal((await fresh.next('join-error')).code, 'password-required');
+
+  host.close();
+});
+
+test('spectators watch without holding up or joining the round', async () => {
+  const host = await createRoom('ua');
+  const { roomId } = await host.next('connected');
+  const watcher = await joinRoom('ub', roomId, { spectator: true });
+  const { gameState } = await watcher.next('connected');
+  assert.equal(gameState.users.ub.isSpectator, true);
+
+  host.send({ type: 'transfer-host', userId: 'ub' });
+  assert.equal((await host.next('error')).message, "Spectators can't be the host: pick a player");
+
+  // Not even the game-setting sentinel
+  watcher.send({ type: 'guess', guess: -1, gameId: '100' });
+  assert.equal((await watcher.next('error')).message, "Spectators can't answer");
+
+  host.send({ type: 'guess', guess: -1, gameId: '200' });
+  await watcher.next('round-start');
+  watcher.send({ type: 'guess', guess: 40, gameId: '200' });
+  assert.equal((await watcher.next('error')).message, "Spectators can't answer");
+
+  host.send({ type: 'guess', guess: 40, gameId: '200' });
+  const state = await nextState(watcher, (s) => s.roomStatus === 'completed');
+  assert.deepEqual(state.leaderboard.map((e) => e.userId), ['ua']);
+
+  host.close();
+  watcher.close();
+});
+
+test('the host or the picker moves the room with next-game', async () => {
+  const host = await createRoom('ua');
+  const { roomId } = await host.next('connected');
+  const member = await joinRoom('ub', roomId);
+  await member.next('connected');
+
+  member.send({ type: 'next-game', gameId: '100', option: 'pick' });
+  assert.equal(
+    (await member.next('error')).message,
+    'Only the host or the designated picker can choose the next game'
+  );
+
+  host.send({ type: 'set-picker', userId: 'ub' });
+  assert.equal((await member.next('picker-changed')).gameState.pickerId, 'ub');
+  member.send({ type: 'next-game', gameId: '100', option: 'pick' });
+  const selected = await host.next('next-game-selected');
+  assert.equal(selected.gameId, '100');
+  assert.equal(selected.pickedBy, 'User ub');
+  assert.ok((await host.next('round-start')).options.includes(1000));
+
+  host.close();
+  member.close();
+});
+
+test('only the host sets the first game, and guesses for other games are dropped', async () => {
+  const host = await createRoom('ua');
+  const { roomId } = await host.next('connected');
+  const member = await joinRoom('ub', roomId);
+  await member.next('connected');
+
+  member.send({ type: 'guess', guess: -1, gameId: '100' });
+  host.send({ type: 'guess', guess: -1, gameId: '200' });
+  const { gameId, options } = await member.next('round-start');
+  assert.equal(gameId, '200');
+
+  member.send({ type: 'guess', guess: -1, gameId: '100' });
+  member.send({ type: 'guess', guess: options[0], gameId: '100' });
+  host.send({ type: 'guess', guess: 40, gameId: '200' });
+  const state = await nextState(host, (s) => s.currentGameStats.length > 0);
+  assert.equal(state.currentGameId, '200');
+  assert.deepEqual(state.currentGameStats.map((stat) => stat.userId), ['ua']);
+
+  host.close();
+  member.close();
+});
+
+test('drawn games can be replayed from the published draw key', async () => {
+  const host = await createRoom('ua');
+  await host.next('connected');
+  host.send({ type: 'guess', guess: -1, gameId: '200' });
+  await host.next('round-start');
+
+  host.send({ type: 'next-game', option: 'raw' });
+  const { gameId, gameState } = await host.next('next-game-selected');
+  const { currentDraw } = gameState;
+  assert.deepEqual([currentDraw.number, currentDraw.pool], [1, 'raw']);
+  assert.equal(createAppPool().pick('raw', { key: currentDraw.key, exclude: new Set(['200']) }), gameId);
+  assert.equal(JSON.stringify(gameState).includes('seed'), false);
+
+  host.close();
+});
+
+
+test('users who join during a match watch it', async () => {
+  const host = await createRoom('ua');
+  const { roomId } = await host.next('connected');
+  host.send({ type: 'start-match', rounds: 5 });
+  const { match } = await host.next('match-started');
+  assert.deepEqual([match.rounds, match.completedRounds, match.playerIds], [5, 0, ['ua']]);
+
+  const late = await joinRoom('ub', roomId);
+  const { gameState } = await late.next('connected');
+  assert.equal(gameState.users.ub.isSpectator, true);
+  assert.equal(gameState.users.ub.waitingForMatch, true);
+
+  host.close();
+  late.close();
+});
@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  checkVoter,
+  createVoteCounts,
+  getNextTurnUserId,
+  getTurnUserId,
+  isVoteMode,
+  isVoteSettled,
+  pickWinner,
+  usesProposals,
+  usesVoteTimeout,
+  VOTE_MODES,
+} from '../voteModes.js';
+
+test('only the listed modes are known', () => {
+  VOTE_MODES.forEach((mode) => assert.ok(isVoteMode(mode)));
+  assert.equal(isVoteMode('dictator'), false);
+});
+
+test('everyone waits for all players, majority and propose settle early', () => {
+  const split = { votes: { raw: 2, smart: 1 }, voterCount: 4, allVoted: false };
+  const ahead = { votes: { raw: 3, smart: 0 }, voterCount: 4, allVoted: false };
+  assert.equal(isVoteSettled('everyone', ahead), false);
+  assert.equal(isVoteSettled('everyone', { ...split, allVoted: true }), true);
+  assert.equal(isVoteSettled('majority', split), false);
+  assert.equal(isVoteSettled('majority', ahead), true);
+  assert.equal(isVoteSettled('propose', { votes: { 570: 3 }, voterCount: 4, allVoted: false }), true);
+  // Unknown modes behave like the default
+  assert.equal(isVoteSettled('nope', ahead), false);
+});
+
+test('host and round-robin only take the vote of one player', () => {
+  const voter = { userId: 'ub', hostId: 'ua', turnUserId: 'ub' };
+  assert.equal(checkVoter('everyone', voter), null);
+  assert.equal(checkVoter('host', voter), 'The host picks the next game in this room');
+  assert.equal(checkVoter('host', { ...voter, userId: 'ua' }), null);
+  assert.equal(checkVoter('round-robin', voter), null);
+  assert.equal(checkVoter('round-robin', { ...voter, turnUserId: 'uc' }), "It's not your turn to pick the next game");
+});
+
+test('timeouts and proposals depend on the mode', () => {
+  assert.deepEqual(VOTE_MODES.filter(usesVoteTimeout), ['majority', 'propose']);
+  assert.deepEqual(createVoteCounts('propose'), {});
+  assert.deepEqual(createVoteCounts('host'), { raw: 0, smart: 0 });
+  assert.equal(usesProposals('everyone'), false);
+});
+
+test('pickWinner takes the most votes and breaks ties with the random source', () => {
+  assert.equal(pickWinner({ raw: 0, smart: 0 }), null);
+  assert.equal(pickWinner({ raw: 1, smart: 2 }), 'smart');
+  assert.equal(pickWinner({ raw: 2, smart: 2 }, () => 0), 'raw');
+  assert.equal(pickWinner({ raw: 2, smart: 2 }, () => 0.99), 'smart');
+});
+
+test('turns go round the online players in join order', () => {
+  const members = ['ua', 'ub', 'uc', 'ud'];
+  const online = new Set(['ua', 'uc']);
+  assert.equal(getTurnUserId(members, online, 'uc'), 'uc');
+  assert.equal(getTurnUserId(members, online, 'ub'), 'uc');
+  assert.equal(getNextTurnUserId(members, online, 'uc'), 'ua');
+  assert.equal(getTurnUserId(members, online, null), 'ua');
+  assert.equal(getTurnUserId(members, new Set(), 'ua'), null);
+});
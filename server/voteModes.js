@@ -0,0 +1,172 @@
+/**
+ * Next-game vote modes
+ * How a co-op room settles which game comes next. The mode is chosen per
+ * room (settings.voteMode); the server keeps the votes and the vote timer,
+ * the mode decides who may vote, what they vote on and when it is settled.
+ */
+
+// Mode IDs, in the order the extension lists them
+export const VOTE_MODES = ['everyone', 'majority', 'host', 'round-robin', 'propose'];
+
+export const DEFAULT_VOTE_MODE = 'everyone';
+
+// Majority and propose votes close this long after the first vote
+export const VOTE_TIMEOUT_MS = 20 * 1000;
+
+/**
+ * @typedef {Object} VoteContext
+ * @property {Record<string, number>} votes - Votes per option, including the new one
+ * @property {number} voterCount - Online players
+ * @property {boolean} allVoted - Every online player has voted
+ */
+
+/**
+ * Whether one option has more than half of the players' votes
+ * @param {VoteContext} context
+ * @returns {boolean}
+ */
+function hasMajority({ votes, voterCount }) {
+  return Object.values(votes).some((count) => count > voterCount / 2);
+}
+
+const MODES = {
+  // Everyone votes Raw or Balanced; settled once all online players voted
+  everyone: {
+    settles: ({ allVoted }) => allVoted,
+  },
+
+  // Settled by a majority, by everyone voting, or when the vote times out
+  majority: {
+    timeout: true,
+    settles: (context) => context.allVoted || hasMajority(context),
+  },
+
+  // The host's vote settles it
+  host: {
+    canVote: ({ userId, hostId }) =>
+      userId === hostId ? null : 'The host picks the next game in this room',
+    settles: () => true,
+  },
+
+  // Players take turns: the vote of whoever's turn it is settles it
+  'round-robin': {
+    canVote: ({ userId, turnUserId }) =>
+      userId === turnUserId ? null : "It's not your turn to pick the next game",
+    settles: () => true,
+  },
+
+  // Players vote for games they propose from their current page (the
+  // options are app IDs); settled like a majority vote
+  propose: {
+    proposals: true,
+    timeout: true,
+    settles: (context) => context.allVoted || hasMajority(context),
+  },
+};
+
+/**
+ * Whether a mode ID is known
+ * @param {string} mode
+ * @returns {boolean}
+ */
+export function isVoteMode(mode) {
+  return VOTE_MODES.includes(mode);
+}
+
+/**
+ * @param {string} mode
+ * @returns {Object} The mode (unknown modes behave like the default)
+ */
+function getMode(mode) {
+  return MODES[mode] || MODES[DEFAULT_VOTE_MODE];
+}
+
+/**
+ * Why a user may not vote under a mode
+ * @param {string} mode
+ * @param {{userId: string, hostId: string|null, turnUserId: string|null}} voter
+ * @returns {string|null} The reason, or null when they may vote
+ */
+export function checkVoter(mode, voter) {
+  const { canVote } = getMode(mode);
+  return canVote ? canVote(voter) : null;
+}
+
+/**
+ * Whether the vote is settled after the latest vote
+ * @param {string} mode
+ * @param {VoteContext} context
+ * @returns {boolean}
+ */
+export function isVoteSettled(mode, context) {
+  return getMode(mode).settles(context);
+}
+
+/**
+ * Whether a mode closes the vote VOTE_TIMEOUT_MS after the first vote
+ * @param {string} mode
+ * @returns {boolean}
+ */
+export function usesVoteTimeout(mode) {
+  return !!getMode(mode).timeout;
+}
+
+/**
+ * Whether players vote on proposed app IDs instead of Raw/Balanced
+ * @param {string} mode
+ * @returns {boolean}
+ */
+export function usesProposals(mode) {
+  return !!getMode(mode).proposals;
+}
+
+/**
+ * Empty vote counts for a mode
+ * @param {string} mode
+ * @returns {Record<string, number>}
+ */
+export function createVoteCounts(mode) {
+  return usesProposals(mode) ? {} : { raw: 0, smart: 0 };
+}
+
+/**
+ * The option with the most votes; ties are broken at random
+ * @param {Record<string, number>} votes
+ * @param {() => number} [random]
+ * @returns {string|null} null when nobody voted
+ */
+export function pickWinner(votes, random = Math.random) {
+  const best = Math.max(0, ...Object.values(votes));
+  if (best === 0) return null;
+  const tied = Object.keys(votes).filter((option) => votes[option] === best);
+  return tied[Math.floor(random() * tied.length)];
+}
+
+/**
+ * Whose turn it is to pick in a round-robin room: the stored turn while
+ * that user is an online player, otherwise the next player after them
+ * @param {string[]} memberIds - All members in join order
+ * @param {Set<string>} playerIds - Online players
+ * @param {string|null} turnUserId - The stored turn
+ * @returns {string|null} null when nobody can play
+ */
+export function getTurnUserId(memberIds, playerIds, turnUserId) {
+  if (turnUserId && playerIds.has(turnUserId)) return turnUserId;
+  return getNextTurnUserId(memberIds, playerIds, turnUserId);
+}
+
+/**
+ * The next online player after the given one, in join order (wrapping around)
+ * @param {string[]} memberIds
+ * @param {Set<string>} playerIds
+ * @param {string|null} turnUserId
+ * @returns {string|null}
+ */
+export function getNextTurnUserId(memberIds, playerIds, turnUserId) {
+  const start = memberIds.indexOf(turnUserId);
+  for (let i = 1; i <= memberIds.length; i++) {
+    const userId = memberIds[(start + i) % memberIds.length];
+    if (playerIds.has(userId)) return userId;
+  }
+  return null;
+}
@@ -11,7 +11,17 @@
   if (!DEFAULT_SERVER_URL) {
     console.error('[Co-op Manager] DEFAULT_SERVER_URL not configured in config.js');
   }
+
+  // join-error codes that trying again won't fix (the saved room is dropped)
+  const FINAL_JOIN_ERRORS = ['not-found', 'banned', 'locked', 'password-required', 'wrong-password'];
+
+  // Chat messages kept for the chat panel (the server sends its last 50 on connect)
+  const MAX_CHAT_MESSAGES = 50;
   
+  // chrome.storage.local: roomId -> { userId, token, savedAt } issued by the server
+  const RECONNECT_TOKENS_KEY = 'coopReconnectTokens';
+  const MAX_RECONNECT_TOKENS = 20;
+
   // Co-op state
   const coopState = {
     client: null,
@@ -20,7 +30,9 @@
     connectionId: null,
     userId: null, // Persistent user ID for reconnection
     nickname: null, // User's nickname
+    spectator: false, // Watching the room without playing
     gameState: null,
+    chat: [], // Latest chat messages and reactions, oldest first
     serverUrl: DEFAULT_SERVER_URL,
     isReconnecting: false, // Flag to prevent infinite reconnection loops
     reconnectAttempts: 0, // Track reconnection attempts
@@ -105,6 +117,63 @@
     return userId;
   }
 
+  /**
+   * The userId we have in a room and the reconnect token the server issued
+   * for it. Without the token the server treats us as a new user there.
+   *
+   * @param {string} roomId
+   * @returns {Promise<{userId: string, token: string}|null>}
+   */
+  async function loadReconnectToken(roomId) {
+    let entry = null;
+    try {
+      entry = JSON.parse(sessionStorage.getItem(`coopReconnectToken:${roomId}`) || 'null');
+    } catch (e) {
+      // Ignore sessionStorage errors
+    }
+
+    if (!entry && typeof chrome !== 'undefined' && chrome.storage) {
+      try {
+        const result = await chrome.storage.local.get([RECONNECT_TOKENS_KEY]);
+        entry = (result[RECONNECT_TOKENS_KEY] || {})[roomId] || null;
+      } catch (error) {
+        console.warn('[Co-op] Could not read reconnect token from chrome.storage:', error);
+      }
+    }
+
+    return entry && entry.userId && entry.token ? entry : null;
+  }
+
+  /**
+   * Remember the reconnect token the server issued for a room (only the
+   * most recent rooms are kept)
+   *
+   * @param {string} roomId
+   * @param {string} userId
+   * @param {string} token
+   */
+  async function saveReconnectToken(roomId, userId, token) {
+    const entry = { userId, token, savedAt: Date.now() };
+    try {
+      sessionStorage.setItem(`coopReconnectToken:${roomId}`, JSON.stringify(entry));
+    } catch (e) {
+      // Ignore sessionStorage errors
+    }
+
+    if (typeof chrome !== 'undefined' && chrome.storage) {
+      try {
+        const result = await chrome.storage.local.get([RECONNECT_TOKENS_KEY]);
+        const tokens = { ...(result[RECONNECT_TOKENS_KEY] || {}), [roomId]: entry };
+        const kept = Object.entries(tokens)
+          .sort((a, b) => b[1].savedAt - a[1].savedAt)
+          .slice(0, MAX_RECONNECT_TOKENS);
+        await chrome.storage.local.set({ [RECONNECT_TOKENS_KEY]: Object.fromEntries(kept) });
+      } catch (error) {
+        console.warn('[Co-op] Could not save reconnect token to chrome.storage:', error);
+      }
+    }
+  }
+
   /**
    * Initialize WebSocket client
    * @param {string} serverUrl - Optional server URL (defaults to localhost)
@@ -146,7 +215,9 @@
       });
       
       coopState.connectionId = data.connectionId;
+      coopState.roomId = data.roomId || coopState.roomId; // Created rooms get their code here
       coopState.gameState = data.gameState;
+      coopState.chat = Array.isArray(data.chat) ? data.chat : [];
       coopState.isConnected = true;
       coopState.isReconnecting = false; // Reset reconnection flag on successful connection
       coopState.reconnectAttempts = 0; // Reset reconnection attempts on successful connection
@@ -182,6 +253,11 @@
         }
       }
       
+      // New in this room: keep the token that lets us back in as the same user
+      if (data.reconnectToken && coopState.roomId && coopState.userId) {
+        saveReconnectToken(coopState.roomId, coopState.userId, data.reconnectToken);
+      }
+      
       // Ensure userId is set (should already be set, but double-check)
       if (!coopState.userId) {
         console.warn('[Co-op] No userId after connection, generating one...');
@@ -194,8 +270,11 @@
       if (!coopState.nickname) {
         // Only prompt if we don't have a saved nickname
         const savedNickname = sessionStorage.getItem('coopNickname');
+        const defaultNickname = ns.settings ? ns.settings.get().nickname : '';
         if (savedNickname) {
           coopState.nickname = savedNickname;
+        } else if (defaultNickname) {
+          coopState.nickname = defaultNickname;
         } else {
           const nickname = prompt('Enter your nickname:') || '';
           const trimmedNickname = nickname.trim();
@@ -225,8 +304,8 @@
         const currentGameId = data.gameState.currentGameId;
         const users = data.gameState.users || {};
         const onlineUsers = Object.values(users).filter(u => u.isOnline);
-        // User is host if they're the only online user (first user in room)
-        const isHost = onlineUsers.length === 1;
+        // The server makes the room's first member the host
+        const isHost = data.gameState.hostId === coopState.userId;
         const currentPageAppId = ns.getCurrentSteamAppId ? ns.getCurrentSteamAppId() : null;
         
         console.log('[Co-op] Connection game state check:', {
@@ -246,7 +325,9 @@
           const gameIdStr = currentGameId.toString().trim();
           const pageIdStr = currentPageAppId ? currentPageAppId.toString().trim() : null;
           
-          if (pageIdStr !== gameIdStr) {
+          if (pageIdStr !== gameIdStr && isExtensionPaused()) {
+            console.log('[Co-op] Extension paused in this tab, not navigating to the active game:', gameIdStr);
+          } else if (pageIdStr !== gameIdStr) {
             // User is on a different page, navigate to the active game
             console.log('[Co-op] Active game found in room:', gameIdStr, 'Current page:', pageIdStr, '- navigating...');
             
@@ -284,7 +365,12 @@
                 // The server will recognize this as a new game and set currentGameId
                 // Use -1 as a sentinel value to indicate this is initialization (not a real guess)
                 const gameIdStr = currentPageAppId.toString();
-                coopState.client.sendGuess(-1, gameIdStr, null);
+                if (isSpectating()) {
+                  // The server refuses guesses from spectators, sentinel included
+                  coopState.client.sendNextGame(gameIdStr);
+                } else {
+                  coopState.client.sendGuess(-1, gameIdStr);
+                }
                 console.log('[Co-op] Sent initial game ID to server:', gameIdStr);
               } else {
                 console.warn('[Co-op] Client not connected when trying to send initial game ID');
@@ -350,7 +436,8 @@
           const pageIdStr = currentPageAppId ? currentPageAppId.toString().trim() : null;
           
           // If game changed and we're not already on that page, navigate
-          if (previousGameId !== newGameId && pageIdStr !== gameIdStr) {
+          // (unless the extension is paused in this tab)
+          if (previousGameId !== newGameId && pageIdStr !== gameIdStr && !isExtensionPaused()) {
             console.log('[Co-op] Game changed detected:', previousGameId, '->', gameIdStr, '- navigating...');
             
             // Save connection info before navigation
@@ -437,6 +524,11 @@
         console.log('[Co-op] Client is navigating, skipping reconnection');
         return;
       }
+
+      if (isExtensionPaused()) {
+        console.log('[Co-op] Extension paused in this tab, skipping reconnection');
+        return;
+      }
       
       // Prevent infinite reconnection loops
       if (coopState.isReconnecting) {
@@ -494,6 +586,12 @@
     // Error
     coopState.client.on('error', (error) => {
       console.error('[Co-op] Error:', error);
+      // Errors from the server (e.g. a host-only action) are shown to the user
+      if (error && typeof error.message === 'string') {
+        window.dispatchEvent(new CustomEvent('coop-error', {
+          detail: error
+        }));
+      }
     });
 
     // Game changed
@@ -509,6 +607,82 @@
       }
     });
 
+    // Round start: the server generated this round's answer options
+    coopState.client.on('round-start', (data) => {
+      console.log('[Co-op] Round started:', data.gameId, data.options);
+      if (data.gameState) {
+        coopState.gameState = data.gameState;
+      }
+      window.dispatchEvent(new CustomEvent('coop-round-start', {
+        detail: data
+      }));
+    });
+
+    // Remaining time of a timed question (sent every second)
+    coopState.client.on('round-timer', (data) => {
+      window.dispatchEvent(new CustomEvent('coop-round-timer', {
+        detail: data
+      }));
+    });
+
+    // Room settings changed (e.g. the round time limit)
+    coopState.client.on('settings-updated', (data) => {
+      console.log('[Co-op] Room settings updated:', data.settings);
+      if (data.gameState) {
+        coopState.gameState = data.gameState;
+      }
+      window.dispatchEvent(new CustomEvent('coop-settings-updated', {
+        detail: data
+      }));
+    });
+
+    // Host role, room lock, moderation and match updates
+    [
+      'host-changed', 'room-lock-changed', 'user-removed', 'user-unbanned', 'picker-changed',
+      'match-started', 'match-finished', 'match-ended',
+    ].forEach((type) => {
+      coopState.client.on(type, (data) => {
+        console.log(`[Co-op] ${type}:`, data);
+        if (data.gameState) {
+          coopState.gameState = data.gameState;
+        }
+        window.dispatchEvent(new CustomEvent(`coop-${type}`, {
+          detail: data
+        }));
+      });
+    });
+
+    // We were kicked, banned or refused: leave the room for good
+    coopState.client.on('removed', async (data) => {
+      console.warn('[Co-op] Removed from room:', data.reason);
+      coopState.isConnected = false;
+      coopState.roomId = null;
+      coopState.connectionId = null;
+      coopState.gameState = null;
+      coopState.chat = [];
+      await clearConnectionInfo();
+      emitStatusChange();
+      window.dispatchEvent(new CustomEvent('coop-removed', {
+        detail: data
+      }));
+    });
+
+    // Chat message or reaction from anyone in the room (including us)
+    coopState.client.on('chat-message', (data) => {
+      if (!data.message) return;
+      coopState.chat = [...coopState.chat, data.message].slice(-MAX_CHAT_MESSAGES);
+      window.dispatchEvent(new CustomEvent('coop-chat-message', {
+        detail: data
+      }));
+    });
+
+    // Round history (answer to get-history)
+    coopState.client.on('history', (data) => {
+      window.dispatchEvent(new CustomEvent('coop-history', {
+        detail: data
+      }));
+    });
+
     // Score update
     coopState.client.on('score-update', (data) => {
       console.log('[Co-op] Score update:', data);
@@ -569,6 +743,7 @@
       sessionStorage.setItem('coopServerUrl', serverUrl);
       sessionStorage.setItem('coopConnected', 'true');
       sessionStorage.setItem('coopUserId', userId);
+      sessionStorage.setItem('coopSpectator', coopState.spectator ? 'true' : 'false');
       
       // Save nickname if available
       if (coopState.nickname) {
@@ -601,6 +776,7 @@
       sessionStorage.removeItem('coopRoomId');
       sessionStorage.removeItem('coopServerUrl');
       sessionStorage.removeItem('coopConnected');
+      sessionStorage.removeItem('coopSpectator');
       // Note: We keep coopUserId and coopNickname so user keeps same ID and nickname across sessions
       console.log('[Co-op] Connection info cleared from sessionStorage');
     } catch (error) {
@@ -620,8 +796,9 @@
       const connected = sessionStorage.getItem('coopConnected');
       const userId = sessionStorage.getItem('coopUserId');
       const nickname = sessionStorage.getItem('coopNickname');
+      const spectator = sessionStorage.getItem('coopSpectator') === 'true';
       
-      console.log('[Co-op] SessionStorage result:', { roomId, serverUrl, connected, userId, nickname });
+      console.log('[Co-op] SessionStorage result:', { roomId, serverUrl, connected, userId, nickname, spectator });
       
       if (connected === 'true' && roomId) {
         // Restore user ID if available
@@ -633,6 +810,7 @@
         if (nickname) {
           coopState.nickname = nickname;
         }
+        coopState.spectator = spectator;
         
         console.log('[Co-op] ✅ Found saved connection info in sessionStorage');
         return {
@@ -640,6 +818,7 @@
           serverUrl: serverUrl || DEFAULT_SERVER_URL,
           userId,
           nickname,
+          spectator,
         };
       } else {
         console.log('[Co-op] No valid connection info in sessionStorage');
@@ -653,13 +832,16 @@
   }
 
   /**
-   * Connect to a room
-   * @param {string} roomId - Room ID to join
+   * Connect to a room. When the server refuses (wrong password, room full,
+   * banned, ...) this rejects with its message and `error.code`.
+   * @param {string|null} roomId - Room code to join, or null to create a room
    * @param {string} serverUrl - Optional server URL
    * @param {string} userName - User name/nickname (optional)
+   * @param {string|null} password - Room password (optional; sets it when creating)
+   * @param {boolean} spectator - Watch without playing (reconnections keep the current mode)
    * @returns {Promise<void>}
    */
-  async function connectToRoom(roomId, serverUrl = null, userName = null) {
+  async function connectToRoom(roomId, serverUrl = null, userName = null, password = null, spectator = coopState.spectator) {
     if (!coopState.client) {
       if (!initWebSocketClient(serverUrl || DEFAULT_SERVER_URL)) {
         throw new Error('Failed to initialize WebSocket client');
@@ -668,6 +850,7 @@
 
     const url = serverUrl || coopState.serverUrl;
     coopState.roomId = roomId;
+    coopState.spectator = !!spectator;
 
     try {
       // Always ensure we have a userId before connecting
@@ -689,7 +872,7 @@
         console.log('[Co-op] Updated coopState.userId to:', userId);
       }
       
-      console.log(`[Co-op] Connecting to room "${roomId}" on ${url}...`, { 
+      console.log(`[Co-op] ${roomId ? `Connecting to room "${roomId}"` : 'Creating a room'} on ${url}...`, { 
         userId, 
         userIdType: typeof userId,
         userIdLength: userId ? userId.length : 0,
@@ -712,7 +895,15 @@
         }
       }
       
-      await coopState.client.connect(url, roomId, userId);
+      // Come back as the user we already are in this room
+      const saved = roomId ? await loadReconnectToken(roomId) : null;
+      if (saved && saved.userId !== userId) {
+        console.log('[Co-op] Using the userId this room knows us by:', saved.userId);
+        userId = saved.userId;
+        coopState.userId = userId;
+      }
+      
+      await coopState.client.connect(url, roomId, userId, password, saved ? saved.token : null, coopState.spectator);
       console.log('[Co-op] Successfully connected to room');
       
       // Send nickname to server if we have one (don't wait for prompt)
@@ -723,7 +914,16 @@
       // Note: Connection info will be saved in the 'connected' event handler
       // where we have full connection details (connectionId, role, etc.)
     } catch (error) {
-      console.error('[Co-op] Connection failed:', error);
+      if (error && error.code) {
+        console.warn(`[Co-op] Server refused the room (${error.code}):`, error.message);
+        coopState.roomId = null;
+        if (FINAL_JOIN_ERRORS.includes(error.code)) {
+          await clearConnectionInfo();
+        }
+        emitStatusChange();
+      } else {
+        console.error('[Co-op] Connection failed:', error);
+      }
       throw error;
     }
   }
@@ -738,6 +938,7 @@
       coopState.roomId = null;
       coopState.connectionId = null;
       coopState.gameState = null;
+      coopState.chat = [];
       console.log('[Co-op] Disconnected');
       
       // Clear saved connection info
@@ -747,6 +948,23 @@
     }
   }
 
+  /**
+   * Leave the room while the extension is paused in this tab: a paused tab
+   * can't answer or vote, so it must not hold up the room as an online
+   * player. The saved room is kept so the tab rejoins on resume.
+   */
+  async function leaveWhilePaused() {
+    if (!coopState.client || !coopState.isConnected) return;
+
+    await saveConnectionInfo(coopState.roomId, coopState.serverUrl);
+    coopState.client.disconnect();
+    coopState.isConnected = false;
+    coopState.connectionId = null;
+    coopState.gameState = null;
+    console.log('[Co-op] Extension paused in this tab, left the room until it is resumed');
+    emitStatusChange();
+  }
+
   /**
    * Emit status change event for UI updates
    */
@@ -773,6 +991,15 @@
   }
 
 
+  /**
+   * Whether the extension is paused in this tab (pauseState.js). Paused tabs
+   * leave their room and neither reconnect nor follow it to another game.
+   * @returns {boolean}
+   */
+  function isExtensionPaused() {
+    return !!(ns.pauseState && ns.pauseState.isPaused());
+  }
+
   /**
    * Attempt to reconnect using saved connection info
    */
@@ -782,6 +1009,15 @@
       console.log('[Co-op] Already reconnecting via reconnect-needed handler, skipping attemptReconnection');
       return false;
     }
+
+    // The stored pause state has to be known before touching the room
+    if (ns.pauseState) {
+      await ns.pauseState.load();
+    }
+    if (isExtensionPaused()) {
+      console.log('[Co-op] Extension paused in this tab, skipping reconnection');
+      return false;
+    }
     
     try {
       const saved = await getSavedConnectionInfo();
@@ -828,16 +1064,43 @@
    * @param {string} roomId - Room ID to connect to
    * @param {string} serverUrl - WebSocket server URL
    * @param {string} userName - User name/nickname (optional)
+   * @param {string|null} password - Room password (optional)
+   * @param {boolean} spectator - Join as a spectator (optional)
    */
-  async function connect(roomId, serverUrl = null, userName = null) {
-    return connectToRoom(roomId, serverUrl, userName);
+  async function connect(roomId, serverUrl = null, userName = null, password = null, spectator = false) {
+    return connectToRoom(roomId, serverUrl, userName, password, spectator);
+  }
+
+  /**
+   * Create a new room (the server picks its code) and join it as host
+   * @param {string} serverUrl - WebSocket server URL
+   * @param {string} userName - User name/nickname (optional)
+   * @param {string|null} password - Password other players will need (optional)
+   * @param {boolean} spectator - Host the room without playing (optional)
+   */
+  async function createRoom(serverUrl = null, userName = null, password = null, spectator = false) {
+    return connectToRoom(null, serverUrl, userName, password, spectator);
+  }
+
+  /**
+   * Whether we watch the room without playing: by choice, or because we
+   * joined while a match was under way
+   * @returns {boolean}
+   */
+  function isSpectating() {
+    if (coopState.spectator) return true;
+    const users = coopState.gameState && coopState.gameState.users;
+    const user = users && coopState.userId ? users[coopState.userId] : null;
+    return !!(user && user.isSpectator);
   }
 
   ns.coop = {
     init: initWebSocketClient,
     connect: connect,
+    createRoom: createRoom,
     disconnect: disconnect,
     getStatus: getStatus,
+    isSpectating: isSpectating,
     attemptReconnection: attemptReconnection,
     saveConnectionInfo: saveConnectionInfo,
     getState: () => ({ ...coopState }), // Read-only state access
@@ -906,6 +1169,18 @@
     }
   }
 
+  // Leave the room when the extension is paused in this tab and rejoin the
+  // saved room once it is resumed
+  if (ns.pauseState) {
+    ns.pauseState.onChange(() => {
+      if (isExtensionPaused()) {
+        leaveWhilePaused();
+      } else if (!coopState.isConnected && window.wsClient) {
+        attemptReconnection();
+      }
+    });
+  }
+
   // Auto-initialize on page load (works for both regular and age-check pages)
   if (typeof window !== 'undefined') {
     // Try immediate initialization
@@ -6,23 +6,76 @@
 (function (root) {
   const ns = (root.ReviewGuesser = root.ReviewGuesser || {});
 
+  /**
+   * The room's vote mode (server/voteModes.js)
+   * @param {Object|null} gameState
+   * @returns {string}
+   */
+  function getVoteMode(gameState) {
+    return (gameState && gameState.settings && gameState.settings.voteMode) || 'everyone';
+  }
+
+  /**
+   * Why we can't vote for the next game right now
+   * @param {Object} gameState
+   * @returns {string|null} The reason, or null when we can vote
+   */
+  function getVoteBlocker(gameState) {
+    const state = ns.coop.getState();
+    if (ns.coop.isSpectating()) return "Spectators don't vote";
+
+    const match = gameState.match;
+    if (match && match.completedRounds >= match.rounds) {
+      return 'The match is over: the host can start a new match';
+    }
+
+    const mode = getVoteMode(gameState);
+    if (mode === 'host' && gameState.hostId !== state.userId) {
+      return 'The host picks the next game in this room';
+    }
+    if (mode === 'round-robin' && gameState.turnUserId !== state.userId) {
+      const turnUser = gameState.users ? gameState.users[gameState.turnUserId] : null;
+      return turnUser ? `It's ${turnUser.name}'s turn to pick the next game` : 'Nobody can pick the next game right now';
+    }
+
+    // Enable voting if room is completed OR if user has replied
+    // Find user by connectionId (need to search through users to find matching id)
+    let userHasReplied = false;
+    if (gameState.users && state.connectionId) {
+      const user = Object.values(gameState.users).find(u => u.id === state.connectionId);
+      userHasReplied = user ? user.hasReplied : false;
+    }
+    if (gameState.roomStatus !== 'completed' && !userHasReplied) {
+      return 'Reply to the current game first';
+    }
+    return null;
+  }
+
   /**
    * Update Next Game button visibility and vote counts
    */
   function updateNextGameButtons() {
+    updatePickControls();
+    updateProposalControls();
+
     const nextGameButtons = document.querySelectorAll('.ext-next-game');
     const status = ns.coop ? ns.coop.getStatus() : null;
     const gameState = status && ns.coop.getState() ? ns.coop.getState().gameState : null;
     
     nextGameButtons.forEach(btn => {
-      // Hide buttons if not connected
+      // Single-player: plain navigation buttons without vote counts
       if (!status || !status.isConnected) {
-        btn.style.display = 'none';
+        btn.style.display = '';
+        btn.disabled = false;
+        btn.title = '';
+        if (btn.dataset.baseText) {
+          btn.textContent = btn.dataset.baseText;
+        }
         return;
       }
       
-      // Show buttons when connected
-      btn.style.display = '';
+      // Show buttons when connected (rooms that vote on proposals don't use them)
+      btn.style.display = getVoteMode(gameState) === 'propose' ? 'none' : '';
       
       // Update vote counts and enable/disable state
       if (gameState) {
@@ -57,23 +110,11 @@
           btn.textContent = baseText;
         }
         
-        // Enable buttons if room is completed OR if user has replied
-        // Find user by connectionId (need to search through users to find matching id)
-        let userHasReplied = false;
-        if (gameState.users && status.connectionId) {
-          const user = Object.values(gameState.users).find(u => u.id === status.connectionId);
-          userHasReplied = user ? user.hasReplied : false;
-        }
-        
-        const roomCompleted = gameState.roomStatus === 'completed';
-        const shouldEnable = roomCompleted || userHasReplied;
-        
-        btn.disabled = !shouldEnable;
-        if (!shouldEnable) {
-          btn.title = 'Reply to the current game first';
-        } else {
-          btn.title = '';
-        }
+        const blocker = getVoteBlocker(gameState);
+        btn.disabled = !!blocker;
+        btn.title = blocker || (getVoteMode(gameState) === 'majority'
+          ? 'A majority decides, or the most votes 20s after the first vote'
+          : '');
       } else {
         // Not connected - enable buttons normally
         btn.disabled = false;
@@ -89,6 +130,177 @@
     });
   }
 
+  /**
+   * Whether we may move the room to a game without a vote (host, the
+   * picker the host designated, or whose turn it is in a round-robin room)
+   * @returns {boolean}
+   */
+  function canPickNextGame() {
+    const state = ns.coop && ns.coop.getState ? ns.coop.getState() : null;
+    if (!state || !state.isConnected || !state.gameState || !state.userId) return false;
+    const { hostId, pickerId, turnUserId } = state.gameState;
+    return [hostId, pickerId, turnUserId].includes(state.userId);
+  }
+
+  /**
+   * Create the buttons that move the room to a game right away: one the
+   * server draws from either pool, or the game on this page
+   * @returns {HTMLElement}
+   */
+  function createPickControls() {
+    const wrap = document.createElement('span');
+    wrap.className = 'ext-coop-pick';
+
+    const send = (gameId, option) => {
+      const state = ns.coop.getState();
+      if ((gameId || option !== 'pick') && state.client && state.isConnected) {
+        console.log('[Co-op Next Game] Picking next game:', gameId || option);
+        state.client.sendNextGame(gameId ? String(gameId) : null, option);
+      }
+    };
+
+    [['raw', '⏩ Raw'], ['smart', '⏩ Balanced']].forEach(([option, label]) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'ext-coop-pick-btn';
+      btn.textContent = label;
+      btn.title = 'Move the room to a random game now, without a vote';
+      btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        send(null, option);
+      });
+      wrap.appendChild(btn);
+    });
+
+    const here = document.createElement('button');
+    here.type = 'button';
+    here.className = 'ext-coop-pick-btn ext-coop-pick-here';
+    here.textContent = '📍 Play this game';
+    here.title = 'Move the room to the game on this page';
+    here.addEventListener('click', (e) => {
+      e.preventDefault();
+      send(ns.getCurrentSteamAppId ? ns.getCurrentSteamAppId() : null, 'pick');
+    });
+    wrap.appendChild(here);
+
+    return wrap;
+  }
+
+  /**
+   * Show the direct-pick buttons to the host and the designated picker
+   */
+  function updatePickControls() {
+    let wrap = document.querySelector('.ext-coop-pick');
+    if (!canPickNextGame()) {
+      if (wrap) wrap.style.display = 'none';
+      return;
+    }
+
+    // Next to the Next buttons (in the co-op bar once connected)
+    const anchor = document.querySelector('.ext-coop-next-buttons') ||
+      (document.querySelector('.ext-next-game') || {}).parentElement;
+    if (!anchor) return;
+    if (!wrap) wrap = createPickControls();
+    if (wrap.parentElement !== anchor) anchor.appendChild(wrap);
+    wrap.style.display = '';
+
+    // "Play this game" only makes sense on another game's page
+    const gameState = ns.coop.getState().gameState;
+    const pageAppId = ns.getCurrentSteamAppId ? ns.getCurrentSteamAppId() : null;
+    wrap.querySelector('.ext-coop-pick-here').style.display =
+      pageAppId && String(pageAppId) !== String(gameState.currentGameId) ? '' : 'none';
+  }
+
+  /**
+   * Name of the game on this page, sent along with a proposal
+   * @returns {string}
+   */
+  function getPageGameName() {
+    const title = document.getElementById('appHubAppName');
+    return (title ? title.textContent : document.title.replace(/ on Steam$/, '')).trim();
+  }
+
+  /**
+   * Vote for a proposed game, or propose the one on this page
+   * @param {string} gameId
+   * @param {string|null} name - Only needed for a new proposal
+   */
+  function voteForProposal(gameId, name = null) {
+    const state = ns.coop.getState();
+    if (gameId && state.client && state.isConnected) {
+      console.log('[Co-op Next Game] Voting for proposal:', gameId);
+      state.client.sendNextGameVote('propose', String(gameId), name);
+    }
+  }
+
+  /**
+   * Show the proposals of a room that votes on them: a button per proposed
+   * game with its votes, and one to propose the game on this page
+   */
+  function updateProposalControls() {
+    let wrap = document.querySelector('.ext-coop-proposals');
+    const state = ns.coop && ns.coop.getState ? ns.coop.getState() : null;
+    const gameState = state && state.isConnected ? state.gameState : null;
+    if (!gameState || getVoteMode(gameState) !== 'propose') {
+      if (wrap) wrap.style.display = 'none';
+      return;
+    }
+
+    const anchor = document.querySelector('.ext-coop-next-buttons') ||
+      (document.querySelector('.ext-next-game') || {}).parentElement;
+    if (!anchor) return;
+    if (!wrap) {
+      wrap = document.createElement('span');
+      wrap.className = 'ext-coop-proposals';
+    }
+    if (wrap.parentElement !== anchor) anchor.appendChild(wrap);
+    wrap.style.display = '';
+    wrap.textContent = '';
+
+    const blocker = getVoteBlocker(gameState);
+    const me = gameState.users ? gameState.users[state.userId] : null;
+    const votes = gameState.nextGameVotes || {};
+    const names = gameState.nextGameNames || {};
+
+    Object.keys(gameState.nextGameIds || {}).forEach((gameId) => {
+      const count = votes[gameId] || 0;
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'ext-coop-proposal';
+      btn.classList.toggle('ext-coop-proposal--mine', !!me && me.nextGameVote === gameId);
+      btn.textContent = `${names[gameId] || gameId} (${count} vote${count !== 1 ? 's' : ''})`;
+      btn.disabled = !!blocker;
+      btn.title = blocker || `Vote for app ${gameId}`;
+      btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        voteForProposal(gameId);
+      });
+      wrap.appendChild(btn);
+    });
+
+    // Proposing only makes sense on another game's page
+    const pageAppId = ns.getCurrentSteamAppId ? ns.getCurrentSteamAppId() : null;
+    if (pageAppId && String(pageAppId) !== String(gameState.currentGameId) &&
+        !(gameState.nextGameIds || {})[String(pageAppId)]) {
+      const propose = document.createElement('button');
+      propose.type = 'button';
+      propose.className = 'ext-coop-proposal ext-coop-propose-here';
+      propose.textContent = '📍 Propose this game';
+      propose.disabled = !!blocker;
+      propose.title = blocker || 'Propose the game on this page and vote for it';
+      propose.addEventListener('click', (e) => {
+        e.preventDefault();
+        voteForProposal(pageAppId, getPageGameName());
+      });
+      wrap.appendChild(propose);
+    } else if (Object.keys(gameState.nextGameIds || {}).length === 0) {
+      const hint = document.createElement('span');
+      hint.className = 'ext-coop-proposals-hint';
+      hint.textContent = 'Open a game\'s store page to propose it';
+      wrap.appendChild(hint);
+    }
+  }
+
   /**
    * Hook into Next Game button clicks to send next-game message
    */
@@ -100,15 +312,15 @@
       const newBtn = btn.cloneNode(true);
       btn.parentNode.replaceChild(newBtn, btn);
       
-      newBtn.addEventListener('click', async (e) => {
-        if (!ns.coop) {
-          // Not in co-op mode, proceed normally
-          return;
-        }
-
-        const status = ns.coop.getStatus();
-        if (!status.isConnected) {
-          // Not connected, proceed normally (single-player mode)
+      newBtn.addEventListener('click', (e) => {
+        if (!ns.coop || !ns.coop.getStatus().isConnected) {
+          // Single-player mode: cloning dropped the original click listener,
+          // so navigate from here
+          e.preventDefault();
+          const mode = newBtn.dataset.mode || (newBtn.textContent.includes('Raw') ? 'pure' : 'smart');
+          if (ns.navigateToRandomApp) {
+            ns.navigateToRandomApp(mode);
+          }
           return;
         }
 
@@ -124,25 +336,8 @@
         if (state.client && state.isConnected) {
           console.log('[Co-op Next Game] Voting for:', voteOption);
           
-          // Get the app ID for this option (for when it's selected)
-          let appId = null;
-          try {
-            if (voteOption === 'smart' && ns.getSmartRandomAppId) {
-              appId = await ns.getSmartRandomAppId();
-            } else if (voteOption === 'raw' && ns.getPureRandomAppId) {
-              appId = await ns.getPureRandomAppId();
-            } else if (ns.getReleasedAppIds) {
-              const appIds = await ns.getReleasedAppIds();
-              if (appIds && appIds.length > 0) {
-                appId = appIds[Math.floor(Math.random() * appIds.length)];
-              }
-            }
-          } catch (error) {
-            console.warn('[Co-op Next Game] Could not get app ID:', error);
-          }
-          
-          // Send vote
-          state.client.sendNextGameVote(voteOption, appId ? String(appId) : null);
+          // Send vote (the server draws the game once the vote is settled)
+          state.client.sendNextGameVote(voteOption);
           
           // Optimistically update the UI immediately (will be confirmed by server update)
           // This ensures the user sees their vote right away
@@ -208,6 +403,11 @@
     window.addEventListener('coop-reply-counts-update', () => {
       updateNextGameButtons();
     });
+
+    // The host, the picker or the vote mode changed: show the right controls
+    ['coop-host-changed', 'coop-picker-changed', 'coop-settings-updated'].forEach((type) => {
+      window.addEventListener(type, () => updateNextGameButtons());
+    });
     
     // Update when vote counts change
     window.addEventListener('coop-next-game-vote-update', (event) => {
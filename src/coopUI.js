@@ -12,6 +12,74 @@
     console.error('[Co-op UI] DEFAULT_SERVER_URL not configured in config.js');
   }
   
+  // Round time limits the server accepts, in seconds (0 = no timer)
+  const ROUND_TIME_LIMITS = [0, 15, 30, 45, 60, 90, 120];
+
+  // Scoring rules the server knows (server/scoring.js)
+  const SCORING_RULES = [
+    { id: 'classic', label: 'Classic', description: '1 point per correct answer' },
+    { id: 'speed', label: 'Speed bonus', description: 'Faster correct answers score more (50-100)' },
+    { id: 'closeness', label: 'Closeness', description: 'Partial credit for the option next to the right one' },
+    { id: 'streak', label: 'Streaks', description: 'Correct answers in a row multiply the points (up to 3x)' },
+  ];
+
+  // How the room chooses the next game (server/voteModes.js)
+  const VOTE_MODES = [
+    { id: 'everyone', label: 'Everyone votes', description: 'The next game is chosen once every player voted' },
+    { id: 'majority', label: 'Majority (20s)', description: 'A majority decides, or the most votes 20s after the first one' },
+    { id: 'host', label: 'Host decides', description: "The host's vote chooses the next game" },
+    { id: 'round-robin', label: 'Take turns', description: 'Players take turns choosing the next game' },
+    { id: 'propose', label: 'Propose games', description: 'Players propose the game on their page and vote on the proposals' },
+  ];
+
+  // Reactions to a revealed answer (keep in sync with REACTION_EMOJIS in server/chat.js)
+  const CHAT_REACTIONS = ['👍', '👏', '😂', '😮', '😭', '🔥'];
+
+  // Longest chat message the server accepts
+  const MAX_CHAT_LENGTH = 300;
+
+  // Round counts of a match (server/match.js)
+  const MATCH_ROUND_COUNTS = [5, 10, 15, 20];
+
+  // Let the last answer of a match sink in before the podium covers it
+  const MATCH_END_SCREEN_DELAY_MS = 2500;
+
+  // Room settings that can be changed from the co-op bar
+  const SETTING_SELECTS = [
+    {
+      key: 'roundTimeLimit',
+      className: 'ext-coop-timer',
+      title: 'Time per question for everyone in the room',
+      options: ROUND_TIME_LIMITS.map((seconds) => ({
+        value: seconds,
+        label: seconds ? `⏱ ${seconds}s` : '⏱ No timer',
+      })),
+      parse: (value) => parseInt(value, 10),
+      describe: (value) => `the round timer to ${value ? `${value}s` : 'off'}`,
+    },
+    {
+      key: 'scoringRule',
+      className: 'ext-coop-scoring',
+      title: SCORING_RULES.map((rule) => `${rule.label}: ${rule.description}`).join('\n'),
+      options: SCORING_RULES.map((rule) => ({ value: rule.id, label: `🏆 ${rule.label}` })),
+      parse: (value) => value,
+      describe: (value) => `scoring to ${getScoringRule(value).label}`,
+      // Points of different rules don't add up, so the server resets them
+      confirmChange: (gameState) =>
+        (gameState.leaderboard || []).some((entry) => entry.points)
+          ? "Changing the scoring rule resets everyone's points. Continue?"
+          : null,
+    },
+    {
+      key: 'voteMode',
+      className: 'ext-coop-vote-mode',
+      title: VOTE_MODES.map((mode) => `${mode.label}: ${mode.description}`).join('\n'),
+      options: VOTE_MODES.map((mode) => ({ value: mode.id, label: `🗳 ${mode.label}` })),
+      parse: (value) => value,
+      describe: (value) => `the next-game vote to ${(VOTE_MODES.find((mode) => mode.id === value) || VOTE_MODES[0]).label}`,
+    },
+  ];
+
   // UI state
   let uiState = {
     container: null,
@@ -21,36 +89,39 @@
     statsDropdown: null,
     statsLabel: null,
     statsContent: null,
+    historyDropdown: null,
+    historyContent: null,
+    hostDropdown: null,
+    hostContent: null,
+    hostPanelKey: null,
+    chatDropdown: null,
+    chatLabel: null,
+    chatContent: null,
+    chatList: null,
+    chatReactions: null,
+    chatKey: null,
+    chatUnread: 0,
+    matchRounds: 10,
+    matchScreen: null,
+    matchScreenNotBefore: 0,
+    matchDismissedAt: null,
+    matchNoticeShownAt: null,
+    settingSelects: [],
+    lastSettings: null,
     nextButtonsContainer: null,
     isInstalled: false,
     serverUrl: DEFAULT_SERVER_URL,
-    lastLeaderboardHTML: null, // Store last completed leaderboard HTML
+    lastLeaderboardContent: null, // Last completed leaderboard (DOM copy)
   };
 
   /**
-   * Generate a random room code
-   * @returns {string} 6-character uppercase room code
-   */
-  function generateRoomCode() {
-    if (window.generateRoomCode) {
-      return window.generateRoomCode();
-    }
-    return Math.random().toString(36).substring(2, 8).toUpperCase();
-  }
-
-  /**
-   * Get server URL from storage or use default
+   * Get server URL from the settings or use default
    */
   async function getServerUrl() {
-    // Try to get from Chrome storage (for future config)
-    if (typeof chrome !== 'undefined' && chrome.storage) {
-      try {
-        const result = await chrome.storage.local.get(['coopServerUrl']);
-        if (result.coopServerUrl) {
-          return result.coopServerUrl;
-        }
-      } catch (error) {
-        console.warn('[Co-op UI] Could not read server URL from storage:', error);
+    if (ns.settings) {
+      const settings = await ns.settings.load();
+      if (settings.serverUrl) {
+        return settings.serverUrl;
       }
     }
     return DEFAULT_SERVER_URL;
@@ -86,12 +157,12 @@
     `;
     uiState.formContainer = formDiv;
 
-    // Room name input
-    const roomInput = document.createElement('input');
-    roomInput.type = 'text';
-    roomInput.placeholder = 'Room name';
-    roomInput.className = 'ext-coop-input';
-    roomInput.style.cssText = `
+    // User name input
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.placeholder = 'Your name';
+    nameInput.className = 'ext-coop-input';
+    nameInput.style.cssText = `
       padding: 8px 12px;
       border: 1px solid rgba(255, 255, 255, 0.25);
       border-radius: 4px;
@@ -101,50 +172,77 @@
       width: 120px;
       box-sizing: border-box;
     `;
-    roomInput.value = generateRoomCode(); // Default to random room code
+    uiState.nameInput = nameInput;
+    
+    // Prefill the default nickname from the settings
+    if (ns.settings) {
+      ns.settings.load().then((settings) => {
+        if (settings.nickname && !nameInput.value) {
+          nameInput.value = settings.nickname;
+        }
+      });
+    }
+
+    // Room code input (codes are generated by the server when a room is created)
+    const roomInput = document.createElement('input');
+    roomInput.type = 'text';
+    roomInput.placeholder = 'Room code';
+    roomInput.className = 'ext-coop-input';
+    roomInput.style.cssText = nameInput.style.cssText;
+    roomInput.style.width = '130px';
+    roomInput.autocomplete = 'off';
     uiState.roomInput = roomInput;
 
-    // User name input
-    const nameInput = document.createElement('input');
-    nameInput.type = 'text';
-    nameInput.placeholder = 'Your name';
-    nameInput.className = 'ext-coop-input';
-    nameInput.style.cssText = roomInput.style.cssText;
-    nameInput.style.width = '120px';
-    uiState.nameInput = nameInput;
+    // Optional room password (set when creating, needed to join)
+    const passwordInput = document.createElement('input');
+    passwordInput.type = 'password';
+    passwordInput.placeholder = 'Password (optional)';
+    passwordInput.className = 'ext-coop-input';
+    passwordInput.style.cssText = nameInput.style.cssText;
+    passwordInput.style.width = '140px';
+    passwordInput.maxLength = 64;
+    passwordInput.autocomplete = 'off';
+    uiState.passwordInput = passwordInput;
+
+    // Spectators watch the room without answering, voting or being scored
+    const spectateLabel = document.createElement('label');
+    spectateLabel.title = 'Watch the room without playing (e.g. when streaming it)';
+    spectateLabel.style.cssText = `
+      display: flex;
+      align-items: center;
+      gap: 4px;
+      font-size: 12px;
+      color: rgba(255, 255, 255, 0.8);
+      cursor: pointer;
+      user-select: none;
+    `;
+    const spectateInput = document.createElement('input');
+    spectateInput.type = 'checkbox';
+    spectateInput.style.margin = '0';
+    spectateLabel.appendChild(spectateInput);
+    spectateLabel.appendChild(document.createTextNode('👁 Spectate'));
+    uiState.spectateInput = spectateInput;
 
-    // Connect button
-    const connectBtn = createButton('Connect', 'ext-coop-connect', () => handleConnect(roomInput, nameInput));
-    uiState.connectBtn = connectBtn;
+    const createBtn = createButton('Create room', 'ext-coop-create', () => handleConnect(true));
+    const joinBtn = createButton('Join', 'ext-coop-connect', () => handleConnect(false));
+    uiState.connectBtn = joinBtn;
 
-    // Add Enter key submit handlers
-    const handleFormSubmit = (e) => {
-      e.preventDefault();
-      if (roomInput.value.trim() && nameInput.value.trim()) {
-        handleConnect(roomInput, nameInput);
-      }
-    };
-    
-    roomInput.addEventListener('keypress', (e) => {
-      if (e.key === 'Enter') {
-        e.preventDefault();
-        if (roomInput.value.trim() && nameInput.value.trim()) {
-          handleConnect(roomInput, nameInput);
-        } else if (roomInput.value.trim()) {
-          nameInput.focus();
+    // Enter joins the typed room, or creates one when no code is given
+    [nameInput, roomInput, passwordInput].forEach((input) => {
+      input.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          handleConnect(!roomInput.value.trim());
         }
-      }
-    });
-    
-    nameInput.addEventListener('keypress', (e) => {
-      if (e.key === 'Enter') {
-        handleFormSubmit(e);
-      }
+      });
     });
     
-    formDiv.appendChild(roomInput);
     formDiv.appendChild(nameInput);
-    formDiv.appendChild(connectBtn);
+    formDiv.appendChild(roomInput);
+    formDiv.appendChild(passwordInput);
+    formDiv.appendChild(spectateLabel);
+    formDiv.appendChild(createBtn);
+    formDiv.appendChild(joinBtn);
     uiState.buttonsContainer = formDiv; // Keep for compatibility
 
     // Disconnect button (hidden initially, shown when connected)
@@ -248,6 +346,21 @@
     statsDropdown.appendChild(statsContent);
     uiState.statsDropdown = statsDropdown;
 
+    // Previous rounds dropdown (shown when connected)
+    const historyDropdown = createHistoryDropdown();
+    uiState.historyDropdown = historyDropdown;
+
+    // Host controls (shown to the host only)
+    const hostDropdown = createHostDropdown();
+    uiState.hostDropdown = hostDropdown;
+
+    // Room chat (shown when connected)
+    const chatDropdown = createChatDropdown();
+    uiState.chatDropdown = chatDropdown;
+
+    // Room settings: round timer and scoring rule (shown when connected)
+    uiState.settingSelects = SETTING_SELECTS.map(createSettingSelect);
+
     // Container for Next buttons (will be populated when Next buttons are created)
     const nextButtonsContainer = document.createElement('div');
     nextButtonsContainer.className = 'ext-coop-next-buttons';
@@ -258,16 +371,919 @@
     `;
     uiState.nextButtonsContainer = nextButtonsContainer;
 
-    // Append elements in order: form | status | disconnect | stats | next buttons
+    // Append elements in order: form | status | disconnect | stats | rounds | host | chat | settings | next buttons
     container.appendChild(formDiv);
     container.appendChild(statusDiv);
     container.appendChild(disconnectBtn);
     container.appendChild(statsDropdown);
+    container.appendChild(historyDropdown);
+    container.appendChild(hostDropdown);
+    container.appendChild(chatDropdown);
+    uiState.settingSelects.forEach((select) => container.appendChild(select));
     container.appendChild(nextButtonsContainer);
 
     return container;
   }
 
+  /**
+   * Create the "Rounds" dropdown listing the room's previous rounds
+   * (fetched from the server each time it is opened)
+   * @returns {HTMLElement}
+   */
+  function createHistoryDropdown() {
+    const dropdown = document.createElement('div');
+    dropdown.className = 'ext-coop-history';
+    dropdown.style.cssText = `
+      position: relative;
+      display: none;
+    `;
+
+    const label = createButton('Rounds', 'ext-coop-history-label');
+    label.type = 'button';
+
+    const content = document.createElement('div');
+    content.className = 'ext-coop-history-content';
+    content.style.cssText = `
+      position: absolute;
+      top: 100%;
+      left: 0;
+      margin-top: 4px;
+      padding: 12px;
+      background: rgba(26, 26, 26, 0.98);
+      border: 1px solid rgba(255, 255, 255, 0.2);
+      border-radius: 6px;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.4);
+      z-index: 1000;
+      min-width: 300px;
+      max-width: 420px;
+      max-height: 360px;
+      overflow-y: auto;
+      display: none;
+    `;
+    uiState.historyContent = content;
+
+    label.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const isExpanded = content.style.display === 'block';
+      content.style.display = isExpanded ? 'none' : 'block';
+      if (!isExpanded) {
+        if (!content.hasChildNodes()) {
+          renderHistory(null);
+        }
+        requestHistory();
+      }
+    });
+
+    document.addEventListener('click', (e) => {
+      if (!dropdown.contains(e.target)) {
+        content.style.display = 'none';
+      }
+    });
+
+    dropdown.appendChild(label);
+    dropdown.appendChild(content);
+    return dropdown;
+  }
+
+  /**
+   * Create the "Host" dropdown with the room moderation controls
+   * @returns {HTMLElement}
+   */
+  function createHostDropdown() {
+    const dropdown = document.createElement('div');
+    dropdown.className = 'ext-coop-host';
+    dropdown.style.cssText = `
+      position: relative;
+      display: none;
+    `;
+
+    const label = createButton('👑 Host', 'ext-coop-host-label');
+    label.type = 'button';
+
+    const content = document.createElement('div');
+    content.className = 'ext-coop-host-content';
+    content.style.cssText = `
+      position: absolute;
+      top: 100%;
+      left: 0;
+      margin-top: 4px;
+      padding: 12px;
+      background: rgba(26, 26, 26, 0.98);
+      border: 1px solid rgba(255, 255, 255, 0.2);
+      border-radius: 6px;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.4);
+      z-index: 1000;
+      min-width: 300px;
+      max-width: 420px;
+      max-height: 360px;
+      overflow-y: auto;
+      display: none;
+    `;
+    uiState.hostContent = content;
+
+    label.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const isExpanded = content.style.display === 'block';
+      content.style.display = isExpanded ? 'none' : 'block';
+      if (!isExpanded) {
+        uiState.hostPanelKey = null;
+        renderHostPanel();
+      }
+    });
+
+    document.addEventListener('click', (e) => {
+      if (!dropdown.contains(e.target)) {
+        content.style.display = 'none';
+      }
+    });
+
+    dropdown.appendChild(label);
+    dropdown.appendChild(content);
+    return dropdown;
+  }
+
+  /**
+   * Create the "Chat" dropdown: the room's messages, quick reactions to a
+   * revealed answer and an input. Unlike the other dropdowns it stays open
+   * while playing (until its button is clicked again).
+   * @returns {HTMLElement}
+   */
+  function createChatDropdown() {
+    const dropdown = document.createElement('div');
+    dropdown.className = 'ext-coop-chat';
+    dropdown.style.cssText = `
+      position: relative;
+      display: none;
+    `;
+
+    const label = createButton('💬 Chat', 'ext-coop-chat-label');
+    label.type = 'button';
+    uiState.chatLabel = label;
+
+    const content = document.createElement('div');
+    content.className = 'ext-coop-chat-content';
+    content.style.cssText = `
+      position: absolute;
+      top: 100%;
+      left: 0;
+      margin-top: 4px;
+      padding: 12px;
+      background: rgba(26, 26, 26, 0.98);
+      border: 1px solid rgba(255, 255, 255, 0.2);
+      border-radius: 6px;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.4);
+      z-index: 1000;
+      width: 320px;
+      display: none;
+    `;
+    uiState.chatContent = content;
+
+    const list = document.createElement('div');
+    list.className = 'ext-coop-chat-list';
+    list.style.cssText = `
+      max-height: 220px;
+      overflow-y: auto;
+      font-size: 12px;
+      line-height: 1.4;
+      color: rgba(255, 255, 255, 0.85);
+      word-wrap: break-word;
+    `;
+    uiState.chatList = list;
+
+    // Shown once the current answer is revealed
+    const reactions = document.createElement('div');
+    reactions.className = 'ext-coop-chat-reactions';
+    reactions.style.cssText = 'display: none; gap: 4px; margin-top: 8px;';
+    CHAT_REACTIONS.forEach((emoji) => {
+      const button = createHostButton(emoji, () => sendReaction(emoji));
+      button.title = 'React to the answer';
+      reactions.appendChild(button);
+    });
+    uiState.chatReactions = reactions;
+
+    const form = document.createElement('form');
+    form.style.cssText = 'display: flex; gap: 6px; margin-top: 8px;';
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = 'Message the room';
+    input.className = 'ext-coop-input';
+    input.maxLength = MAX_CHAT_LENGTH;
+    input.autocomplete = 'off';
+    input.style.cssText = `
+      flex: 1;
+      min-width: 0;
+      padding: 6px 10px;
+      border: 1px solid rgba(255, 255, 255, 0.25);
+      border-radius: 4px;
+      background: rgba(255, 255, 255, 0.08);
+      color: #fff;
+      font: 13px/1.2 system-ui, -apple-system, Segoe UI, Roboto, sans-serif;
+    `;
+    const send = createHostButton('Send', () => form.requestSubmit());
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const text = input.value.trim();
+      const state = ns.coop.getState();
+      if (!text || !state.client || !state.isConnected) return;
+      state.client.sendChat(text);
+      input.value = '';
+    });
+    form.appendChild(input);
+    form.appendChild(send);
+
+    label.addEventListener('click', (e) => {
+      e.stopPropagation();
+      setChatExpanded(content.style.display !== 'block');
+      if (content.style.display === 'block') input.focus();
+    });
+
+    content.appendChild(list);
+    content.appendChild(reactions);
+    content.appendChild(form);
+    dropdown.appendChild(label);
+    dropdown.appendChild(content);
+    return dropdown;
+  }
+
+  /**
+   * Open or close the chat panel (remembered across page changes)
+   * @param {boolean} expanded
+   */
+  function setChatExpanded(expanded) {
+    if (!uiState.chatContent) return;
+    uiState.chatContent.style.display = expanded ? 'block' : 'none';
+    if (expanded) {
+      uiState.chatUnread = 0;
+      updateChatLabel();
+      uiState.chatList.scrollTop = uiState.chatList.scrollHeight;
+    }
+    try {
+      sessionStorage.setItem('coopChatExpanded', expanded ? 'true' : 'false');
+    } catch (e) {
+      // Ignore storage errors
+    }
+  }
+
+  /**
+   * Show the number of unread messages on the chat button
+   */
+  function updateChatLabel() {
+    if (!uiState.chatLabel) return;
+    uiState.chatLabel.textContent = uiState.chatUnread > 0 ? `💬 Chat (${uiState.chatUnread})` : '💬 Chat';
+  }
+
+  /**
+   * Send a reaction to the revealed answer
+   * @param {string} emoji
+   */
+  function sendReaction(emoji) {
+    const state = ns.coop.getState();
+    if (state.client && state.isConnected) {
+      state.client.sendReaction(emoji);
+    }
+  }
+
+  /**
+   * Render the chat messages and the reaction buttons. The list is only
+   * rebuilt when a message came in, and it keeps following the newest one
+   * unless the user scrolled up.
+   */
+  function renderChat() {
+    const list = uiState.chatList;
+    if (!list) return;
+    const state = ns.coop.getState();
+    const messages = state.chat || [];
+    const gameState = state.gameState;
+
+    if (uiState.chatReactions) {
+      const revealed = !!(gameState && gameState.roomStatus === 'completed');
+      uiState.chatReactions.style.display = revealed ? 'flex' : 'none';
+    }
+
+    const last = messages[messages.length - 1];
+    const key = `${messages.length}:${last ? last.id : ''}`;
+    if (key === uiState.chatKey) return;
+    uiState.chatKey = key;
+
+    const atBottom = list.scrollHeight - list.scrollTop - list.clientHeight < 24;
+    list.innerHTML = '';
+
+    if (messages.length === 0) {
+      const empty = document.createElement('div');
+      empty.style.color = 'rgba(255, 255, 255, 0.5)';
+      empty.textContent = 'No messages yet';
+      list.appendChild(empty);
+      return;
+    }
+
+    messages.forEach((message) => {
+      const row = document.createElement('div');
+      row.style.padding = '2px 0';
+
+      const name = document.createElement('span');
+      name.style.cssText = `font-weight: 600; color: ${message.color || '#66C0F4'};`;
+      name.textContent = message.name || 'User';
+      row.appendChild(name);
+
+      // Messages are shown as plain text, never as HTML
+      const text = document.createElement('span');
+      if (message.emoji) {
+        text.style.color = 'rgba(255, 255, 255, 0.6)';
+        text.textContent = ` reacted ${message.emoji}`;
+      } else {
+        text.textContent = `: ${message.text}`;
+      }
+      row.appendChild(text);
+      list.appendChild(row);
+    });
+
+    if (atBottom) list.scrollTop = list.scrollHeight;
+  }
+
+  /**
+   * Whether we are the room's host
+   * @returns {boolean}
+   */
+  function isRoomHost() {
+    const state = ns.coop && ns.coop.getState ? ns.coop.getState() : null;
+    return !!(state && state.gameState && state.userId && state.gameState.hostId === state.userId);
+  }
+
+  /**
+   * Small button for the host panel
+   * @param {string} text
+   * @param {Function} onClick
+   * @returns {HTMLElement}
+   */
+  function createHostButton(text, onClick) {
+    const button = createButton(text, 'ext-coop-host-btn', (e) => {
+      e.stopPropagation();
+      onClick();
+    });
+    button.type = 'button';
+    button.style.padding = '4px 8px';
+    button.style.fontSize = '12px';
+    return button;
+  }
+
+  /**
+   * Render the host panel: room controls and the member list. Skipped
+   * when nothing it shows has changed, so buttons don't move under the
+   * cursor on every update.
+   */
+  function renderHostPanel() {
+    const content = uiState.hostContent;
+    if (!content || content.style.display !== 'block' || !ns.coop) return;
+
+    const state = ns.coop.getState();
+    const gameState = state.gameState;
+    if (!state.client || !gameState) return;
+
+    const users = Object.values(gameState.users || {});
+    const banned = gameState.bannedUserIds || [];
+    const key = JSON.stringify([
+      gameState.hostId,
+      gameState.pickerId,
+      gameState.locked,
+      gameState.match ? [gameState.match.status, gameState.match.rounds] : null,
+      banned,
+      users.map((u) => [u.userId, u.name, u.isOnline, !!u.isSpectator]),
+    ]);
+    if (key === uiState.hostPanelKey) return;
+    uiState.hostPanelKey = key;
+    content.innerHTML = '';
+
+    const title = document.createElement('div');
+    title.style.cssText = 'font-size: 11px; color: rgba(255, 255, 255, 0.6); margin-bottom: 6px; font-weight: 600;';
+    title.textContent = 'Room';
+    content.appendChild(title);
+
+    const controls = document.createElement('div');
+    controls.style.cssText = 'display: flex; flex-wrap: wrap; gap: 6px; margin-bottom: 10px;';
+    controls.appendChild(createHostButton(gameState.locked ? '🔓 Unlock room' : '🔒 Lock room', () => {
+      state.client.sendLockRoom(!gameState.locked);
+    }));
+    const skip = createHostButton('⏭ Skip ahead', () => state.client.sendForceAdvance());
+    skip.title = 'End the current question now (missing answers count as misses), or settle the next-game vote';
+    controls.appendChild(skip);
+    controls.appendChild(createHostButton('Reset leaderboard', () => {
+      if (confirm('Reset the leaderboard for everyone in the room?')) {
+        state.client.sendResetLeaderboard();
+      }
+    }));
+    content.appendChild(controls);
+
+    const matchTitle = title.cloneNode(false);
+    matchTitle.textContent = 'Match';
+    content.appendChild(matchTitle);
+    content.appendChild(createMatchControls(state, gameState));
+
+    const membersTitle = title.cloneNode(false);
+    membersTitle.textContent = 'Members';
+    content.appendChild(membersTitle);
+
+    const others = users.filter((u) => u.userId !== state.userId);
+    if (others.length === 0) {
+      const empty = document.createElement('div');
+      empty.style.cssText = 'font-size: 12px; color: rgba(255, 255, 255, 0.6); padding: 8px;';
+      empty.textContent = 'Nobody else has joined yet';
+      content.appendChild(empty);
+      return;
+    }
+
+    others.forEach((user) => {
+      const isBanned = banned.includes(user.userId);
+
+      const row = document.createElement('div');
+      row.style.cssText = 'display: flex; align-items: center; gap: 6px; padding: 4px 0; font-size: 12px;';
+
+      const dot = document.createElement('span');
+      dot.style.cssText = `
+        width: 8px;
+        height: 8px;
+        border-radius: 50%;
+        flex-shrink: 0;
+        background: ${user.color || '#66C0F4'};
+      `;
+
+      const name = document.createElement('span');
+      name.style.cssText = 'flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+      name.style.color = user.isOnline ? 'rgba(255, 255, 255, 0.9)' : 'rgba(255, 255, 255, 0.45)';
+      name.textContent = (user.userId === gameState.pickerId ? '🎯 ' : '') + (user.name || 'User');
+      if (isBanned) name.textContent += ' (banned)';
+      else if (!user.isOnline) name.textContent += ' (offline)';
+      else if (user.isSpectator) name.textContent += ' (spectator)';
+
+      row.appendChild(dot);
+      row.appendChild(name);
+
+      if (isBanned) {
+        row.appendChild(createHostButton('Unban', () => state.client.sendUnbanUser(user.userId)));
+      } else {
+        const isPicker = user.userId === gameState.pickerId;
+        const picker = createHostButton(isPicker ? 'Stop picking' : 'Make picker', () => {
+          state.client.sendSetPicker(isPicker ? null : user.userId);
+        });
+        picker.title = 'The picker can choose the next game without a vote';
+        row.appendChild(picker);
+        if (user.isOnline && !user.isSpectator) {
+          row.appendChild(createHostButton('Make host', () => state.client.sendTransferHost(user.userId)));
+        }
+        if (user.isOnline) {
+          row.appendChild(createHostButton('Kick', () => state.client.sendKickUser(user.userId)));
+        }
+        row.appendChild(createHostButton('Ban', () => {
+          if (confirm(`Ban ${user.name || 'this user'} from the room?`)) {
+            state.client.sendBanUser(user.userId);
+          }
+        }));
+      }
+
+      content.appendChild(row);
+    });
+  }
+
+  /**
+   * Host controls for matches: the round count and Start / End match
+   * @param {Object} state - Co-op state
+   * @param {Object} gameState
+   * @returns {HTMLElement}
+   */
+  function createMatchControls(state, gameState) {
+    const controls = document.createElement('div');
+    controls.style.cssText = 'display: flex; flex-wrap: wrap; align-items: center; gap: 6px; margin-bottom: 10px;';
+
+    const rounds = document.createElement('select');
+    rounds.title = 'Rounds in the match';
+    rounds.style.cssText = `
+      padding: 3px 6px;
+      border: 1px solid rgba(255, 255, 255, 0.25);
+      border-radius: 4px;
+      background: rgba(26, 26, 26, 0.98);
+      color: #fff;
+      font-size: 12px;
+    `;
+    MATCH_ROUND_COUNTS.forEach((count) => {
+      const option = document.createElement('option');
+      option.value = String(count);
+      option.textContent = `${count} rounds`;
+      rounds.appendChild(option);
+    });
+    rounds.value = String(uiState.matchRounds);
+    rounds.addEventListener('click', (e) => e.stopPropagation());
+    rounds.addEventListener('change', () => {
+      uiState.matchRounds = parseInt(rounds.value, 10);
+    });
+    controls.appendChild(rounds);
+
+    const start = createHostButton(gameState.match ? '🏁 Restart match' : '🏁 Start match', () => {
+      if (confirm(`Start a ${uiState.matchRounds}-round match? The leaderboard is reset and players who join later spectate.`)) {
+        state.client.sendStartMatch(uiState.matchRounds);
+      }
+    });
+    controls.appendChild(start);
+
+    if (gameState.match) {
+      const end = createHostButton('End match', () => state.client.sendEndMatch());
+      end.title = 'Go back to endless play (the leaderboard is kept)';
+      controls.appendChild(end);
+    }
+    return controls;
+  }
+
+  /**
+   * Match progress for the status line, e.g. "Round 4/10"
+   * @param {Object|null} gameState
+   * @returns {string}
+   */
+  function getMatchText(gameState) {
+    const match = gameState && gameState.match;
+    if (!match) return '';
+    if (match.status === 'finished') return ' - 🏁 Match over';
+    const inProgress = gameState.roomStatus === 'in_progress' ? 1 : 0;
+    return ` - 🏁 Round ${Math.min(match.rounds, match.completedRounds + inProgress)}/${match.rounds}`;
+  }
+
+  /**
+   * Show the podium of a finished match (once per match, unless closed),
+   * hide it when a new match starts, and tell late joiners why they spectate
+   */
+  function updateMatchScreen() {
+    const state = ns.coop.getState();
+    const match = state.gameState && state.gameState.match;
+
+    if (!match || match.status !== 'finished') {
+      hideMatchEndScreen();
+      const me = state.gameState && state.gameState.users ? state.gameState.users[state.userId] : null;
+      if (match && me && me.waitingForMatch && uiState.matchNoticeShownAt !== match.startedAt) {
+        uiState.matchNoticeShownAt = match.startedAt;
+        showMessage("A match is under way: you're spectating until it ends");
+      }
+      return;
+    }
+
+    if (uiState.matchScreen || uiState.matchDismissedAt === match.startedAt) return;
+    if (Date.now() < uiState.matchScreenNotBefore || !match.summary) return;
+    showMatchEndScreen(match);
+  }
+
+  /**
+   * Remove the match end screen
+   */
+  function hideMatchEndScreen() {
+    if (uiState.matchScreen) {
+      uiState.matchScreen.remove();
+      uiState.matchScreen = null;
+    }
+  }
+
+  /**
+   * Cover the page with the podium and standings of a finished match
+   * @param {Object} match - gameState.match with its summary
+   */
+  function showMatchEndScreen(match) {
+    const { summary } = match;
+    const state = ns.coop.getState();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'ext-coop-match-end';
+    overlay.style.cssText = `
+      position: fixed;
+      inset: 0;
+      z-index: 10002;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      background: rgba(0, 0, 0, 0.75);
+      font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif;
+    `;
+
+    const card = document.createElement('div');
+    card.style.cssText = `
+      width: min(520px, 92vw);
+      max-height: 88vh;
+      overflow-y: auto;
+      padding: 20px 24px;
+      border: 1px solid rgba(255, 215, 0, 0.4);
+      border-radius: 8px;
+      background: rgba(26, 26, 26, 0.98);
+      color: #fff;
+      box-shadow: 0 8px 32px rgba(0, 0, 0, 0.6);
+    `;
+    overlay.appendChild(card);
+
+    const title = document.createElement('div');
+    title.style.cssText = 'font-size: 20px; font-weight: 700; text-align: center;';
+    title.textContent = '🏁 Match over';
+    card.appendChild(title);
+
+    const minutes = Math.max(1, Math.round(summary.durationMs / 60000));
+    const subtitle = document.createElement('div');
+    subtitle.style.cssText = 'font-size: 12px; color: rgba(255, 255, 255, 0.6); text-align: center; margin: 4px 0 16px;';
+    subtitle.textContent = `${summary.rounds} rounds in ${minutes} min`;
+    card.appendChild(subtitle);
+
+    // Podium: 2nd, 1st, 3rd side by side
+    const medals = { 1: '🥇', 2: '🥈', 3: '🥉' };
+    const heights = { 1: 90, 2: 64, 3: 44 };
+    const podium = document.createElement('div');
+    podium.style.cssText = 'display: flex; align-items: flex-end; justify-content: center; gap: 10px; margin-bottom: 16px;';
+    [2, 1, 3].forEach((place) => {
+      summary.podium.filter((s) => s.place === place).forEach((standing) => {
+        const column = document.createElement('div');
+        column.style.cssText = 'display: flex; flex-direction: column; align-items: center; width: 130px;';
+
+        const name = document.createElement('div');
+        name.style.cssText = 'font-size: 13px; font-weight: 600; max-width: 100%; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+        name.style.color = standing.color || '#66C0F4';
+        name.textContent = standing.name + (standing.userId === state.userId ? ' (you)' : '');
+
+        const points = document.createElement('div');
+        points.style.cssText = 'font-size: 12px; color: rgba(255, 255, 255, 0.75); margin: 2px 0 4px;';
+        points.textContent = `${standing.points} pts`;
+
+        const block = document.createElement('div');
+        block.style.cssText = `
+          width: 100%;
+          height: ${heights[place]}px;
+          display: flex;
+          align-items: flex-start;
+          justify-content: center;
+          padding-top: 6px;
+          border-radius: 4px 4px 0 0;
+          background: rgba(255, 215, 0, ${0.35 - place * 0.08});
+          font-size: 22px;
+        `;
+        block.textContent = medals[place];
+
+        column.appendChild(name);
+        column.appendChild(points);
+        column.appendChild(block);
+        podium.appendChild(column);
+      });
+    });
+    card.appendChild(podium);
+
+    // Everyone's standing
+    summary.standings.forEach((standing) => {
+      const row = document.createElement('div');
+      row.style.cssText = 'display: flex; gap: 8px; padding: 4px 0; font-size: 12px; border-top: 1px solid rgba(255, 255, 255, 0.08);';
+      if (standing.userId === state.userId) row.style.fontWeight = '700';
+
+      const place = document.createElement('span');
+      place.style.cssText = 'width: 24px; color: rgba(255, 255, 255, 0.6);';
+      place.textContent = `${standing.place}.`;
+
+      const name = document.createElement('span');
+      name.style.cssText = 'flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+      name.style.color = standing.color || '#66C0F4';
+      name.textContent = standing.name;
+
+      const stats = document.createElement('span');
+      stats.style.color = 'rgba(255, 255, 255, 0.75)';
+      const answered = standing.correctAnswers + standing.failedAnswers;
+      stats.textContent = `${standing.points} pts · ${standing.correctAnswers}/${answered} correct` +
+        (standing.bestStreak > 1 ? ` · 🔥${standing.bestStreak}` : '');
+
+      row.appendChild(place);
+      row.appendChild(name);
+      row.appendChild(stats);
+      card.appendChild(row);
+    });
+
+    const buttons = document.createElement('div');
+    buttons.style.cssText = 'display: flex; justify-content: center; flex-wrap: wrap; gap: 8px; margin-top: 16px;';
+    if (isRoomHost()) {
+      buttons.appendChild(createButton('🏁 New match', 'ext-coop-match-new', () => {
+        state.client.sendStartMatch(summary.rounds);
+      }));
+      buttons.appendChild(createButton('Keep playing', 'ext-coop-match-end-btn', () => {
+        state.client.sendEndMatch();
+      }));
+    } else {
+      const waiting = document.createElement('div');
+      waiting.style.cssText = 'width: 100%; text-align: center; font-size: 12px; color: rgba(255, 255, 255, 0.6);';
+      waiting.textContent = 'The host can start a new match';
+      buttons.appendChild(waiting);
+    }
+    buttons.appendChild(createButton('Close', 'ext-coop-match-close', () => {
+      uiState.matchDismissedAt = match.startedAt;
+      hideMatchEndScreen();
+    }));
+    card.appendChild(buttons);
+
+    document.body.appendChild(overlay);
+    uiState.matchScreen = overlay;
+  }
+
+  /**
+   * Scoring rule info by ID (classic when unknown)
+   * @param {string} id
+   */
+  function getScoringRule(id) {
+    return SCORING_RULES.find((rule) => rule.id === id) || SCORING_RULES[0];
+  }
+
+  /**
+   * Create a select for one room setting
+   * @param {Object} def - Entry of SETTING_SELECTS
+   * @returns {HTMLSelectElement}
+   */
+  function createSettingSelect(def) {
+    const select = document.createElement('select');
+    select.className = def.className;
+    select.title = def.title;
+    select.style.cssText = `
+      padding: 7px 8px;
+      border: 1px solid rgba(255, 255, 255, 0.25);
+      border-radius: 4px;
+      background: rgba(26, 26, 26, 0.98);
+      color: #fff;
+      font: 600 13px/1.2 system-ui, -apple-system, Segoe UI, Roboto, sans-serif;
+      cursor: pointer;
+      display: none;
+    `;
+    select.__extSetting = def;
+
+    def.options.forEach(({ value, label }) => {
+      const option = document.createElement('option');
+      option.value = String(value);
+      option.textContent = label;
+      select.appendChild(option);
+    });
+
+    select.addEventListener('change', () => {
+      const state = ns.coop && ns.coop.getState ? ns.coop.getState() : null;
+      if (!state || !state.client || !state.isConnected) return;
+
+      const question = def.confirmChange && state.gameState ? def.confirmChange(state.gameState) : null;
+      if (question && !confirm(question)) {
+        const settings = state.gameState.settings || {};
+        select.value = String(settings[def.key]);
+        return;
+      }
+      state.client.sendUpdateSettings({ [def.key]: def.parse(select.value) });
+    });
+
+    return select;
+  }
+
+  /**
+   * Show the room's current settings in the selects (only the host can
+   * change them)
+   */
+  function updateSettingSelects() {
+    if (!ns.coop) return;
+    const gameState = ns.coop.getState().gameState;
+    const settings = (gameState && gameState.settings) || {};
+
+    const isHost = isRoomHost();
+
+    uiState.settingSelects.forEach((select) => {
+      const def = select.__extSetting;
+      select.disabled = !isHost;
+      select.title = isHost ? def.title : `${def.title}\n(Only the host can change this)`;
+      select.style.cursor = isHost ? 'pointer' : 'default';
+      if (document.activeElement === select) return;
+      const value = settings[def.key] !== undefined ? settings[def.key] : def.options[0].value;
+      select.value = String(value);
+    });
+  }
+
+  /**
+   * Tell the user which settings another member changed
+   * @param {Object} settings - The room's new settings
+   * @param {string} updatedBy - userId of the member who changed them
+   */
+  function announceSettingsChange(settings, updatedBy) {
+    const previous = uiState.lastSettings;
+    uiState.lastSettings = { ...settings };
+
+    const state = ns.coop.getState();
+    if (!previous || !updatedBy || updatedBy === state.userId) return;
+
+    const changes = SETTING_SELECTS
+      .filter((def) => settings[def.key] !== previous[def.key])
+      .map((def) => def.describe(settings[def.key]));
+    if (changes.length === 0) return;
+
+    const user = state.gameState && state.gameState.users ? state.gameState.users[updatedBy] : null;
+    showMessage(`${user ? user.name : 'Someone'} set ${changes.join(' and ')}`);
+  }
+
+  /**
+   * Ask the server for the room history (rendered on 'coop-history')
+   */
+  function requestHistory() {
+    const state = ns.coop && ns.coop.getState ? ns.coop.getState() : null;
+    if (state && state.client && state.isConnected) {
+      state.client.sendGetHistory();
+    }
+  }
+
+  /**
+   * Render the previous rounds list
+   * @param {Array|null} rounds - Rounds newest first, or null while loading
+   */
+  function renderHistory(rounds) {
+    const content = uiState.historyContent;
+    if (!content) return;
+    content.innerHTML = '';
+
+    const title = document.createElement('div');
+    title.style.cssText = 'font-size: 11px; color: rgba(255, 255, 255, 0.6); margin-bottom: 6px; font-weight: 600;';
+    title.textContent = 'Previous rounds';
+    content.appendChild(title);
+
+    if (!rounds || rounds.length === 0) {
+      const empty = document.createElement('div');
+      empty.style.cssText = 'font-size: 12px; color: rgba(255, 255, 255, 0.6); padding: 8px;';
+      empty.textContent = rounds ? 'No rounds played yet' : 'Loading…';
+      content.appendChild(empty);
+      return;
+    }
+
+    const formatNum = ns.formatNum || ((n) => String(n));
+
+    rounds.forEach((round) => {
+      const item = document.createElement('div');
+      item.className = 'ext-coop-history-round';
+      item.style.cssText = `
+        padding: 6px 8px;
+        margin-bottom: 6px;
+        background: rgba(255, 255, 255, 0.03);
+        border-radius: 4px;
+        font-size: 12px;
+      `;
+
+      const header = document.createElement('div');
+      header.style.cssText = 'display: flex; justify-content: space-between; gap: 8px; margin-bottom: 4px;';
+
+      const link = document.createElement('a');
+      link.href = `https://store.steampowered.com/app/${encodeURIComponent(round.gameId)}/`;
+      link.textContent = `App ${round.gameId}`;
+      link.style.cssText = 'color: #66C0F4; font-weight: 600;';
+
+      const answer = document.createElement('span');
+      answer.style.cssText = 'color: rgba(255, 255, 255, 0.7); white-space: nowrap;';
+      answer.textContent = round.correctAnswer !== null
+        ? `${formatNum(round.correctAnswer)} reviews` +
+          (round.correctPercent !== null ? ` · ${round.correctPercent}%` : '')
+        : 'Not scored';
+      answer.title = new Date(round.completedAt).toLocaleString();
+
+      header.appendChild(link);
+      header.appendChild(answer);
+      item.appendChild(header);
+
+      (round.picks || []).forEach((pick) => {
+        const row = document.createElement('div');
+        row.style.cssText = 'display: flex; align-items: center; gap: 6px; color: rgba(255, 255, 255, 0.85);';
+
+        const dot = document.createElement('span');
+        dot.style.cssText = `
+          width: 8px;
+          height: 8px;
+          border-radius: 50%;
+          flex-shrink: 0;
+          background: ${pick.color || '#66C0F4'};
+        `;
+
+        const name = document.createElement('span');
+        name.style.cssText = 'flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+        name.textContent = pick.name || 'User';
+
+        const value = document.createElement('span');
+        value.style.cssText = 'white-space: nowrap;';
+        const mark = pick.correct === true ? ' ✓' : pick.correct === false ? ' ✗' : '';
+        const percent = pick.percentValue !== null && pick.percentValue !== undefined
+          ? ` · ${pick.percentValue}%`
+          : '';
+        const answer = pick.answerValue !== null && pick.answerValue !== undefined
+          ? formatNum(pick.answerValue)
+          : 'No answer';
+        value.textContent = `${answer}${mark}${percent}`;
+        if (pick.correct === true) value.style.color = '#4caf50';
+        if (pick.correct === false) value.style.color = '#f44336';
+
+        const time = document.createElement('span');
+        time.style.cssText = 'color: rgba(255, 255, 255, 0.5); white-space: nowrap; min-width: 40px; text-align: right;';
+        time.textContent = pick.responseMs !== null && pick.responseMs !== undefined
+          ? `${(pick.responseMs / 1000).toFixed(1)}s`
+          : '';
+        time.title = 'Response time';
+
+        row.appendChild(dot);
+        row.appendChild(name);
+        row.appendChild(value);
+        row.appendChild(time);
+        item.appendChild(row);
+      });
+
+      content.appendChild(item);
+    });
+  }
+
   /**
    * Create a button with Steam-like styling
    * @param {string} text - Button text
@@ -322,13 +1338,23 @@
       const state = ns.coop.getState();
       if (state.gameState && state.gameState.users) {
         const allUsers = Object.values(state.gameState.users);
-        onlineCount = allUsers.filter(u => u.isOnline).length;
+        onlineCount = allUsers.filter(u => u.isOnline && !u.isSpectator).length;
       }
     }
 
     if (isConnected && roomId) {
       const onlineText = onlineCount > 0 ? ` - ${onlineCount} online` : '';
-      uiState.statusElement.textContent = `🟢 Connected - Room: ${roomId}${onlineText}`;
+      const gameState = ns.coop.getState().gameState;
+      const host = gameState && gameState.users ? gameState.users[gameState.hostId] : null;
+      const hostText = isRoomHost() ? ' - 👑 You are the host' : host ? ` - Host: ${host.name}` : '';
+      const picker = gameState && gameState.pickerId && gameState.users ? gameState.users[gameState.pickerId] : null;
+      const pickerText = !picker ? '' : gameState.pickerId === ns.coop.getState().userId
+        ? ' - 🎯 You pick the next game'
+        : ` - 🎯 Picker: ${picker.name}`;
+      const lockText = (gameState && gameState.locked ? ' - 🔒' : '') + (gameState && gameState.hasPassword ? ' - 🔑' : '');
+      const spectatorText = ns.coop.isSpectating() ? ' - 👁 Spectating' : '';
+      const matchText = getMatchText(gameState);
+      uiState.statusElement.textContent = `🟢 Connected - Room: ${roomId}${onlineText}${matchText}${spectatorText}${hostText}${pickerText}${lockText}`;
       uiState.statusElement.style.color = '#4caf50';
     } else {
       // Don't show "Not connected" - just leave it empty
@@ -338,23 +1364,21 @@
 
 
   /**
-   * Handle Connect button click
+   * Handle the Create room / Join buttons
+   * @param {boolean} create - Create a new room instead of joining the typed code
    */
-  async function handleConnect(roomInput, nameInput) {
+  async function handleConnect(create) {
     if (!ns.coop) {
       console.error('[Co-op UI] Co-op manager not available');
       showMessage('Error: Co-op manager not loaded', 'error');
       return;
     }
 
+    const { roomInput, nameInput, passwordInput, spectateInput } = uiState;
     const roomCode = roomInput.value.trim().toUpperCase();
     const userName = nameInput.value.trim();
-
-    if (!roomCode) {
-      showMessage('Please enter a room name', 'error');
-      roomInput.focus();
-      return;
-    }
+    const password = passwordInput.value || null;
+    const spectator = spectateInput.checked;
 
     if (!userName) {
       showMessage('Please enter your name', 'error');
@@ -362,13 +1386,32 @@
       return;
     }
 
+    if (!create && !roomCode) {
+      showMessage('Enter a room code, or create a new room', 'error');
+      roomInput.focus();
+      return;
+    }
+
     try {
       const serverUrl = await getServerUrl();
-      await ns.coop.connect(roomCode, serverUrl, userName);
+      if (create) {
+        await ns.coop.createRoom(serverUrl, userName, password, spectator);
+        showMessage(`Room ${ns.coop.getStatus().roomId} created: share the code${password ? ' and password' : ''} with your friends`, 'success');
+      } else {
+        await ns.coop.connect(roomCode, serverUrl, userName, password, spectator);
+      }
+      passwordInput.value = '';
       updateStatus(ns.coop.getStatus());
     } catch (error) {
       console.error('[Co-op UI] Failed to connect:', error);
-      showMessage(`Failed to connect: ${error.message}`, 'error');
+      // Refusals from the server already read as a sentence
+      showMessage(error.code ? error.message : `Failed to connect: ${error.message}`, 'error');
+      if (error.code === 'wrong-password' || error.code === 'password-required') {
+        passwordInput.focus();
+        passwordInput.select();
+      } else if (error.code === 'not-found') {
+        roomInput.focus();
+      }
     }
   }
 
@@ -464,6 +1507,20 @@
     return true;
   }
 
+  /**
+   * Leaderboard order: points under the room's scoring rule, then
+   * percentage correct, then number of answers
+   */
+  function compareEntries(a, b) {
+    if ((b.points || 0) !== (a.points || 0)) {
+      return (b.points || 0) - (a.points || 0);
+    }
+    if (b.percentage !== a.percentage) {
+      return b.percentage - a.percentage;
+    }
+    return b.total - a.total;
+  }
+
   /**
    * Get current user's stats and placement
    */
@@ -487,12 +1544,7 @@
         return { ...e, ...u, total, percentage };
       })
       .filter(item => item !== null)
-      .sort((a, b) => {
-        if (b.percentage !== a.percentage) {
-          return b.percentage - a.percentage;
-        }
-        return b.total - a.total;
-      });
+      .sort(compareEntries);
     
     const placement = allEntries.findIndex(e => e.userId === state.userId) + 1;
     const total = entry.correctAnswers + entry.failedAnswers;
@@ -503,6 +1555,7 @@
       totalPlayers: allEntries.length,
       correctAnswers: entry.correctAnswers,
       failedAnswers: entry.failedAnswers,
+      points: entry.points || 0,
       total,
       percentage,
       name: user.name || 'User',
@@ -535,7 +1588,7 @@
     }
 
     const allUsers = Object.values(state.gameState.users);
-    const onlineUsers = allUsers.filter(u => u.isOnline);
+    const onlineUsers = allUsers.filter(u => u.isOnline && !u.isSpectator);
     
     // Show leaderboard in any room status, but only update content when completed
     // If room is not completed, show the last completed leaderboard state
@@ -545,7 +1598,8 @@
     const leaderboardWithUsers = state.gameState.leaderboard
       .map(entry => {
         const user = state.gameState.users[entry.userId];
-        if (!user) return null;
+        // Spectators are not ranked (even with points from earlier rounds)
+        if (!user || user.isSpectator) return null;
         const total = entry.correctAnswers + entry.failedAnswers;
         const percentage = total > 0 
           ? Math.round((entry.correctAnswers / total) * 100) 
@@ -558,162 +1612,148 @@
         };
       })
       .filter(item => item !== null)
-      .sort((a, b) => {
-        // Sort by percentage descending, then by total descending
-        if (b.percentage !== a.percentage) {
-          return b.percentage - a.percentage;
-        }
-        return b.total - a.total;
-      });
+      .sort(compareEntries);
     
-    // Update stats label with top-1 user
+    // Update stats label with top-1 user (names are user input: text only)
     if (leaderboardWithUsers.length > 0 && uiState.statsLabel) {
       const topUser = leaderboardWithUsers[0];
-      const userColor = topUser.color || '#66C0F4';
-      // Create HTML with colored indicator
-      uiState.statsLabel.innerHTML = `
-        <span style="
-          display: inline-block;
-          width: 10px;
-          height: 10px;
-          border-radius: 50%;
-          background: ${userColor};
-          margin-right: 6px;
-          vertical-align: middle;
-        "></span>
-        <span>${topUser.name || 'User'}: ${topUser.correctAnswers || 0} / ${topUser.failedAnswers || 0} (${topUser.percentage}%)</span>
+      const dot = document.createElement('span');
+      dot.style.cssText = `
+        display: inline-block;
+        width: 10px;
+        height: 10px;
+        border-radius: 50%;
+        margin-right: 6px;
+        vertical-align: middle;
       `;
+      dot.style.background = topUser.color || '#66C0F4';
+      const label = document.createElement('span');
+      label.textContent = `${topUser.name || 'User'}: ${topUser.points || 0} pts`;
+      uiState.statsLabel.replaceChildren(dot, label);
     } else if (uiState.statsLabel) {
       uiState.statsLabel.textContent = 'Stats';
-      uiState.statsLabel.innerHTML = 'Stats'; // Reset HTML as well
     }
     
     // If no leaderboard data yet, show empty state
     if (state.gameState.leaderboard.length === 0) {
-      uiState.leaderboardElement.innerHTML = '<div style="font-size: 12px; color: rgba(255, 255, 255, 0.6); padding: 8px;">No stats yet</div>';
-      // Restore collapse state from sessionStorage
-      try {
-        const isExpanded = sessionStorage.getItem('coopStatsExpanded') === 'true';
-        uiState.leaderboardElement.style.display = isExpanded ? 'block' : 'none';
-      } catch (e) {
-        uiState.leaderboardElement.style.display = 'none';
-      }
+      const empty = document.createElement('div');
+      empty.style.cssText = 'font-size: 12px; color: rgba(255, 255, 255, 0.6); padding: 8px;';
+      empty.textContent = 'No stats yet';
+      showLeaderboardContent(empty, false);
       return;
     }
     
     // If room is not completed and we have a stored leaderboard, show it without updating
-    if (!shouldUpdateContent && uiState.lastLeaderboardHTML) {
-      uiState.leaderboardElement.innerHTML = uiState.lastLeaderboardHTML;
-      // Restore collapse state from sessionStorage
-      try {
-        const isExpanded = sessionStorage.getItem('coopStatsExpanded') === 'true';
-        uiState.leaderboardElement.style.display = isExpanded ? 'block' : 'none';
-      } catch (e) {
-        uiState.leaderboardElement.style.display = 'none';
-      }
+    if (!shouldUpdateContent && uiState.lastLeaderboardContent) {
+      showLeaderboardContent(uiState.lastLeaderboardContent.cloneNode(true), false);
       return;
     }
     
     // If only 1 user online, show just numbers
     if (onlineUsers.length <= 1) {
-      let html = '';
-      if (onlineUsers.length === 1) {
-        const user = onlineUsers[0];
-        const entry = state.gameState.leaderboard.find(e => e.userId === user.userId);
-        if (entry) {
-          const total = entry.correctAnswers + entry.failedAnswers;
-          const percentage = total > 0 
-            ? Math.round((entry.correctAnswers / total) * 100) 
-            : 0;
-          html = `
-            <div style="font-size: 12px; color: rgba(255, 255, 255, 0.7);">
-              Correct: ${entry.correctAnswers || 0} | Failed: ${entry.failedAnswers || 0} | Total: ${total} | ${percentage}%
-            </div>
-          `;
-        } else {
-          // User not in leaderboard yet, but show if there's any data
-          if (state.gameState.leaderboard.length > 0) {
-            // Show first entry as placeholder
-            const firstEntry = state.gameState.leaderboard[0];
-            const total = firstEntry.correctAnswers + firstEntry.failedAnswers;
-            const percentage = total > 0 
-              ? Math.round((firstEntry.correctAnswers / total) * 100) 
-              : 0;
-            html = `
-              <div style="font-size: 12px; color: rgba(255, 255, 255, 0.7);">
-                Correct: ${firstEntry.correctAnswers || 0} | Failed: ${firstEntry.failedAnswers || 0} | Total: ${total} | ${percentage}%
-              </div>
-            `;
-          }
-        }
-      } else {
-        // No users online, but show leaderboard if there's data
-        if (state.gameState.leaderboard.length > 0) {
-          const firstEntry = state.gameState.leaderboard[0];
-          const total = firstEntry.correctAnswers + firstEntry.failedAnswers;
-          const percentage = total > 0 
-            ? Math.round((firstEntry.correctAnswers / total) * 100) 
-            : 0;
-          html = `
-            <div style="font-size: 12px; color: rgba(255, 255, 255, 0.7);">
-              Correct: ${firstEntry.correctAnswers || 0} | Failed: ${firstEntry.failedAnswers || 0} | Total: ${total} | ${percentage}%
-            </div>
-          `;
-        }
-      }
-      
-      if (html) {
-        uiState.leaderboardElement.innerHTML = html;
-        // Restore collapse state from sessionStorage
-        try {
-          const isExpanded = sessionStorage.getItem('coopStatsExpanded') === 'true';
-          uiState.leaderboardElement.style.display = isExpanded ? 'block' : 'none';
-        } catch (e) {
-          uiState.leaderboardElement.style.display = 'none';
-        }
-        // Store the HTML when room is completed
-        if (shouldUpdateContent) {
-          uiState.lastLeaderboardHTML = html;
-        }
-      } else {
+      const user = onlineUsers[0];
+      const entry = user ? state.gameState.leaderboard.find(e => e.userId === user.userId) : null;
+      // Nobody online, or the user is not in the leaderboard yet:
+      // show the first entry as a placeholder
+      const shown = entry || state.gameState.leaderboard[0];
+      if (!shown) {
         uiState.leaderboardElement.style.display = 'none';
+        return;
+      }
+
+      const total = shown.correctAnswers + shown.failedAnswers;
+      const percentage = total > 0 
+        ? Math.round((shown.correctAnswers / total) * 100) 
+        : 0;
+      let text = `Correct: ${shown.correctAnswers || 0} | Failed: ${shown.failedAnswers || 0} | Total: ${total} | ${percentage}%`;
+      if (entry) {
+        text += ` | Points: ${entry.points || 0}${entry.streak >= 2 ? ` | 🔥${entry.streak}` : ''}${entry.percentAnswers ? ` | Round pts: ${entry.roundPoints}` : ''}`;
       }
+
+      const line = document.createElement('div');
+      line.style.cssText = 'font-size: 12px; color: rgba(255, 255, 255, 0.7);';
+      line.textContent = text;
+      showLeaderboardContent(line, shouldUpdateContent);
       return;
     }
 
 
-    // Build leaderboard HTML
-    let html = '<div style="font-size: 11px; color: rgba(255, 255, 255, 0.6); margin-bottom: 6px; font-weight: 600;">Leaderboard</div>';
+    // Build leaderboard rows
+    const rule = getScoringRule(state.gameState.settings && state.gameState.settings.scoringRule);
+    const content = document.createElement('div');
+
+    const heading = document.createElement('div');
+    heading.style.cssText = 'font-size: 11px; color: rgba(255, 255, 255, 0.6); margin-bottom: 6px; font-weight: 600;';
+    heading.textContent = `Leaderboard · ${rule.label}`;
+    content.appendChild(heading);
     
     leaderboardWithUsers.forEach((entry) => {
-      html += `
-        <div style="
-          display: flex;
-          align-items: center;
-          padding: 6px 8px;
-          margin-bottom: 4px;
-          background: rgba(255, 255, 255, 0.03);
-          border-radius: 4px;
-          border-left: 3px solid ${entry.color || '#66C0F4'};
-          font-size: 12px;
-        ">
-          <div style="
-            width: 12px;
-            height: 12px;
-            border-radius: 50%;
-            background: ${entry.color || '#66C0F4'};
-            margin-right: 8px;
-            flex-shrink: 0;
-          "></div>
-          <div style="flex: 1; min-width: 0; color: rgba(255, 255, 255, 0.9);">
-            ${entry.name || 'User'}: ${entry.correctAnswers || 0} / ${entry.failedAnswers || 0} (${entry.percentage}%)
-          </div>
-        </div>
+      const color = entry.color || '#66C0F4';
+
+      const row = document.createElement('div');
+      row.style.cssText = `
+        display: flex;
+        align-items: center;
+        padding: 6px 8px;
+        margin-bottom: 4px;
+        background: rgba(255, 255, 255, 0.03);
+        border-radius: 4px;
+        font-size: 12px;
       `;
+      row.style.borderLeft = `3px solid ${color}`;
+
+      const dot = document.createElement('div');
+      dot.style.cssText = `
+        width: 12px;
+        height: 12px;
+        border-radius: 50%;
+        margin-right: 8px;
+        flex-shrink: 0;
+      `;
+      dot.style.background = color;
+      row.appendChild(dot);
+
+      const name = document.createElement('div');
+      name.style.cssText = 'flex: 1; min-width: 0; color: rgba(255, 255, 255, 0.9);';
+      name.textContent = `${entry.name || 'User'}: ${entry.correctAnswers || 0} / ${entry.failedAnswers || 0} (${entry.percentage}%)`;
+      row.appendChild(name);
+
+      const points = document.createElement('div');
+      points.style.cssText = 'margin-left: 8px; color: #66C0F4; font-weight: 600; white-space: nowrap;';
+      points.title = `Points (${rule.label}: ${rule.description})`;
+      points.textContent = String(entry.points || 0);
+      row.appendChild(points);
+
+      if (entry.streak >= 2) {
+        const streak = document.createElement('div');
+        streak.style.cssText = 'margin-left: 8px; color: #FFA500; white-space: nowrap;';
+        streak.title = `Correct answers in a row (best: ${entry.bestStreak})`;
+        streak.textContent = `🔥${entry.streak}`;
+        row.appendChild(streak);
+      }
+
+      if (entry.percentAnswers) {
+        const roundPoints = document.createElement('div');
+        roundPoints.style.cssText = 'margin-left: 8px; color: rgba(255, 255, 255, 0.6); white-space: nowrap;';
+        roundPoints.title = 'Combined round score (count + positive %)';
+        roundPoints.textContent = `${entry.roundPoints} pts`;
+        row.appendChild(roundPoints);
+      }
+
+      content.appendChild(row);
     });
 
-    uiState.leaderboardElement.innerHTML = html;
-    
+    showLeaderboardContent(content, shouldUpdateContent);
+  }
+
+  /**
+   * Put content in the leaderboard (collapsed or expanded as the user left it)
+   * @param {HTMLElement} content
+   * @param {boolean} remember - Keep a copy to show until the next round completes
+   */
+  function showLeaderboardContent(content, remember) {
+    uiState.leaderboardElement.replaceChildren(content);
+
     // Restore collapse state from sessionStorage
     try {
       const isExpanded = sessionStorage.getItem('coopStatsExpanded') === 'true';
@@ -721,10 +1761,10 @@
     } catch (e) {
       uiState.leaderboardElement.style.display = 'none';
     }
-    
-    // Store the HTML when room is completed so we can show it later
-    if (shouldUpdateContent) {
-      uiState.lastLeaderboardHTML = html;
+
+    // Store the content when room is completed so we can show it later
+    if (remember) {
+      uiState.lastLeaderboardContent = content.cloneNode(true);
     }
   }
 
@@ -748,6 +1788,30 @@
         if (uiState.disconnectBtn) uiState.disconnectBtn.style.display = 'inline-block';
         if (uiState.statusElement) uiState.statusElement.style.display = 'block';
         if (uiState.statsDropdown) uiState.statsDropdown.style.display = 'block';
+        if (uiState.historyDropdown) uiState.historyDropdown.style.display = 'block';
+        if (uiState.hostDropdown) {
+          uiState.hostDropdown.style.display = isRoomHost() ? 'block' : 'none';
+        }
+        renderHostPanel();
+        if (uiState.chatDropdown && uiState.chatDropdown.style.display !== 'block') {
+          uiState.chatDropdown.style.display = 'block';
+          // Keep the chat open across page changes
+          try {
+            setChatExpanded(sessionStorage.getItem('coopChatExpanded') === 'true');
+          } catch (e) {
+            // Ignore storage errors
+          }
+        }
+        renderChat();
+        updateMatchScreen();
+        uiState.settingSelects.forEach((select) => {
+          select.style.display = 'inline-block';
+        });
+        updateSettingSelects();
+        const gameState = ns.coop.getState().gameState;
+        if (!uiState.lastSettings && gameState && gameState.settings) {
+          uiState.lastSettings = { ...gameState.settings };
+        }
         // Move Next buttons into container
         moveNextButtonsToContainer();
       } else {
@@ -756,8 +1820,31 @@
         if (uiState.disconnectBtn) uiState.disconnectBtn.style.display = 'none';
         if (uiState.statusElement) uiState.statusElement.style.display = 'none';
         if (uiState.statsDropdown) uiState.statsDropdown.style.display = 'none';
+        if (uiState.historyDropdown) uiState.historyDropdown.style.display = 'none';
+        if (uiState.hostDropdown) uiState.hostDropdown.style.display = 'none';
+        if (uiState.chatDropdown) uiState.chatDropdown.style.display = 'none';
+        hideMatchEndScreen();
+        uiState.settingSelects.forEach((select) => {
+          select.style.display = 'none';
+        });
+        uiState.lastSettings = null;
         // Reset stats collapse state
         if (uiState.statsContent) uiState.statsContent.style.display = 'none';
+        if (uiState.historyContent) {
+          uiState.historyContent.style.display = 'none';
+          uiState.historyContent.innerHTML = '';
+        }
+        if (uiState.hostContent) {
+          uiState.hostContent.style.display = 'none';
+          uiState.hostPanelKey = null;
+        }
+        if (uiState.chatContent) {
+          uiState.chatContent.style.display = 'none';
+          uiState.chatList.innerHTML = '';
+          uiState.chatKey = null;
+          uiState.chatUnread = 0;
+          updateChatLabel();
+        }
       }
       
       // Hide/show Next buttons and option buttons based on connection status
@@ -776,7 +1863,101 @@
     window.addEventListener('coop-reply-counts-update', (event) => {
       updateUI();
       updateLeaderboard(); // Show leaderboard (will only update content if room is completed)
+      // A round just finished: refresh the open rounds list
+      if (uiState.historyContent && uiState.historyContent.style.display === 'block') {
+        requestHistory();
+      }
+    });
+
+    window.addEventListener('coop-history', (event) => {
+      renderHistory(event.detail.rounds || []);
+    });
+
+    window.addEventListener('coop-settings-updated', (event) => {
+      updateSettingSelects();
+      const { settings, updatedBy } = event.detail || {};
+      if (settings) announceSettingsChange(settings, updatedBy);
+    });
+    window.addEventListener('coop-host-changed', (event) => {
+      const { hostId, reason } = event.detail || {};
+      updateUI();
+      updateSettingSelects();
+      const state = ns.coop.getState();
+      if (hostId === state.userId) {
+        showMessage(reason === 'migrated' ? 'The host left: you are the host now' : 'You are the host now', 'success');
+      } else {
+        const host = state.gameState && state.gameState.users ? state.gameState.users[hostId] : null;
+        showMessage(`${host ? host.name : 'Someone'} is the host now`);
+      }
+    });
+
+    window.addEventListener('coop-room-lock-changed', (event) => {
+      updateUI();
+      showMessage(event.detail.locked ? 'The room is locked: new players can no longer join' : 'The room is open again');
     });
+
+    window.addEventListener('coop-user-removed', (event) => {
+      updateUI();
+      const { name, reason } = event.detail || {};
+      showMessage(`${name || 'A user'} was ${reason === 'banned' ? 'banned' : 'removed'} by the host`);
+    });
+
+    window.addEventListener('coop-user-unbanned', () => {
+      updateUI();
+    });
+
+    window.addEventListener('coop-picker-changed', (event) => {
+      updateUI();
+      const { pickerId } = event.detail || {};
+      const state = ns.coop.getState();
+      if (pickerId && pickerId === state.userId) {
+        showMessage('The host lets you pick the next game (⏩ buttons)', 'success');
+      } else if (!pickerId) {
+        showMessage('Only the host can skip the vote now');
+      } else {
+        const picker = state.gameState && state.gameState.users ? state.gameState.users[pickerId] : null;
+        showMessage(`${picker ? picker.name : 'Someone'} can pick the next game now`);
+      }
+    });
+
+    // We were kicked, banned, or the room is locked
+    window.addEventListener('coop-removed', (event) => {
+      updateUI();
+      showMessage(event.detail.message || 'You were removed from the room', 'error');
+    });
+
+    window.addEventListener('coop-chat-message', (event) => {
+      const { message } = event.detail || {};
+      renderChat();
+      const state = ns.coop.getState();
+      if (message && message.userId !== state.userId && uiState.chatContent.style.display !== 'block') {
+        uiState.chatUnread += 1;
+        updateChatLabel();
+      }
+    });
+
+    window.addEventListener('coop-error', (event) => {
+      showMessage(event.detail.message, 'error');
+    });
+
+    // Matches: announce the start, show the podium once the last answer sank in
+    window.addEventListener('coop-match-started', (event) => {
+      const { match } = event.detail || {};
+      hideMatchEndScreen();
+      updateUI();
+      if (match) showMessage(`🏁 ${match.rounds}-round match started`, 'success');
+    });
+    window.addEventListener('coop-match-finished', () => {
+      uiState.matchScreenNotBefore = Date.now() + MATCH_END_SCREEN_DELAY_MS;
+      updateUI();
+      setTimeout(updateUI, MATCH_END_SCREEN_DELAY_MS);
+    });
+    window.addEventListener('coop-match-ended', () => {
+      hideMatchEndScreen();
+      updateUI();
+      showMessage('Back to endless play');
+    });
+
     window.addEventListener('coop-next-game-vote-update', (event) => {
       updateUI();
       updateLeaderboard();
@@ -836,22 +2017,19 @@
    * Update visibility of Next buttons and option buttons based on connection status
    */
   function updateButtonVisibility(isConnected) {
-    // Hide/show Next Game buttons
+    // Next Game buttons stay visible in both modes:
+    // they vote when connected and navigate directly in single-player
     const nextGameButtons = document.querySelectorAll('.ext-next-game');
     nextGameButtons.forEach(btn => {
-      btn.style.display = isConnected ? '' : 'none';
+      btn.style.display = '';
     });
     
-    // Hide/show guess option buttons
+    // Guess option buttons stay interactive in single-player as well;
+    // in co-op they are locked by the guessing game after the user picks
     const guessButtons = document.querySelectorAll('.ext-guess-btn');
     guessButtons.forEach(btn => {
-      if (!isConnected) {
-        btn.style.pointerEvents = 'none';
-        btn.style.opacity = '0.5';
-      } else {
-        btn.style.pointerEvents = '';
-        btn.style.opacity = '';
-      }
+      btn.style.pointerEvents = '';
+      btn.style.opacity = '';
     });
   }
 
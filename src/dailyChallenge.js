@@ -0,0 +1,479 @@
+/**
+ * Daily challenge
+ * The same five games for everyone on a given UTC day, drawn from the
+ * Balanced batches with a date-seeded RNG, played in order once, and
+ * summed up in an emoji grid that can be shared
+ */
+
+(function (root) {
+  const ns = (root.ReviewGuesser = root.ReviewGuesser || {});
+
+  // chrome.storage.local: today's run ({date, appIds, results})
+  const STORAGE_KEY = "dailyChallenge";
+
+  const DAILY_GAME_COUNT = 5;
+
+  // Draws before giving up on filling the list with distinct games
+  const MAX_DRAWS = 50;
+
+  // Log distances (see utils.logDistance) of the grid colours
+  const CLOSE_DISTANCE = Math.log10(2);
+  const FAR_DISTANCE = 1;
+
+  /**
+   * @typedef {Object} DailyResult
+   * @property {string} appId
+   * @property {boolean} skipped - The game was unavailable in the user's region
+   * @property {number} [trueCount]
+   * @property {number} [pick]
+   * @property {"choice"|"exact"} [mode]
+   * @property {number[]|null} [options]
+   */
+
+  /**
+   * @typedef {Object} DailyRun
+   * @property {string} date - UTC day, YYYY-MM-DD
+   * @property {string[]} appIds - The day's games, in play order
+   * @property {DailyResult[]} results - One per played game, in the same order
+   */
+
+  // Writes are chained so a guess never overwrites a concurrent one
+  let writeQueue = Promise.resolve();
+
+  function hasStorage() {
+    return typeof chrome !== "undefined" && !!chrome.storage;
+  }
+
+  /**
+   * UTC calendar day (YYYY-MM-DD), the same for every player at a given moment.
+   *
+   * @param {number} [timestamp]
+   * @returns {string}
+   */
+  function utcDayKey(timestamp = Date.now()) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+  }
+
+  /**
+   * The day's games. The user's unavailable games are ignored on purpose,
+   * so everyone gets the same list from the bundled batches.
+   *
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<string[]>} Empty when the batches could not be loaded
+   */
+  async function pickDailyAppIds(date) {
+    const batches = (await ns.getBatchAppIds()).filter((ids) => ids.length);
+    if (!batches.length) return [];
+
+    const rng = ns.seededRandom.create(`daily:${date}`);
+    const appIds = [];
+    for (let i = 0; i < MAX_DRAWS && appIds.length < DAILY_GAME_COUNT; i++) {
+      const batch = batches[Math.floor(rng() * batches.length)];
+      const appId = String(batch[Math.floor(rng() * batch.length)]);
+      if (!appIds.includes(appId)) appIds.push(appId);
+    }
+    return appIds;
+  }
+
+  /**
+   * The stored run, if it is today's.
+   *
+   * @returns {Promise<DailyRun|null>}
+   */
+  async function loadRun() {
+    if (!hasStorage()) return null;
+    try {
+      const result = await chrome.storage.local.get([STORAGE_KEY]);
+      const run = result[STORAGE_KEY];
+      return run && run.date === utcDayKey() && Array.isArray(run.appIds) ? run : null;
+    } catch (error) {
+      console.warn("[ext] Could not read the daily challenge:", error);
+      return null;
+    }
+  }
+
+  /**
+   * @param {DailyRun} run
+   * @returns {Promise<void>}
+   */
+  async function saveRun(run) {
+    if (!hasStorage()) return;
+    try {
+      await chrome.storage.local.set({ [STORAGE_KEY]: run });
+    } catch (error) {
+      console.warn("[ext] Could not save the daily challenge:", error);
+    }
+  }
+
+  /**
+   * Today's run, started (and saved) if needed.
+   *
+   * @returns {Promise<DailyRun|null>} null when the games could not be picked
+   */
+  async function startRun() {
+    const existing = await loadRun();
+    if (existing) return existing;
+
+    const date = utcDayKey();
+    const appIds = await pickDailyAppIds(date);
+    if (!appIds.length) return null;
+
+    const run = { date, appIds, results: [] };
+    await saveRun(run);
+    return run;
+  }
+
+  /**
+   * @param {DailyRun} run
+   * @returns {boolean}
+   */
+  function isFinished(run) {
+    return run.results.length >= run.appIds.length;
+  }
+
+  /**
+   * The game the run is waiting for.
+   *
+   * @param {DailyRun} run
+   * @returns {string|null}
+   */
+  function nextAppId(run) {
+    return isFinished(run) ? null : run.appIds[run.results.length];
+  }
+
+  /**
+   * Append a result for the game the run is waiting for. Only the first
+   * answer counts: a game that was already played is never scored again.
+   *
+   * @param {DailyResult} result
+   * @returns {Promise<DailyRun|null>} The updated run, or null when the
+   *   result was not for today's next game
+   */
+  function appendResult(result) {
+    const write = writeQueue.then(async () => {
+      const run = await loadRun();
+      if (!run || nextAppId(run) !== String(result.appId)) return null;
+      run.results.push(result);
+      await saveRun(run);
+      return run;
+    });
+    writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Whether a daily result is a hit (same rule as the solo stats).
+   *
+   * @param {DailyResult} result
+   * @returns {boolean}
+   */
+  function isHit(result) {
+    return !result.skipped && ns.soloHistory.isHit(result);
+  }
+
+  /**
+   * Grid square for a result: hit, within 2×, within 10×, further, skipped.
+   *
+   * @param {DailyResult} result
+   * @returns {string}
+   */
+  function resultSquare(result) {
+    if (result.skipped) return "⬛";
+    if (isHit(result)) return "🟩";
+    const d = ns.logDistance(result.pick, result.trueCount);
+    if (d <= CLOSE_DISTANCE) return "🟨";
+    if (d <= FAR_DISTANCE) return "🟧";
+    return "🟥";
+  }
+
+  /**
+   * Direction of a miss: too high, too low (or on target / skipped).
+   *
+   * @param {DailyResult} result
+   * @returns {string}
+   */
+  function resultArrow(result) {
+    if (result.skipped) return "➖";
+    if (isHit(result)) return "🎯";
+    return result.pick > result.trueCount ? "🔼" : "🔽";
+  }
+
+  /**
+   * Shareable summary of a run, without the games or the counts.
+   *
+   * @param {DailyRun} run
+   * @returns {string}
+   */
+  function shareText(run) {
+    const hits = run.results.filter(isHit).length;
+    return [
+      `Review Guesser Daily ${run.date} ${hits}/${run.appIds.length}`,
+      run.results.map(resultSquare).join(""),
+      run.results.map(resultArrow).join(""),
+    ].join("\n");
+  }
+
+  /**
+   * Go to a Steam store page.
+   *
+   * @param {string} appId
+   */
+  function navigateTo(appId) {
+    window.location.assign(`https://store.steampowered.com/app/${appId}/`);
+  }
+
+  /**
+   * Whether the page is part of a co-op room (the daily is single-player).
+   *
+   * @returns {boolean}
+   */
+  function isCoopConnected() {
+    return !!(ns.coop && ns.coop.getStatus && ns.coop.getStatus().isConnected);
+  }
+
+  /**
+   * Continue today's run: go to its next game, or show the result once
+   * every game has been played. On the "Oops" page of the next game the
+   * game is skipped, as it can't be played in this region.
+   *
+   * @returns {Promise<string|null>} Why nothing happened, if so
+   */
+  async function continueRun() {
+    if (isCoopConnected()) return "The Daily is single-player";
+
+    let run = await startRun();
+    if (!run) return "Couldn't load today's games";
+
+    const here = ns.getCurrentSteamAppId ? ns.getCurrentSteamAppId() : null;
+    const unavailable = !!(ns.isUnavailableRegionPage && ns.isUnavailableRegionPage());
+    if (here && here === nextAppId(run) && unavailable) {
+      run = (await appendResult({ appId: here, skipped: true })) || run;
+    }
+
+    if (isFinished(run)) {
+      openResult(run);
+      return null;
+    }
+
+    if (here === nextAppId(run)) return "Guess this game's review count";
+    navigateTo(nextAppId(run));
+    return null;
+  }
+
+  /**
+   * Button label for the run's progress.
+   *
+   * @param {DailyRun|null} run
+   * @returns {string}
+   */
+  function buttonLabel(run) {
+    if (!run) return "📅 Daily";
+    if (isFinished(run)) return "📅 Daily ✓";
+    return `📅 Daily ${run.results.length + 1}/${run.appIds.length}`;
+  }
+
+  /**
+   * Briefly replace a button's label with a message.
+   *
+   * @param {HTMLButtonElement} button
+   * @param {string} message
+   */
+  function flashLabel(button, message) {
+    const label = button.textContent;
+    button.textContent = message;
+    clearTimeout(button.__extTimer);
+    button.__extTimer = setTimeout(() => {
+      button.textContent = label;
+    }, 2500);
+  }
+
+  /**
+   * "Daily" button next to the Next buttons.
+   *
+   * @returns {HTMLButtonElement}
+   */
+  function createDailyButton() {
+    const button = document.createElement("button");
+    button.className = "ext-daily";
+    button.type = "button";
+    button.textContent = buttonLabel(null);
+    button.title = `Today's ${DAILY_GAME_COUNT} games, the same for everyone`;
+
+    loadRun().then((run) => {
+      button.textContent = buttonLabel(run);
+    });
+
+    button.addEventListener(
+      "click",
+      async (e) => {
+        e.preventDefault();
+        const message = await continueRun();
+        if (message) flashLabel(button, message);
+        else button.textContent = buttonLabel(await loadRun());
+      },
+      { passive: false }
+    );
+
+    return button;
+  }
+
+  /**
+   * Keep a single-player guess for the Daily when it answers the run's
+   * next game, and show how to carry on in the widget.
+   *
+   * @param {HTMLElement} wrap - The guess widget
+   * @param {Omit<DailyResult, "skipped">} guess
+   * @returns {Promise<void>}
+   */
+  async function recordGuess(wrap, guess) {
+    const before = await loadRun();
+    const index = before ? before.appIds.indexOf(String(guess.appId)) : -1;
+    if (index < 0) return;
+
+    const run = await appendResult({
+      appId: String(guess.appId),
+      skipped: false,
+      trueCount: guess.trueCount,
+      pick: guess.pick,
+      mode: guess.mode,
+      options: Array.isArray(guess.options) ? [...guess.options] : null,
+    });
+
+    const note = document.createElement("div");
+    note.className = "ext-daily-note";
+
+    if (!run) {
+      note.textContent = index < before.results.length
+        ? "📅 Your first answer to this Daily game stands; this one is not counted."
+        : `📅 Daily games count in order: this one is game ${index + 1}, not counted.`;
+      wrap.appendChild(note);
+      return;
+    }
+
+    const done = isFinished(run);
+    note.textContent = `📅 Daily ${run.results.length}/${run.appIds.length} ${resultSquare(run.results[run.results.length - 1])} `;
+
+    const next = document.createElement("button");
+    next.type = "button";
+    next.className = "ext-daily-next";
+    next.textContent = done ? "See your Daily result" : "Next Daily game →";
+    next.addEventListener("click", () => {
+      if (done) openResult(run);
+      else navigateTo(nextAppId(run));
+    });
+    note.appendChild(next);
+    wrap.appendChild(note);
+  }
+
+  function closeResult() {
+    document.querySelectorAll(".ext-daily-overlay").forEach((el) => el.remove());
+  }
+
+  /**
+   * One line per game of a finished run.
+   *
+   * @param {DailyRun} run
+   * @returns {HTMLElement}
+   */
+  function resultList(run) {
+    const list = document.createElement("ol");
+    list.className = "ext-daily-list";
+    run.results.forEach((result) => {
+      const item = document.createElement("li");
+
+      const link = document.createElement("a");
+      link.href = `https://store.steampowered.com/app/${result.appId}/`;
+      link.textContent = `App ${result.appId}`;
+      item.appendChild(document.createTextNode(`${resultSquare(result)} `));
+      item.appendChild(link);
+
+      const detail = result.skipped
+        ? " · unavailable in your region"
+        : ` · Actual: ${ns.formatNum(result.trueCount)} · Your guess: ${ns.formatNum(result.pick)}`;
+      item.appendChild(document.createTextNode(detail));
+      list.appendChild(item);
+    });
+    return list;
+  }
+
+  /**
+   * Open the result of today's run with its share grid.
+   *
+   * @param {DailyRun} run
+   */
+  function openResult(run) {
+    closeResult();
+
+    const overlay = document.createElement("div");
+    overlay.className = "ext-stats-overlay ext-daily-overlay";
+    overlay.addEventListener("click", (e) => {
+      if (e.target === overlay) closeResult();
+    });
+
+    const panel = document.createElement("div");
+    panel.className = "ext-stats-panel";
+
+    const header = document.createElement("div");
+    header.className = "ext-stats-header";
+    const title = document.createElement("h2");
+    title.textContent = `📅 Daily ${run.date}`;
+    header.appendChild(title);
+
+    const closeBtn = document.createElement("button");
+    closeBtn.type = "button";
+    closeBtn.textContent = "✕";
+    closeBtn.addEventListener("click", closeResult);
+    header.appendChild(closeBtn);
+
+    const body = document.createElement("div");
+    body.className = "ext-stats-body";
+
+    const grid = document.createElement("pre");
+    grid.className = "ext-daily-grid";
+    grid.textContent = shareText(run);
+    body.appendChild(grid);
+    body.appendChild(resultList(run));
+
+    const footer = document.createElement("div");
+    footer.className = "ext-stats-footer";
+
+    const next = document.createElement("span");
+    next.className = "ext-stats-muted";
+    next.textContent = "New games every day at 00:00 UTC";
+    footer.appendChild(next);
+
+    const copyBtn = document.createElement("button");
+    copyBtn.type = "button";
+    copyBtn.textContent = "Copy result";
+    copyBtn.addEventListener("click", async () => {
+      try {
+        await navigator.clipboard.writeText(shareText(run));
+        copyBtn.textContent = "Copied!";
+      } catch (error) {
+        console.warn("[ext] Could not copy the daily result:", error);
+        copyBtn.textContent = "Select the grid to copy it";
+      }
+    });
+    footer.appendChild(copyBtn);
+
+    panel.appendChild(header);
+    panel.appendChild(body);
+    panel.appendChild(footer);
+    overlay.appendChild(panel);
+    document.body.appendChild(overlay);
+  }
+
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") closeResult();
+  });
+
+  // Expose API
+  ns.dailyChallenge = {
+    load: loadRun,
+    recordGuess: recordGuess,
+    openResult: openResult,
+    createButton: createDailyButton,
+    pickAppIds: pickDailyAppIds,
+    shareText: shareText,
+  };
+})(window);
@@ -0,0 +1,195 @@
+/**
+ * Multiple-choice answer options
+ * Shared by the extension (single-player) and the co-op server, which
+ * generates each round's options once and sends them to every player
+ */
+
+(function (root) {
+  const ns = (root.ReviewGuesser = root.ReviewGuesser || {});
+
+  // In Node (the co-op server) the seeded RNG is loaded as a module
+  const seededRandom =
+    ns.seededRandom ||
+    (typeof module === "object" && module.exports ? require("./seededRandom.js") : null);
+
+  /**
+   * Build the answer options around the true review count: roughly /5 steps
+   * downwards and x5 steps upwards, shuffled. With a gameId the result is
+   * deterministic (seeded by the game).
+   *
+   * @param {number} trueCount - The correct answer (always one of the options)
+   * @param {string|null} [gameId] - Seed; random when omitted
+   * @param {number} [answerCount] - Number of options
+   * @returns {number[]}
+   */
+  function buildGuessSet(trueCount, gameId = null, answerCount = 6) {
+    const MIN_ANSWERS = answerCount;
+    const CAP = 200_000_000_000;
+
+    // Normalise the true answer and cap it
+    const TC = Math.max(
+      0,
+      Math.min(CAP, Math.trunc(Number(trueCount) || 0))
+    );
+
+    const answers = new Set();
+    answers.add(TC);
+
+    // Use seeded random if gameId is provided and seededRandom is available
+    let rng = Math.random;
+    let randInt = (min, max) => Math.floor(Math.random() * (max - min + 1)) + min;
+    
+    if (gameId && seededRandom) {
+      const seededRng = seededRandom.create(gameId);
+      rng = seededRng;
+      randInt = (min, max) => seededRandom.randInt(seededRng, min, max);
+    }
+
+    // Random minimum step between answers when going upwards (40–60)
+    const MIN_STEP_INCREASE = randInt(40, 60);
+
+    // Random limit for how many *downward* options we may generate: 2–5
+    const maxDownGuesses = randInt(4, 5);
+
+    //
+    // 1) DOWNWARDS PHASE (divide by 5 with noise) — ONLY if TC >= MIN_STEP_INCREASE.
+    //    Also limited to maxDownGuesses.
+    //
+    if (TC >= MIN_STEP_INCREASE) {
+      let current = TC;
+      let downCount = 0;
+
+      while (answers.size < MIN_ANSWERS && downCount < maxDownGuesses) {
+        if (current === 0) break;
+
+        let divided = Math.floor(current / 5);
+
+        // No progress? bail out to avoid infinite loops
+        if (divided === current) break;
+
+        // Small random wobble: [-3, 3]
+        const noise = randInt(-3, 3);
+        let next = divided + noise;
+
+        // Clamp so it's still lower than the previous value and >= 0
+        if (next < 0) next = 0;
+        if (next >= current) next = current - 1;
+
+        const beforeSize = answers.size;
+        answers.add(next);
+        if (answers.size > beforeSize) {
+          downCount++;
+        }
+
+        current = next;
+
+        // Stop downwards once we've reached below 50 (original rule)
+        if (current < 50) break;
+      }
+    }
+
+    //
+    // 2) UPWARDS PHASE: multiply by 5 with noise and enforce a random min distance (40–60).
+    //    This fills remaining slots with higher values.
+    //
+    let current = TC;
+
+    while (answers.size < MIN_ANSWERS) {
+      // Base "multiply by 5"
+      let base = current * 5;
+
+      // Small random wobble: [-2, 3]  (add up to 3, remove up to 2)
+      const noise = randInt(-2, 3);
+      let candidate = base + noise;
+
+      if (candidate < 0) candidate = 0;
+
+      // Enforce a minimum increase of MIN_STEP_INCREASE over the previous value
+      if (candidate < current + MIN_STEP_INCREASE) {
+        candidate = current + MIN_STEP_INCREASE;
+      }
+
+      // Cap very large values
+      if (candidate > CAP) candidate = CAP;
+
+      // Avoid duplicates by nudging up a bit if needed
+      let tries = 0;
+      while (answers.has(candidate) && candidate < CAP && tries < 10) {
+        candidate++;
+        tries++;
+      }
+
+      if (answers.has(candidate)) {
+        // No more unique space reasonably nearby; stop the upward phase.
+        break;
+      }
+
+      answers.add(candidate);
+      current = candidate;
+    }
+
+    //
+    // 3) Fallback: if we *still* have fewer than MIN_ANSWERS answers,
+    //    just fill upwards by +1 from the current max.
+    //
+    if (answers.size < MIN_ANSWERS) {
+      let maxVal = Math.max(...answers);
+      while (answers.size < MIN_ANSWERS && maxVal < CAP) {
+        maxVal++;
+        if (!answers.has(maxVal)) {
+          answers.add(maxVal);
+        }
+      }
+    }
+
+    //
+    // 4) LOWEST-OPTION TWEAK:
+    //    If the lowest option is NOT the correct answer, then with 50% chance
+    //    replace it with 0 or 1 (chosen randomly), while keeping all answers distinct.
+    //
+    if (answers.size > 0) {
+      const values = Array.from(answers);
+      let minVal = values[0];
+      for (let i = 1; i < values.length; i++) {
+        if (values[i] < minVal) minVal = values[i];
+      }
+
+      if (minVal !== TC && rng() < 0.5 && minVal < 20) {
+        const candidates = rng() < 0.5 ? [0, 1] : [1, 0];
+
+        for (const val of candidates) {
+          // If replacing with the same value, no point; skip
+          if (val === minVal) {
+            // already that value, but it's still 0 or 1, so that's okay
+            break;
+          }
+          // Avoid creating duplicates: allow if it's not already in the set
+          if (!answers.has(val)) {
+            answers.delete(minVal);
+            answers.add(val);
+            break;
+          }
+        }
+      }
+    }
+
+    //
+    // 5) Convert to array and shuffle so the correct answer isn't in a fixed spot.
+    //
+    const picks = Array.from(answers);
+
+    for (let i = picks.length - 1; i > 0; i--) {
+      const j = Math.floor(rng() * (i + 1));
+      [picks[i], picks[j]] = [picks[j], picks[i]];
+    }
+
+    return picks;
+  }
+
+  // Expose API
+  ns.buildGuessSet = buildGuessSet;
+
+  if (typeof module === "object" && module.exports) {
+    module.exports = { buildGuessSet };
+  }
+})(typeof window !== "undefined" ? window : globalThis);
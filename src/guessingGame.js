@@ -7,174 +7,284 @@
   const hideAllSteamReviewCounts = ns.hideAllSteamReviewCounts;
   const waitForAnyReviewCount = ns.waitForAnyReviewCount;
   const formatNum = ns.formatNum;
+  const parseGuessInput = ns.parseGuessInput;
+  const scoreExactGuess = ns.scoreExactGuess;
 
-  function buildGuessSet(trueCount, gameId = null) {
-    const MIN_ANSWERS = 6;
-    const CAP = 200_000_000_000;
+  /**
+   * Load the preferred single-player guess mode from the settings.
+   *
+   * @returns {Promise<"choice"|"exact">}
+   */
+  async function loadGuessMode() {
+    if (!ns.settings) return "choice";
+    const settings = await ns.settings.load();
+    return settings.guessMode;
+  }
+
+  /**
+   * Persist the preferred guess mode.
+   *
+   * @param {"choice"|"exact"} mode
+   * @returns {Promise<void>}
+   */
+  function saveGuessMode(mode) {
+    if (!ns.settings) return Promise.resolve();
+    return ns.settings.set({ guessMode: mode });
+  }
 
-    // Normalise the true answer and cap it
-    const TC = Math.max(
-      0,
-      Math.min(CAP, Math.trunc(Number(trueCount) || 0))
+  /**
+   * Whether we are currently connected to a co-op room.
+   * Exact guesses are single-player only; co-op always uses the six options.
+   *
+   * @returns {boolean}
+   */
+  function isCoopConnected() {
+    return !!(
+      ns.coop &&
+      ns.coop.getStatus &&
+      ns.coop.getStatus().isConnected
     );
+  }
 
-    const answers = new Set();
-    answers.add(TC);
+  /**
+   * Whether we are watching a co-op room as a spectator
+   * @returns {boolean}
+   */
+  function isSpectating() {
+    return isCoopConnected() && ns.coop.isSpectating();
+  }
 
-    // Use seeded random if gameId is provided and seededRandom is available
-    let rng = Math.random;
-    let randInt = (min, max) => Math.floor(Math.random() * (max - min + 1)) + min;
-    
-    if (gameId && ns.seededRandom) {
-      const seededRng = ns.seededRandom.create(gameId);
-      rng = seededRng;
-      randInt = (min, max) => ns.seededRandom.randInt(seededRng, min, max);
+  /**
+   * The answer options the co-op server generated for this game, once the
+   * round has started. When the server could not look up the review count
+   * (the round is not scored), fall back to building them locally.
+   *
+   * @param {string} appId
+   * @param {number} trueCount - This client's review count (fallback only)
+   * @returns {number[]|null} null while the round has not started yet
+   */
+  function getRoomOptions(appId, trueCount) {
+    const gameState = ns.coop.getState().gameState;
+    if (!gameState || String(gameState.currentGameId) !== String(appId)) {
+      return null;
     }
+    if (Array.isArray(gameState.answerOptions) && gameState.answerOptions.length) {
+      return gameState.answerOptions;
+    }
+    if (gameState.answerLookupFailed) {
+      const answerCount = ns.settings ? ns.settings.COOP_ANSWER_COUNT : 6;
+      return ns.buildGuessSet(trueCount, appId, answerCount);
+    }
+    return null;
+  }
 
-    // Random minimum step between answers when going upwards (40–60)
-    const MIN_STEP_INCREASE = randInt(40, 60);
-
-    // Random limit for how many *downward* options we may generate: 2–5
-    const maxDownGuesses = randInt(4, 5);
+  /**
+   * Rebuild widgets that show other options than the room's (e.g. rendered
+   * for single-player before joining), then render any waiting widget.
+   */
+  function applyRoomOptions() {
+    if (!isCoopConnected()) return;
 
-    //
-    // 1) DOWNWARDS PHASE (divide by 5 with noise) — ONLY if TC >= MIN_STEP_INCREASE.
-    //    Also limited to maxDownGuesses.
-    //
-    if (TC >= MIN_STEP_INCREASE) {
-      let current = TC;
-      let downCount = 0;
+    document
+      .querySelectorAll('.ext-steam-guess[data-state="ready"][data-mode="choice"]')
+      .forEach((wrap) => {
+        const options = getRoomOptions(
+          wrap.dataset.extAppid,
+          parseInt(wrap.dataset.truecount, 10)
+        );
+        if (options && wrap.dataset.guesses !== JSON.stringify(options)) {
+          resetWidget(wrap);
+        }
+      });
 
-      while (answers.size < MIN_ANSWERS && downCount < maxDownGuesses) {
-        if (current === 0) break;
+    injectSteamGuessingGame();
+  }
 
-        let divided = Math.floor(current / 5);
+  /**
+   * Clear a rendered widget so it can be rebuilt (keeps the cached true count).
+   *
+   * @param {HTMLElement} wrap
+   */
+  function resetWidget(wrap) {
+    delete wrap.dataset.state;
+    delete wrap.dataset.locked;
+    delete wrap.dataset.mode;
+    delete wrap.dataset.guesses;
+    wrap.innerHTML = "";
+  }
 
-        // No progress? bail out to avoid infinite loops
-        if (divided === current) break;
+  /**
+   * Small "Multiple choice | Exact guess" switch shown above the widget.
+   *
+   * @param {HTMLElement} wrap
+   * @param {"choice"|"exact"} activeMode
+   * @returns {HTMLElement}
+   */
+  function createModeToggle(wrap, activeMode) {
+    const bar = document.createElement("div");
+    bar.className = "ext-mode-toggle";
 
-        // Small random wobble: [-3, 3]
-        const noise = randInt(-3, 3);
-        let next = divided + noise;
+    [
+      ["choice", "Multiple choice"],
+      ["exact", "Exact guess"],
+    ].forEach(([mode, label]) => {
+      const link = document.createElement("a");
+      link.href = "#";
+      link.textContent = label;
+      if (mode === activeMode) link.classList.add("active");
 
-        // Clamp so it's still lower than the previous value and >= 0
-        if (next < 0) next = 0;
-        if (next >= current) next = current - 1;
+      link.addEventListener("click", (e) => {
+        e.preventDefault();
+        if (mode === activeMode || wrap.dataset.locked === "1") return;
+        saveGuessMode(mode).then(() => {
+          resetWidget(wrap);
+          injectSteamGuessingGame();
+        });
+      });
 
-        const beforeSize = answers.size;
-        answers.add(next);
-        if (answers.size > beforeSize) {
-          downCount++;
-        }
+      bar.appendChild(link);
+    });
 
-        current = next;
+    return bar;
+  }
 
-        // Stop downwards once we've reached below 50 (original rule)
-        if (current < 50) break;
-      }
-    }
+  /**
+   * Human-readable description of how far off a guess was.
+   *
+   * @param {number} guess
+   * @param {number} trueCount
+   * @returns {string}
+   */
+  function describeGuessError(guess, trueCount) {
+    const ratio = (guess + 1) / (trueCount + 1);
+    if (ratio <= 1.1 && ratio >= 1 / 1.1) return "within 10%";
+    if (ratio > 1) return `${ratio.toFixed(1)}× too high`;
+    return `${(1 / ratio).toFixed(1)}× too low`;
+  }
 
-    //
-    // 2) UPWARDS PHASE: multiply by 5 with noise and enforce a random min distance (40–60).
-    //    This fills remaining slots with higher values.
-    //
-    let current = TC;
+  /**
+   * Render the single-player "exact guess" widget: a numeric input
+   * scored by log distance instead of six buttons.
+   *
+   * @param {HTMLElement} wrap
+   * @param {number} trueCount
+   */
+  function renderExactGuess(wrap, trueCount, appId) {
+    wrap.innerHTML = "";
+    wrap.dataset.mode = "exact";
+    wrap.appendChild(createModeToggle(wrap, "exact"));
 
-    while (answers.size < MIN_ANSWERS) {
-      // Base "multiply by 5"
-      let base = current * 5;
+    const input = document.createElement("input");
+    input.type = "text";
+    input.className = "ext-exact-input";
+    input.placeholder = "e.g. 12k, 1.2M or 7 036";
+    input.autocomplete = "off";
 
-      // Small random wobble: [-2, 3]  (add up to 3, remove up to 2)
-      const noise = randInt(-2, 3);
-      let candidate = base + noise;
+    const submit = document.createElement("button");
+    submit.type = "button";
+    submit.className = "ext-exact-submit";
+    submit.textContent = "Guess";
 
-      if (candidate < 0) candidate = 0;
+    const result = document.createElement("div");
+    result.className = "ext-exact-result";
 
-      // Enforce a minimum increase of MIN_STEP_INCREASE over the previous value
-      if (candidate < current + MIN_STEP_INCREASE) {
-        candidate = current + MIN_STEP_INCREASE;
-      }
+    const note = document.createElement("div");
+    note.className = "ext-subtle";
+    note.textContent =
+      "Type your guess for the All Reviews count (all languages). ";
+    appendStatsLink(note);
 
-      // Cap very large values
-      if (candidate > CAP) candidate = CAP;
+    const submitGuess = () => {
+      if (wrap.dataset.locked === "1") return;
 
-      // Avoid duplicates by nudging up a bit if needed
-      let tries = 0;
-      while (answers.has(candidate) && candidate < CAP && tries < 10) {
-        candidate++;
-        tries++;
+      const guess = parseGuessInput(input.value);
+      if (guess == null) {
+        result.className = "ext-exact-result ext-error";
+        result.textContent =
+          "Couldn't read that number. Try e.g. 12k, 1.2M or 7 036.";
+        input.focus();
+        return;
       }
 
-      if (answers.has(candidate)) {
-        // No more unique space reasonably nearby; stop the upward phase.
-        break;
-      }
+      wrap.dataset.locked = "1";
+      input.disabled = true;
+      submit.disabled = true;
 
-      answers.add(candidate);
-      current = candidate;
-    }
+      const toggle = wrap.querySelector(".ext-mode-toggle");
+      if (toggle) toggle.classList.add("ext-hide");
 
-    //
-    // 3) Fallback: if we *still* have fewer than 6 answers,
-    //    just fill upwards by +1 from the current max.
-    //
-    if (answers.size < MIN_ANSWERS) {
-      let maxVal = Math.max(...answers);
-      while (answers.size < MIN_ANSWERS && maxVal < CAP) {
-        maxVal++;
-        if (!answers.has(maxVal)) {
-          answers.add(maxVal);
-        }
+      if (ns.soloHistory) {
+        ns.soloHistory.record({
+          appId,
+          trueCount,
+          options: null,
+          pick: guess,
+          mode: "exact",
+        });
       }
-    }
-
-    //
-    // 4) LOWEST-OPTION TWEAK:
-    //    If the lowest option is NOT the correct answer, then with 50% chance
-    //    replace it with 0 or 1 (chosen randomly), while keeping all answers distinct.
-    //
-    if (answers.size > 0) {
-      const values = Array.from(answers);
-      let minVal = values[0];
-      for (let i = 1; i < values.length; i++) {
-        if (values[i] < minVal) minVal = values[i];
+      if (ns.dailyChallenge) {
+        ns.dailyChallenge.recordGuess(wrap, {
+          appId,
+          trueCount,
+          options: null,
+          pick: guess,
+          mode: "exact",
+        });
       }
 
-      if (minVal !== TC && rng() < 0.5 && minVal < 20) {
-        const candidates = rng() < 0.5 ? [0, 1] : [1, 0];
-
-        for (const val of candidates) {
-          // If replacing with the same value, no point; skip
-          if (val === minVal) {
-            // already that value, but it's still 0 or 1, so that's okay
-            break;
-          }
-          // Avoid creating duplicates: allow if it's not already in the set
-          if (!answers.has(val)) {
-            answers.delete(minVal);
-            answers.add(val);
-            break;
-          }
-        }
-      }
-    }
+      const points = scoreExactGuess(guess, trueCount);
+      result.className =
+        "ext-exact-result " + (points >= 50 ? "correct" : "wrong");
+      result.textContent =
+        `Actual: ${formatNum(trueCount)} · Your guess: ${formatNum(guess)}` +
+        ` · ${points} points (${describeGuessError(guess, trueCount)})`;
 
-    //
-    // 5) Convert to array and shuffle so the correct answer isn't in a fixed spot.
-    //
-    const picks = Array.from(answers);
+      askScoreQuestion(wrap, appId, trueCount, points);
+    };
 
-    for (let i = picks.length - 1; i > 0; i--) {
-      const j = Math.floor(rng() * (i + 1));
-      [picks[i], picks[j]] = [picks[j], picks[i]];
-    }
+    submit.addEventListener("click", submitGuess);
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        submitGuess();
+      }
+    });
 
-    return picks;
+    wrap.appendChild(input);
+    wrap.appendChild(submit);
+    wrap.appendChild(result);
+    wrap.appendChild(note);
   }
 
+  /**
+   * Follow a single-player count guess with the positive-% question,
+   * when enabled in the options.
+   *
+   * @param {HTMLElement} wrap
+   * @param {string} appId
+   * @param {number} trueCount
+   * @param {number} countPoints - 0..100 for the count guess
+   */
+  function askScoreQuestion(wrap, appId, trueCount, countPoints) {
+    if (!ns.scoreQuestion || !ns.scoreQuestion.isSoloEnabled(wrap)) return;
+    ns.scoreQuestion.renderSolo(wrap, {
+      appId,
+      trueCount,
+      truePercent: parseInt(wrap.dataset.truepercent, 10),
+      countPoints,
+    });
+  }
 
-
-
+  /**
+   * Append the "My stats" link to a widget note (single-player only).
+   *
+   * @param {HTMLElement} note
+   */
+  function appendStatsLink(note) {
+    if (ns.statsView && !isCoopConnected()) {
+      note.appendChild(ns.statsView.createLink());
+    }
+  }
 
   function ensureLoadingWidget(container, appId) {
     let wrap = container.querySelector(
@@ -215,6 +325,8 @@
     );
     if (existingWrap && existingWrap.dataset.state === "ready") {
       hideAllSteamReviewCounts();
+      // The mask is lifted while paused; put it back on resume
+      existingWrap.parentElement?.classList.add("ext-mask-reviews");
       return;
     }
 
@@ -243,7 +355,9 @@
       ? parseInt(wrap.dataset.truecount, 10)
       : null;
     if (!Number.isFinite(trueCount)) {
-      const got = await waitForAnyReviewCount(5000);
+      const got = ns.reviewSource
+        ? await ns.reviewSource.getReviewSummary(appId)
+        : await waitForAnyReviewCount(5000);
       if (!got) {
         if (!wrap.querySelector(".ext-error")) {
           wrap.innerHTML =
@@ -253,17 +367,46 @@
       }
       trueCount = got.count;
       wrap.dataset.truecount = String(trueCount);
+      if (got.source) wrap.dataset.countSource = got.source;
+      if (got.positivePercent != null && trueCount > 0) {
+        wrap.dataset.truepercent = String(got.positivePercent);
+      }
+    }
+
+    const mode = isCoopConnected() ? "choice" : await loadGuessMode();
+
+    if (wrap.dataset.state !== "ready" && mode === "exact") {
+      renderExactGuess(wrap, trueCount, appId);
+      wrap.dataset.state = "ready";
+      return;
     }
 
     if (wrap.dataset.state !== "ready") {
       // Reset results shown flag for new game
       wrap.dataset.resultsShown = '0';
       
-      // Use seeded random based on appId for co-op consistency
-      const guesses = buildGuessSet(trueCount, appId);
+      // In co-op every player gets the options the server generated
+      // for the round; single-player builds its own
+      let guesses;
+      if (isCoopConnected()) {
+        guesses = getRoomOptions(appId, trueCount);
+        if (!guesses) {
+          const msg = wrap.querySelector(".ext-wait");
+          if (msg) msg.textContent = "Waiting for the room's answer options…";
+          return;
+        }
+      } else {
+        const answerCount = ns.settings ? ns.settings.get().answerCount : 6;
+        guesses = ns.buildGuessSet(trueCount, appId, answerCount);
+      }
       wrap.dataset.guesses = JSON.stringify(guesses);
+      wrap.dataset.mode = "choice";
       wrap.innerHTML = "";
 
+      if (!isCoopConnected()) {
+        wrap.appendChild(createModeToggle(wrap, "choice"));
+      }
+
       const btns = [];
       guesses.forEach((val) => {
         const b = document.createElement("button");
@@ -286,7 +429,8 @@
       const note = document.createElement("div");
       note.className = "ext-subtle";
       note.textContent =
-        "Guess the All Reviews count (all languages).";
+        "Guess the All Reviews count (all languages). ";
+      appendStatsLink(note);
       wrap.appendChild(note);
 
       const correct = trueCount;
@@ -314,9 +458,12 @@
       };
       
       const mark = (picked) => {
-        if (wrap.dataset.locked === "1") return;
+        if (wrap.dataset.locked === "1" || isSpectating()) return;
         wrap.dataset.locked = "1";
         userPickedValue = picked;
+
+        const toggle = wrap.querySelector(".ext-mode-toggle");
+        if (toggle) toggle.classList.add("ext-hide");
         
         // Update user's hasReplied status optimistically (for UI state)
         // Note: Reply counts will be updated by server broadcast
@@ -336,9 +483,9 @@
         if (ns.coop && ns.coop.getState) {
           const state = ns.coop.getState();
           if (state.client && state.isConnected) {
-            // Send correct answer along with guess
-            state.client.sendGuess(picked, appId, correct);
-            console.log('[Co-op] Sent guess:', picked, 'correct answer:', correct);
+            // The server resolves the correct answer itself
+            state.client.sendGuess(picked, appId);
+            console.log('[Co-op] Sent guess:', picked);
           }
         }
         
@@ -370,9 +517,28 @@
         });
         
         // In co-op mode, results will be shown when all users reply (handled by setupReplyCountUpdates)
-        // For non-co-op mode, show results immediately
-        if (!ns.coop || !ns.coop.getState) {
+        // For non-co-op mode, show results immediately and keep the guess in the history
+        if (!isCoopConnected()) {
           showResults(btns, correct, userPickedValue);
+          if (ns.soloHistory) {
+            ns.soloHistory.record({
+              appId,
+              trueCount: correct,
+              options: guesses,
+              pick: picked,
+              mode: "choice",
+            });
+          }
+          if (ns.dailyChallenge) {
+            ns.dailyChallenge.recordGuess(wrap, {
+              appId,
+              trueCount: correct,
+              options: guesses,
+              pick: picked,
+              mode: "choice",
+            });
+          }
+          askScoreQuestion(wrap, appId, correct, picked === correct ? 100 : 0);
         }
         // Note: The listener in setupReplyCountUpdates will check and show results when all users reply
       };
@@ -385,10 +551,25 @@
         )
       );
 
+      // Spectators see the picks come in but can't make one
+      if (isSpectating()) {
+        wrap.dataset.locked = "1";
+        btns.forEach((btn) => {
+          btn.disabled = true;
+          btn.setAttribute("aria-disabled", "true");
+        });
+        note.textContent = "👁 You are spectating: the players' picks show up here.";
+      }
+
       wrap.dataset.state = "ready";
       
       // Set up reply count updates for co-op mode
       setupReplyCountUpdates(wrap, btns, correct, showResults);
+
+      // The room may already be past the count question (e.g. after a reload)
+      if (isCoopConnected() && ns.scoreQuestion) {
+        ns.scoreQuestion.syncCoop(ns.coop.getState().gameState);
+      }
     } else {
       // Update reply counts if buttons already exist
       const existingBtns = wrap.querySelectorAll('.ext-guess-btn');
@@ -423,7 +604,7 @@
    * @returns {boolean} True if all online users have replied, false otherwise
    */
   function allOnlineUsersReplied(gameState = null) {
-    if (!ns.coop || !ns.coop.getState) {
+    if (!isCoopConnected()) {
       // Non-co-op mode: always return true (no validation needed)
       return true;
     }
@@ -441,7 +622,7 @@
     }
     
     const allUsers = Object.values(users);
-    const onlineUsers = allUsers.filter(u => u.isOnline);
+    const onlineUsers = allUsers.filter(u => u.isOnline && !u.isSpectator);
     
     // If no online users, return false
     if (onlineUsers.length === 0) {
@@ -553,8 +734,8 @@
         if (gameState.roomStatus === 'completed' && gameState.correctAnswer !== null) {
           if (wrap.dataset.resultsShown === '1') return; // Already shown
           
-          const correct = gameState.correctAnswer;
           const buttons = wrap.querySelectorAll('.ext-guess-btn');
+          const correct = gameState.correctAnswer;
           buttons.forEach(btn => {
             const val = parseInt(btn.dataset.value, 10);
             
@@ -625,7 +806,7 @@
         }
         
         const allUsers = Object.values(state.gameState.users);
-        const onlineUsers = allUsers.filter(u => u.isOnline);
+        const onlineUsers = allUsers.filter(u => u.isOnline && !u.isSpectator);
         const allReplied = onlineUsers.length > 0 && onlineUsers.every(u => u.hasReplied);
         
         // Only show results if ALL users have replied AND room is completed
@@ -640,9 +821,10 @@
           
           if (currentUserId && state.gameState.users[currentUserId]) {
             const userPick = state.gameState.users[currentUserId].replyOption;
-            if (userPick !== null && userPick !== undefined) {
+            // Spectators have no pick but still get to see the answer
+            if ((userPick !== null && userPick !== undefined) || state.gameState.users[currentUserId].isSpectator) {
               console.log('[Co-op] All users replied, showing results for user:', currentUserId, 'pick:', userPick);
-              showResultsFn(btns, correctAnswer, userPick);
+              showResultsFn(btns, state.gameState.correctAnswer, userPick);
             }
           } else {
             console.warn('[Co-op] Could not find current user to show results');
@@ -718,6 +900,22 @@
   // Track last gameId to detect new games
   let lastGameId = null;
   
+  // Joining a room switches single-player widgets back to the co-op options
+  window.addEventListener('coop-status-change', () => {
+    if (!isCoopConnected()) return;
+    
+    document.querySelectorAll('.ext-mode-toggle, .ext-steam-guess .ext-stats-link').forEach(el => el.remove());
+    
+    const exactWraps = document.querySelectorAll('.ext-steam-guess[data-mode="exact"]');
+    exactWraps.forEach(wrap => resetWidget(wrap));
+    applyRoomOptions();
+  });
+  
+  // The server generated this round's options
+  window.addEventListener('coop-round-start', () => {
+    applyRoomOptions();
+  });
+  
   // Listen for next-game-selected to reset UI state
   window.addEventListener('coop-next-game-selected', (event) => {
     if (event.detail && event.detail.gameState) {
@@ -861,8 +1059,8 @@
               return;
             }
             
-            const correct = gameState.correctAnswer;
             const buttons = wrap.querySelectorAll('.ext-guess-btn');
+            const correct = gameState.correctAnswer;
             console.log('[Co-op] Found', buttons.length, 'buttons to mark');
             buttons.forEach(btn => {
               const val = parseInt(btn.dataset.value, 10);
@@ -0,0 +1,222 @@
+/**
+ * Locale phrases
+ * Per-language strings for the few places where Steam's markup alone is not
+ * enough to find review counts and spoilers. Structural selectors are always
+ * tried first; these phrases are the fallback.
+ */
+
+(function (root) {
+  const ns = (root.ReviewGuesser = root.ReviewGuesser || {});
+
+  /**
+   * Keyed by Steam's language name (the `l=` URL parameter).
+   * Phrases are matched case-insensitively as substrings, so trailing
+   * colons and surrounding punctuation are left out.
+   *
+   * @type {Record<string, Record<string, string[]>>}
+   */
+  const PHRASES = {
+    english: {
+      allReviews: ["All Reviews"],
+      recentReviews: ["Recent Reviews"],
+      overallReviews: ["Overall Reviews"],
+      noReviews: ["There are no reviews for this product", "No reviews", "No user reviews"],
+      publisher: ["Publisher"],
+      curators: ["What Curators Say"],
+    },
+    german: {
+      allReviews: ["Alle Rezensionen", "Alle Reviews"],
+      recentReviews: ["Neueste Rezensionen", "Kürzliche Rezensionen"],
+      overallReviews: ["Rezensionen insgesamt", "Gesamtbewertung"],
+      noReviews: ["keine Rezensionen"],
+      publisher: ["Publisher"],
+      curators: ["Was Kuratoren sagen"],
+    },
+    french: {
+      allReviews: ["Toutes les évaluations"],
+      recentReviews: ["Évaluations récentes"],
+      overallReviews: ["Évaluations globales"],
+      noReviews: ["aucune évaluation"],
+      publisher: ["Éditeur"],
+      curators: ["Ce que disent les curateurs"],
+    },
+    spanish: {
+      allReviews: ["Todas las reseñas"],
+      recentReviews: ["Reseñas recientes"],
+      overallReviews: ["Reseñas generales"],
+      noReviews: ["No hay reseñas"],
+      publisher: ["Editor"],
+      curators: ["Lo que dicen los mentores"],
+    },
+    latam: {
+      allReviews: ["Todas las reseñas"],
+      recentReviews: ["Reseñas recientes"],
+      overallReviews: ["Reseñas generales"],
+      noReviews: ["No hay reseñas"],
+      publisher: ["Editor"],
+      curators: ["Lo que dicen los mentores"],
+    },
+    italian: {
+      allReviews: ["Tutte le recensioni"],
+      recentReviews: ["Recensioni recenti"],
+      overallReviews: ["Recensioni complessive"],
+      noReviews: ["Non ci sono recensioni"],
+      publisher: ["Editore"],
+      curators: ["Cosa dicono i curatori"],
+    },
+    portuguese: {
+      allReviews: ["Todas as análises"],
+      recentReviews: ["Análises recentes"],
+      overallReviews: ["Análises gerais"],
+      noReviews: ["Não há análises"],
+      publisher: ["Editora"],
+      curators: ["O que dizem os curadores"],
+    },
+    brazilian: {
+      allReviews: ["Todas as análises"],
+      recentReviews: ["Análises recentes"],
+      overallReviews: ["Análises gerais"],
+      noReviews: ["Não há análises"],
+      publisher: ["Distribuidora"],
+      curators: ["O que dizem os curadores"],
+    },
+    dutch: {
+      allReviews: ["Alle recensies"],
+      recentReviews: ["Recente recensies"],
+      overallReviews: ["Algemene recensies"],
+      noReviews: ["geen recensies"],
+      publisher: ["Uitgever"],
+      curators: ["Wat curatoren zeggen"],
+    },
+    polish: {
+      allReviews: ["Wszystkie recenzje"],
+      recentReviews: ["Najnowsze recenzje", "Ostatnie recenzje"],
+      overallReviews: ["Ogólne recenzje"],
+      noReviews: ["Brak recenzji"],
+      publisher: ["Wydawca"],
+      curators: ["Co mówią kuratorzy"],
+    },
+    russian: {
+      allReviews: ["Все обзоры"],
+      recentReviews: ["Недавние обзоры"],
+      overallReviews: ["Общие обзоры", "Обзоры в целом"],
+      noReviews: ["нет обзоров"],
+      publisher: ["Издатель"],
+      curators: ["Что говорят кураторы"],
+    },
+    ukrainian: {
+      allReviews: ["Усі огляди", "Всі огляди"],
+      recentReviews: ["Нещодавні огляди"],
+      overallReviews: ["Загальні огляди"],
+      noReviews: ["немає оглядів"],
+      publisher: ["Видавець"],
+      curators: ["Що кажуть куратори"],
+    },
+    czech: {
+      allReviews: ["Všechny recenze"],
+      recentReviews: ["Nedávné recenze"],
+      overallReviews: ["Celkové recenze"],
+      noReviews: ["žádné recenze"],
+      publisher: ["Vydavatel"],
+      curators: ["Co říkají kurátoři"],
+    },
+    turkish: {
+      allReviews: ["Tüm İncelemeler"],
+      recentReviews: ["Son İncelemeler"],
+      overallReviews: ["Genel İncelemeler"],
+      noReviews: ["inceleme bulunmuyor"],
+      publisher: ["Yayıncı"],
+      curators: ["Küratörler Ne Diyor"],
+    },
+    schinese: {
+      allReviews: ["全部评测"],
+      recentReviews: ["最近评测"],
+      overallReviews: ["总体评测"],
+      noReviews: ["此产品尚无评测", "没有评测"],
+      publisher: ["发行商"],
+      curators: ["鉴赏家评价"],
+    },
+    tchinese: {
+      allReviews: ["所有評論", "全部評論"],
+      recentReviews: ["最近評論"],
+      overallReviews: ["整體評論"],
+      noReviews: ["此產品尚無評論", "沒有評論"],
+      publisher: ["發行商"],
+      curators: ["鑑賞家評價"],
+    },
+    japanese: {
+      allReviews: ["すべてのレビュー"],
+      recentReviews: ["最近のレビュー"],
+      overallReviews: ["総合評価"],
+      noReviews: ["レビューはありません"],
+      publisher: ["パブリッシャー"],
+      curators: ["キュレーターのコメント"],
+    },
+    koreana: {
+      allReviews: ["모든 평가"],
+      recentReviews: ["최근 평가"],
+      overallReviews: ["종합 평가"],
+      noReviews: ["평가가 없습니다"],
+      publisher: ["배급사"],
+      curators: ["큐레이터 평가"],
+    },
+  };
+
+  const cache = new Map();
+
+  function escapeRegExp(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  /**
+   * All phrases of a kind, across every language.
+   *
+   * @param {string} kind - e.g. "allReviews", "noReviews"
+   * @returns {string[]}
+   */
+  function phrasesFor(kind) {
+    const out = [];
+    Object.values(PHRASES).forEach((lang) => {
+      (lang[kind] || []).forEach((p) => {
+        if (!out.includes(p)) out.push(p);
+      });
+    });
+    return out;
+  }
+
+  /**
+   * Case-insensitive regex matching any phrase of the given kinds
+   * in any language (no word boundaries, so CJK works too).
+   *
+   * @param {...string} kinds
+   * @returns {RegExp}
+   */
+  function phraseRegex(...kinds) {
+    const key = kinds.join("|");
+    if (!cache.has(key)) {
+      const alternatives = kinds
+        .flatMap(phrasesFor)
+        .map((p) => escapeRegExp(p).replace(/\s+/g, "\\s+"));
+      cache.set(key, new RegExp(`(?:${alternatives.join("|")})`, "i"));
+    }
+    return cache.get(key);
+  }
+
+  /**
+   * Whether a text contains a phrase of the given kinds in any language.
+   *
+   * @param {string} text
+   * @param {...string} kinds
+   * @returns {boolean}
+   */
+  function matchesPhrase(text, ...kinds) {
+    const s = (text || "").replace(/[\u00A0\u202F]/g, " ");
+    return phraseRegex(...kinds).test(s);
+  }
+
+  // Expose
+  ns.LOCALE_PHRASES = PHRASES;
+  ns.phrasesFor = phrasesFor;
+  ns.phraseRegex = phraseRegex;
+  ns.matchesPhrase = matchesPhrase;
+})(window);
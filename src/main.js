@@ -1,26 +1,63 @@
 (function (root) {
   const ns = (root.ReviewGuesser = root.ReviewGuesser || {});
 
+  // Nothing runs until the stored pause state is known, so a paused tab
+  // is never touched
+  let pauseLoaded = !ns.pauseState;
+
   function run() {
+    if (!pauseLoaded) return;
+
+    // Paused from the toolbar popup: leave Steam as it is
+    const paused = !!(ns.pauseState && ns.pauseState.isPaused());
+    document.documentElement.classList.toggle("ext-paused", paused);
+    if (paused) {
+      ns.restoreSteamPage && ns.restoreSteamPage();
+      return;
+    }
+
     if (ns.hideAllSteamReviewCounts) {
       ns.hideAllSteamReviewCounts();
     }
 
     if (ns.isUnavailableRegionPage && ns.isUnavailableRegionPage()) {
+      // Remembered and, if enabled, skipped right away
+      if (ns.unavailableApps && ns.unavailableApps.handlePage()) return;
       ns.installNextGameButtonOnOops &&
         ns.installNextGameButtonOnOops();
       return;
     }
 
+    // A real store page (run() also fires before the Oops page has rendered)
+    if (ns.unavailableApps && ns.getSteamReviewsContainer && ns.getSteamReviewsContainer()) {
+      ns.unavailableApps.resetRerolls();
+    }
+
     ns.installNextGameButton && ns.installNextGameButton();
     ns.injectSteamGuessingGame && ns.injectSteamGuessingGame();
     ns.coopUI && ns.coopUI.install && ns.coopUI.install();
     ns.setupGlobalReplyCountListener && ns.setupGlobalReplyCountListener();
   }
 
-  // Initial run
+  // Initial run (right away unless the pause state is still loading)
   run();
 
+  // Re-run once the settings are loaded and whenever they change
+  // (e.g. a spoiler category toggled in the options page)
+  if (ns.settings) {
+    ns.settings.load().then(() => run());
+    ns.settings.onChange(() => run());
+  }
+
+  // Same for pause/resume from the toolbar popup
+  if (ns.pauseState) {
+    ns.pauseState.load().then(() => {
+      pauseLoaded = true;
+      run();
+    });
+    ns.pauseState.onChange(() => run());
+  }
+
   // React to DOM mutations (SPA / dynamic content)
   let scheduled = false;
   const obs = new MutationObserver(() => {
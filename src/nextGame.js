@@ -18,6 +18,13 @@
   // Simple in-memory cache: path -> Promise<number[]>
   const CSV_CACHE = Object.create(null);
 
+  // sessionStorage: the last game the Next buttons rolled ({appid, mode}),
+  // so an unavailable page can tell it was rolled and roll again
+  const LAST_ROLL_KEY = "ext:lastRoll";
+
+  // Random tries before scanning the whole list for an allowed id
+  const PICK_ATTEMPTS = 20;
+
   /**
    * Load a CSV file and parse it into an array of app IDs (numbers).
    * Results are cached per-path so each file is only fetched once.
@@ -68,15 +75,45 @@
   }
 
   /**
-   * Helper to pick a random element from an array of app IDs.
+   * The Balanced batches, one app id list per batch file.
+   *
+   * @returns {Promise<number[][]>}
+   */
+  function getBatchAppIds() {
+    return Promise.all(BATCH_FILES.map((file) => loadCsvIds(file)));
+  }
+
+  /**
+   * App IDs known to be unavailable in this region (unavailableApps.js).
+   *
+   * @returns {Promise<Set<number>>}
+   */
+  async function loadExcludedIds() {
+    return ns.unavailableApps ? ns.unavailableApps.load() : new Set();
+  }
+
+  /**
+   * Helper to pick a random element from an array of app IDs,
+   * skipping the excluded ones.
    *
    * @param {number[]} ids
+   * @param {Set<number>} [excluded]
    * @returns {number|null}
    */
-  function pickRandomId(ids) {
+  function pickRandomId(ids, excluded) {
     if (!ids || !ids.length) return null;
-    const idx = Math.floor(Math.random() * ids.length);
-    return ids[idx];
+    if (!excluded || !excluded.size) {
+      return ids[Math.floor(Math.random() * ids.length)];
+    }
+
+    for (let i = 0; i < PICK_ATTEMPTS; i++) {
+      const id = ids[Math.floor(Math.random() * ids.length)];
+      if (!excluded.has(id)) return id;
+    }
+
+    // Mostly excluded list: pick among what is left
+    const allowed = ids.filter((id) => !excluded.has(id));
+    return allowed.length ? allowed[Math.floor(Math.random() * allowed.length)] : null;
   }
 
   /**
@@ -86,7 +123,7 @@
    */
   async function getPureRandomAppId() {
     const ids = await getReleasedAppIds();
-    return pickRandomId(ids);
+    return pickRandomId(ids, await loadExcludedIds());
   }
 
   /**
@@ -104,7 +141,7 @@
     const file =
       BATCH_FILES[Math.floor(Math.random() * BATCH_FILES.length)];
     const ids = await loadCsvIds(file);
-    const id = pickRandomId(ids);
+    const id = pickRandomId(ids, await loadExcludedIds());
 
     if (id != null) return id;
 
@@ -112,6 +149,19 @@
     return getPureRandomAppId();
   }
 
+  /**
+   * The last game the Next buttons rolled in this tab.
+   *
+   * @returns {{appid: number, mode: "pure"|"smart"}|null}
+   */
+  function getLastRoll() {
+    try {
+      return JSON.parse(sessionStorage.getItem(LAST_ROLL_KEY) || "null");
+    } catch (e) {
+      return null;
+    }
+  }
+
   /**
    * Resolve a random app id based on mode ("pure" | "smart"),
    * and navigate to that app on the Steam store.
@@ -132,11 +182,39 @@
       appid = 570;
     }
 
+    try {
+      sessionStorage.setItem(LAST_ROLL_KEY, JSON.stringify({ appid, mode }));
+    } catch (e) {
+      // Without sessionStorage unavailable games are just not skipped
+    }
+
     window.location.assign(
       `https://store.steampowered.com/app/${appid}/`
     );
   }
 
+  /**
+   * "Daily" button next to the Next buttons, when the daily challenge is available.
+   *
+   * @returns {HTMLElement[]}
+   */
+  function makeDailyControls() {
+    return ns.dailyChallenge ? [ns.dailyChallenge.createButton()] : [];
+  }
+
+  /**
+   * Create both Next buttons, with the default mode from the settings first.
+   *
+   * @returns {HTMLButtonElement[]}
+   */
+  function makeNextGameButtons() {
+    const pureBtn = makeNextGameButton("Next (Raw)", "pure");
+    const smartBtn = makeNextGameButton("Next (Balanced)", "smart");
+
+    const defaultMode = ns.settings ? ns.settings.get().nextGameMode : "smart";
+    return defaultMode === "pure" ? [pureBtn, smartBtn] : [smartBtn, pureBtn];
+  }
+
   /**
    * Create a "Next Game" button with the given label and strategy.
    *
@@ -149,6 +227,7 @@
     button.className = "ext-next-game";
     button.type = "button";
     button.textContent = label;
+    button.dataset.mode = mode;
 
     button.addEventListener(
       "click",
@@ -179,15 +258,12 @@
       header.querySelector("h2.pageheader") || header;
 
     // Wrap both buttons in a simple row
-    const pureBtn = makeNextGameButton("Next (Raw)", "pure");
-    const smartBtn = makeNextGameButton("Next (Balanced)", "smart");
-
     const row = document.createElement("div");
     row.style.marginTop = "10px";
     row.style.display = "flex";
     row.style.gap = "8px";
-    row.appendChild(pureBtn);
-    row.appendChild(smartBtn);
+    makeNextGameButtons().forEach((btn) => row.appendChild(btn));
+    makeDailyControls().forEach((el) => row.appendChild(el));
 
     if (target && target.parentElement) {
       target.insertAdjacentElement("afterend", row);
@@ -215,19 +291,18 @@
     );
     if (hubBtn) hubBtn.remove();
 
-    const pureBtn = makeNextGameButton("Next (Raw)", "pure");
-    const smartBtn = makeNextGameButton("Next (Balanced)", "smart");
-
     // Let Steam's layout handle positioning; just drop them in order
-    container.appendChild(pureBtn);
-    container.appendChild(smartBtn);
+    makeNextGameButtons().forEach((btn) => container.appendChild(btn));
+    makeDailyControls().forEach((el) => container.appendChild(el));
   }
 
   // Expose on namespace
   ns.getReleasedAppIds = getReleasedAppIds;
+  ns.getBatchAppIds = getBatchAppIds;
   ns.getPureRandomAppId = getPureRandomAppId;
   ns.getSmartRandomAppId = getSmartRandomAppId;
   ns.navigateToRandomApp = navigateToRandomApp;
+  ns.getLastRoll = getLastRoll;
   ns.installNextGameButtonOnOops = installNextGameButtonOnOops;
   ns.installNextGameButton = installNextGameButton;
 })(window);
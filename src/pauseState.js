@@ -0,0 +1,173 @@
+/**
+ * Pause state
+ * Lets the toolbar popup switch the extension off globally or for one tab
+ */
+
+(function (root) {
+  const ns = (root.ReviewGuesser = root.ReviewGuesser || {});
+
+  // Global pause lives in chrome.storage.local so every tab sees it
+  const GLOBAL_PAUSE_KEY = "paused";
+
+  // Per-tab pause lives in sessionStorage so it survives navigating
+  // to the next game in the same tab, but not a new tab
+  const TAB_PAUSE_KEY = "ext:tabPaused";
+
+  let globalPaused = false;
+  let loadPromise = null;
+  const listeners = [];
+
+  function hasStorage() {
+    return typeof chrome !== "undefined" && !!chrome.storage;
+  }
+
+  function readTabPaused() {
+    try {
+      return sessionStorage.getItem(TAB_PAUSE_KEY) === "1";
+    } catch (e) {
+      return false;
+    }
+  }
+
+  let tabPaused = readTabPaused();
+
+  function notify() {
+    listeners.forEach((cb) => {
+      try {
+        cb(getState());
+      } catch (error) {
+        console.error("[ext] Error in pause listener:", error);
+      }
+    });
+  }
+
+  /**
+   * @typedef {Object} PauseState
+   * @property {boolean} global - Paused in every tab
+   * @property {boolean} tab - Paused in this tab only
+   */
+
+  /**
+   * @returns {PauseState}
+   */
+  function getState() {
+    return { global: globalPaused, tab: tabPaused };
+  }
+
+  /**
+   * Whether the extension should currently leave the page alone.
+   *
+   * @returns {boolean}
+   */
+  function isPaused() {
+    return globalPaused || tabPaused;
+  }
+
+  /**
+   * Load the global pause flag (cached for the lifetime of the page).
+   *
+   * @returns {Promise<PauseState>}
+   */
+  function loadPauseState() {
+    if (loadPromise) return loadPromise;
+
+    loadPromise = (async () => {
+      if (!hasStorage()) return getState();
+      try {
+        const result = await chrome.storage.local.get([GLOBAL_PAUSE_KEY]);
+        globalPaused = result[GLOBAL_PAUSE_KEY] === true;
+      } catch (error) {
+        console.warn("[ext] Could not read pause state:", error);
+      }
+      return getState();
+    })();
+
+    return loadPromise;
+  }
+
+  /**
+   * Pause or resume the extension in every tab.
+   *
+   * @param {boolean} paused
+   * @returns {Promise<void>}
+   */
+  async function setGlobalPaused(paused) {
+    globalPaused = !!paused;
+    loadPromise = Promise.resolve(getState());
+    if (hasStorage()) {
+      try {
+        await chrome.storage.local.set({ [GLOBAL_PAUSE_KEY]: globalPaused });
+      } catch (error) {
+        console.warn("[ext] Could not save pause state:", error);
+      }
+    }
+    notify();
+  }
+
+  /**
+   * Pause or resume the extension in this tab only.
+   *
+   * @param {boolean} paused
+   */
+  function setTabPaused(paused) {
+    tabPaused = !!paused;
+    try {
+      if (tabPaused) {
+        sessionStorage.setItem(TAB_PAUSE_KEY, "1");
+      } else {
+        sessionStorage.removeItem(TAB_PAUSE_KEY);
+      }
+    } catch (e) {
+      // sessionStorage unavailable: the pause only lasts until reload
+    }
+    notify();
+  }
+
+  /**
+   * Subscribe to pause/resume from the popup.
+   *
+   * @param {(state: PauseState) => void} callback
+   */
+  function onChange(callback) {
+    listeners.push(callback);
+  }
+
+  if (hasStorage() && chrome.storage.onChanged) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== "local" || !changes[GLOBAL_PAUSE_KEY]) return;
+      const next = changes[GLOBAL_PAUSE_KEY].newValue === true;
+      if (next === globalPaused) return;
+      globalPaused = next;
+      loadPromise = Promise.resolve(getState());
+      notify();
+    });
+  }
+
+  // The popup talks to the content script of the active tab for the
+  // per-tab switch (it has no access to the page's sessionStorage)
+  if (typeof chrome !== "undefined" && chrome.runtime && chrome.runtime.onMessage) {
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (!message || typeof message.type !== "string") return;
+
+      if (message.type === "ext:get-pause-state") {
+        loadPauseState().then(sendResponse);
+        return true;
+      }
+
+      if (message.type === "ext:set-tab-paused") {
+        setTabPaused(message.paused);
+        sendResponse(getState());
+      }
+    });
+  }
+
+  // Expose API
+  ns.pauseState = {
+    load: loadPauseState,
+    get: getState,
+    isPaused: isPaused,
+    setGlobalPaused: setGlobalPaused,
+    setTabPaused: setTabPaused,
+    onChange: onChange,
+  };
+})(window);
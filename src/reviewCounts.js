@@ -44,8 +44,8 @@
     });
 
     // ⬇️ this is where the crash happened before
-    const rx =
-      /\b(All|Alle|Toutes|Todas|Tutte|Alle)\s+Reviews?|\bRecent\s+Reviews?/i;
+    // "All Reviews" / "Recent Reviews" labels in every UI language
+    const rx = ns.phraseRegex("allReviews", "recentReviews");
     const walker = document.createTreeWalker(
       document.body,
       NodeFilter.SHOW_TEXT,
@@ -68,69 +68,83 @@
     }
 
     // --- EXTRA SPOILER HIDES --------------------------------------------------
-
-    // 1) Publisher row (e.g. "Publisher: Benedict Jaeggi")
-    document.querySelectorAll(".dev_row").forEach((row) => {
-      const labelEl = row.querySelector(".subtitle");
-      const labelText = (labelEl?.textContent || "").trim().toLowerCase();
-      // Match "Publisher:" (case-insensitive, allow missing colon just in case)
-      if (labelText === "publisher:" || labelText === "publisher") {
-        row.classList.add("ext-hide");
-      }
-    });
-
-    // 2) Curators section ("What Curators Say")
-    document.querySelectorAll("h2").forEach((h2) => {
-      const title = (h2.textContent || "").trim().toLowerCase();
-      if (title.includes("what curators say")) {
-        // Hide the closest block-like container if possible, otherwise just the header region
-        const block =
-          h2.closest(".block") ||
-          h2.closest(".block_header") ||
-          h2.parentElement;
-        if (block) block.classList.add("ext-hide");
-      }
+    // Named rules (spoilerRules.js) that can be toggled in the options page.
+    // Tagging the element lets us unhide it again when a rule is turned off.
+    const isEnabled = (rule) =>
+      ns.settings ? ns.settings.isSpoilerRuleEnabled(rule) : !rule.hardMode;
+
+    (ns.SPOILER_RULES || []).forEach((rule) => {
+      const enabled = isEnabled(rule);
+      rule.find().forEach((el) => {
+        if (el.closest(".ext-steam-guess")) return;
+        el.dataset.extSpoiler = rule.id;
+        el.classList.toggle("ext-hide", enabled);
+      });
     });
+  }
 
-    // 4) Awards block (#awardsTable)
-    const awards = document.getElementById("awardsTable");
-    if (awards) {
-      awards.classList.add("ext-hide");
-    }
-
-    // 5) “Reviews” in the About section (#game_area_reviews)
-    const aboutReviews = document.getElementById("game_area_reviews");
-    if (aboutReviews) {
-      aboutReviews.classList.add("ext-hide");
-    }
-
-    // 6) Recommendation reasons ("Similar to games you've played", friends who own it, etc.)
+  /**
+   * Undo everything hideAllSteamReviewCounts and the guessing widget did,
+   * restoring the normal Steam page (used while the extension is paused).
+   */
+  function restoreSteamPage() {
     document
-      .querySelectorAll(".recommendation_reasons")
-      .forEach((block) => {
-        block.classList.add("ext-hide");
-      });
-
-    // 7) Events row ("Recent Events & Announcements")
+      .querySelectorAll(".ext-hide")
+      .forEach((el) => el.classList.remove("ext-hide"));
     document
-      .querySelectorAll('[data-featuretarget="events-row"]')
-      .forEach((block) => {
-        block.classList.add("ext-hide");
-      });
+      .querySelectorAll(".ext-mask-reviews")
+      .forEach((el) => el.classList.remove("ext-mask-reviews"));
+  }
 
-      // 8) Metacritic block
-    const metacritic = document.getElementById("apppage_metacritic_block");
-    if (metacritic) {
-      metacritic.classList.add("ext-hide");
+  /**
+   * Language-independent sources: the schema.org aggregate rating Steam
+   * embeds in the page, and the "All (N)" review type filter.
+   */
+  function tryGetFromStructuredData(scope = document) {
+    const meta = scope.querySelector('meta[itemprop="reviewCount"]');
+    if (meta) {
+      const c = parseInt(meta.getAttribute("content"), 10);
+      if (Number.isFinite(c) && c >= 0) return { el: meta, count: c };
     }
 
-    // 9) Friend block ("X friend wants/owns this game")
-    const friendBlock = document.getElementById("friend_block");
-    if (friendBlock) {
-      friendBlock.classList.add("ext-hide");
+    const filterCount = scope.querySelector(
+      'label[for="review_type_all"] .user_reviews_count'
+    );
+    if (filterCount) {
+      const c = parseReviewCountRaw(filterCount.textContent);
+      if (c != null) return { el: filterCount, count: c };
     }
+
+    return null;
   }
 
+  /**
+   * Positive-review percentage of the All Reviews row, read from the
+   * "93% of the 1,234 user reviews..." tooltip (any language).
+   *
+   * @returns {number|null} 0..100
+   */
+  function tryGetPositivePercent(scope = document) {
+    const rows = [
+      ...scope.querySelectorAll(
+        '.user_reviews_summary_row[itemprop="aggregateRating"], .user_reviews_summary_row'
+      ),
+    ];
+    // Steam lists Recent Reviews first and All Reviews last
+    const row = rows.find((r) => r.getAttribute("itemprop") === "aggregateRating") ||
+      rows[rows.length - 1];
+    if (!row) return null;
+
+    const tooltip =
+      row.getAttribute("data-tooltip-html") ||
+      row.querySelector("[data-tooltip-html]")?.getAttribute("data-tooltip-html") ||
+      "";
+    const m = tooltip.match(/(\d{1,3})\s*%/);
+    if (!m) return null;
+
+    const pct = parseInt(m[1], 10);
+    return pct >= 0 && pct <= 100 ? pct : null;
+  }
 
   function tryGetFromLanguageBreakdown(scope = document) {
     const sel =
@@ -153,7 +167,7 @@
     scope.querySelectorAll(".summary_text").forEach((st) => {
       const t =
         (st.querySelector(".title")?.textContent || "").toLowerCase();
-      if (/overall\s*reviews/.test(t)) candidates.push(st);
+      if (ns.matchesPhrase(t, "overallReviews")) candidates.push(st);
     });
 
     // De-dup
@@ -177,7 +191,7 @@
         const fullText = box.textContent || "";
 
         // Special case: "No reviews" → 0
-        if (/no reviews/i.test(fullText)) {
+        if (ns.matchesPhrase(fullText, "noReviews")) {
           return { el: box, count: 0 };
         }
 
@@ -216,7 +230,7 @@
     hidden.forEach((n) => n.classList.remove("ext-hide"));
     try {
       const fullText = box.textContent || "";
-      if (/no reviews/i.test(fullText)) {
+      if (ns.matchesPhrase(fullText, "noReviews")) {
         return { el: box, count: 0 };
       }
 
@@ -268,32 +282,21 @@
       }
     }
 
+    // Steam only renders this title when the product has no reviews,
+    // whatever language it is written in
     const titleEl = scope.querySelector(".noReviewsYetTitle");
     if (titleEl) {
-      const t = (titleEl.textContent || "")
-        .replace(/\s+/g, " ")
-        .toLowerCase();
-      if (t.includes("there are no reviews for this product")) {
-        return { el: titleEl, count: 0 };
-      }
+      return { el: titleEl, count: 0 };
     }
 
     const box = scope.querySelector(
       ".review_ctn, .app_reviews_area, #app_reviews_hash, .user_reviews"
     );
-    if (box) {
-      const text = (box.textContent || "")
-        .replace(/\s+/g, " ")
-        .toLowerCase();
-      if (text.includes("there are no reviews for this product")) {
-        return { el: box, count: 0 };
-      }
+    if (box && ns.matchesPhrase(box.textContent, "noReviews")) {
+      return { el: box, count: 0 };
     }
 
-    const bodyText = (document.body?.textContent || "")
-      .replace(/\s+/g, " ")
-      .toLowerCase();
-    if (bodyText.includes("there are no reviews for this product")) {
+    if (document.body && ns.matchesPhrase(document.body.textContent, "noReviews")) {
       return { el: document.body, count: 0 };
     }
 
@@ -305,6 +308,7 @@
 
     const check = () =>
       tryGetFromLanguageBreakdown(scope) ||
+      tryGetFromStructuredData(scope) ||
       tryGetFromOverallSummary(scope) ||
       tryGetFromReviewScoreSummaries(scope) ||
       tryDetectNoReviews(scope) ||
@@ -347,7 +351,10 @@
 
   // Expose
   ns.hideAllSteamReviewCounts = hideAllSteamReviewCounts;
+  ns.restoreSteamPage = restoreSteamPage;
   ns.tryGetFromLanguageBreakdown = tryGetFromLanguageBreakdown;
+  ns.tryGetFromStructuredData = tryGetFromStructuredData;
+  ns.tryGetPositivePercent = tryGetPositivePercent;
   ns.tryGetFromOverallSummary = tryGetFromOverallSummary;
   ns.tryGetFromReviewScoreSummaries = tryGetFromReviewScoreSummaries;
   ns.tryDetectNoReviews = tryDetectNoReviews;
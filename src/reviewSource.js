@@ -0,0 +1,155 @@
+/**
+ * Review count data source
+ * Asks Steam's appreviews JSON endpoint first and falls back to scraping
+ * the page (reviewCounts.js) when that fails
+ */
+
+(function (root) {
+  const ns = (root.ReviewGuesser = root.ReviewGuesser || {});
+
+  const DEFAULT_BASE_URL = "https://store.steampowered.com/appreviews/";
+
+  // How long to wait for the JSON endpoint before scraping the page instead
+  const API_TIMEOUT_MS = 4000;
+
+  // How long to wait for the page to show a review count
+  const DOM_TIMEOUT_MS = 5000;
+
+  const options = {
+    fetch: (url, init) => root.fetch(url, init),
+    baseUrl: DEFAULT_BASE_URL,
+  };
+
+  // appId -> Promise<ReviewSummary|null>
+  const cache = new Map();
+
+  /**
+   * @typedef {Object} ReviewSummary
+   * @property {number} count - Total reviews (all languages)
+   * @property {number|null} positive - Positive reviews, when known
+   * @property {number|null} positivePercent - Positive share 0..100, when known
+   * @property {"api"|"dom"} source - Where the numbers came from
+   */
+
+  /**
+   * Swap the fetch implementation or endpoint, e.g. to point the extension
+   * at a local stub server. Clears the cache.
+   *
+   * @param {{fetch?: Function, baseUrl?: string}} overrides
+   */
+  function configure(overrides = {}) {
+    if (typeof overrides.fetch === "function") options.fetch = overrides.fetch;
+    if (typeof overrides.baseUrl === "string") options.baseUrl = overrides.baseUrl;
+    cache.clear();
+  }
+
+  /**
+   * @param {string} appId
+   * @returns {string}
+   */
+  function buildUrl(appId) {
+    const params = new URLSearchParams({
+      json: "1",
+      language: "all",
+      purchase_type: "all",
+      review_type: "all",
+      filter: "all",
+      num_per_page: "0",
+    });
+    return `${options.baseUrl}${encodeURIComponent(appId)}?${params}`;
+  }
+
+  /**
+   * Query the appreviews endpoint.
+   *
+   * @param {string} appId
+   * @returns {Promise<ReviewSummary|null>} null on any failure
+   */
+  async function fetchFromApi(appId) {
+    const controller =
+      typeof AbortController !== "undefined" ? new AbortController() : null;
+    const timer = setTimeout(() => controller && controller.abort(), API_TIMEOUT_MS);
+
+    try {
+      const res = await options.fetch(buildUrl(appId), {
+        credentials: "omit",
+        signal: controller ? controller.signal : undefined,
+      });
+      if (!res || !res.ok) return null;
+
+      const data = await res.json();
+      const summary = data && data.success === 1 ? data.query_summary : null;
+      if (!summary || !Number.isFinite(summary.total_reviews)) return null;
+
+      const positive = Number.isFinite(summary.total_positive)
+        ? summary.total_positive
+        : null;
+
+      return {
+        count: summary.total_reviews,
+        positive,
+        positivePercent:
+          positive != null && summary.total_reviews > 0
+            ? Math.round((positive / summary.total_reviews) * 100)
+            : null,
+        source: "api",
+      };
+    } catch (error) {
+      console.warn("[ext] appreviews lookup failed, using the page:", error);
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Scrape the review count from the page.
+   *
+   * @returns {Promise<ReviewSummary|null>}
+   */
+  async function readFromPage() {
+    if (!ns.waitForAnyReviewCount) return null;
+    const got = await ns.waitForAnyReviewCount(DOM_TIMEOUT_MS);
+    if (!got) return null;
+
+    const percent = ns.tryGetPositivePercent ? ns.tryGetPositivePercent() : null;
+    return {
+      count: got.count,
+      positive: percent != null ? Math.round((got.count * percent) / 100) : null,
+      positivePercent: percent,
+      source: "dom",
+    };
+  }
+
+  /**
+   * Review summary for an app (cached per appId for the lifetime of the page).
+   *
+   * @param {string} appId
+   * @returns {Promise<ReviewSummary|null>}
+   */
+  function getReviewSummary(appId) {
+    const key = String(appId);
+    if (cache.has(key)) return cache.get(key);
+
+    const promise = (async () => {
+      const fromApi = /^\d+$/.test(key) ? await fetchFromApi(key) : null;
+      return fromApi || (await readFromPage());
+    })();
+
+    cache.set(key, promise);
+
+    // Don't keep failures around; the next run should try again
+    promise.then((result) => {
+      if (!result && cache.get(key) === promise) cache.delete(key);
+    });
+
+    return promise;
+  }
+
+  // Expose API
+  ns.reviewSource = {
+    configure: configure,
+    getReviewSummary: getReviewSummary,
+    clearCache: () => cache.clear(),
+  };
+})(window);
@@ -0,0 +1,151 @@
+/**
+ * Round timer
+ * Shows the countdown of timed co-op rounds as a bar inside the guess widget
+ * and locks the widget when the time runs out. The server keeps the time;
+ * its round-timer ticks only re-anchor the local countdown.
+ */
+
+(function (root) {
+  const ns = (root.ReviewGuesser = root.ReviewGuesser || {});
+
+  // Smooth enough for a bar without redrawing every frame
+  const RENDER_INTERVAL_MS = 250;
+
+  // Seconds left at which the bar turns red
+  const URGENT_SECONDS = 5;
+
+  // { gameId, phase, deadline (local clock), durationMs } while a question is timed
+  let timer = null;
+  let renderInterval = null;
+
+  function isCoopConnected() {
+    return !!(ns.coop && ns.coop.getStatus && ns.coop.getStatus().isConnected);
+  }
+
+  /**
+   * Start (or re-anchor) the countdown.
+   *
+   * @param {string} gameId
+   * @param {{phase: string, remainingMs: number, durationMs: number}} info
+   */
+  function setTimer(gameId, info) {
+    timer = {
+      gameId: String(gameId),
+      phase: info.phase,
+      deadline: Date.now() + info.remainingMs,
+      durationMs: info.durationMs,
+    };
+    render();
+    if (!renderInterval) {
+      renderInterval = setInterval(render, RENDER_INTERVAL_MS);
+    }
+  }
+
+  function clearTimer() {
+    timer = null;
+    if (renderInterval) {
+      clearInterval(renderInterval);
+      renderInterval = null;
+    }
+    document.querySelectorAll(".ext-round-timer").forEach((el) => el.remove());
+  }
+
+  /**
+   * Follow the timer in a game state snapshot (null when none is running).
+   *
+   * @param {Object} gameState
+   */
+  function syncFromGameState(gameState) {
+    if (!gameState || !gameState.roundTimer || !isCoopConnected()) {
+      clearTimer();
+      return;
+    }
+    setTimer(gameState.currentGameId, gameState.roundTimer);
+  }
+
+  /**
+   * Draw the bar into the widget of the timed game.
+   */
+  function render() {
+    if (!timer) return;
+
+    const remainingMs = Math.max(0, timer.deadline - Date.now());
+    const seconds = Math.ceil(remainingMs / 1000);
+    const fraction = timer.durationMs > 0 ? remainingMs / timer.durationMs : 0;
+
+    document
+      .querySelectorAll(`.ext-steam-guess[data-ext-appid="${timer.gameId}"]`)
+      .forEach((wrap) => {
+        let el = wrap.querySelector(":scope > .ext-round-timer");
+        if (!el) {
+          el = document.createElement("div");
+          el.className = "ext-round-timer";
+          const bar = document.createElement("div");
+          bar.className = "ext-round-timer-bar";
+          const fill = document.createElement("div");
+          fill.className = "ext-round-timer-fill";
+          bar.appendChild(fill);
+          const label = document.createElement("span");
+          label.className = "ext-round-timer-label";
+          el.appendChild(bar);
+          el.appendChild(label);
+          wrap.prepend(el);
+        }
+
+        el.classList.toggle("urgent", seconds <= URGENT_SECONDS);
+        el.querySelector(".ext-round-timer-fill").style.width =
+          `${Math.round(fraction * 1000) / 10}%`;
+        el.querySelector(".ext-round-timer-label").textContent =
+          timer.phase === "percent" ? `Bonus: ${seconds}s` : `${seconds}s`;
+      });
+  }
+
+  /**
+   * The count question ran out (or the host ended it) before we picked:
+   * lock the options so a late click doesn't look like it counted.
+   *
+   * @param {Object} gameState
+   * @param {boolean} byHost - The host ended the question early
+   */
+  function lockTimedOutWidgets(gameState, byHost) {
+    const state = ns.coop.getState();
+    const me = state.userId && gameState.users ? gameState.users[state.userId] : null;
+    if (!me || me.replyOption != null) return;
+
+    document
+      .querySelectorAll(`.ext-steam-guess[data-ext-appid="${gameState.currentGameId}"][data-mode="choice"]`)
+      .forEach((wrap) => {
+        if (wrap.dataset.locked === "1") return;
+        wrap.dataset.locked = "1";
+
+        const note = document.createElement("div");
+        note.className = "ext-subtle ext-round-timeout";
+        note.textContent = byHost
+          ? "The host ended the question: counted as a miss."
+          : "Time's up: counted as a miss.";
+        wrap.insertBefore(note, wrap.querySelector(":scope > .ext-subtle"));
+      });
+  }
+
+  window.addEventListener("coop-round-timer", (event) => {
+    const data = event.detail || {};
+    if (!isCoopConnected()) return;
+    setTimer(data.gameId, data);
+  });
+
+  window.addEventListener("coop-reply-counts-update", (event) => {
+    const detail = event.detail || {};
+    syncFromGameState(detail.gameState);
+    if (detail.timedOut && detail.gameState && detail.gameState.roomStatus === "completed") {
+      lockTimedOutWidgets(detail.gameState, !!detail.advancedBy);
+    }
+  });
+
+  ["coop-status-change", "coop-round-start", "coop-settings-updated"].forEach((type) => {
+    window.addEventListener(type, () => {
+      syncFromGameState(isCoopConnected() ? ns.coop.getState().gameState : null);
+    });
+  });
+
+  window.addEventListener("coop-next-game-selected", clearTimer);
+})(window);
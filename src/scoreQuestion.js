@@ -0,0 +1,246 @@
+/**
+ * Second question: guess the positive-review percentage
+ * Shown below the count guess once it is answered (single-player when enabled
+ * in the options, always in co-op) and combined into a round score
+ */
+
+(function (root) {
+  const ns = (root.ReviewGuesser = root.ReviewGuesser || {});
+
+  function isCoopConnected() {
+    return !!(ns.coop && ns.coop.getStatus && ns.coop.getStatus().isConnected);
+  }
+
+  /**
+   * Build the slider UI.
+   *
+   * @param {(guess: number) => void} onSubmit
+   * @returns {{el: HTMLElement, result: HTMLElement, lock: (value: number) => void}}
+   */
+  function buildQuestion(onSubmit) {
+    const el = document.createElement("div");
+    el.className = "ext-score-question";
+
+    const title = document.createElement("div");
+    title.className = "ext-score-title";
+    title.textContent = "Bonus: what percentage of the reviews are positive?";
+
+    const slider = document.createElement("input");
+    slider.type = "range";
+    slider.min = "0";
+    slider.max = "100";
+    slider.step = "1";
+    slider.value = "50";
+    slider.className = "ext-score-slider";
+
+    const value = document.createElement("span");
+    value.className = "ext-score-value";
+    value.textContent = "50%";
+    slider.addEventListener("input", () => {
+      value.textContent = `${slider.value}%`;
+    });
+
+    const submit = document.createElement("button");
+    submit.type = "button";
+    submit.className = "ext-score-submit";
+    submit.textContent = "Guess";
+
+    const result = document.createElement("div");
+    result.className = "ext-score-result";
+
+    const lock = (guess) => {
+      slider.value = String(guess);
+      value.textContent = `${guess}%`;
+      slider.disabled = true;
+      submit.disabled = true;
+      el.dataset.locked = "1";
+    };
+
+    submit.addEventListener("click", () => {
+      if (el.dataset.locked === "1") return;
+      const guess = parseInt(slider.value, 10);
+      lock(guess);
+      onSubmit(guess);
+    });
+
+    el.appendChild(title);
+    el.appendChild(slider);
+    el.appendChild(value);
+    el.appendChild(submit);
+    el.appendChild(result);
+    return { el, result, lock };
+  }
+
+  /**
+   * Place the question inside a widget (above its note, if any).
+   */
+  function mount(wrap, el) {
+    const note = wrap.querySelector(":scope > .ext-subtle");
+    wrap.insertBefore(el, note || null);
+  }
+
+  /**
+   * Result line shared by single-player and co-op.
+   */
+  function resultText(guess, truePercent, trueCount, countPoints) {
+    const points = ns.scorePercentGuess(guess, truePercent);
+    const round = ns.combineRoundScore(countPoints, points);
+    return (
+      `Actual: ${truePercent}% (${ns.reviewScoreLabel(truePercent, trueCount)})` +
+      ` · Your guess: ${guess}% · ${points} points` +
+      ` · Round score: ${round}/100`
+    );
+  }
+
+  /**
+   * Ask the second question in single-player, after the count was guessed.
+   *
+   * @param {HTMLElement} wrap - Guess widget
+   * @param {{appId: string, trueCount: number, truePercent: number, countPoints: number}} round
+   */
+  function renderSolo(wrap, round) {
+    if (wrap.querySelector(".ext-score-question")) return;
+
+    const q = buildQuestion((guess) => {
+      const points = ns.scorePercentGuess(guess, round.truePercent);
+      q.result.className =
+        "ext-score-result " + (points >= 50 ? "correct" : "wrong");
+      q.result.textContent = resultText(
+        guess,
+        round.truePercent,
+        round.trueCount,
+        round.countPoints
+      );
+
+      if (ns.soloHistory) {
+        ns.soloHistory.amendLast(round.appId, {
+          percentGuess: guess,
+          truePercent: round.truePercent,
+        });
+      }
+    });
+
+    mount(wrap, q.el);
+  }
+
+  /**
+   * Whether the single-player second question is enabled and answerable.
+   *
+   * @param {HTMLElement} wrap
+   * @returns {boolean}
+   */
+  function isSoloEnabled(wrap) {
+    return (
+      !isCoopConnected() &&
+      !!(ns.settings && ns.settings.get().scoreQuestion) &&
+      wrap.dataset.truepercent !== undefined
+    );
+  }
+
+  /**
+   * Bring the co-op widgets in line with the room state: show the question
+   * once the count question is resolved, then everyone's results.
+   *
+   * @param {Object} gameState
+   */
+  function syncCoop(gameState) {
+    if (!gameState || !isCoopConnected()) return;
+
+    const state = ns.coop.getState();
+    const me = state.userId && gameState.users ? gameState.users[state.userId] : null;
+
+    document
+      .querySelectorAll('.ext-steam-guess[data-mode="choice"]')
+      .forEach((wrap) => {
+        const existing = wrap.querySelector(".ext-score-question");
+
+        if (
+          wrap.dataset.extAppid !== String(gameState.currentGameId) ||
+          gameState.roomStatus !== "completed"
+        ) {
+          if (existing) existing.remove();
+          return;
+        }
+
+        const truePercent =
+          wrap.dataset.truepercent !== undefined
+            ? parseInt(wrap.dataset.truepercent, 10)
+            : gameState.correctPercent;
+        if (truePercent == null || !me || me.replyOption == null) return;
+
+        const trueCount = gameState.correctAnswer;
+        const countPoints = me.replyOption === trueCount ? 100 : 0;
+
+        let q = existing && existing.__extQuestion;
+        if (!q) {
+          q = buildQuestion((guess) => {
+            state.client.sendPercentGuess(guess, String(gameState.currentGameId));
+            q.result.textContent = "Waiting for the other players…";
+          });
+          q.el.__extQuestion = q;
+          mount(wrap, q.el);
+        }
+
+        if (me.percentOption != null && q.el.dataset.locked !== "1") {
+          q.lock(me.percentOption);
+          q.result.textContent = "Waiting for the other players…";
+        }
+
+        if (
+          gameState.percentStatus === "completed" &&
+          gameState.correctPercent != null &&
+          me.percentOption != null
+        ) {
+          const points = ns.scorePercentGuess(me.percentOption, gameState.correctPercent);
+          q.result.className =
+            "ext-score-result " + (points >= 50 ? "correct" : "wrong");
+          q.result.textContent = resultText(
+            me.percentOption,
+            gameState.correctPercent,
+            trueCount,
+            countPoints
+          );
+
+          const others = (gameState.currentPercentStats || [])
+            .filter((stat) => stat.userId !== state.userId)
+            .map((stat) => {
+              const user = gameState.users[stat.userId];
+              return `${user ? user.name : "User"}: ${stat.percentValue}%`;
+            });
+          if (others.length) {
+            const list = document.createElement("div");
+            list.className = "ext-score-others";
+            list.textContent = others.join(" · ");
+            q.result.appendChild(list);
+          }
+        } else if (gameState.percentStatus === "completed" && me.percentOption == null) {
+          // The round timer ran out before we answered
+          q.lock(50);
+          q.result.className = "ext-score-result wrong";
+          q.result.textContent =
+            gameState.correctPercent != null
+              ? `Time's up · Actual: ${gameState.correctPercent}% · 0 points`
+              : "Time's up";
+        }
+      });
+  }
+
+  window.addEventListener("coop-reply-counts-update", (event) => {
+    syncCoop(event.detail && event.detail.gameState);
+  });
+
+  window.addEventListener("coop-status-change", () => {
+    if (isCoopConnected()) syncCoop(ns.coop.getState().gameState);
+  });
+
+  window.addEventListener("coop-next-game-selected", () => {
+    document.querySelectorAll(".ext-score-question").forEach((el) => el.remove());
+  });
+
+  // Expose API
+  ns.scoreQuestion = {
+    renderSolo: renderSolo,
+    isSoloEnabled: isSoloEnabled,
+    syncCoop: syncCoop,
+  };
+})(window);
@@ -64,5 +64,10 @@
     randInt: seededRandInt,
     seedFromString: seedFromString,
   };
-})(window);
+
+  // Also loadable from Node (the co-op server generates options with it)
+  if (typeof module === "object" && module.exports) {
+    module.exports = ns.seededRandom;
+  }
+})(typeof window !== "undefined" ? window : globalThis);
 
@@ -0,0 +1,280 @@
+/**
+ * User settings
+ * Single settings API shared by the content scripts and the options page,
+ * backed by chrome.storage.sync
+ */
+
+(function (root) {
+  const ns = (root.ReviewGuesser = root.ReviewGuesser || {});
+
+  const SETTINGS_KEY = "settings";
+
+  // Answer count used in co-op so every client builds the same options
+  const COOP_ANSWER_COUNT = 6;
+
+  // Named spoiler rules (spoilerRules.js); each can be toggled individually
+  const SPOILER_RULES = ns.SPOILER_RULES || [];
+
+  /**
+   * @typedef {Object} Settings
+   * @property {string} serverUrl - Co-op WebSocket server URL
+   * @property {number} answerCount - Number of multiple-choice options (single-player)
+   * @property {"choice"|"exact"} guessMode - Single-player guess mode
+   * @property {boolean} scoreQuestion - Also ask for the positive-review % (single-player)
+   * @property {"smart"|"pure"} nextGameMode - Default strategy for picking the next game
+   * @property {boolean} autoReroll - Roll again right away when a game is unavailable
+   * @property {string} nickname - Default co-op nickname
+   * @property {Record<string, boolean>} spoilerRules - Spoiler rule id -> hide it
+   * @property {boolean} hardMode - Also apply the hard-mode spoiler rules
+   */
+
+  /** @type {Settings} */
+  const DEFAULTS = {
+    serverUrl: (ns.config && ns.config.DEFAULT_SERVER_URL) || "",
+    answerCount: 6,
+    guessMode: "choice",
+    scoreQuestion: false,
+    nextGameMode: "smart",
+    autoReroll: false,
+    nickname: "",
+    spoilerRules: SPOILER_RULES.reduce((acc, rule) => {
+      acc[rule.id] = true;
+      return acc;
+    }, {}),
+    hardMode: false,
+  };
+
+  const MIN_ANSWER_COUNT = 3;
+  const MAX_ANSWER_COUNT = 9;
+
+  let current = cloneDefaults();
+  let loadPromise = null;
+  const listeners = [];
+
+  function cloneDefaults() {
+    return {
+      ...DEFAULTS,
+      spoilerRules: { ...DEFAULTS.spoilerRules },
+    };
+  }
+
+  function hasStorage() {
+    return typeof chrome !== "undefined" && !!chrome.storage;
+  }
+
+  /**
+   * Merge stored values over the defaults, dropping anything invalid.
+   *
+   * @param {Object} stored
+   * @returns {Settings}
+   */
+  function normalize(stored) {
+    const s = cloneDefaults();
+    if (!stored || typeof stored !== "object") return s;
+
+    if (typeof stored.serverUrl === "string" && isValidServerUrl(stored.serverUrl)) {
+      s.serverUrl = stored.serverUrl.trim();
+    }
+
+    const count = parseInt(stored.answerCount, 10);
+    if (Number.isFinite(count)) {
+      s.answerCount = Math.max(MIN_ANSWER_COUNT, Math.min(MAX_ANSWER_COUNT, count));
+    }
+
+    if (["choice", "exact"].includes(stored.guessMode)) {
+      s.guessMode = stored.guessMode;
+    }
+
+    if (typeof stored.scoreQuestion === "boolean") {
+      s.scoreQuestion = stored.scoreQuestion;
+    }
+
+    if (["smart", "pure"].includes(stored.nextGameMode)) {
+      s.nextGameMode = stored.nextGameMode;
+    }
+
+    if (typeof stored.autoReroll === "boolean") {
+      s.autoReroll = stored.autoReroll;
+    }
+
+    if (typeof stored.nickname === "string") {
+      s.nickname = stored.nickname.trim().slice(0, 32);
+    }
+
+    if (stored.spoilerRules && typeof stored.spoilerRules === "object") {
+      Object.keys(s.spoilerRules).forEach((id) => {
+        if (typeof stored.spoilerRules[id] === "boolean") {
+          s.spoilerRules[id] = stored.spoilerRules[id];
+        }
+      });
+    }
+
+    if (typeof stored.hardMode === "boolean") {
+      s.hardMode = stored.hardMode;
+    }
+
+    return s;
+  }
+
+  /**
+   * Whether a spoiler rule should currently hide its elements.
+   *
+   * @param {{id: string, hardMode?: boolean}} rule
+   * @returns {boolean}
+   */
+  function isSpoilerRuleEnabled(rule) {
+    if (rule.hardMode && !current.hardMode) return false;
+    return current.spoilerRules[rule.id] !== false;
+  }
+
+  /**
+   * Only ws:// and wss:// URLs are accepted as co-op servers.
+   *
+   * @param {string} value
+   * @returns {boolean}
+   */
+  function isValidServerUrl(value) {
+    try {
+      const url = new URL(String(value).trim());
+      return url.protocol === "wss:" || url.protocol === "ws:";
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * The co-op server URL saved by older versions directly in chrome.storage.local.
+   *
+   * @returns {Promise<Object>}
+   */
+  async function readLegacySettings() {
+    try {
+      const legacy = await chrome.storage.local.get(["coopServerUrl"]);
+      return legacy.coopServerUrl ? { serverUrl: legacy.coopServerUrl } : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Load settings from storage (cached for the lifetime of the page).
+   *
+   * @returns {Promise<Settings>}
+   */
+  function loadSettings() {
+    if (loadPromise) return loadPromise;
+
+    loadPromise = (async () => {
+      if (!hasStorage()) return current;
+      try {
+        const result = await chrome.storage.sync.get([SETTINGS_KEY]);
+        const stored = result[SETTINGS_KEY] || (await readLegacySettings());
+        current = normalize(stored);
+      } catch (error) {
+        console.warn("[ext] Could not read settings:", error);
+      }
+      return current;
+    })();
+
+    return loadPromise;
+  }
+
+  /**
+   * Current settings (defaults until loadSettings() has resolved).
+   *
+   * @returns {Settings}
+   */
+  function getSettings() {
+    return current;
+  }
+
+  /**
+   * Update some settings and persist them.
+   *
+   * @param {Partial<Settings>} partial
+   * @returns {Promise<Settings>}
+   */
+  async function setSettings(partial) {
+    await loadSettings();
+    const next = normalize({
+      ...current,
+      ...partial,
+      spoilerRules: {
+        ...current.spoilerRules,
+        ...(partial.spoilerRules || {}),
+      },
+    });
+    applySettings(next);
+
+    if (hasStorage()) {
+      try {
+        await chrome.storage.sync.set({ [SETTINGS_KEY]: next });
+      } catch (error) {
+        console.warn("[ext] Could not save settings:", error);
+      }
+    }
+    return next;
+  }
+
+  /**
+   * Restore all settings to their defaults.
+   *
+   * @returns {Promise<Settings>}
+   */
+  async function resetSettings() {
+    const defaults = cloneDefaults();
+    applySettings(defaults);
+    if (hasStorage()) {
+      try {
+        await chrome.storage.sync.set({ [SETTINGS_KEY]: defaults });
+      } catch (error) {
+        console.warn("[ext] Could not reset settings:", error);
+      }
+    }
+    return defaults;
+  }
+
+  function applySettings(next) {
+    current = next;
+    loadPromise = Promise.resolve(current);
+    listeners.forEach((cb) => {
+      try {
+        cb(current);
+      } catch (error) {
+        console.error("[ext] Error in settings listener:", error);
+      }
+    });
+  }
+
+  /**
+   * Subscribe to settings changes (from this page or another extension page).
+   *
+   * @param {(settings: Settings) => void} callback
+   */
+  function onChange(callback) {
+    listeners.push(callback);
+  }
+
+  // Keep every open Steam tab in sync with the options page
+  if (hasStorage() && chrome.storage.onChanged) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== "sync" || !changes[SETTINGS_KEY]) return;
+      applySettings(normalize(changes[SETTINGS_KEY].newValue));
+    });
+  }
+
+  // Expose API
+  ns.settings = {
+    DEFAULTS: DEFAULTS,
+    COOP_ANSWER_COUNT: COOP_ANSWER_COUNT,
+    MIN_ANSWER_COUNT: MIN_ANSWER_COUNT,
+    MAX_ANSWER_COUNT: MAX_ANSWER_COUNT,
+    load: loadSettings,
+    get: getSettings,
+    set: setSettings,
+    reset: resetSettings,
+    onChange: onChange,
+    isValidServerUrl: isValidServerUrl,
+    isSpoilerRuleEnabled: isSpoilerRuleEnabled,
+  };
+})(window);
@@ -0,0 +1,236 @@
+/**
+ * Single-player guess history
+ * Persists every solo guess to chrome.storage.local and derives statistics
+ */
+
+(function (root) {
+  const ns = (root.ReviewGuesser = root.ReviewGuesser || {});
+
+  const HISTORY_KEY = "soloHistory";
+
+  // Oldest entries are dropped beyond this many guesses
+  const MAX_ENTRIES = 5000;
+
+  // True-count buckets for per-bucket accuracy: [min, max)
+  const BUCKETS = [
+    { label: "0–100", min: 0, max: 100 },
+    { label: "100–1k", min: 100, max: 1000 },
+    { label: "1k–10k", min: 1000, max: 10000 },
+    { label: "10k–100k", min: 10000, max: 100000 },
+    { label: "100k+", min: 100000, max: Infinity },
+  ];
+
+  /**
+   * @typedef {Object} HistoryEntry
+   * @property {string} appId - Steam app id
+   * @property {number} trueCount - Actual review count
+   * @property {number[]|null} options - Options shown (null for exact guesses)
+   * @property {number} pick - The user's guess
+   * @property {number} timestamp - Milliseconds since epoch
+   * @property {"choice"|"exact"} mode - Guess mode
+   * @property {number} [percentGuess] - Positive-% guess (second question)
+   * @property {number} [truePercent] - Actual positive %
+   */
+
+  // Writes are chained so two quick guesses never overwrite each other
+  let writeQueue = Promise.resolve();
+
+  function hasStorage() {
+    return typeof chrome !== "undefined" && !!chrome.storage;
+  }
+
+  /**
+   * Load the full guess history (oldest first).
+   *
+   * @returns {Promise<HistoryEntry[]>}
+   */
+  async function loadHistory() {
+    if (!hasStorage()) return [];
+    try {
+      const result = await chrome.storage.local.get([HISTORY_KEY]);
+      return Array.isArray(result[HISTORY_KEY]) ? result[HISTORY_KEY] : [];
+    } catch (error) {
+      console.warn("[ext] Could not read guess history:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Append a guess to the history.
+   *
+   * @param {Omit<HistoryEntry, "timestamp">} entry
+   * @returns {Promise<void>}
+   */
+  function recordGuess(entry) {
+    const record = {
+      appId: String(entry.appId),
+      trueCount: entry.trueCount,
+      options: Array.isArray(entry.options) ? [...entry.options] : null,
+      pick: entry.pick,
+      timestamp: Date.now(),
+      mode: entry.mode,
+    };
+
+    writeQueue = writeQueue.then(async () => {
+      if (!hasStorage()) return;
+      try {
+        const history = await loadHistory();
+        history.push(record);
+        await chrome.storage.local.set({
+          [HISTORY_KEY]: history.slice(-MAX_ENTRIES),
+        });
+      } catch (error) {
+        console.warn("[ext] Could not save guess:", error);
+      }
+    });
+
+    return writeQueue;
+  }
+
+  /**
+   * Add fields to the most recent entry for an app, e.g. the answer to the
+   * positive-% question, which comes after the count guess was recorded.
+   *
+   * @param {string} appId
+   * @param {Partial<HistoryEntry>} fields
+   * @returns {Promise<void>}
+   */
+  function amendLast(appId, fields) {
+    writeQueue = writeQueue.then(async () => {
+      if (!hasStorage()) return;
+      try {
+        const history = await loadHistory();
+        for (let i = history.length - 1; i >= 0; i--) {
+          if (history[i].appId === String(appId)) {
+            Object.assign(history[i], fields);
+            await chrome.storage.local.set({ [HISTORY_KEY]: history });
+            return;
+          }
+        }
+      } catch (error) {
+        console.warn("[ext] Could not update guess:", error);
+      }
+    });
+
+    return writeQueue;
+  }
+
+  /**
+   * Delete all stored guesses.
+   *
+   * @returns {Promise<void>}
+   */
+  function clearHistory() {
+    writeQueue = writeQueue.then(async () => {
+      if (!hasStorage()) return;
+      try {
+        await chrome.storage.local.remove(HISTORY_KEY);
+      } catch (error) {
+        console.warn("[ext] Could not clear guess history:", error);
+      }
+    });
+    return writeQueue;
+  }
+
+  /**
+   * A multiple-choice guess is a hit when it picks the true count;
+   * an exact guess is a hit when it is within 10% (full points).
+   *
+   * @param {HistoryEntry} entry
+   * @returns {boolean}
+   */
+  function isHit(entry) {
+    if (entry.mode === "exact") {
+      return ns.scoreExactGuess(entry.pick, entry.trueCount) === 100;
+    }
+    return entry.pick === entry.trueCount;
+  }
+
+  /**
+   * Local calendar day (YYYY-MM-DD) of a timestamp.
+   *
+   * @param {number} timestamp
+   * @returns {string}
+   */
+  function dayKey(timestamp) {
+    const d = new Date(timestamp);
+    const mm = String(d.getMonth() + 1).padStart(2, "0");
+    const dd = String(d.getDate()).padStart(2, "0");
+    return `${d.getFullYear()}-${mm}-${dd}`;
+  }
+
+  /**
+   * Derive statistics from a guess history.
+   *
+   * @param {HistoryEntry[]} entries - Oldest first
+   * @returns {Object}
+   */
+  function computeStats(entries) {
+    const total = entries.length;
+    let hits = 0;
+    let currentStreak = 0;
+    let bestStreak = 0;
+    let logErrorSum = 0;
+    let percentRounds = 0;
+    let percentErrorSum = 0;
+
+    const days = new Map();
+    const buckets = BUCKETS.map((b) => ({ ...b, total: 0, hits: 0 }));
+
+    entries.forEach((entry) => {
+      const hit = isHit(entry);
+
+      if (hit) {
+        hits++;
+        currentStreak++;
+        bestStreak = Math.max(bestStreak, currentStreak);
+      } else {
+        currentStreak = 0;
+      }
+
+      logErrorSum += ns.logDistance(entry.pick, entry.trueCount);
+
+      if (Number.isFinite(entry.percentGuess) && Number.isFinite(entry.truePercent)) {
+        percentRounds++;
+        percentErrorSum += Math.abs(entry.percentGuess - entry.truePercent);
+      }
+
+      const key = dayKey(entry.timestamp);
+      const day = days.get(key) || { day: key, total: 0, hits: 0 };
+      day.total++;
+      if (hit) day.hits++;
+      days.set(key, day);
+
+      const bucket = buckets.find(
+        (b) => entry.trueCount >= b.min && entry.trueCount < b.max
+      );
+      if (bucket) {
+        bucket.total++;
+        if (hit) bucket.hits++;
+      }
+    });
+
+    return {
+      total,
+      hits,
+      accuracy: total > 0 ? hits / total : 0,
+      currentStreak,
+      bestStreak,
+      avgLogError: total > 0 ? logErrorSum / total : 0,
+      percentRounds,
+      avgPercentError: percentRounds > 0 ? percentErrorSum / percentRounds : 0,
+      byDay: [...days.values()],
+      byBucket: buckets,
+    };
+  }
+
+  // Expose API
+  ns.soloHistory = {
+    load: loadHistory,
+    record: recordGuess,
+    amendLast: amendLast,
+    clear: clearHistory,
+    computeStats: computeStats,
+    isHit: isHit,
+  };
+})(window);
@@ -0,0 +1,184 @@
+/**
+ * Spoiler rules
+ * Named page sections that leak hints about a game's popularity
+ */
+
+(function (root) {
+  const ns = (root.ReviewGuesser = root.ReviewGuesser || {});
+
+  /**
+   * Groups used to organise the spoiler rules in the options page.
+   */
+  const SPOILER_CATEGORIES = [
+    { id: "publisher", label: "Publisher" },
+    { id: "critics", label: "Critic signals" },
+    { id: "social", label: "Social signals" },
+    { id: "hard", label: "Hard mode" },
+  ];
+
+  /**
+   * Elements matched by an id, as an array.
+   *
+   * @param {string} id
+   * @returns {HTMLElement[]}
+   */
+  function byId(id) {
+    const el = document.getElementById(id);
+    return el ? [el] : [];
+  }
+
+  /**
+   * All elements matching a selector, as an array.
+   *
+   * @param {string} selector
+   * @returns {HTMLElement[]}
+   */
+  function all(selector) {
+    return [...document.querySelectorAll(selector)];
+  }
+
+  /**
+   * Named spoiler rules applied by hideAllSteamReviewCounts.
+   *
+   * Each rule can be toggled individually in the options page.
+   * Rules flagged `hardMode` are only applied when hard mode is on.
+   *
+   * @typedef {Object} SpoilerRule
+   * @property {string} id - Stable id (stored in the settings)
+   * @property {string} label - Shown in the options page
+   * @property {string} category - One of SPOILER_CATEGORIES
+   * @property {boolean} [hardMode] - Only applied in hard mode
+   * @property {() => HTMLElement[]} find - Elements to hide
+   *
+   * @type {SpoilerRule[]}
+   */
+  const SPOILER_RULES = [
+    {
+      id: "publisher",
+      label: 'Publisher row (e.g. "Publisher: Benedict Jaeggi")',
+      category: "publisher",
+      find: () =>
+        all(".dev_row").filter((row) => {
+          // The developer row is the one holding #developers_list
+          if (row.querySelector("#developers_list")) return false;
+
+          // Publisher links point at /publisher/… or ?publisher=…
+          if (row.querySelector('a[href*="/publisher/"], a[href*="publisher="]')) {
+            return true;
+          }
+
+          // Fall back to the label, e.g. "Publisher:" / "Éditeur :"
+          const labelEl = row.querySelector(".subtitle");
+          const labelText = (labelEl?.textContent || "")
+            .replace(/[\s:：]+$/, "")
+            .trim()
+            .toLowerCase();
+          return ns
+            .phrasesFor("publisher")
+            .some((p) => p.toLowerCase() === labelText);
+        }),
+    },
+    {
+      id: "curators",
+      label: 'Curators section ("What Curators Say")',
+      category: "critics",
+      find: () =>
+        all("h2")
+          .filter(
+            (h2) =>
+              ns.matchesPhrase(h2.textContent, "curators") ||
+              // Language-independent: a header linking to the curator list
+              !!h2.querySelector('a[href*="/curators/"]')
+          )
+          // Hide the closest block-like container if possible, otherwise just the header region
+          .map(
+            (h2) =>
+              h2.closest(".block") ||
+              h2.closest(".block_header") ||
+              h2.parentElement
+          )
+          .filter(Boolean),
+    },
+    {
+      id: "awards",
+      label: "Awards",
+      category: "critics",
+      find: () => byId("awardsTable"),
+    },
+    {
+      id: "pressQuotes",
+      label: "Press quotes in the About section",
+      category: "critics",
+      find: () => byId("game_area_reviews"),
+    },
+    {
+      id: "metacritic",
+      label: "Metacritic score",
+      category: "critics",
+      find: () => byId("apppage_metacritic_block"),
+    },
+    {
+      id: "recommendationReasons",
+      label: 'Recommendation reasons ("Similar to games you\'ve played", ...)',
+      category: "social",
+      find: () => all(".recommendation_reasons"),
+    },
+    {
+      id: "eventsRow",
+      label: 'Events row ("Recent Events & Announcements")',
+      category: "social",
+      find: () => all('[data-featuretarget="events-row"]'),
+    },
+    {
+      id: "friends",
+      label: 'Friend block ("X friends want this game")',
+      category: "social",
+      find: () => byId("friend_block"),
+    },
+    {
+      id: "releaseDate",
+      label: "Release date",
+      category: "hard",
+      hardMode: true,
+      find: () => all(".glance_ctn .release_date"),
+    },
+    {
+      id: "developer",
+      label: "Developer row",
+      category: "hard",
+      hardMode: true,
+      find: () =>
+        all("#developers_list")
+          .map((el) => el.closest(".dev_row"))
+          .filter(Boolean),
+    },
+    {
+      id: "tags",
+      label: "User tags",
+      category: "hard",
+      hardMode: true,
+      find: () => all(".glance_tags_ctn, .glance_tags_label"),
+    },
+    {
+      id: "price",
+      label: "Price and discounts",
+      category: "hard",
+      hardMode: true,
+      find: () =>
+        all(
+          ".game_area_purchase_game .game_purchase_price, .game_area_purchase_game .discount_block"
+        ),
+    },
+    {
+      id: "followers",
+      label: "Follower and player counts",
+      category: "hard",
+      hardMode: true,
+      find: () => all(".apphub_NumInApp, .apphub_Stats"),
+    },
+  ];
+
+  // Expose
+  ns.SPOILER_CATEGORIES = SPOILER_CATEGORIES;
+  ns.SPOILER_RULES = SPOILER_RULES;
+})(window);
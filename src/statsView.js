@@ -0,0 +1,172 @@
+/**
+ * Single-player statistics dashboard
+ * Renders the data from soloHistory in an overlay panel
+ */
+
+(function (root) {
+  const ns = (root.ReviewGuesser = root.ReviewGuesser || {});
+
+  // How many recent days the "accuracy over time" table shows
+  const DAYS_SHOWN = 14;
+
+  function pct(value) {
+    return `${Math.round(value * 100)}%`;
+  }
+
+  /**
+   * Horizontal bar used in the day and bucket tables.
+   *
+   * @param {number} hits
+   * @param {number} total
+   * @returns {string} HTML
+   */
+  function barHTML(hits, total) {
+    const width = total > 0 ? Math.round((hits / total) * 100) : 0;
+    return `
+      <div class="ext-stats-bar"><div style="width: ${width}%"></div></div>
+    `;
+  }
+
+  function rowHTML(label, hits, total) {
+    return `
+      <tr>
+        <td>${label}</td>
+        <td>${barHTML(hits, total)}</td>
+        <td>${total > 0 ? pct(hits / total) : "–"}</td>
+        <td class="ext-stats-muted">${hits} / ${total}</td>
+      </tr>
+    `;
+  }
+
+  /**
+   * Build the dashboard HTML for a stats object from soloHistory.computeStats.
+   *
+   * @param {Object} stats
+   * @returns {string} HTML
+   */
+  function statsHTML(stats) {
+    if (stats.total === 0) {
+      return '<div class="ext-stats-muted">No single-player guesses yet. Play a few rounds and come back!</div>';
+    }
+
+    // 10 ** avgLogError is the typical factor by which guesses are off
+    const typicalFactor = Math.pow(10, stats.avgLogError);
+
+    let html = `
+      <div class="ext-stats-summary">
+        <div><b>${stats.total}</b><span>Guesses</span></div>
+        <div><b>${pct(stats.accuracy)}</b><span>Accuracy</span></div>
+        <div><b>${stats.currentStreak}</b><span>Current streak</span></div>
+        <div><b>${stats.bestStreak}</b><span>Best streak</span></div>
+        <div><b>${stats.avgLogError.toFixed(2)}</b><span>Avg log error (≈${typicalFactor.toFixed(1)}× off)</span></div>
+        ${
+          stats.percentRounds > 0
+            ? `<div><b>${stats.avgPercentError.toFixed(1)}</b><span>Avg positive-% error (${stats.percentRounds} rounds)</span></div>`
+            : ""
+        }
+      </div>
+    `;
+
+    html += '<h3>Accuracy over time</h3><table class="ext-stats-table">';
+    stats.byDay
+      .slice(-DAYS_SHOWN)
+      .reverse()
+      .forEach((d) => {
+        html += rowHTML(d.day, d.hits, d.total);
+      });
+    html += "</table>";
+
+    html += '<h3>Accuracy by review count</h3><table class="ext-stats-table">';
+    stats.byBucket.forEach((b) => {
+      html += rowHTML(b.label, b.hits, b.total);
+    });
+    html += "</table>";
+
+    return html;
+  }
+
+  function closeStats() {
+    document.querySelectorAll(".ext-stats-overlay").forEach((el) => el.remove());
+  }
+
+  /**
+   * Open the statistics overlay (replaces any open instance).
+   */
+  async function openStats() {
+    closeStats();
+    if (!ns.soloHistory) return;
+
+    const overlay = document.createElement("div");
+    overlay.className = "ext-stats-overlay";
+    overlay.addEventListener("click", (e) => {
+      if (e.target === overlay) closeStats();
+    });
+
+    const panel = document.createElement("div");
+    panel.className = "ext-stats-panel";
+
+    const header = document.createElement("div");
+    header.className = "ext-stats-header";
+    header.innerHTML = "<h2>Your guessing stats</h2>";
+
+    const closeBtn = document.createElement("button");
+    closeBtn.type = "button";
+    closeBtn.textContent = "✕";
+    closeBtn.addEventListener("click", closeStats);
+    header.appendChild(closeBtn);
+
+    const body = document.createElement("div");
+    body.className = "ext-stats-body";
+    body.textContent = "Loading…";
+
+    const footer = document.createElement("div");
+    footer.className = "ext-stats-footer";
+
+    const clearBtn = document.createElement("button");
+    clearBtn.type = "button";
+    clearBtn.textContent = "Clear history";
+    clearBtn.addEventListener("click", async () => {
+      if (!confirm("Delete all single-player guess history?")) return;
+      await ns.soloHistory.clear();
+      body.innerHTML = statsHTML(ns.soloHistory.computeStats([]));
+    });
+    footer.appendChild(clearBtn);
+
+    panel.appendChild(header);
+    panel.appendChild(body);
+    panel.appendChild(footer);
+    overlay.appendChild(panel);
+    document.body.appendChild(overlay);
+
+    const entries = await ns.soloHistory.load();
+    body.innerHTML = statsHTML(ns.soloHistory.computeStats(entries));
+  }
+
+  /**
+   * Create a "My stats" link that opens the dashboard.
+   *
+   * @returns {HTMLAnchorElement}
+   */
+  function createStatsLink() {
+    const link = document.createElement("a");
+    link.href = "#";
+    link.className = "ext-stats-link";
+    link.textContent = "My stats";
+    link.addEventListener("click", (e) => {
+      e.preventDefault();
+      openStats();
+    });
+    return link;
+  }
+
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") closeStats();
+  });
+
+  // Expose API
+  ns.statsView = {
+    open: openStats,
+    close: closeStats,
+    createLink: createStatsLink,
+  };
+})(window);
@@ -0,0 +1,225 @@
+/**
+ * Unavailable apps
+ * Remembers app IDs that led to Steam's "Oops, sorry!" page (per store region)
+ * so they are never rolled again, and skips past them automatically
+ */
+
+(function (root) {
+  const ns = (root.ReviewGuesser = root.ReviewGuesser || {});
+
+  // chrome.storage.local: region -> app IDs, oldest first
+  const STORAGE_KEY = "unavailableApps";
+
+  // Plenty for years of rolling; the oldest entries are dropped beyond this
+  const MAX_PER_REGION = 5000;
+
+  // Stop auto-rerolling after this many unavailable games in a row
+  const MAX_REROLLS = 5;
+  const REROLL_COUNT_KEY = "ext:rerollCount";
+
+  let loadPromise = null;
+  let excluded = new Set();
+  let handledAppId = null;
+  let rerolling = false;
+
+  function hasStorage() {
+    return typeof chrome !== "undefined" && !!chrome.storage;
+  }
+
+  /**
+   * The Steam store region of this browser, e.g. "US". Steam keeps it in
+   * the steamCountry cookie ("US|<hash>") and the page's application config.
+   *
+   * @returns {string}
+   */
+  function getRegion() {
+    const cookie = document.cookie
+      .split(";")
+      .map((c) => c.trim())
+      .find((c) => c.startsWith("steamCountry="));
+    if (cookie) {
+      const code = decodeURIComponent(cookie.slice("steamCountry=".length)).split("|")[0];
+      if (/^[A-Z]{2}$/.test(code)) return code;
+    }
+
+    try {
+      const config = document.getElementById("application_config");
+      const data = config ? JSON.parse(config.dataset.config || "{}") : {};
+      if (/^[A-Z]{2}$/.test(data.COUNTRY || "")) return data.COUNTRY;
+    } catch (e) {
+      // Unparseable config: fall through
+    }
+
+    return "unknown";
+  }
+
+  /**
+   * Load the unavailable app IDs for the current region
+   * (cached for the lifetime of the page).
+   *
+   * @returns {Promise<Set<number>>}
+   */
+  function loadUnavailable() {
+    if (loadPromise) return loadPromise;
+
+    loadPromise = (async () => {
+      if (!hasStorage()) return excluded;
+      try {
+        const result = await chrome.storage.local.get([STORAGE_KEY]);
+        const byRegion = result[STORAGE_KEY] || {};
+        const ids = Array.isArray(byRegion[getRegion()]) ? byRegion[getRegion()] : [];
+        excluded = new Set(ids.filter((id) => Number.isInteger(id)));
+      } catch (error) {
+        console.warn("[ext] Could not read unavailable apps:", error);
+      }
+      return excluded;
+    })();
+
+    return loadPromise;
+  }
+
+  /**
+   * Remember an app as unavailable in the current region.
+   *
+   * @param {string|number} appId
+   * @returns {Promise<void>}
+   */
+  async function recordUnavailable(appId) {
+    const id = parseInt(appId, 10);
+    if (!Number.isInteger(id)) return;
+
+    await loadUnavailable();
+    if (excluded.has(id)) return;
+    excluded.add(id);
+
+    if (!hasStorage()) return;
+    try {
+      const region = getRegion();
+      const result = await chrome.storage.local.get([STORAGE_KEY]);
+      const byRegion = result[STORAGE_KEY] || {};
+      const ids = (Array.isArray(byRegion[region]) ? byRegion[region] : []).filter(
+        (x) => x !== id
+      );
+      ids.push(id);
+      byRegion[region] = ids.slice(-MAX_PER_REGION);
+      await chrome.storage.local.set({ [STORAGE_KEY]: byRegion });
+      console.log(`[ext] Marked app ${id} as unavailable in region ${region}`);
+    } catch (error) {
+      console.warn("[ext] Could not save unavailable app:", error);
+    }
+  }
+
+  function readRerollCount() {
+    try {
+      return parseInt(sessionStorage.getItem(REROLL_COUNT_KEY), 10) || 0;
+    } catch (e) {
+      return 0;
+    }
+  }
+
+  function writeRerollCount(count) {
+    try {
+      if (count) {
+        sessionStorage.setItem(REROLL_COUNT_KEY, String(count));
+      } else {
+        sessionStorage.removeItem(REROLL_COUNT_KEY);
+      }
+    } catch (e) {
+      // sessionStorage unavailable: no reroll limit across pages
+    }
+  }
+
+  /**
+   * Called on every available app page, so the reroll limit only counts
+   * unavailable games in a row.
+   */
+  function resetRerolls() {
+    if (readRerollCount()) writeRerollCount(0);
+  }
+
+  /**
+   * In co-op, ask the room to move on when the selected game is unavailable
+   * here. Any member can report it; the server draws the replacement from
+   * the reporter's default pool.
+   *
+   * @param {string} appId
+   * @returns {Promise<boolean>} whether a report was sent
+   */
+  async function reportToRoom(appId) {
+    const status = ns.coop && ns.coop.getStatus ? ns.coop.getStatus() : null;
+    if (!status || !status.isConnected) return false;
+
+    const state = ns.coop.getState();
+    const gameState = state.gameState;
+    if (!state.client || !gameState || String(gameState.currentGameId) !== String(appId)) {
+      return false;
+    }
+
+    const mode = ns.settings ? ns.settings.get().nextGameMode : "smart";
+    console.log(`[Co-op] Game ${appId} is unavailable here, asking the room to move on`);
+    state.client.sendGameUnavailable(String(appId), mode === "pure" ? "raw" : "smart");
+    return true;
+  }
+
+  /**
+   * Handle Steam's "Oops, sorry!" page: remember the app, then either let
+   * the co-op room move on or (when enabled) roll again right away.
+   *
+   * @returns {boolean} true when the page is being left, so the caller
+   *   should not bother installing the Oops buttons
+   */
+  function handleUnavailablePage() {
+    if (rerolling) return true;
+
+    const appId = ns.getCurrentSteamAppId ? ns.getCurrentSteamAppId() : null;
+    if (!appId) return false;
+
+    if (handledAppId !== appId) {
+      handledAppId = appId;
+      recordUnavailable(appId);
+
+      // Co-op may connect a moment after the page loads
+      let reported = false;
+      const tryReport = async () => {
+        if (reported) return;
+        reported = true;
+        reported = await reportToRoom(appId);
+        if (reported) window.removeEventListener("coop-status-change", tryReport);
+      };
+      window.addEventListener("coop-status-change", tryReport);
+      tryReport();
+    }
+
+    const coopConnected = !!(
+      ns.coop && ns.coop.getStatus && ns.coop.getStatus().isConnected
+    );
+    const autoReroll = !!(ns.settings && ns.settings.get().autoReroll);
+    const lastRoll = ns.getLastRoll ? ns.getLastRoll() : null;
+
+    // Only skip games we rolled ourselves, not ones the user opened directly
+    if (
+      coopConnected ||
+      !autoReroll ||
+      !lastRoll ||
+      String(lastRoll.appid) !== appId ||
+      readRerollCount() >= MAX_REROLLS
+    ) {
+      return false;
+    }
+
+    rerolling = true;
+    writeRerollCount(readRerollCount() + 1);
+    console.log(`[ext] App ${appId} is unavailable, rolling again`);
+    ns.navigateToRandomApp(lastRoll.mode);
+    return true;
+  }
+
+  // Expose API
+  ns.unavailableApps = {
+    getRegion: getRegion,
+    load: loadUnavailable,
+    record: recordUnavailable,
+    resetRerolls: resetRerolls,
+    handlePage: handleUnavailablePage,
+  };
+})(window);
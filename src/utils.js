@@ -2,17 +2,46 @@
   const ns = (root.ReviewGuesser = root.ReviewGuesser || {});
 
   /**
-   * Replace non-breaking spaces with regular spaces and trim the string.
+   * Replace the various non-breaking / thin spaces with regular spaces and
+   * trim the string.
    * @param {string} s
    * @returns {string}
    */
   function normalizeSpaces(s) {
-    return (s || "").replace(/\u00A0/g, " ").trim();
+    return (s || "").replace(/[\u00A0\u2007\u2009\u202F]/g, " ").trim();
   }
 
+  /**
+   * Map Arabic-Indic, Persian and full-width digits to ASCII digits.
+   * @param {string} s
+   * @returns {string}
+   */
+  function normalizeDigits(s) {
+    return s
+      .replace(/[\u0660-\u0669]/g, (d) => String(d.charCodeAt(0) - 0x0660))
+      .replace(/[\u06F0-\u06F9]/g, (d) => String(d.charCodeAt(0) - 0x06f0))
+      .replace(/[\uFF10-\uFF19]/g, (d) => String(d.charCodeAt(0) - 0xff10))
+      .replace(/\uFF0C/g, ",");
+  }
+
+  // Thousands separators Steam uses across its UI languages:
+  // comma (en), period (de), space / NBSP / narrow NBSP (fr, ru, pl),
+  // apostrophe (de-CH) and the Arabic thousands separator
+  const GROUP_SEP = "[ .,'\u2019\u066C]";
+
+  // Multipliers for abbreviated counts, e.g. "7K", "1,2 Mio", "3.4万"
+  // (checked in order, so "Mrd" is not mistaken for "M")
+  const SUFFIXES = [
+    { rx: /^(?:b|mrd|млрд)/i, mult: 1e9 },
+    { rx: /^(?:m|mio|млн)/i, mult: 1e6 },
+    { rx: /^(?:k|tsd|тыс)/i, mult: 1e3 },
+    { rx: /^[万萬만]/, mult: 1e4 },
+    { rx: /^[亿億억]/, mult: 1e8 },
+  ];
+
   /**
    * Parse numbers like:
-   *   7,036 / 7.036 / 7 036 / 7K / 7 Mio
+   *   7,036 / 7.036 / 7 036 / 7'036 / 1,23,456 / ٧٬٠٣٦ / 7K / 7 Mio / 1.2万
    *
    * Returns:
    *   - integer count
@@ -23,35 +52,38 @@
    * @returns {number|null}
    */
   function parseReviewCountRaw(raw) {
-    const s = normalizeSpaces(raw);
+    const s = normalizeDigits(normalizeSpaces(raw));
     if (!s) return null;
 
     // Zero special-case (handles "No reviews", etc.) — leave general case to caller
     if (/^\s*0\s*$/.test(s)) return 0;
 
-    // Suffixes (K/M/B + common "Mio"/"Tsd")
-    const mSuf = s.match(/(\d+[.,]?\d*)\s*(K|M|B|k|m|b|Mio|Tsd)\b/);
+    // Suffixes (K/M/B, "Mio"/"Tsd", Russian "тыс"/"млн", CJK 万/億)
+    const mSuf = s.match(
+      /(\d+(?:[.,]\d+)?)\s*(K|M|B|Mio|Mrd|Tsd|тыс|млрд|млн|[万萬만亿億억])(?![a-zа-я])/i
+    );
     if (mSuf) {
       const n = parseFloat(mSuf[1].replace(",", "."));
-      const suf = mSuf[2].toLowerCase();
-      const mult =
-        suf === "k" || suf === "tsd"
-          ? 1e3
-          : suf === "m" || suf === "mio"
-          ? 1e6
-          : 1e9;
-      const v = Math.round(n * mult);
+      const suf = SUFFIXES.find((x) => x.rx.test(mSuf[2]));
+      const v = Math.round(n * suf.mult);
       return Number.isFinite(v) ? v : null;
     }
 
-    // Largest integer with separators
-    const matches = [...s.matchAll(/\b(\d{1,3}(?:[ .,\u00A0]\d{3})+|\d{2,})\b/g)]
-      .map((m) => parseInt(m[1].replace(/[ .,\u00A0]/g, ""), 10))
+    // Largest integer with separators (incl. Indian 1,23,456 grouping)
+    const rxGrouped = new RegExp(
+      `(?<!\\d)(\\d{1,2}(?:,\\d{2})+,\\d{3}|\\d{1,3}(?:${GROUP_SEP}\\d{3})+|\\d{2,})(?!\\d)`,
+      "g"
+    );
+    const matches = [...s.matchAll(rxGrouped)]
+      .map((m) => parseInt(m[1].replace(/\D/g, ""), 10))
       .filter(Number.isFinite);
 
     if (matches.length) return Math.max(...matches);
 
-    // Fallback: numbers immediately preceding 'review(s)' (captures single-digit counts)
+    // Fallback: single-digit counts, either "(3)" or before 'review(s)'
+    const mParen = s.match(/[(（]\s*(\d)\s*[)）]/);
+    if (mParen) return parseInt(mParen[1], 10);
+
     const mReviewWord = s.match(
       /\b(\d+)\b(?=\s*(?:user\s+)?reviews?\b)/i
     );
@@ -72,8 +104,114 @@
     return s.replace(/\B(?=(\d{3})+(?!\d))/g, " ");
   }
 
+  // A whole guess: plain digits, digits grouped by thousands or a number
+  // with a suffix (parseReviewCountRaw alone would pick a number out of any text)
+  const GUESS_RX = new RegExp(
+    `^(?:\\d+|\\d{1,2}(?:,\\d{2})+,\\d{3}|\\d{1,3}(?:${GROUP_SEP}\\d{3})+|` +
+      `\\d+(?:[.,]\\d+)?\\s*(?:K|M|B|Mio|Mrd|Tsd|тыс|млрд|млн|[万萬만亿億억]))$`,
+    "i"
+  );
+
+  /**
+   * Parse a free-text guess typed by the user.
+   * Accepts plain integers ("5"), grouped numbers ("7 036")
+   * and suffixed values ("12k", "1.2M"); anything else ("12 reviews",
+   * "5k5") is rejected.
+   *
+   * @param {string} raw
+   * @returns {number|null}
+   */
+  function parseGuessInput(raw) {
+    const s = normalizeDigits(normalizeSpaces(raw));
+    if (!GUESS_RX.test(s)) return null;
+    if (/^\d+$/.test(s)) return parseInt(s, 10);
+    return parseReviewCountRaw(s);
+  }
+
+  /**
+   * Distance between two counts in orders of magnitude (log10 scale).
+   * Both values are shifted by +1 so that 0 reviews stays finite.
+   *
+   * @param {number} a
+   * @param {number} b
+   * @returns {number}
+   */
+  function logDistance(a, b) {
+    return Math.abs(
+      Math.log10(Math.max(0, a) + 1) - Math.log10(Math.max(0, b) + 1)
+    );
+  }
+
+  /**
+   * Score an exact guess by its log distance to the true count:
+   *   - 100 points when within 10% of the true count
+   *   - linear decay afterwards, reaching 0 at two orders of magnitude off
+   *
+   * @param {number} guess
+   * @param {number} trueCount
+   * @returns {number} integer in [0, 100]
+   */
+  function scoreExactGuess(guess, trueCount) {
+    const PERFECT = Math.log10(1.1);
+    const ZERO_AT = 2;
+
+    const d = logDistance(guess, trueCount);
+    if (d <= PERFECT) return 100;
+
+    const score = 100 * (1 - (d - PERFECT) / (ZERO_AT - PERFECT));
+    return Math.max(0, Math.round(score));
+  }
+
+  /**
+   * Score a positive-percentage guess: 100 points when exact,
+   * minus 4 points per percentage point off (0 at 25 points off).
+   *
+   * @param {number} guess - 0..100
+   * @param {number} truePercent - 0..100
+   * @returns {number} integer in [0, 100]
+   */
+  function scorePercentGuess(guess, truePercent) {
+    const d = Math.abs(guess - truePercent);
+    return Math.max(0, Math.round(100 - d * 4));
+  }
+
+  /**
+   * Combined score of a round with both questions (average of the two).
+   *
+   * @param {number} countPoints - 0..100
+   * @param {number} percentPoints - 0..100
+   * @returns {number} integer in [0, 100]
+   */
+  function combineRoundScore(countPoints, percentPoints) {
+    return Math.round((countPoints + percentPoints) / 2);
+  }
+
+  /**
+   * Steam's review score label for a positive percentage and review count.
+   *
+   * @param {number} percent - 0..100
+   * @param {number} total - Total reviews
+   * @returns {string}
+   */
+  function reviewScoreLabel(percent, total) {
+    if (total < 10) return `${total} user review${total === 1 ? "" : "s"}`;
+    if (percent >= 95 && total >= 500) return "Overwhelmingly Positive";
+    if (percent >= 80) return total >= 50 ? "Very Positive" : "Positive";
+    if (percent >= 70) return "Mostly Positive";
+    if (percent >= 40) return "Mixed";
+    if (percent >= 20) return "Mostly Negative";
+    if (total >= 500) return "Overwhelmingly Negative";
+    return total >= 50 ? "Very Negative" : "Negative";
+  }
+
   // Expose on namespace
   ns.normalizeSpaces = normalizeSpaces;
   ns.parseReviewCountRaw = parseReviewCountRaw;
   ns.formatNum = formatNum;
+  ns.parseGuessInput = parseGuessInput;
+  ns.logDistance = logDistance;
+  ns.scoreExactGuess = scoreExactGuess;
+  ns.scorePercentGuess = scorePercentGuess;
+  ns.combineRoundScore = combineRoundScore;
+  ns.reviewScoreLabel = reviewScoreLabel;
 })(window);
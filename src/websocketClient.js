@@ -17,24 +17,53 @@ class WebSocketClient {
     this.listeners = new Map();
     this.serverUrl = null; // Will be set via connect()
     this.reconnectNeededEmitted = false; // Prevent duplicate reconnect-needed emissions
+    this.pendingJoin = null; // { resolve, reject } until the server answers the room request
   }
 
   /**
-   * Connect to WebSocket server
-   * @param {string} serverUrl - WebSocket server URL (must be wss://steam-review-guesser.onrender.com)
-   * @param {string} roomId - Room ID to join
+   * Hosts we are allowed to connect to: the built-in default server
+   * and the server the user picked in the options page
+   * @returns {string[]}
+   */
+  getAllowedHosts() {
+    const ns = (typeof window !== 'undefined' && window.ReviewGuesser) || {};
+    const urls = [
+      ns.config && ns.config.DEFAULT_SERVER_URL,
+      ns.settings && ns.settings.get().serverUrl,
+    ];
+    const hosts = [];
+    urls.forEach((value) => {
+      try {
+        if (value) hosts.push(new URL(value).hostname);
+      } catch (e) {
+        // Ignore malformed URLs
+      }
+    });
+    return hosts;
+  }
+
+  /**
+   * Connect to WebSocket server and create or join a room. Resolves once the
+   * server has let us in ('connected'); rejects with an Error carrying the
+   * server's `code` ('not-found', 'wrong-password', 'full', ...) when it
+   * refuses.
+   * @param {string} serverUrl - WebSocket server URL (default server or the one configured in the options page)
+   * @param {string|null} roomId - Room code to join, or null to create a new room
    * @param {string} userId - Optional persistent user ID for reconnection
+   * @param {string|null} password - Room password (sets it when creating a room)
+   * @param {string|null} reconnectToken - Token the server issued for this userId in this room, if any
+   * @param {boolean} spectator - Join as a spectator (watch without playing)
    * @returns {Promise<void>}
    */
-  async connect(serverUrl, roomId, userId = null) {
+  async connect(serverUrl, roomId, userId = null, password = null, reconnectToken = null, spectator = false) {
     return new Promise((resolve, reject) => {
       try {
-        // Validate server URL - only allow the configured Render URL
-        const allowedHost = 'steam-review-guesser.onrender.com';
+        // Validate server URL - only allow the configured servers
+        const allowedHosts = this.getAllowedHosts();
         try {
           const url = new URL(serverUrl);
-          if (url.hostname !== allowedHost) {
-            const error = new Error(`Connection to ${url.hostname} is not allowed. Only connections to ${allowedHost} are permitted.`);
+          if (!allowedHosts.includes(url.hostname)) {
+            const error = new Error(`Connection to ${url.hostname} is not allowed. Only connections to ${allowedHosts.join(', ')} are permitted.`);
             console.error('[WebSocket]', error.message);
             reject(error);
             return;
@@ -56,15 +85,17 @@ class WebSocketClient {
           this.userId = userId;
         }
         
-        let url = `${serverUrl}?room=${encodeURIComponent(roomId)}`;
+        let url = serverUrl;
         if (this.userId && typeof this.userId === 'string' && this.userId.trim() !== '') {
-          url += `&userId=${encodeURIComponent(this.userId)}`;
+          url += `?userId=${encodeURIComponent(this.userId)}`;
         } else {
           console.warn('[WebSocket] userId is invalid, not including in URL:', this.userId);
         }
         
         console.log('[WebSocket] Connecting with URL:', url);
-        this.ws = new WebSocket(url);
+        const socket = new WebSocket(url);
+        this.ws = socket;
+        this.pendingJoin = { resolve, reject };
 
         this.ws.onopen = () => {
           console.log('WebSocket connected');
@@ -73,7 +104,13 @@ class WebSocketClient {
           this.reconnectAttempts = 0;
           this.reconnectNeededEmitted = false; // Reset reconnect-needed flag
           this.emit('open');
-          resolve();
+
+          // The server waits for the room request before anything else
+          if (roomId) {
+            this.send({ type: 'join-room', roomId: roomId, password: password, token: reconnectToken, spectator: spectator });
+          } else {
+            this.send({ type: 'create-room', password: password, spectator: spectator });
+          }
         };
 
         this.ws.onmessage = (event) => {
@@ -88,12 +125,16 @@ class WebSocketClient {
         this.ws.onerror = (error) => {
           console.error('WebSocket error:', error);
           this.emit('error', error);
-          reject(error);
+          // A replaced socket must not settle the newer connect() call
+          if (this.ws === socket) this.settleJoin(error);
         };
 
         this.ws.onclose = () => {
           console.log('WebSocket closed', { isNavigating: this.isNavigating, reconnectNeededEmitted: this.reconnectNeededEmitted });
           this.isConnected = false;
+          if (this.ws === socket) {
+            this.settleJoin(new Error('The connection closed before the room was joined'));
+          }
           this.emit('close');
           
           // Don't try to reconnect if we're navigating (new page will handle reconnection)
@@ -131,6 +172,21 @@ class WebSocketClient {
     });
   }
 
+  /**
+   * Resolve (no error) or reject the pending connect() call, once
+   * @param {Error|null} error
+   */
+  settleJoin(error = null) {
+    const pending = this.pendingJoin;
+    if (!pending) return;
+    this.pendingJoin = null;
+    if (error) {
+      pending.reject(error);
+    } else {
+      pending.resolve();
+    }
+  }
+
   /**
    * Disconnect from server
    */
@@ -165,8 +221,19 @@ class WebSocketClient {
     switch (data.type) {
       case 'connected':
         this.connectionId = data.connectionId;
+        this.roomId = data.roomId;
         this.emit('connected', data);
+        this.settleJoin();
+        break;
+      case 'join-error': {
+        // The server closes the connection next; don't come straight back
+        this.reconnectAttempts = this.maxReconnectAttempts;
+        const error = new Error(data.message);
+        error.code = data.code;
+        this.emit('join-error', data);
+        this.settleJoin(error);
         break;
+      }
       case 'user-joined':
         this.emit('user-joined', data);
         break;
@@ -197,6 +264,51 @@ class WebSocketClient {
       case 'reply-counts-update':
         this.emit('reply-counts-update', data);
         break;
+      case 'round-start':
+        this.emit('round-start', data);
+        break;
+      case 'history':
+        this.emit('history', data);
+        break;
+      case 'round-timer':
+        this.emit('round-timer', data);
+        break;
+      case 'settings-updated':
+        this.emit('settings-updated', data);
+        break;
+      case 'host-changed':
+        this.emit('host-changed', data);
+        break;
+      case 'room-lock-changed':
+        this.emit('room-lock-changed', data);
+        break;
+      case 'user-removed':
+        this.emit('user-removed', data);
+        break;
+      case 'user-unbanned':
+        this.emit('user-unbanned', data);
+        break;
+      case 'picker-changed':
+        this.emit('picker-changed', data);
+        break;
+      case 'match-started':
+        this.emit('match-started', data);
+        break;
+      case 'match-finished':
+        this.emit('match-finished', data);
+        break;
+      case 'match-ended':
+        this.emit('match-ended', data);
+        break;
+      case 'chat-message':
+        this.emit('chat-message', data);
+        break;
+      case 'removed':
+        // Kicked, banned or refused: the server closes the connection next,
+        // and coming straight back would only be refused again
+        this.reconnectAttempts = this.maxReconnectAttempts;
+        this.emit('removed', data);
+        break;
       case 'error':
         this.emit('error', data);
         break;
@@ -252,16 +364,28 @@ class WebSocketClient {
   // Convenience methods for sending specific message types
 
   /**
-   * Send a guess
+   * Send a guess (the server resolves the correct answer itself)
    * @param {number} guess - The guess value
    * @param {string} gameId - Current game ID
    */
-  sendGuess(guess, gameId, correctAnswer = null) {
+  sendGuess(guess, gameId) {
     this.send({
       type: 'guess',
       guess: guess,
       gameId: gameId,
-      correctAnswer: correctAnswer,
+    });
+  }
+
+  /**
+   * Send a positive-% guess (second question of a round)
+   * @param {number} guess - Guessed positive percentage (0-100)
+   * @param {string} gameId - Current game ID
+   */
+  sendPercentGuess(guess, gameId) {
+    this.send({
+      type: 'percent-guess',
+      guess: guess,
+      gameId: gameId,
     });
   }
 
@@ -284,26 +408,44 @@ class WebSocketClient {
   }
 
   /**
-   * Navigate to next game (host only)
-   * @param {string} gameId - New game ID
+   * Move the room to a game without a vote (host or designated picker only)
+   * @param {string|null} gameId - Steam app ID of the next game (only for 'pick')
+   * @param {string} option - 'raw' or 'smart' to have the server draw one, 'pick' for a chosen app
    */
-  sendNextGame(gameId) {
+  sendNextGame(gameId, option = 'pick') {
     this.send({
       type: 'next-game',
       gameId: gameId,
+      option: option,
     });
   }
 
   /**
    * Vote for next game option
-   * @param {string} option - Vote option: 'raw' or 'smart'
-   * @param {string} gameId - Optional game ID for the selected option
+   * @param {string} option - Vote option: 'raw' or 'smart', or 'propose' in rooms that vote on proposals
+   * @param {string} gameId - Optional game ID for the selected option (required to propose)
+   * @param {string} name - Name of the proposed game, shown to the room
    */
-  sendNextGameVote(option, gameId = null) {
+  sendNextGameVote(option, gameId = null, name = null) {
     this.send({
       type: 'next-game-vote',
       option: option,
       gameId: gameId,
+      name: name,
+    });
+  }
+
+  /**
+   * Report that the room's current game is unavailable (delisted or
+   * region-locked) for this user, so the room moves on
+   * @param {string} gameId - The unavailable game ID
+   * @param {string} pool - Pool the server draws the replacement from: 'raw' or 'smart'
+   */
+  sendGameUnavailable(gameId, pool) {
+    this.send({
+      type: 'game-unavailable',
+      gameId: gameId,
+      pool: pool,
     });
   }
 
@@ -327,25 +469,159 @@ class WebSocketClient {
       type: 'reset-leaderboard',
     });
   }
+
+  /**
+   * Request the room's completed rounds (answered with a 'history' message)
+   * @param {number|null} limit - Most recent rounds to return (null for all)
+   */
+  sendGetHistory(limit = null) {
+    this.send({
+      type: 'get-history',
+      limit: limit,
+    });
+  }
+
+  /**
+   * Change room settings (host only)
+   * @param {{roundTimeLimit?: number, scoringRule?: string}} settings - Settings to change
+   */
+  sendUpdateSettings(settings) {
+    this.send({
+      type: 'update-settings',
+      settings: settings,
+    });
+  }
+
+  /**
+   * Remove a member from the room (host only)
+   * @param {string} userId - The member's user ID
+   */
+  sendKickUser(userId) {
+    this.send({
+      type: 'kick-user',
+      userId: userId,
+    });
+  }
+
+  /**
+   * Remove a member and keep them out of the room (host only)
+   * @param {string} userId - The member's user ID
+   */
+  sendBanUser(userId) {
+    this.send({
+      type: 'ban-user',
+      userId: userId,
+    });
+  }
+
+  /**
+   * Let a banned user join again (host only)
+   * @param {string} userId - The banned user's ID
+   */
+  sendUnbanUser(userId) {
+    this.send({
+      type: 'unban-user',
+      userId: userId,
+    });
+  }
+
+  /**
+   * End the current question without waiting for everyone, or settle the
+   * next-game vote once both questions are done (host only)
+   */
+  sendForceAdvance() {
+    this.send({
+      type: 'force-advance',
+    });
+  }
+
+  /**
+   * Lock or unlock the room to new users (host only)
+   * @param {boolean} locked
+   */
+  sendLockRoom(locked) {
+    this.send({
+      type: 'lock-room',
+      locked: locked,
+    });
+  }
+
+  /**
+   * Make another online member the host (host only)
+   * @param {string} userId - The new host's user ID
+   */
+  sendTransferHost(userId) {
+    this.send({
+      type: 'transfer-host',
+      userId: userId,
+    });
+  }
+
+  /**
+   * Let a member choose the next game without a vote (host only)
+   * @param {string|null} userId - The picker's user ID, or null for nobody
+   */
+  sendSetPicker(userId) {
+    this.send({
+      type: 'set-picker',
+      userId: userId,
+    });
+  }
+
+  /**
+   * Start a match of a fixed number of rounds with a fresh leaderboard (host only)
+   * @param {number} rounds - 5, 10, 15 or 20
+   */
+  sendStartMatch(rounds) {
+    this.send({
+      type: 'start-match',
+      rounds: rounds,
+    });
+  }
+
+  /**
+   * Stop the match, or close the podium of a finished one (host only)
+   */
+  sendEndMatch() {
+    this.send({
+      type: 'end-match',
+    });
+  }
+
+  /**
+   * Send a chat message to the room
+   * @param {string} text - Message text (the server trims and cleans it up)
+   */
+  sendChat(text) {
+    this.send({
+      type: 'chat',
+      text: text,
+    });
+  }
+
+  /**
+   * React to the revealed answer with an emoji
+   * @param {string} emoji - One of the server's reaction emojis
+   */
+  sendReaction(emoji) {
+    this.send({
+      type: 'reaction',
+      emoji: emoji,
+    });
+  }
 }
 
 // Export singleton instance
 const wsClient = new WebSocketClient();
 
-// Helper function to generate room code
-function generateRoomCode() {
-  return Math.random().toString(36).substring(2, 8).toUpperCase();
-}
-
 // Make available globally for Chrome extension
 if (typeof window !== 'undefined') {
   window.WebSocketClient = WebSocketClient;
   window.wsClient = wsClient;
-  window.generateRoomCode = generateRoomCode;
 }
 
 // Export both the class and instance (for Node.js if needed)
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { WebSocketClient, wsClient, generateRoomCode };
+  module.exports = { WebSocketClient, wsClient };
 }
 
@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+globalThis.window = globalThis;
+// Only what the module touches when it loads
+globalThis.document = { addEventListener() {} };
+require("../src/utils.js");
+require("../src/seededRandom.js");
+require("../src/soloHistory.js");
+require("../src/dailyChallenge.js");
+const ns = window.ReviewGuesser;
+const { dailyChallenge } = ns;
+
+ns.getBatchAppIds = async () => [
+  [10, 20, 30, 40, 50, 60],
+  [],
+  [70, 80, 90],
+];
+
+test("every player gets the same five distinct games for a day", async () => {
+  const today = await dailyChallenge.pickAppIds("2026-10-18");
+  assert.equal(today.length, 5);
+  assert.equal(new Set(today).size, 5);
+  assert.deepEqual(await dailyChallenge.pickAppIds("2026-10-18"), today);
+  assert.notDeepEqual(await dailyChallenge.pickAppIds("2026-10-19"), today);
+});
+
+test("no games when the batches could not be loaded", async () => {
+  const getBatchAppIds = ns.getBatchAppIds;
+  ns.getBatchAppIds = async () => [[], []];
+  try {
+    assert.deepEqual(await dailyChallenge.pickAppIds("2026-10-18"), []);
+  } finally {
+    ns.getBatchAppIds = getBatchAppIds;
+  }
+});
+
+test("the share text has the hits and the grid, not the games", () => {
+  const text = dailyChallenge.shareText({
+    date: "2026-10-18",
+    appIds: ["10", "20", "30", "40", "50"],
+    results: [
+      { appId: "10", skipped: false, trueCount: 500, pick: 500, mode: "choice" },
+      { appId: "20", skipped: false, trueCount: 1000, pick: 1500, mode: "exact" },
+      { appId: "30", skipped: false, trueCount: 1000, pick: 5000, mode: "exact" },
+      { appId: "40", skipped: false, trueCount: 1000, pick: 10, mode: "choice" },
+      { appId: "50", skipped: true },
+    ],
+  });
+  assert.equal(text, "Review Guesser Daily 2026-10-18 1/5\n🟩🟨🟧🟥⬛\n🎯🔼🔼🔽➖");
+});
@@ -0,0 +1,42 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const seededRandom = require("../src/seededRandom.js");
+const { buildGuessSet } = require("../src/guessSet.js");
+
+test("seeded generators repeat their sequence for the same game", () => {
+  const a = seededRandom.create("570");
+  const b = seededRandom.create("570");
+  const other = seededRandom.create("730");
+
+  const seqA = [a(), a(), a()];
+  assert.deepEqual([b(), b(), b()], seqA);
+  assert.notDeepEqual([other(), other(), other()], seqA);
+  seqA.forEach((x) => assert.ok(x >= 0 && x < 1));
+});
+
+test("seeded randInt stays within its bounds", () => {
+  const rng = seededRandom.create("440");
+  for (let i = 0; i < 200; i++) {
+    const n = seededRandom.randInt(rng, 4, 5);
+    assert.ok(n === 4 || n === 5, String(n));
+  }
+});
+
+test("buildGuessSet is deterministic per game and always contains the answer", () => {
+  for (const trueCount of [0, 3, 50, 1000, 7036, 123456789]) {
+    const options = buildGuessSet(trueCount, "570", 6);
+    assert.deepEqual(buildGuessSet(trueCount, "570", 6), options);
+    assert.equal(options.length, 6);
+    assert.equal(new Set(options).size, 6);
+    assert.ok(options.includes(trueCount), `${trueCount} in ${options}`);
+    options.forEach((n) => assert.ok(Number.isInteger(n) && n >= 0));
+  }
+});
+
+test("buildGuessSet honours the answer count", () => {
+  const options = buildGuessSet(7036, "570", 4);
+  assert.equal(options.length, 4);
+  assert.ok(options.includes(7036));
+  assert.notDeepEqual(buildGuessSet(7036, "730", 6), buildGuessSet(7036, "570", 6));
+});
@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+
+globalThis.window = globalThis;
+require("../src/reviewSource.js");
+const ns = window.ReviewGuesser;
+const { reviewSource } = ns;
+
+// Local stand-in for Steam's appreviews endpoint
+const requests = [];
+let reply = () => ({ success: 1, query_summary: { total_reviews: 7036, total_positive: 6500 } });
+const stub = http.createServer((req, res) => {
+  requests.push(req.url);
+  const body = reply(req);
+  res.statusCode = body ? 200 : 500;
+  res.setHeader("content-type", "application/json");
+  res.end(JSON.stringify(body || {}));
+});
+
+test.before(async () => {
+  await new Promise((resolve) => stub.listen(0, "127.0.0.1", resolve));
+  reviewSource.configure({ baseUrl: `http://127.0.0.1:${stub.address().port}/appreviews/` });
+});
+
+test.after(() => stub.close());
+
+test.beforeEach(() => {
+  requests.length = 0;
+  reviewSource.clearCache();
+  ns.waitForAnyReviewCount = async () => null;
+});
+
+test("reads the counts from the appreviews endpoint and caches them per app", async () => {
+  const first = await reviewSource.getReviewSummary("570");
+  assert.deepEqual(first, { count: 7036, positive: 6500, positivePercent: 92, source: "api" });
+
+  await reviewSource.getReviewSummary("570");
+  assert.equal(requests.length, 1);
+  assert.match(requests[0], /^\/appreviews\/570\?json=1&language=all&purchase_type=all/);
+});
+
+test("falls back to the page when the endpoint fails, without caching the failure", async () => {
+  reply = () => null;
+  ns.waitForAnyReviewCount = async () => ({ count: 42 });
+  assert.deepEqual(await reviewSource.getReviewSummary("440"), { count: 42, positive: null, positivePercent: null, source: "dom" });
+
+  ns.waitForAnyReviewCount = async () => null;
+  assert.equal(await reviewSource.getReviewSummary("730"), null);
+
+  reply = () => ({ success: 1, query_summary: { total_reviews: 10 } });
+  assert.deepEqual(await reviewSource.getReviewSummary("730"), { count: 10, positive: null, positivePercent: null, source: "api" });
+});
+
+test("uses a configured fetch implementation", async () => {
+  const urls = [];
+  reviewSource.configure({
+    fetch: async (url) => {
+      urls.push(url);
+      return { ok: true, json: async () => ({ success: 1, query_summary: { total_reviews: 3 } }) };
+    },
+  });
+  try {
+    assert.deepEqual(await reviewSource.getReviewSummary("10"), { count: 3, positive: null, positivePercent: null, source: "api" });
+    assert.equal(urls.length, 1);
+    assert.equal(requests.length, 0);
+  } finally {
+    reviewSource.configure({ fetch: (url, init) => globalThis.fetch(url, init) });
+  }
+});
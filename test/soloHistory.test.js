@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+globalThis.window = globalThis;
+require("../src/utils.js");
+require("../src/soloHistory.js");
+const { soloHistory } = window.ReviewGuesser;
+
+const DAY = 24 * 60 * 60 * 1000;
+const start = new Date(2024, 0, 10, 12).getTime();
+
+/** A history entry `day` days after the start */
+function entry(pick, trueCount, day = 0, mode = "choice") {
+  return { appId: "570", trueCount, options: null, pick, timestamp: start + day * DAY, mode };
+}
+
+test("computeStats is all zeros for an empty history", () => {
+  const stats = soloHistory.computeStats([]);
+  assert.equal(stats.total, 0);
+  assert.equal(stats.accuracy, 0);
+  assert.equal(stats.avgLogError, 0);
+  assert.deepEqual(stats.byDay, []);
+});
+
+test("computeStats counts hits, streaks, days and buckets", () => {
+  const stats = soloHistory.computeStats([
+    entry(50, 50, 0),
+    entry(500, 500, 0),
+    entry(900, 5000, 1),
+    entry(5000, 5000, 1),
+    entry(12000, 12000, 2),
+    entry(105000, 100000, 2, "exact"),
+  ]);
+
+  assert.equal(stats.total, 6);
+  assert.equal(stats.hits, 5);
+  assert.equal(stats.accuracy, 5 / 6);
+  assert.equal(stats.bestStreak, 3);
+  assert.equal(stats.currentStreak, 3);
+  assert.deepEqual(stats.byDay.map((d) => [d.total, d.hits]), [[2, 2], [2, 1], [2, 2]]);
+  assert.deepEqual(stats.byBucket.map((b) => [b.label, b.total, b.hits]), [
+    ["0–100", 1, 1],
+    ["100–1k", 1, 1],
+    ["1k–10k", 2, 1],
+    ["10k–100k", 1, 1],
+    ["100k+", 1, 1],
+  ]);
+  assert.ok(stats.avgLogError > 0);
+});
+
+test("an exact guess is a hit within 10% of the true count", () => {
+  assert.equal(soloHistory.isHit(entry(1090, 1000, 0, "exact")), true);
+  assert.equal(soloHistory.isHit(entry(1200, 1000, 0, "exact")), false);
+  assert.equal(soloHistory.isHit(entry(1090, 1000, 0, "choice")), false);
+});
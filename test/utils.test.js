@@ -0,0 +1,102 @@
+// Run with `node --test` from the repository root
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// The extension modules attach themselves to window.ReviewGuesser
+globalThis.window = globalThis;
+require("../src/utils.js");
+const {
+  combineRoundScore,
+  parseGuessInput,
+  parseReviewCountRaw,
+  reviewScoreLabel,
+  scoreExactGuess,
+  scorePercentGuess,
+} = window.ReviewGuesser;
+
+test("parseGuessInput reads plain, grouped and suffixed guesses", () => {
+  assert.equal(parseGuessInput("5"), 5);
+  assert.equal(parseGuessInput("0"), 0);
+  assert.equal(parseGuessInput(" 7 036 "), 7036);
+  assert.equal(parseGuessInput("7,036"), 7036);
+  assert.equal(parseGuessInput("7.036"), 7036);
+  assert.equal(parseGuessInput("12k"), 12000);
+  assert.equal(parseGuessInput("12 K"), 12000);
+  assert.equal(parseGuessInput("1.2M"), 1200000);
+  assert.equal(parseGuessInput("1,5 Mio"), 1500000);
+});
+
+test("parseReviewCountRaw reads the count formats of Steam's UI languages", () => {
+  const cases = [
+    ["(7,036)", 7036],
+    ["7.036 Nutzerreviews", 7036],
+    ["7\u00A0036", 7036],
+    ["7\u202F036", 7036],
+    ["7\u2019036", 7036],
+    ["(1,23,456)", 123456],
+    ["(\u0667\u066C\u0660\u0663\u0666)", 7036],
+    ["\uFF08\uFF17\uFF0C\uFF10\uFF13\uFF16\uFF09", 7036],
+    ["1,2 Mio.", 1200000],
+    ["2 Mrd", 2000000000],
+    ["3,4 тыс.", 3400],
+    ["1.2万", 12000],
+    ["97% of the 12,345 user reviews in the last 30 days are positive.", 12345],
+    ["(3)", 3],
+    ["5 user reviews", 5],
+    ["0", 0],
+  ];
+  for (const [raw, expected] of cases) {
+    assert.equal(parseReviewCountRaw(raw), expected, raw);
+  }
+  assert.equal(parseReviewCountRaw("No user reviews"), null);
+});
+
+test("parseGuessInput reads the same formats when they are the whole input", () => {
+  assert.equal(parseGuessInput("1,23,456"), 123456);
+  assert.equal(parseGuessInput("\u0667\u066C\u0660\u0663\u0666"), 7036);
+  assert.equal(parseGuessInput("7'036"), 7036);
+  assert.equal(parseGuessInput("1.2万"), 12000);
+  assert.equal(parseGuessInput("12 тыс"), 12000);
+  assert.equal(parseGuessInput("(7,036)"), null);
+});
+
+test("parseGuessInput rejects input it can't read completely", () => {
+  for (const raw of ["", "abc", "12 reviews", "about 500", "5k5", "12kk", "1.2.3", "7 0360"]) {
+    assert.equal(parseGuessInput(raw), null, raw);
+  }
+});
+
+test("scoreExactGuess gives 100 within 10% and decays to 0 at two orders of magnitude", () => {
+  assert.equal(scoreExactGuess(1000, 1000), 100);
+  assert.equal(scoreExactGuess(1080, 1000), 100);
+  assert.equal(scoreExactGuess(920, 1000), 100);
+  assert.ok(scoreExactGuess(2000, 1000) < 100);
+  assert.ok(scoreExactGuess(2000, 1000) > scoreExactGuess(10000, 1000));
+  assert.equal(scoreExactGuess(100000, 1000), 0);
+  assert.equal(scoreExactGuess(5, 1000), 0);
+  assert.equal(scoreExactGuess(0, 0), 100);
+});
+
+test("scorePercentGuess loses 4 points per percentage point off", () => {
+  assert.equal(scorePercentGuess(85, 85), 100);
+  assert.equal(scorePercentGuess(80, 85), 80);
+  assert.equal(scorePercentGuess(90, 85), 80);
+  assert.equal(scorePercentGuess(60, 85), 0);
+  assert.equal(scorePercentGuess(0, 100), 0);
+  assert.equal(combineRoundScore(100, 80), 90);
+  assert.equal(combineRoundScore(0, 75), 38);
+});
+
+test("reviewScoreLabel follows Steam's review score thresholds", () => {
+  assert.equal(reviewScoreLabel(100, 1), "1 user review");
+  assert.equal(reviewScoreLabel(50, 7), "7 user reviews");
+  assert.equal(reviewScoreLabel(96, 600), "Overwhelmingly Positive");
+  assert.equal(reviewScoreLabel(96, 200), "Very Positive");
+  assert.equal(reviewScoreLabel(85, 20), "Positive");
+  assert.equal(reviewScoreLabel(75, 1000), "Mostly Positive");
+  assert.equal(reviewScoreLabel(50, 1000), "Mixed");
+  assert.equal(reviewScoreLabel(30, 1000), "Mostly Negative");
+  assert.equal(reviewScoreLabel(10, 1000), "Overwhelmingly Negative");
+  assert.equal(reviewScoreLabel(10, 60), "Very Negative");
+  assert.equal(reviewScoreLabel(10, 20), "Negative");
+});